@@ -0,0 +1,48 @@
+/**
+ * Test Suite for the browser script bundle
+ * Loads the backend scripts of front/index.html as classic scripts sharing one global scope,
+ * the way the browser does, so a top-level name declared by two files is caught here
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { describe, it, assert, getResults } = require('./testFramework.js');
+
+const ROOT = path.join(__dirname, '..');
+
+function getBackendScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'front', 'index.html'), 'utf8');
+    return [...html.matchAll(/<script src="\/(backend\/[^"]+\.js)"/g)].map(match => match[1]);
+}
+
+describe('Browser scripts - index.html', () => {
+
+    it('should list the backend scripts', () => {
+        const scripts = getBackendScripts();
+        assert.isTrue(scripts.includes('backend/plan.js'));
+        assert.isTrue(scripts.includes('backend/computerTour.js'));
+        assert.isTrue(scripts.includes('backend/system.js'));
+    });
+
+    it('should load every backend script in one global scope without redeclaration', () => {
+        const context = { console };
+        context.window = context;
+        vm.createContext(context);
+
+        getBackendScripts().forEach(script => {
+            const source = fs.readFileSync(path.join(ROOT, script), 'utf8');
+            try {
+                vm.runInContext(source, context, { filename: script });
+            } catch (error) {
+                throw new Error(`${script}: ${error.message}`);
+            }
+        });
+
+        assert.strictEqual(vm.runInContext('typeof Plan', context), 'function');
+        assert.strictEqual(vm.runInContext('typeof ComputerTour', context), 'function');
+        assert.strictEqual(vm.runInContext('typeof System', context), 'function');
+    });
+});
+
+module.exports = getResults();
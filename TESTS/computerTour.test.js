@@ -11,6 +11,7 @@ const Leg = require('../backend/leg');
 const { TourPoint, TypePoint } = require('../backend/tourpoint');
 const Courier = require('../backend/courier');
 const Demand = require('../backend/demand');
+const TimeWindow = require('../backend/timeWindow');
 const { describe, it, assert, getResults } = require('./testFramework');
 
 function buildSimplePlan() {
@@ -342,6 +343,19 @@ describe('ComputerTour.computeCompleteTour', () => {
         assert.strictEqual(tour.totalDuration, expectedDuration);
     });
 
+    it('uses the segment speeds and the courier speed factor', () => {
+        const { plan, nodes, segments } = buildSimplePlan();
+        segments.s12.speed = 30; // 1000 m at 30 km/h = 120 s
+        const computerTour = new ComputerTour(plan);
+        const courier = new Courier('C1', 'Cargo', { speedFactor: 0.5 });
+
+        const warehouse = new TourPoint(nodes.n1, 0, TypePoint.WAREHOUSE, null);
+        const pickup = new TourPoint(nodes.n2, 0, TypePoint.PICKUP, { id: 'D1' });
+        const tour = computerTour.computeCompleteTour([warehouse, pickup], courier);
+
+        assert.strictEqual(tour.legs[0].travelTime, 240);
+    });
+
     it('returns null when no path exists between two stops', () => {
         const nodeA = new Node('A', 0, 0, []);
         const nodeB = new Node('B', 0, 1, []);
@@ -358,4 +372,215 @@ describe('ComputerTour.computeCompleteTour', () => {
     });
 });
 
+describe('ComputerTour - Time windows', () => {
+    // W - A - B - C - D on a line, 150 m (36 s at 15 km/h) between neighbours
+    function buildLineScenario(deliveryWindowB, deliveryWindowD) {
+        const ids = ['W', 'A', 'B', 'C', 'D'];
+        const nodes = ids.map((id, i) => new Node(id, 45.75, 4.85 + i * 0.002, []));
+        const segments = [];
+        for (let i = 0; i < nodes.length - 1; i++) {
+            segments.push(new Segment(nodes[i], nodes[i + 1], `${ids[i]}${ids[i + 1]}`, 150));
+            segments.push(new Segment(nodes[i + 1], nodes[i], `${ids[i + 1]}${ids[i]}`, 150));
+        }
+        const byId = new Map(ids.map((id, i) => [id, nodes[i]]));
+        const plan = new Plan(byId, segments, nodes[0]);
+
+        const d1 = new Demand('A', 'B', 60, 60, 'D1', { deliveryWindow: deliveryWindowB });
+        const d2 = new Demand('C', 'D', 60, 60, 'D2', { deliveryWindow: deliveryWindowD });
+        const pairs = [
+            [new TourPoint(byId.get('A'), 60, TypePoint.PICKUP, d1), new TourPoint(byId.get('B'), 60, TypePoint.DELIVERY, d1)],
+            [new TourPoint(byId.get('C'), 60, TypePoint.PICKUP, d2), new TourPoint(byId.get('D'), 60, TypePoint.DELIVERY, d2)]
+        ];
+        const computerTour = new ComputerTour(plan, new TourPoint(nodes[0], 0, TypePoint.WAREHOUSE, null));
+        computerTour.fillTourPointStructures(pairs);
+        return computerTour;
+    }
+
+    const order = (tour) => tour.map(point => point.node.id).join('');
+
+    it('Should visit the stops in travel order without time windows', () => {
+        const computerTour = buildLineScenario(null, null);
+        assert.strictEqual(order(computerTour.computeTSPTourV1()), 'WABCDW');
+    });
+
+    it('Should serve an urgent delivery first and wait for a later window', () => {
+        // B opens at 08:10, D closes at 08:05
+        const computerTour = buildLineScenario(new TimeWindow(8 * 3600 + 600, null), new TimeWindow(null, 8 * 3600 + 300));
+        const tour = computerTour.computeTSPTourV1();
+        assert.isTrue(tour.indexOf(tour.find(p => p.node.id === 'D')) < tour.indexOf(tour.find(p => p.node.id === 'B')));
+        const evaluation = computerTour.evaluateSequence(tour);
+        assert.isTrue(evaluation.feasible);
+        assert.strictEqual(evaluation.lateness, 0);
+
+        const complete = computerTour.computeCompleteTour(tour);
+        assert.strictEqual(complete.getTimeWindowViolations().length, 0);
+        assert.isTrue(complete.schedule.some(entry => entry.wait > 0));
+        assert.strictEqual(complete.totalDuration, evaluation.duration);
+    });
+
+    it('Should respect the time windows with the nearest neighbor strategy', () => {
+        const computerTour = buildLineScenario(new TimeWindow(8 * 3600 + 600, null), new TimeWindow(null, 8 * 3600 + 300));
+        const tour = computerTour.computeTSPTourV2();
+        assert.isTrue(computerTour.evaluateSequence(tour).feasible);
+    });
+
+    it('Should penalize an unavoidable lateness in soft mode and reject it in hard mode', () => {
+        // D cannot be reached before 08:00:10
+        const computerTour = buildLineScenario(null, new TimeWindow(null, 8 * 3600 + 10));
+        const tour = computerTour.computeTSPTourV1();
+        assert.isTrue(!!tour, 'Soft mode should still return a tour');
+        assert.isFalse(computerTour.evaluateSequence(tour).feasible);
+
+        computerTour.setTimeWindowMode('hard');
+        assert.strictEqual(computerTour.computeTSPTourV1(), null);
+        assert.strictEqual(computerTour.computeTSPTourV2(), null);
+    });
+
+    it('Should start the clock at the departure time', () => {
+        const computerTour = buildLineScenario(null, new TimeWindow(null, 9 * 3600));
+        computerTour.setDepartureTime('08:55');
+        const tour = computerTour.computeTSPTourV1();
+        assert.isTrue(computerTour.evaluateSequence(tour).feasible);
+        assert.strictEqual(computerTour.computeCompleteTour(tour).departureTime, '08:55');
+    });
+
+    it('Should read the H:M:S departure times of the request files', () => {
+        const computerTour = buildLineScenario(null, null);
+        computerTour.setDepartureTime('8:0:0');
+        assert.strictEqual(computerTour.departureTime, '08:00');
+        computerTour.setDepartureTime('9:5:30');
+        assert.strictEqual(computerTour.departureTime, '09:05:30');
+        assert.strictEqual(computerTour.getDepartureSeconds(), 9 * 3600 + 5 * 60 + 30);
+        computerTour.setDepartureTime('9:75');
+        assert.strictEqual(computerTour.departureTime, ComputerTour.DEFAULT_DEPARTURE_TIME);
+        computerTour.setDepartureTime('25:00');
+        assert.strictEqual(computerTour.departureTime, ComputerTour.DEFAULT_DEPARTURE_TIME);
+    });
+});
+
+describe('ComputerTour - Capacity', () => {
+    // W - A - B - C - D on a line; two 30 L parcels, A -> C and B -> D
+    function buildCapacityScenario(courier) {
+        const ids = ['W', 'A', 'B', 'C', 'D'];
+        const nodes = ids.map((id, i) => new Node(id, 45.75, 4.85 + i * 0.002, []));
+        const segments = [];
+        for (let i = 0; i < nodes.length - 1; i++) {
+            segments.push(new Segment(nodes[i], nodes[i + 1], `${ids[i]}${ids[i + 1]}`, 150));
+            segments.push(new Segment(nodes[i + 1], nodes[i], `${ids[i + 1]}${ids[i]}`, 150));
+        }
+        const byId = new Map(ids.map((id, i) => [id, nodes[i]]));
+        const plan = new Plan(byId, segments, nodes[0]);
+
+        const d1 = new Demand('A', 'C', 60, 60, 'D1', { load: 30 });
+        const d2 = new Demand('B', 'D', 60, 60, 'D2', { load: 30 });
+        const pairs = [
+            [new TourPoint(byId.get('A'), 60, TypePoint.PICKUP, d1), new TourPoint(byId.get('C'), 60, TypePoint.DELIVERY, d1)],
+            [new TourPoint(byId.get('B'), 60, TypePoint.PICKUP, d2), new TourPoint(byId.get('D'), 60, TypePoint.DELIVERY, d2)]
+        ];
+        const computerTour = new ComputerTour(plan, new TourPoint(nodes[0], 0, TypePoint.WAREHOUSE, null));
+        computerTour.fillTourPointStructures(pairs, courier);
+        return { computerTour, pairs };
+    }
+
+    const order = (tour) => tour.map(point => point.node.id).join('');
+
+    it('Should carry both parcels at once in a large bag', () => {
+        const { computerTour } = buildCapacityScenario(new Courier('C1', 'Cargo', { capacity: 60 }));
+        assert.strictEqual(order(computerTour.computeTSPTourV1()), 'WABCDW');
+    });
+
+    it('Should deliver before picking up again when the bag is full', () => {
+        const { computerTour } = buildCapacityScenario(new Courier('C1', 'Vélo', { capacity: 40 }));
+        const tour = computerTour.computeTSPTourV1();
+        assert.isTrue(computerTour.respectsCapacity(tour));
+        assert.isFalse(order(tour) === 'WABCDW');
+
+        const nearestNeighbor = computerTour.computeTSPTourV2();
+        assert.isTrue(computerTour.respectsCapacity(nearestNeighbor));
+    });
+
+    it('Should refuse a parcel larger than the bag', () => {
+        const courier = new Courier('C1', 'Vélo', { capacity: 20 });
+        const { computerTour, pairs } = buildCapacityScenario(courier);
+        assert.strictEqual(computerTour.computeTour(pairs, courier), null);
+    });
+});
+
+describe('ComputerTour - Shift', () => {
+    // W - A - B - C - D on a line, A -> B and C -> D: about 9 minutes with the services
+    function buildShiftScenario() {
+        const ids = ['W', 'A', 'B', 'C', 'D'];
+        const nodes = ids.map((id, i) => new Node(id, 45.75, 4.85 + i * 0.002, []));
+        const segments = [];
+        for (let i = 0; i < nodes.length - 1; i++) {
+            segments.push(new Segment(nodes[i], nodes[i + 1], `${ids[i]}${ids[i + 1]}`, 150));
+            segments.push(new Segment(nodes[i + 1], nodes[i], `${ids[i + 1]}${ids[i]}`, 150));
+        }
+        const byId = new Map(ids.map((id, i) => [id, nodes[i]]));
+        const plan = new Plan(byId, segments, nodes[0]);
+        const d1 = new Demand('A', 'B', 60, 60, 'D1');
+        const d2 = new Demand('C', 'D', 60, 60, 'D2');
+        const pairs = [
+            [new TourPoint(byId.get('A'), 60, TypePoint.PICKUP, d1), new TourPoint(byId.get('B'), 60, TypePoint.DELIVERY, d1)],
+            [new TourPoint(byId.get('C'), 60, TypePoint.PICKUP, d2), new TourPoint(byId.get('D'), 60, TypePoint.DELIVERY, d2)]
+        ];
+        return { computerTour: new ComputerTour(plan, new TourPoint(nodes[0], 0, TypePoint.WAREHOUSE, null)), pairs };
+    }
+
+    it('Should end the shift at its end or after the maximum working time', () => {
+        const { computerTour } = buildShiftScenario();
+        assert.strictEqual(computerTour.getShiftDeadline(), Infinity);
+        computerTour.setShift('12:00', 3 * 3600);
+        assert.strictEqual(computerTour.getShiftDeadline(), 11 * 3600);
+        computerTour.setShift('10:30', 3 * 3600);
+        assert.strictEqual(computerTour.getShiftDeadline(), 10 * 3600 + 30 * 60);
+        computerTour.setShift('9:5:30', null);
+        assert.strictEqual(computerTour.getShiftDeadline(), 9 * 3600 + 5 * 60 + 30);
+    });
+
+    it('Should reject a malformed end of shift instead of dropping the shift', () => {
+        const { computerTour, pairs } = buildShiftScenario();
+        computerTour.setShift('12:00', null);
+        for (const shiftEnd of ['25:99', '8h']) {
+            let error = null;
+            try {
+                computerTour.setShift(shiftEnd, null);
+            } catch (e) {
+                error = e;
+            }
+            assert.isTrue(error !== null, `${shiftEnd} should be rejected`);
+            assert.strictEqual(computerTour.getShiftDeadline(), 12 * 3600);
+
+            error = null;
+            try {
+                computerTour.computeTour(pairs, new Courier('C1', 'Test', { shiftEnd }));
+            } catch (e) {
+                error = e;
+            }
+            assert.isTrue(error !== null, `${shiftEnd} should not compute a tour without shift`);
+        }
+    });
+
+    it('Should keep every solver within the shift', () => {
+        const { computerTour, pairs } = buildShiftScenario();
+        const courier = new Courier('C1', 'Test', { maxWorkingTime: 600 });
+        for (const strategy of ['v1', 'v2', 'v3', 'v4']) {
+            const tour = computerTour.computeTour(pairs, courier, { strategy });
+            assert.isTrue(tour !== null);
+            assert.strictEqual(computerTour.evaluateSequence(computerTour.lastSolverResult.tour).overtime, 0);
+        }
+    });
+
+    it('Should return no tour when none fits in the shift', () => {
+        const { computerTour, pairs } = buildShiftScenario();
+        const courier = new Courier('C1', 'Test', { shiftEnd: '08:05' });
+        for (const strategy of ['v0', 'v1', 'v2', 'v3', 'v4']) {
+            assert.strictEqual(computerTour.computeTour(pairs, courier, { strategy }), null);
+        }
+        const tour = computerTour.computeTour(pairs, courier, { shiftEnd: null });
+        assert.isTrue(tour !== null);
+        assert.isTrue(computerTour.evaluateSequence(tour.stops).overtime === 0);
+    });
+});
+
 module.exports = getResults();
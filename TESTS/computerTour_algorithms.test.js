@@ -7,6 +7,8 @@ const Plan = require('../backend/plan.js');
 const Node = require('../backend/node.js');
 const Segment = require('../backend/segment.js');
 const Demand = require('../backend/demand.js');
+const TimeWindow = require('../backend/timeWindow.js');
+const StopConstraints = require('../backend/stopConstraints.js');
 const { TourPoint, TypePoint } = require('../backend/tourpoint.js');
 const { describe, it, assert, getResults } = require('./testFramework.js');
 
@@ -56,7 +58,7 @@ describe('ComputerTour - configuration and pathfinding', () => {
         assert.strictEqual(computer.tspStrategy, 'v2');
 
         computer.setTSPStrategy('unknown');
-        assert.strictEqual(computer.tspStrategy, 'v1');
+        assert.strictEqual(computer.tspStrategy, 'auto');
     });
 
     it('should compute shortest path with A* and Dijkstra', () => {
@@ -76,6 +78,18 @@ describe('ComputerTour - configuration and pathfinding', () => {
         assert.strictEqual(aStar.pathIds[aStar.pathIds.length - 1], 'B');
         assert.isTrue([250, 400].includes(aStar.distance));
     });
+
+    it('should honor one-way streets when the plan is directed', () => {
+        const { plan, nodeW } = buildPlan();
+        plan.setDirected(true);
+        const warehousePoint = new TourPoint(nodeW, 0, TypePoint.WAREHOUSE, null);
+        const computer = new ComputerTour(plan, warehousePoint);
+
+        // Every segment leaves W, so nothing leads back to it
+        assert.strictEqual(computer.aStarShortestPath('B', 'W'), null);
+        assert.strictEqual(computer.dijkstraShortestPath('B', 'W'), null);
+        assert.strictEqual(computer.dijkstraShortestPath('W', 'B').distance, 250);
+    });
 });
 
 describe('ComputerTour - tour structure helpers', () => {
@@ -94,6 +108,45 @@ describe('ComputerTour - tour structure helpers', () => {
         assert.isTrue(computer.tourPointGraphLegs.has(key));
     });
 
+    it('should fill the same travel matrix as pairwise shortest paths', () => {
+        const { plan, nodeW, nodeA, nodeB } = buildPlan();
+        const warehousePoint = new TourPoint(nodeW, 0, TypePoint.WAREHOUSE, null);
+        const computer = new ComputerTour(plan, warehousePoint);
+
+        const pickup = makeTourPoint(nodeA, TypePoint.PICKUP, 'DEM1');
+        const delivery = makeTourPoint(nodeB, TypePoint.DELIVERY, 'DEM1');
+        // Second demand picked up at the same node as the first one
+        const pickup2 = makeTourPoint(nodeA, TypePoint.PICKUP, 'DEM3');
+        const delivery2 = makeTourPoint(nodeW, TypePoint.DELIVERY, 'DEM3');
+        assert.isTrue(computer.fillTourPointStructures([[pickup, delivery], [pickup2, delivery2]]));
+
+        const points = [warehousePoint, pickup, delivery, pickup2, delivery2];
+        for (const from of points) {
+            for (const to of points) {
+                if (from === to) continue;
+                const expected = computer.dijkstraShortestPath(from.node.id, to.node.id);
+                const leg = computer.tourPointGraphLegs.get(computer.getKey(from, to));
+                assert.strictEqual(leg.distance, expected.distance);
+                assert.strictEqual(computer.tourPointGraphTimes.get(computer.getKey(from, to)),
+                    Math.ceil(expected.distance / (15000 / 3600)));
+                assert.deepStrictEqual(leg.pathNode.map(n => n.id), expected.pathIds);
+            }
+        }
+    });
+
+    it('should compute one-to-many paths in a single search', () => {
+        const { plan, nodeW } = buildPlan();
+        const warehousePoint = new TourPoint(nodeW, 0, TypePoint.WAREHOUSE, null);
+        const computer = new ComputerTour(plan, warehousePoint);
+
+        const results = computer.dijkstraOneToMany('W', ['W', 'A', 'B', 'Z']);
+        assert.strictEqual(results.get('W').distance, 0);
+        assert.strictEqual(results.get('A').distance, 100);
+        assert.strictEqual(results.get('B').distance, 250);
+        assert.isFalse(results.has('Z'));
+        assert.strictEqual(computer.dijkstraOneToMany('Z', ['A']), null);
+    });
+
     it('should fail to fill tour structures when nodes are disconnected', () => {
         const { plan, nodeW, nodeA } = buildPlan();
         const nodeC = new Node('C', 45.78, 4.88, []);
@@ -130,4 +183,561 @@ describe('ComputerTour - tour structure helpers', () => {
     });
 });
 
+/**
+ * Builds a 4x4 grid (200 m spacing, two-way streets) with the warehouse in a corner
+ * and demandCount pickup/delivery pairs on distinct nodes
+ */
+function buildGridInstance(demandCount) {
+    const nodes = new Map();
+    const segments = [];
+    for (let row = 0; row < 4; row++) {
+        for (let col = 0; col < 4; col++) {
+            nodes.set(`N${row}${col}`, new Node(`N${row}${col}`, 45.75 + row * 0.0018, 4.85 + col * 0.0026, []));
+        }
+    }
+    for (let row = 0; row < 4; row++) {
+        for (let col = 0; col < 4; col++) {
+            const from = nodes.get(`N${row}${col}`);
+            [[row + 1, col], [row, col + 1]].forEach(([r, c]) => {
+                const to = nodes.get(`N${r}${c}`);
+                if (!to) return;
+                segments.push(new Segment(from, to, `${from.id}-${to.id}`, 200));
+                segments.push(new Segment(to, from, `${to.id}-${from.id}`, 200));
+            });
+        }
+    }
+    const plan = new Plan(nodes, segments, nodes.get('N00'));
+    const ids = Array.from(nodes.keys()).slice(1);
+    const pairs = [];
+    for (let i = 0; i < demandCount; i++) {
+        // Spread pickups and deliveries over the grid
+        const pickupNode = nodes.get(ids[(i * 5) % ids.length]);
+        const deliveryNode = nodes.get(ids[(i * 5 + 7) % ids.length]);
+        const demand = new Demand(pickupNode.id, deliveryNode.id, 60, 60, `D${i + 1}`);
+        pairs.push([new TourPoint(pickupNode, 60, TypePoint.PICKUP, demand), new TourPoint(deliveryNode, 60, TypePoint.DELIVERY, demand)]);
+    }
+    const computer = new ComputerTour(plan, new TourPoint(nodes.get('N00'), 0, TypePoint.WAREHOUSE, null));
+    computer.fillTourPointStructures(pairs);
+    return { computer, pairs };
+}
+
+/**
+ * Builds a random directed plan (one-way streets of random lengths around a one-way ring, so every node
+ * reaches every other) with demandCount pickup/delivery pairs, from a seeded generator
+ */
+function buildRandomDirectedInstance(seed, demandCount) {
+    let state = seed;
+    const random = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+    const nodeCount = demandCount * 2 + 1;
+    const nodes = new Map();
+    for (let i = 0; i < nodeCount; i++) {
+        nodes.set(`R${i}`, new Node(`R${i}`, 45.75 + random() * 0.01, 4.85 + random() * 0.01, []));
+    }
+    const list = Array.from(nodes.values());
+    const segments = list.map((from, i) => new Segment(from, list[(i + 1) % nodeCount], `ring${i}`, 100 + Math.floor(random() * 400)));
+    list.forEach(from => list.forEach(to => {
+        if (from !== to && random() < 0.2) {
+            segments.push(new Segment(from, to, `${from.id}-${to.id}`, 50 + Math.floor(random() * 500)));
+        }
+    }));
+
+    const plan = new Plan(nodes, segments, list[0], { directed: true });
+    const pairs = [];
+    for (let i = 0; i < demandCount; i++) {
+        const demand = new Demand(list[2 * i + 1].id, list[2 * i + 2].id, 60, 60, `D${i + 1}`);
+        pairs.push([new TourPoint(list[2 * i + 1], 60, TypePoint.PICKUP, demand), new TourPoint(list[2 * i + 2], 60, TypePoint.DELIVERY, demand)]);
+    }
+    const computer = new ComputerTour(plan, new TourPoint(list[0], 0, TypePoint.WAREHOUSE, null));
+    computer.fillTourPointStructures(pairs);
+    return { computer, pairs };
+}
+
+describe('ComputerTour - solver registry', () => {
+    it('should use the selected strategy', () => {
+        const { computer } = buildGridInstance(3);
+        computer.setTSPStrategy('v0');
+        const tour = computer.computeTSPTour();
+        assert.deepStrictEqual(tour, computer.computeTSPTourV0());
+        assert.strictEqual(computer.lastSolverResult.solver, 'v0');
+        assert.isFalse(computer.lastSolverResult.provedOptimal);
+    });
+
+    it('should prove optimality on small instances', () => {
+        const { computer } = buildGridInstance(3);
+        computer.computeTSPTour();
+        assert.strictEqual(computer.lastSolverResult.solver, 'v4');
+        assert.isTrue(computer.lastSolverResult.provedOptimal);
+        assert.isTrue(computer.lastSolverResult.explored > 0);
+    });
+
+    it('should stop branch and bound at the node limit and keep its best tour', () => {
+        const { computer } = buildGridInstance(6);
+        const full = computer.solve({ strategy: 'v1' });
+        const limited = computer.solve({ strategy: 'v1', nodeLimit: 200 });
+        assert.isTrue(full.provedOptimal);
+        assert.isFalse(limited.provedOptimal);
+        assert.isTrue(limited.explored <= 200);
+        assert.isTrue(computer.validatePrecedenceConstraints(limited.tour));
+        assert.strictEqual(limited.tour.length, full.tour.length);
+    });
+
+    it('should fall back on the heuristic when the budget ends before the first tour', () => {
+        const { computer } = buildGridInstance(6);
+        const result = computer.solve({ strategy: 'v1', nodeLimit: 1 });
+        assert.strictEqual(result.solver, 'v1+v2');
+        assert.isTrue(computer.validatePrecedenceConstraints(result.tour));
+    });
+
+    it('should run a registered solver picked per call', () => {
+        ComputerTour.registerSolver('test-rigid', (computerTour, options) => ({
+            tour: computerTour.computeTSPTourV0(),
+            provedOptimal: options.seed === 42
+        }), 'Test');
+        try {
+            const { computer } = buildGridInstance(2);
+            assert.isTrue(ComputerTour.getSolvers().some(solver => solver.name === 'test-rigid'));
+            const result = computer.solve({ strategy: 'test-rigid', seed: 42 });
+            assert.strictEqual(result.solver, 'test-rigid');
+            assert.isTrue(result.provedOptimal);
+        } finally {
+            ComputerTour.solvers.delete('test-rigid');
+        }
+    });
+
+    it('should record the solver on the computed tour', () => {
+        const { computer, pairs } = buildGridInstance(2);
+        const tour = computer.computeTour(pairs, null, { strategy: 'v2' });
+        assert.strictEqual(tour.solverInfo.solver, 'v2');
+        assert.isFalse(tour.solverInfo.provedOptimal);
+    });
+});
+
+describe('ComputerTour - metaheuristic', () => {
+    it('should give the same tour for the same seed', () => {
+        const { computer } = buildGridInstance(6);
+        const first = computer.computeTSPTour({ strategy: 'v3', seed: 3, iterations: 300 });
+        const second = computer.computeTSPTour({ strategy: 'v3', seed: 3, iterations: 300 });
+        assert.deepStrictEqual(first, second);
+        assert.isTrue(computer.validatePrecedenceConstraints(first));
+        assert.strictEqual(first.length, 6 * 2 + 2);
+    });
+
+    it('should never be worse than the heuristic nor better than the optimum', () => {
+        const { computer } = buildGridInstance(5);
+        const optimum = computer.evaluateSequence(computer.computeTSPTour({ strategy: 'v1' })).cost;
+        const heuristic = computer.evaluateSequence(computer.computeTSPTour({ strategy: 'v2' })).cost;
+        const metaheuristic = computer.evaluateSequence(computer.computeTSPTour({ strategy: 'v3', iterations: 500 })).cost;
+        assert.isTrue(metaheuristic <= heuristic);
+        assert.isTrue(metaheuristic >= optimum);
+    });
+
+    it('should keep the load under the capacity', () => {
+        const { computer, pairs } = buildGridInstance(6);
+        pairs.forEach(([pickup]) => { pickup.demand.load = 10; });
+        computer.setCapacity(20);
+        const tour = computer.computeTSPTour({ strategy: 'v3', iterations: 300 });
+        assert.isTrue(computer.respectsCapacity(tour));
+        assert.isTrue(computer.validatePrecedenceConstraints(tour));
+    });
+
+    it('should be registered as a solver', () => {
+        assert.isTrue(ComputerTour.getSolvers().some(solver => solver.name === 'v3'));
+    });
+});
+
+describe('ComputerTour - dynamic programming', () => {
+    it('should find the same optimal cost as branch and bound', () => {
+        const { computer } = buildGridInstance(5);
+        const branchAndBound = computer.solve({ strategy: 'v1' });
+        const dynamic = computer.solve({ strategy: 'v4' });
+        assert.isTrue(dynamic.provedOptimal);
+        assert.isTrue(computer.validatePrecedenceConstraints(dynamic.tour));
+        assert.strictEqual(dynamic.tour.length, 5 * 2 + 2);
+        assert.strictEqual(dynamic.cost, branchAndBound.cost);
+        assert.strictEqual(computer.searchStats.cost, dynamic.cost);
+    });
+
+    it('should find the same optimal cost as branch and bound on random directed plans', () => {
+        for (let seed = 1; seed <= 100; seed++) {
+            const { computer } = buildRandomDirectedInstance(seed, 5);
+            const branchAndBound = computer.solve({ strategy: 'v1' });
+            const dynamic = computer.solve({ strategy: 'v4' });
+            assert.isTrue(branchAndBound.provedOptimal);
+            assert.isTrue(dynamic.provedOptimal);
+            assert.strictEqual(branchAndBound.cost, dynamic.cost, `seed ${seed}: v1 ${branchAndBound.cost}, v4 ${dynamic.cost}`);
+        }
+    });
+
+    it('should respect the capacity', () => {
+        const { computer, pairs } = buildGridInstance(5);
+        pairs.forEach(([pickup]) => { pickup.demand.load = 10; });
+        computer.setCapacity(10);
+        const branchAndBound = computer.solve({ strategy: 'v1' });
+        const dynamic = computer.solve({ strategy: 'v4' });
+        assert.isTrue(computer.respectsCapacity(dynamic.tour));
+        assert.strictEqual(dynamic.cost, branchAndBound.cost);
+    });
+
+    it('should not claim optimality with soft time windows', () => {
+        const { computer, pairs } = buildGridInstance(3);
+        pairs[0][1].demand.deliveryWindow = new TimeWindow(null, 8 * 3600 + 60);
+        const result = computer.solve({ strategy: 'v4' });
+        assert.isFalse(result.provedOptimal);
+        assert.isTrue(computer.validatePrecedenceConstraints(result.tour));
+
+    });
+
+    it('should stay exact with hard time windows', () => {
+        const { computer, pairs } = buildGridInstance(4);
+        pairs[2][1].demand.deliveryWindow = new TimeWindow(null, 8 * 3600 + 600);
+        computer.setTimeWindowMode('hard');
+        const branchAndBound = computer.solve({ strategy: 'v1' });
+        const dynamic = computer.solve({ strategy: 'v4' });
+        assert.isTrue(dynamic.provedOptimal);
+        assert.isTrue(computer.evaluateSequence(dynamic.tour).feasible);
+        assert.strictEqual(dynamic.cost, branchAndBound.cost);
+    });
+
+    it('should fall back on the heuristic above the demand limit', () => {
+        const { computer } = buildGridInstance(ComputerTour.DP_SOLVER_MAX_DEMANDS + 1);
+        const result = computer.solve({ strategy: 'v4' });
+        assert.strictEqual(result.solver, 'v4+v2');
+        assert.isFalse(result.provedOptimal);
+        assert.isTrue(computer.validatePrecedenceConstraints(result.tour));
+    });
+});
+
+describe('ComputerTour - lower bound and gap', () => {
+    it('should bound the optimal cost from below', () => {
+        const { computer, pairs } = buildGridInstance(5);
+        const services = pairs.length * 2 * 60;
+        const bound = computer.computeLowerBound();
+        const optimum = computer.solve({ strategy: 'v4' }).cost;
+        assert.isTrue(bound > services);
+        assert.isTrue(bound <= optimum);
+    });
+
+    it('should report a zero gap for a proved optimum', () => {
+        const { computer } = buildGridInstance(4);
+        const result = computer.solve({ strategy: 'v1' });
+        assert.isTrue(result.provedOptimal);
+        assert.strictEqual(result.bound, result.cost);
+        assert.strictEqual(result.gap, 0);
+    });
+
+    it('should report the gap of a heuristic tour', () => {
+        const { computer } = buildGridInstance(6);
+        const result = computer.solve({ strategy: 'v0' });
+        assert.isTrue(result.bound <= result.cost);
+        assert.isTrue(result.gap > 0);
+        assert.strictEqual(result.gap, (result.cost - result.bound) / result.cost * 100);
+    });
+
+    it('should keep a better bound given by the solver', () => {
+        ComputerTour.registerSolver('test-bound', (computerTour) => {
+            const tour = computerTour.computeTSPTourV0();
+            return { tour, provedOptimal: false, bound: computerTour.evaluateSequence(tour).cost - 1 };
+        });
+        try {
+            const { computer } = buildGridInstance(3);
+            const result = computer.solve({ strategy: 'test-bound' });
+            assert.strictEqual(result.bound, result.cost - 1);
+        } finally {
+            ComputerTour.solvers.delete('test-bound');
+        }
+    });
+
+    it('should compute the gap in percent of the cost', () => {
+        assert.strictEqual(ComputerTour.computeGap(1000, 900), 10);
+        assert.strictEqual(ComputerTour.computeGap(null, 900), null);
+        assert.strictEqual(ComputerTour.computeGap(0, 0), 0);
+    });
+});
+
+describe('ComputerTour - objectives', () => {
+    it('should fall back on the duration for an unknown objective', () => {
+        const { computer } = buildGridInstance(2);
+        computer.setObjective('cheapest');
+        assert.strictEqual(computer.objective, 'duration');
+        assert.deepStrictEqual(computer.getObjectiveWeights(),
+            { distance: 0, travelTime: 0, duration: 1, lateness: ComputerTour.LATENESS_PENALTY });
+    });
+
+    it('should price a sequence in the unit of the objective', () => {
+        const { computer } = buildGridInstance(4);
+        const tour = computer.computeTSPTourV0();
+        const measures = computer.evaluateSequence(tour);
+        computer.setObjective('distance');
+        assert.strictEqual(computer.evaluateSequence(tour).cost, measures.distance);
+        computer.setObjective('travelTime');
+        assert.strictEqual(computer.evaluateSequence(tour).cost, measures.travelTime);
+        computer.setObjective('mix', { distance: 2, duration: 0, lateness: 0 });
+        assert.strictEqual(computer.evaluateSequence(tour).cost, 2 * measures.distance);
+    });
+
+    it('should find the same optimum with every exact solver', () => {
+        const { computer } = buildGridInstance(5);
+        computer.setObjective('distance');
+        const branchAndBound = computer.solve({ strategy: 'v1' });
+        const dynamic = computer.solve({ strategy: 'v4' });
+        assert.isTrue(branchAndBound.provedOptimal);
+        assert.isTrue(dynamic.provedOptimal);
+        assert.strictEqual(dynamic.cost, branchAndBound.cost);
+        assert.strictEqual(dynamic.cost, computer.evaluateSequence(dynamic.tour).distance);
+        assert.isTrue(computer.computeLowerBound() <= dynamic.cost);
+    });
+
+    it('should trade waiting time against travel time', () => {
+        const { computer, pairs } = buildGridInstance(4);
+        pairs[0][0].demand.pickupWindow = new TimeWindow(8 * 3600 + 900, null);
+        const fastest = computer.evaluateSequence(computer.solve({ strategy: 'v1', objective: 'duration' }).tour);
+        const shortest = computer.evaluateSequence(computer.solve({ strategy: 'v1', objective: 'travelTime' }).tour);
+        assert.isTrue(fastest.duration < shortest.duration);
+        assert.isTrue(shortest.travelTime < fastest.travelTime);
+    });
+
+    it('should only trust dynamic programming when it is exact for the objective', () => {
+        const { computer, pairs } = buildGridInstance(4);
+        pairs[3][1].demand.deliveryWindow = new TimeWindow(null, 8 * 3600 + 600);
+        computer.setTimeWindowMode('hard');
+        assert.isTrue(computer.dynamicProgrammingIsExact());
+        computer.setObjective('distance');
+        assert.isFalse(computer.dynamicProgrammingIsExact());
+        assert.strictEqual(computer.solve({ strategy: 'auto' }).solver, 'v1');
+    });
+
+    it('should record the objective on the tour', () => {
+        const { computer, pairs } = buildGridInstance(3);
+        const tour = computer.computeTour(pairs, null, { objective: 'distance' });
+        assert.strictEqual(tour.solverInfo.objective, 'distance');
+        assert.strictEqual(tour.solverInfo.cost, tour.totalDistance);
+        assert.strictEqual(tour.toJSON().solverInfo.objective, 'distance');
+    });
+});
+
+describe('ComputerTour - demand insertion', () => {
+    it('should insert a demand at its cheapest positions and keep the other legs', () => {
+        const { computer, pairs } = buildGridInstance(5);
+        const tour = computer.computeTour(pairs.slice(0, 4), null);
+        const [pickup, delivery] = pairs[4];
+        const inserter = new ComputerTour(computer.plan, tour.stops[0]);
+        const result = inserter.insertDemand(tour, pickup, delivery);
+
+        const stops = result.tour.stops;
+        assert.strictEqual(stops.length, tour.stops.length + 2);
+        assert.strictEqual(stops[result.pickupIndex], pickup);
+        assert.strictEqual(stops[result.deliveryIndex], delivery);
+        assert.deepStrictEqual(stops.filter(stop => stop !== pickup && stop !== delivery), tour.stops);
+        assert.strictEqual(result.tour.id, tour.id);
+        assert.strictEqual(result.tour.solverInfo.solver, 'insertion');
+
+        // Unchanged arcs keep their leg, and the increase is the difference of the costs
+        const kept = result.tour.legs.filter(leg => tour.legs.includes(leg));
+        assert.isTrue(kept.length >= tour.legs.length - 2);
+        assert.strictEqual(result.increase, result.cost - inserter.evaluateSequence(tour.stops).cost);
+        assert.strictEqual(result.tour.totalDuration, result.cost);
+
+        // No other position of the pair is cheaper
+        for (let i = 1; i < tour.stops.length; i++) {
+            for (let j = i; j < tour.stops.length; j++) {
+                const candidate = tour.stops.slice(0, i).concat([pickup], tour.stops.slice(i, j), [delivery], tour.stops.slice(j));
+                assert.isTrue(inserter.evaluateSequence(candidate).cost >= result.cost);
+            }
+        }
+    });
+
+    it('should refuse a demand that does not fit in the bag', () => {
+        const { computer, pairs } = buildGridInstance(3);
+        const tour = computer.computeTour(pairs.slice(0, 2), null);
+        tour.courier = { capacity: 10 };
+        pairs[2][0].demand.load = 20;
+        const inserter = new ComputerTour(computer.plan, tour.stops[0]);
+        assert.strictEqual(inserter.insertDemand(tour, pairs[2][0], pairs[2][1]), null);
+    });
+});
+
+describe('ComputerTour - demand removal', () => {
+    it('should remove the stops of a demand and keep the other legs', () => {
+        const { computer, pairs } = buildGridInstance(5);
+        const tour = computer.computeTour(pairs, null);
+        const remover = new ComputerTour(computer.plan, tour.stops[0]);
+        const result = remover.removeDemand(tour, 'D3');
+
+        const removed = pairs[2];
+        assert.deepStrictEqual(result.tour.stops, tour.stops.filter(stop => !removed.includes(stop)));
+        assert.strictEqual(result.tour.legs.length, result.tour.stops.length - 1);
+        const kept = result.tour.legs.filter(leg => tour.legs.includes(leg));
+        assert.isTrue(kept.length >= tour.legs.length - 4);
+        assert.isTrue(result.decrease >= 0);
+        assert.strictEqual(result.tour.totalDuration, result.cost);
+        assert.strictEqual(result.tour.solverInfo.solver, 'removal');
+        assert.strictEqual(result.tour.solverInfo.bound, null);
+        assert.strictEqual(remover.removeDemand(result.tour, 'D3'), null);
+    });
+
+    it('should improve the repaired tour with a local search', () => {
+        const { computer, pairs } = buildGridInstance(6);
+        computer.setTSPStrategy('v0');
+        const tour = computer.computeTour(pairs, null);
+        const plain = new ComputerTour(computer.plan, tour.stops[0]).removeDemand(tour, 'D1');
+        const improved = new ComputerTour(computer.plan, tour.stops[0]).removeDemand(tour, 'D1', { improve: true });
+
+        assert.isTrue(improved.cost < plain.cost);
+        assert.isTrue(improved.tour.solverInfo.bound <= improved.cost);
+        assert.strictEqual(improved.tour.solverInfo.solver, 'removal+local');
+        const order = improved.tour.stops.map(stop => `${stop.type}-${stop.demand ? stop.demand.id : ''}`);
+        pairs.slice(1).forEach(([pickup]) => {
+            assert.isTrue(order.indexOf(`PICKUP-${pickup.demand.id}`) < order.indexOf(`DELIVERY-${pickup.demand.id}`));
+        });
+    });
+
+    it('should never worsen a sequence with the local search', () => {
+        const { computer } = buildGridInstance(5);
+        const start = computer.computeTSPTourV0();
+        const { sequence, explored } = computer.improveSequence(start);
+        assert.isTrue(explored > 0);
+        assert.isTrue(computer.validatePrecedenceConstraints(sequence));
+        assert.isTrue(computer.evaluateSequence(sequence).cost <= computer.evaluateSequence(start).cost);
+    });
+});
+
+describe('ComputerTour - stop constraints', () => {
+    // D3 pickup pinned first, D1 delivery locked right before D4 pickup
+    function buildConstraints(pairs) {
+        const constraints = new StopConstraints();
+        constraints.pin(pairs[2][0], 1);
+        constraints.lock([pairs[0][1], pairs[3][0]]);
+        return constraints;
+    }
+
+    it('should keep pinned stops and locked blocks with every solver', () => {
+        const { computer, pairs } = buildGridInstance(4);
+        const reference = computer.computeTSPTourV0();
+        computer.setStopConstraints(buildConstraints(pairs), reference);
+
+        const costs = {};
+        for (const strategy of ['v1', 'v2', 'v3', 'v4']) {
+            const result = computer.solve({ strategy, iterations: 300, seed: 3 });
+            assert.isTrue(computer.respectsStopConstraints(result.tour));
+            assert.isTrue(computer.validatePrecedenceConstraints(result.tour));
+            assert.strictEqual(result.solver, strategy);
+            costs[strategy] = result.cost;
+        }
+        // Both exact solvers find the constrained optimum
+        assert.strictEqual(costs.v1, costs.v4);
+        assert.isTrue(costs.v2 >= costs.v1 && costs.v3 >= costs.v1);
+
+        computer.setStopConstraints(null);
+        assert.isTrue(computer.solve({ strategy: 'v4' }).cost <= costs.v4);
+    });
+
+    it('should keep the current order when the constraints contradict each other', () => {
+        const { computer, pairs } = buildGridInstance(3);
+        const reference = computer.computeTSPTourV0();
+        const constraints = new StopConstraints();
+        constraints.pin(pairs[0][1], 1); // a delivery cannot come first
+        computer.setStopConstraints(constraints, reference);
+
+        const result = computer.solve({ strategy: 'v4' });
+        assert.strictEqual(result.tour, computer.stopConstraints.reference);
+        assert.strictEqual(result.solver, 'v4+reference');
+    });
+
+    it('should only reorder the stops after the executed prefix', () => {
+        const { computer, pairs } = buildGridInstance(4);
+        computer.setTSPStrategy('v0');
+        const tour = computer.computeTour(pairs, null);
+        tour.constraints = new StopConstraints();
+        tour.constraints.markExecuted(tour.stops.slice(1, 4));
+
+        const reoptimized = new ComputerTour(computer.plan, tour.stops[0]).reoptimizeTour(tour, { strategy: 'v4' });
+        assert.deepStrictEqual(reoptimized.stops.slice(0, 4), tour.stops.slice(0, 4));
+        assert.strictEqual(reoptimized.id, tour.id);
+        assert.strictEqual(reoptimized.constraints, tour.constraints);
+        assert.isTrue(reoptimized.solverInfo.cost <= computer.evaluateSequence(tour.stops).cost);
+    });
+
+    it('should keep the constraints when a demand is inserted or removed', () => {
+        const { computer, pairs } = buildGridInstance(5);
+        const tour = computer.computeTour(pairs.slice(0, 4), null);
+        tour.constraints = new StopConstraints();
+        tour.constraints.pin(tour.stops[6], 6);
+        tour.constraints.markExecuted(tour.stops.slice(1, 3));
+
+        const inserted = new ComputerTour(computer.plan, tour.stops[0]).insertDemand(tour, pairs[4][0], pairs[4][1]);
+        assert.isTrue(inserted.pickupIndex > 2);
+        assert.strictEqual(inserted.tour.stops[6], tour.stops[6]);
+        assert.strictEqual(inserted.tour.constraints, tour.constraints);
+
+        // The pinned stop moves up by the number of removed stops before it
+        const pinned = tour.stops[6];
+        const kept = [tour.stops[1].demand, tour.stops[2].demand, pinned.demand];
+        const removedDemand = tour.stops.find(stop => stop.demand && !kept.includes(stop.demand)).demand;
+        const shift = tour.stops.slice(0, 6).filter(stop => stop.demand === removedDemand).length;
+        const removed = new ComputerTour(computer.plan, tour.stops[0]).removeDemand(tour, removedDemand.id, { improve: true });
+        assert.strictEqual(removed.tour.constraints.pins.get(StopConstraints.keyOf(pinned)), 6 - shift);
+        assert.strictEqual(removed.tour.stops[6 - shift], pinned);
+        assert.deepStrictEqual(removed.tour.stops.slice(0, 3), tour.stops.slice(0, 3));
+    });
+});
+
+describe('ComputerTour - co-located stops', () => {
+    // Two-way line W - A - B
+    function buildTwoWayPlan() {
+        const nodeW = new Node('W', 45.75, 4.85, []);
+        const nodeA = new Node('A', 45.76, 4.86, []);
+        const nodeB = new Node('B', 45.77, 4.87, []);
+        const nodes = new Map([['W', nodeW], ['A', nodeA], ['B', nodeB]]);
+        const segments = [new Segment(nodeW, nodeA, 'WA', 100), new Segment(nodeA, nodeB, 'AB', 150)];
+        const plan = new Plan(nodes, segments, nodeW, { directed: false });
+        const computer = new ComputerTour(plan, new TourPoint(nodeW, 0, TypePoint.WAREHOUSE, null));
+        const pair = (pickupNode, deliveryNode, id) => {
+            const demand = new Demand(pickupNode.id, deliveryNode.id, 60, 60, id);
+            return [new TourPoint(pickupNode, 60, TypePoint.PICKUP, demand), new TourPoint(deliveryNode, 60, TypePoint.DELIVERY, demand)];
+        };
+        return { computer, nodeW, nodeA, nodeB, pair };
+    }
+
+    it('should keep one leg per pair of tour points sharing a node', () => {
+        const { computer, nodeA, nodeB, pair } = buildTwoWayPlan();
+        const first = pair(nodeA, nodeB, 'D1');
+        const second = pair(nodeA, nodeB, 'D2');
+        const tour = computer.computeTour([first, second], null);
+
+        assert.strictEqual(computer.tourPointGraphLegs.get(computer.getKey(first[0], second[0])).from, first[0]);
+        assert.strictEqual(computer.tourPointGraphLegs.get(computer.getKey(second[0], first[0])).from, second[0]);
+        assert.strictEqual(computer.tourPointGraphTimes.get(computer.getKey(first[0], second[0])), 0);
+        tour.legs.forEach((leg, index) => {
+            assert.strictEqual(leg.from, tour.stops[index]);
+            assert.strictEqual(leg.to, tour.stops[index + 1]);
+        });
+        assert.strictEqual(tour.stops.length, 6);
+    });
+
+    it('should move a stop next to an earlier stop at the same node', () => {
+        const { computer, nodeA, nodeB, pair } = buildTwoWayPlan();
+        const [p1, d1] = pair(nodeA, nodeB, 'D1');
+        const [p2, d2] = pair(nodeB, nodeA, 'D2');
+        const [p3, d3] = pair(nodeA, nodeB, 'D3');
+        computer.fillTourPointStructures([[p1, d1], [p2, d2], [p3, d3]]);
+        const start = computer.start;
+
+        const grouped = computer.groupColocatedStops([start, p1, p2, p3, d1, d3, d2, start]);
+        // d2 stays apart: moving it next to p3 would deliver D2 before its pickup
+        assert.deepStrictEqual(grouped, [start, p1, p3, p2, d1, d3, d2, start]);
+        assert.isTrue(computer.evaluateSequence(grouped).cost < computer.evaluateSequence([start, p1, p2, p3, d1, d3, d2, start]).cost);
+    });
+
+    it('should mark the tour when the stops are merged', () => {
+        const { computer, nodeA, nodeB, pair } = buildTwoWayPlan();
+        const tour = computer.computeTour([pair(nodeA, nodeB, 'D1'), pair(nodeA, nodeB, 'D2')], null, { mergeColocatedStops: true });
+        assert.isTrue(tour.mergeColocatedStops);
+        assert.strictEqual(tour.getVisits().length, 4);
+        assert.strictEqual(tour.solverInfo.cost, computer.evaluateSequence(tour.stops).cost);
+    });
+});
+
 module.exports = getResults();
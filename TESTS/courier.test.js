@@ -66,9 +66,15 @@ describe('Courier Class - toJSON Method', () => {
         const courier = new Courier('C001', 'John Doe');
         const json = courier.toJSON();
         const keys = Object.keys(json);
-        assert.strictEqual(keys.length, 2);
+        assert.strictEqual(keys.length, 8);
         assert.isTrue(keys.includes('id'));
         assert.isTrue(keys.includes('name'));
+        assert.isTrue(keys.includes('speedFactor'));
+        assert.isTrue(keys.includes('capacity'));
+        assert.isTrue(keys.includes('departureTime'));
+        assert.isTrue(keys.includes('shiftStart'));
+        assert.isTrue(keys.includes('shiftEnd'));
+        assert.isTrue(keys.includes('maxWorkingTime'));
     });
 
     it('should preserve numeric id in JSON', () => {
@@ -90,6 +96,56 @@ describe('Courier Class - toJSON Method', () => {
     });
 });
 
+describe('Courier Class - Speed factor', () => {
+
+    it('should default to the plan speed', () => {
+        const courier = new Courier('C001', 'John Doe');
+        assert.strictEqual(courier.speedFactor, 1);
+    });
+
+    it('should keep a positive speed factor', () => {
+        const courier = new Courier('C001', 'John Doe', { speedFactor: 0.8 });
+        assert.strictEqual(courier.speedFactor, 0.8);
+        assert.strictEqual(courier.toJSON().speedFactor, 0.8);
+    });
+
+    it('should ignore an invalid speed factor', () => {
+        const courier = new Courier('C001', 'John Doe', { speedFactor: -2 });
+        assert.strictEqual(courier.speedFactor, 1);
+    });
+});
+
+describe('Courier Class - Capacity', () => {
+
+    it('should have an unlimited bag by default', () => {
+        const courier = new Courier('C001', 'John Doe');
+        assert.strictEqual(courier.capacity, null);
+        assert.isTrue(courier.canCarry(1000));
+    });
+
+    it('should only carry loads that fit in its bag', () => {
+        const courier = new Courier('C001', 'John Doe', { capacity: 40 });
+        assert.isTrue(courier.canCarry(40));
+        assert.isFalse(courier.canCarry(41));
+        assert.strictEqual(courier.toJSON().capacity, 40);
+    });
+
+    it('should keep its own departure time', () => {
+        assert.strictEqual(new Courier('C001', 'John Doe').departureTime, null);
+        const courier = new Courier('C001', 'John Doe', { departureTime: '07:30' });
+        assert.strictEqual(courier.toJSON().departureTime, '07:30');
+    });
+
+    it('should work 8 hours without a shift of its own', () => {
+        const courier = new Courier('C001', 'John Doe');
+        assert.strictEqual(courier.maxWorkingTime, Courier.DEFAULT_MAX_WORKING_TIME);
+        assert.strictEqual(courier.shiftStart, null);
+        const shifted = new Courier('C001', 'John Doe', { shiftStart: '10:00', shiftEnd: '14:00', maxWorkingTime: 3 * 3600 });
+        assert.strictEqual(shifted.toJSON().shiftEnd, '14:00');
+        assert.strictEqual(shifted.toJSON().maxWorkingTime, 3 * 3600);
+    });
+});
+
 describe('Courier Class - toString Method', () => {
 
     it('should return correct string representation', () => {
@@ -5,6 +5,7 @@
 
 const Demand = require('../backend/demand.js');
 const Node = require('../backend/node.js');
+const TimeWindow = require('../backend/timeWindow.js');
 const { describe, it, assert, getResults } = require('./testFramework.js');
 
 // Test Suite: Demand Class
@@ -229,6 +230,41 @@ describe('Demand Class - toJSON Method', () => {
     });
 });
 
+describe('Demand Class - Time windows', () => {
+
+    it('should have no time window by default', () => {
+        const demand = new Demand('A', 'B', 300, 240);
+        assert.strictEqual(demand.pickupWindow, null);
+        assert.strictEqual(demand.deliveryWindow, null);
+        assert.isFalse(demand.hasTimeWindows());
+    });
+
+    it('should include the time windows in JSON when set', () => {
+        const demand = new Demand('A', 'B', 300, 240, 'D1', {
+            pickupWindow: new TimeWindow(11 * 3600 + 30 * 60, null),
+            deliveryWindow: new TimeWindow(null, 18 * 3600)
+        });
+        assert.isTrue(demand.hasTimeWindows());
+        const json = demand.toJSON();
+        assert.deepStrictEqual(json.pickupWindow, { start: '11:30', end: null });
+        assert.deepStrictEqual(json.deliveryWindow, { start: null, end: '18:00' });
+    });
+});
+
+describe('Demand Class - Load', () => {
+
+    it('should carry no load by default', () => {
+        const demand = new Demand('A', 'B', 300, 240);
+        assert.strictEqual(demand.load, 0);
+        assert.isFalse('load' in demand.toJSON());
+    });
+
+    it('should include the load in JSON when set', () => {
+        const demand = new Demand('A', 'B', 300, 240, 'D1', { load: 25 });
+        assert.strictEqual(demand.toJSON().load, 25);
+    });
+});
+
 describe('Demand Class - toString Method', () => {
 
     it('should return correct string representation', () => {
@@ -488,6 +488,7 @@ describe('Execution Times - Grand Plan', () => {
             'Grand Plan - demandeGrand7'
         );
 
+        computerTour.setTSPStrategy('v1');
         const { result: tspTourV1, duration: tspV1Duration } = await measureTime(
             () => computerTour.computeTSPTour(),
             'computeTSPTour (v1)',
@@ -502,6 +503,20 @@ describe('Execution Times - Grand Plan', () => {
             'Grand Plan - demandeGrand7'
         );
 
+        // Heuristics against the optimal cost given by dynamic programming
+        const { result: optimum } = await measureTime(
+            () => computerTour.solve({ strategy: 'v4' }),
+            'solve (v4 - dynamic programming)',
+            'Grand Plan - demandeGrand7'
+        );
+        assert.isTrue(optimum.provedOptimal, 'Dynamic programming should prove optimality');
+        for (const strategy of ['v1', 'v2', 'v3']) {
+            const result = computerTour.solve({ strategy });
+            const gap = (result.cost - optimum.cost) / optimum.cost * 100;
+            console.log(`${strategy}: cost ${result.cost}s, gap to optimum ${gap.toFixed(2)}%`);
+            assert.isTrue(result.cost >= optimum.cost, `${strategy} cannot beat the optimum`);
+        }
+
         const { duration: completeDuration } = await measureTime(
             () => computerTour.computeCompleteTour(tspTourV1, courier),
             'computeCompleteTour',
@@ -6,6 +6,7 @@
 const Plan = require('../backend/plan.js');
 const Node = require('../backend/node.js');
 const Segment = require('../backend/segment.js');
+const SpeedModel = require('../backend/speedModel.js');
 const path = require('path');
 const { describe, it, assert, getResults } = require('./testFramework.js');
 
@@ -385,5 +386,261 @@ describe('Plan Class - Neighbors and Shortest Path', () => {
     });
 });
 
+describe('Plan Class - Directed Routing Mode', () => {
+
+    function buildOneWayPlan(directed) {
+        const nodeA = new Node('A', 45.75, 4.85, []);
+        const nodeB = new Node('B', 45.76, 4.86, []);
+        const nodeC = new Node('C', 45.77, 4.87, []);
+
+        // A -> B is one-way, the way back goes around through C
+        const segAB = new Segment(nodeA, nodeB, 'AB', 100);
+        const segBC = new Segment(nodeB, nodeC, 'BC', 200);
+        const segCA = new Segment(nodeC, nodeA, 'CA', 300);
+
+        const nodes = new Map([
+            ['A', nodeA],
+            ['B', nodeB],
+            ['C', nodeC]
+        ]);
+
+        return new Plan(nodes, [segAB, segBC, segCA], nodeA, { directed });
+    }
+
+    it('should be undirected by default', () => {
+        const plan = new Plan();
+        assert.strictEqual(plan.directed, false);
+    });
+
+    it('should default to directed when a segment is listed in both directions', () => {
+        const nodeA = new Node('A', 45.75, 4.85, []);
+        const nodeB = new Node('B', 45.76, 4.86, []);
+        const nodeC = new Node('C', 45.77, 4.87, []);
+        const nodes = new Map([['A', nodeA], ['B', nodeB], ['C', nodeC]]);
+        const segments = [new Segment(nodeA, nodeB, 'AB', 100), new Segment(nodeB, nodeA, 'AB', 100), new Segment(nodeB, nodeC, 'BC', 200)];
+
+        const plan = new Plan(nodes, segments, nodeA);
+        assert.strictEqual(plan.directed, true);
+        assert.strictEqual(plan.findSegment('C', 'B'), null);
+        assert.strictEqual(new Plan(nodes, segments, nodeA, { directed: false }).directed, false);
+    });
+
+    it('should default to undirected when no segment is listed in both directions', () => {
+        assert.strictEqual(buildOneWayPlan(undefined).directed, false);
+        assert.strictEqual(Plan.detectDirected([{ origin: 'A', destination: 'B' }, { origin: 'B', destination: 'C' }]), false);
+        assert.strictEqual(Plan.detectDirected([{ origin: 'A', destination: 'B' }, { origin: 'B', destination: 'A' }]), true);
+        assert.strictEqual(Plan.detectDirected([{ origin: 'A', destination: 'A' }]), false);
+    });
+
+    it('should only list outgoing edges and neighbors in directed mode', () => {
+        const plan = buildOneWayPlan(true);
+        assert.strictEqual(plan.getEdgesFrom('A').length, 1);
+        assert.deepStrictEqual(plan.getNeighbors('A'), ['B']);
+        assert.deepStrictEqual(plan.getNeighbors('B'), ['C']);
+    });
+
+    it('should not travel a one-way segment backwards', () => {
+        const plan = buildOneWayPlan(true);
+        const result = plan.findShortestPath('B', 'A');
+        assert.isTrue(result !== null, 'Path should exist');
+        assert.deepStrictEqual(result.path.map(n => n.id), ['B', 'C', 'A']);
+        assert.strictEqual(result.distance, 500);
+    });
+
+    it('should travel segments both ways in undirected mode', () => {
+        const plan = buildOneWayPlan(false);
+        const result = plan.findShortestPath('B', 'A');
+        assert.deepStrictEqual(result.path.map(n => n.id), ['B', 'A']);
+        assert.strictEqual(result.distance, 100);
+    });
+
+    it('should switch mode with setDirected', () => {
+        const plan = buildOneWayPlan(false);
+        plan.setDirected(true);
+        assert.strictEqual(plan.findSegment('B', 'A'), null);
+        plan.setDirected(false);
+        assert.strictEqual(plan.findSegment('B', 'A').streetName, 'AB');
+    });
+});
+
+describe('Plan Class - Adjacency Index', () => {
+
+    it('should rebuild the index when the segments array is replaced', () => {
+        const nodeA = new Node('A', 45.75, 4.85, []);
+        const nodeB = new Node('B', 45.76, 4.86, []);
+        const plan = new Plan(new Map([['A', nodeA], ['B', nodeB]]), []);
+        assert.strictEqual(plan.getEdgesFrom('A').length, 0);
+
+        plan.segments = [new Segment(nodeA, nodeB, 'AB', 100)];
+        assert.strictEqual(plan.getEdgesFrom('A').length, 1);
+        assert.strictEqual(plan.findShortestPath('A', 'B').distance, 100);
+    });
+
+    it('should rebuild the index when a segment is pushed', () => {
+        const nodeA = new Node('A', 45.75, 4.85, []);
+        const nodeB = new Node('B', 45.76, 4.86, []);
+        const plan = new Plan(new Map([['A', nodeA], ['B', nodeB]]), []);
+        assert.strictEqual(plan.findShortestPath('A', 'B'), null);
+
+        plan.segments.push(new Segment(nodeA, nodeB, 'AB', 100));
+        assert.strictEqual(plan.findShortestPath('A', 'B').distance, 100);
+    });
+
+    it('should match node IDs regardless of string or number type', () => {
+        const node1 = new Node('1', 45.75, 4.85, []);
+        const node2 = new Node('2', 45.76, 4.86, []);
+        const plan = new Plan(new Map([['1', node1], ['2', node2]]), [new Segment(node1, node2, 'S', 50)]);
+        assert.strictEqual(plan.getArcsFrom(1).length, 1);
+        assert.strictEqual(plan.getArcsFrom('2').length, 1);
+        assert.strictEqual(plan.getArcsFrom('2')[0].to, node1);
+    });
+
+    it('should hash identical routing graphs the same way', () => {
+        const build = () => {
+            const nodeA = new Node('A', 45.75, 4.85, []);
+            const nodeB = new Node('B', 45.76, 4.86, []);
+            return new Plan(new Map([['A', nodeA], ['B', nodeB]]), [new Segment(nodeA, nodeB, 'AB', 100)]);
+        };
+        const plan1 = build();
+        const plan2 = build();
+        assert.strictEqual(plan1.getHash(), plan2.getHash());
+
+        plan2.setDirected(true);
+        assert.isTrue(plan1.getHash() !== plan2.getHash());
+        assert.strictEqual(plan1.indexOfSegment(plan1.segments[0]), 0);
+        assert.strictEqual(plan1.indexOfSegment(plan2.segments[0]), -1);
+    });
+
+    it('should change the hash when travel times change', () => {
+        const nodeA = new Node('A', 45.75, 4.85, []);
+        const nodeB = new Node('B', 45.76, 4.86, []);
+        const segment = new Segment(nodeA, nodeB, 'AB', 100);
+        const plan = new Plan(new Map([['A', nodeA], ['B', nodeB]]), [segment]);
+        const initialHash = plan.getHash();
+
+        plan.setSpeedModel(new SpeedModel({ defaultSpeed: 20 }));
+        const fasterHash = plan.getHash();
+        assert.isTrue(fasterHash !== initialHash);
+
+        const other = new Plan(new Map([['A', nodeA], ['B', nodeB]]),
+            [new Segment(nodeA, nodeB, 'AB', 100, { bikeLane: true })], null, { speedModel: new SpeedModel({ defaultSpeed: 20 }) });
+        assert.isTrue(other.getHash() !== fasterHash);
+    });
+
+    it('should keep the shortest of parallel segments', () => {
+        const nodeA = new Node('A', 45.75, 4.85, []);
+        const nodeB = new Node('B', 45.76, 4.86, []);
+        const longSeg = new Segment(nodeA, nodeB, 'Long', 300);
+        const shortSeg = new Segment(nodeA, nodeB, 'Short', 120);
+        const plan = new Plan(new Map([['A', nodeA], ['B', nodeB]]), [longSeg, shortSeg], null, { directed: true });
+
+        const result = plan.findShortestPath('A', 'B');
+        assert.strictEqual(result.distance, 120);
+        assert.strictEqual(result.segments[0], shortSeg);
+    });
+});
+
+describe('Plan Class - Strongly Connected Components', () => {
+
+    function buildPlan(directed) {
+        const nodeA = new Node('A', 45.75, 4.85, []);
+        const nodeB = new Node('B', 45.76, 4.86, []);
+        const nodeC = new Node('C', 45.77, 4.87, []);
+        const nodeD = new Node('D', 45.78, 4.88, []);
+        const nodeE = new Node('E', 45.79, 4.89, []);
+
+        // Cycle A -> B -> C -> A, then a one-way exit C -> D; E is isolated
+        const segments = [
+            new Segment(nodeA, nodeB, 'AB', 100),
+            new Segment(nodeB, nodeC, 'BC', 100),
+            new Segment(nodeC, nodeA, 'CA', 100),
+            new Segment(nodeC, nodeD, 'CD', 100)
+        ];
+        const nodes = new Map([['A', nodeA], ['B', nodeB], ['C', nodeC], ['D', nodeD], ['E', nodeE]]);
+        return new Plan(nodes, segments, nodeA, { directed });
+    }
+
+    it('should group mutually reachable nodes in directed mode', () => {
+        const plan = buildPlan(true);
+        const { count } = plan.computeStronglyConnectedComponents();
+        assert.strictEqual(count, 3); // {A, B, C}, {D}, {E}
+        assert.isTrue(plan.areStronglyConnected('A', 'C'));
+        assert.isFalse(plan.areStronglyConnected('A', 'D'));
+        assert.isFalse(plan.areStronglyConnected('A', 'E'));
+    });
+
+    it('should use connected components in undirected mode', () => {
+        const plan = buildPlan(false);
+        assert.strictEqual(plan.getStronglyConnectedComponents().count, 2);
+        assert.isTrue(plan.areStronglyConnected('A', 'D'));
+        assert.isFalse(plan.areStronglyConnected('D', 'E'));
+    });
+
+    it('should recompute components when the graph changes', () => {
+        const plan = buildPlan(true);
+        assert.isFalse(plan.areStronglyConnected('A', 'D'));
+        plan.segments.push(new Segment(plan.nodes.get('D'), plan.nodes.get('A'), 'DA', 100));
+        assert.isTrue(plan.areStronglyConnected('A', 'D'));
+    });
+
+    it('should treat unknown nodes as unreachable', () => {
+        const plan = buildPlan(true);
+        assert.strictEqual(plan.getComponentId('Z'), null);
+        assert.isFalse(plan.areStronglyConnected('A', 'Z'));
+        assert.isTrue(plan.areStronglyConnected('Z', 'Z'));
+    });
+});
+
 // Export results
+describe('Plan Class - Spatial queries', () => {
+
+    function buildPlan() {
+        const nodeA = new Node('A', 45.75, 4.85, []);
+        const nodeB = new Node('B', 45.751, 4.85, []);
+        const nodeC = new Node('C', 45.752, 4.85, []);
+        const nodeD = new Node('D', 45.7535, 4.85, []);
+
+        // A <-> B <-> C form a loop, D can only be entered from C
+        const segments = [
+            new Segment(nodeA, nodeB, 'AB', 111),
+            new Segment(nodeB, nodeA, 'BA', 111),
+            new Segment(nodeB, nodeC, 'BC', 111),
+            new Segment(nodeC, nodeB, 'CB', 111),
+            new Segment(nodeC, nodeD, 'CD', 166)
+        ];
+        const nodes = new Map([['A', nodeA], ['B', nodeB], ['C', nodeC], ['D', nodeD]]);
+        return new Plan(nodes, segments, nodeA, { directed: true });
+    }
+
+    it('should find the nearest node of a coordinate', () => {
+        const plan = buildPlan();
+        const [nearest] = plan.nearestNode(45.7511, 4.8501);
+        assert.strictEqual(nearest.node.id, 'B');
+    });
+
+    it('should return the nodes inside a radius', () => {
+        const plan = buildPlan();
+        const ids = plan.nodesWithin({ latitude: 45.751, longitude: 4.85, radius: 150 }).map(n => n.id);
+        assert.deepStrictEqual(ids.sort(), ['A', 'B', 'C']);
+    });
+
+    it('should rebuild the index when nodes are added', () => {
+        const plan = buildPlan();
+        plan.nearestNode(45.76, 4.85);
+        plan.nodes.set('E', new Node('E', 45.76, 4.85, []));
+        assert.strictEqual(plan.nearestNode(45.76, 4.85)[0].node.id, 'E');
+    });
+
+    it('should skip nodes the warehouse cannot reach and come back from', () => {
+        const plan = buildPlan();
+        // D is the closest node but it is a dead end
+        assert.strictEqual(plan.nearestNode(45.7536, 4.85)[0].node.id, 'D');
+        assert.strictEqual(plan.nearestRoutableNode(45.7536, 4.85).node.id, 'C');
+    });
+
+    it('should return null on a plan without nodes', () => {
+        assert.strictEqual(new Plan().nearestRoutableNode(45.75, 4.85), null);
+    });
+});
+
 module.exports = getResults();
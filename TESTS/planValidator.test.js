@@ -0,0 +1,136 @@
+/**
+ * Test Suite for PlanValidator
+ * Tests the integrity report built before a plan is loaded
+ */
+
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const PlanValidator = require('../backend/planValidator.js');
+const Plan = require('../backend/plan.js');
+const Node = require('../backend/node.js');
+const Segment = require('../backend/segment.js');
+const { describe, it, assert, getResults } = require('./testFramework.js');
+
+const CODES = PlanValidator.CODES;
+
+function codesOf(issues) {
+    return issues.map(issue => issue.code);
+}
+
+describe('PlanValidator - Errors', () => {
+
+    it('should accept a clean plan', () => {
+        const report = PlanValidator.validate(
+            [{ id: 'A' }, { id: 'B' }],
+            [{ origin: 'A', destination: 'B', length: 100, streetName: 'Rue' }]
+        );
+        assert.isTrue(report.valid);
+        assert.strictEqual(report.errors.length, 0);
+        assert.strictEqual(report.warnings.length, 0);
+        assert.deepStrictEqual(report.stats, { nodes: 2, segments: 1 });
+    });
+
+    it('should report segments referencing unknown nodes', () => {
+        const report = PlanValidator.validate(
+            [{ id: 'A' }, { id: 'B' }],
+            [{ origin: 'A', destination: 'Z', length: 100, streetName: 'Rue' }]
+        );
+        assert.isFalse(report.valid);
+        assert.deepStrictEqual(codesOf(report.errors), [CODES.UNKNOWN_NODE]);
+        assert.strictEqual(report.errors[0].nodeId, 'Z');
+        assert.strictEqual(report.errors[0].segmentIndex, 0);
+        assert.isTrue(report.errors[0].message.includes('Z'));
+    });
+
+    it('should report duplicate node IDs once', () => {
+        const report = PlanValidator.validate(
+            [{ id: 'A' }, { id: 'A' }, { id: 'A' }, { id: 'B' }],
+            [{ origin: 'A', destination: 'B', length: 100 }]
+        );
+        assert.deepStrictEqual(codesOf(report.errors), [CODES.DUPLICATE_NODE]);
+    });
+
+    it('should report negative and non-numeric lengths as errors', () => {
+        const report = PlanValidator.validate(
+            [{ id: 'A' }, { id: 'B' }],
+            [
+                { origin: 'A', destination: 'B', length: -5 },
+                { origin: 'B', destination: 'A', length: NaN }
+            ]
+        );
+        assert.deepStrictEqual(codesOf(report.errors), [CODES.INVALID_LENGTH, CODES.INVALID_LENGTH]);
+    });
+});
+
+describe('PlanValidator - Warnings', () => {
+
+    it('should warn about zero-length segments', () => {
+        const report = PlanValidator.validate(
+            [{ id: 'A' }, { id: 'B' }],
+            [{ origin: 'A', destination: 'B', length: 0 }]
+        );
+        assert.isTrue(report.valid);
+        assert.deepStrictEqual(codesOf(report.warnings), [CODES.ZERO_LENGTH]);
+    });
+
+    it('should tell duplicate segments from parallel ones', () => {
+        const report = PlanValidator.validate(
+            [{ id: 'A' }, { id: 'B' }],
+            [
+                { origin: 'A', destination: 'B', length: 100, streetName: 'Rue' },
+                { origin: 'A', destination: 'B', length: 100, streetName: 'Rue' },
+                { origin: 'A', destination: 'B', length: 150, streetName: 'Rue' },
+                { origin: 'B', destination: 'A', length: 100, streetName: 'Rue' }
+            ]
+        );
+        assert.deepStrictEqual(codesOf(report.warnings), [CODES.DUPLICATE_SEGMENT, CODES.PARALLEL_SEGMENT]);
+        assert.strictEqual(report.warnings[0].segmentIndex, 1);
+    });
+
+    it('should warn about nodes with no segments', () => {
+        const report = PlanValidator.validate(
+            [{ id: 'A' }, { id: 'B' }, { id: 'C' }],
+            [{ origin: 'A', destination: 'B', length: 100 }]
+        );
+        assert.deepStrictEqual(codesOf(report.warnings), [CODES.ISOLATED_NODE]);
+        assert.strictEqual(report.warnings[0].nodeId, 'C');
+    });
+});
+
+describe('PlanValidator - Plans and formatting', () => {
+
+    it('should validate a built Plan with missing endpoints', () => {
+        const nodeA = new Node('A', 45.75, 4.85, []);
+        const plan = new Plan(new Map([['A', nodeA]]), [new Segment(nodeA, null, 'Rue', 100)]);
+        const report = PlanValidator.validatePlan(plan);
+        assert.isFalse(report.valid);
+        assert.deepStrictEqual(codesOf(report.errors), [CODES.UNKNOWN_NODE]);
+    });
+
+    it('should accept the sample map petitPlan.xml', () => {
+        const xmlPath = path.join(__dirname, '..', 'fichiersXMLPickupDelivery', 'petitPlan.xml');
+        let json = null;
+        // xml2js calls back synchronously by default
+        xml2js.parseString(fs.readFileSync(xmlPath, 'utf-8'), (error, result) => { json = result; });
+        const report = PlanValidator.validate(
+            json.reseau.noeud.map(n => ({ id: n.$.id })),
+            json.reseau.troncon.map(t => ({
+                origin: t.$.origine,
+                destination: t.$.destination,
+                length: parseFloat(t.$.longueur),
+                streetName: t.$.nomRue
+            }))
+        );
+        assert.isTrue(report.valid);
+        assert.isTrue(report.warnings.every(w => w.code === CODES.ISOLATED_NODE));
+    });
+
+    it('should shorten long issue lists', () => {
+        const issues = [1, 2, 3].map(i => ({ code: CODES.ISOLATED_NODE, message: `Issue ${i}` }));
+        assert.strictEqual(PlanValidator.summarize(issues, 2), '- Issue 1\n- Issue 2\n- ... et 1 autre(s).');
+    });
+});
+
+// Export results
+module.exports = getResults();
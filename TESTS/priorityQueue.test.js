@@ -0,0 +1,68 @@
+/**
+ * Test Suite for PriorityQueue class
+ * Tests the binary heap used by the shortest path algorithms
+ */
+
+const PriorityQueue = require('../backend/priorityQueue.js');
+const { describe, it, assert, getResults } = require('./testFramework.js');
+
+describe('PriorityQueue Class - Basic Operations', () => {
+
+    it('should start empty', () => {
+        const queue = new PriorityQueue();
+        assert.isTrue(queue.isEmpty());
+        assert.strictEqual(queue.size, 0);
+        assert.strictEqual(queue.pop(), null);
+        assert.strictEqual(queue.peek(), null);
+    });
+
+    it('should pop items by increasing priority', () => {
+        const queue = new PriorityQueue();
+        [5, 1, 4, 2, 3].forEach(p => queue.push(`item${p}`, p));
+
+        const order = [];
+        while (!queue.isEmpty()) {
+            order.push(queue.pop().item);
+        }
+        assert.deepStrictEqual(order, ['item1', 'item2', 'item3', 'item4', 'item5']);
+    });
+
+    it('should peek without removing', () => {
+        const queue = new PriorityQueue();
+        queue.push('a', 2);
+        queue.push('b', 1);
+        assert.strictEqual(queue.peek().item, 'b');
+        assert.strictEqual(queue.size, 2);
+    });
+
+    it('should accept the same item several times', () => {
+        const queue = new PriorityQueue();
+        queue.push('node', 10);
+        queue.push('node', 3);
+        const first = queue.pop();
+        assert.strictEqual(first.item, 'node');
+        assert.strictEqual(first.priority, 3);
+        assert.strictEqual(queue.size, 1);
+    });
+
+    it('should stay ordered with many random priorities', () => {
+        const queue = new PriorityQueue();
+        const priorities = [];
+        let seed = 7;
+        for (let i = 0; i < 200; i++) {
+            seed = (seed * 9301 + 49297) % 233280;
+            priorities.push(seed);
+            queue.push(i, seed);
+        }
+
+        let previous = -Infinity;
+        while (!queue.isEmpty()) {
+            const { priority } = queue.pop();
+            assert.isTrue(priority >= previous);
+            previous = priority;
+        }
+    });
+});
+
+// Export results
+module.exports = getResults();
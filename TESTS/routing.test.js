@@ -0,0 +1,127 @@
+/**
+ * Test Suite for Router class
+ * Tests the routing service shared by Plan, System and ComputerTour
+ */
+
+const Router = require('../backend/routing.js');
+const Plan = require('../backend/plan.js');
+const SpeedModel = require('../backend/speedModel.js');
+const Node = require('../backend/node.js');
+const Segment = require('../backend/segment.js');
+const { describe, it, assert, getResults } = require('./testFramework.js');
+
+function buildPlan() {
+    const nodeW = new Node('W', 45.75, 4.85, []);
+    const nodeA = new Node('A', 45.76, 4.86, []);
+    const nodeB = new Node('B', 45.77, 4.87, []);
+    const nodeC = new Node('C', 45.78, 4.88, []);
+
+    const segWA = new Segment(nodeW, nodeA, 'WA', 100);
+    const segAB = new Segment(nodeA, nodeB, 'AB', 150);
+    const segWB = new Segment(nodeW, nodeB, 'WB', 400);
+
+    const nodes = new Map([
+        ['W', nodeW],
+        ['A', nodeA],
+        ['B', nodeB],
+        ['C', nodeC]
+    ]);
+
+    const plan = new Plan(nodes, [segWA, segAB, segWB], nodeW);
+    return { plan, segWA, segAB, segWB };
+}
+
+describe('Router Class - Route result', () => {
+
+    it('should return nodes, segments, distance and travel time', () => {
+        const { plan, segWA, segAB } = buildPlan();
+        const router = new Router(plan);
+
+        const route = router.shortestPath('W', 'B');
+        assert.deepStrictEqual(route.pathIds, ['W', 'A', 'B']);
+        assert.deepStrictEqual(route.path.map(n => n.id), ['W', 'A', 'B']);
+        assert.deepStrictEqual(route.segments, [segWA, segAB]);
+        assert.strictEqual(route.distance, 250);
+        assert.strictEqual(route.travelTime, Math.ceil(250 / (15000 / 3600)));
+        assert.strictEqual(route.cost, 250);
+    });
+
+    it('should return an empty route for the same node', () => {
+        const { plan } = buildPlan();
+        const route = new Router(plan).shortestPath('A', 'A');
+        assert.deepStrictEqual(route.pathIds, ['A']);
+        assert.strictEqual(route.segments.length, 0);
+        assert.strictEqual(route.distance, 0);
+        assert.strictEqual(route.travelTime, 0);
+    });
+
+    it('should return null for unreachable or unknown nodes', () => {
+        const { plan } = buildPlan();
+        const router = new Router(plan);
+        assert.strictEqual(router.shortestPath('W', 'C'), null);
+        assert.strictEqual(router.shortestPath('W', 'Z'), null);
+    });
+
+    it('should use the configured speed model for travel times', () => {
+        const { plan } = buildPlan();
+        const router = new Router(plan, { speedModel: new SpeedModel({ defaultSpeed: 36 }) }); // 10 m/s
+        assert.strictEqual(router.shortestPath('W', 'B').travelTime, 25);
+    });
+
+    it('should use the plan speed model and the segment attributes', () => {
+        const { plan, segAB } = buildPlan();
+        segAB.speed = 27; // 7.5 m/s
+        const route = new Router(plan).shortestPath('W', 'B');
+        // 100 m at 15 km/h + 150 m at 27 km/h
+        assert.strictEqual(route.travelTime, 24 + 20);
+        assert.strictEqual(route.distance, 250);
+    });
+});
+
+describe('Router Class - Cost function', () => {
+
+    it('should minimize a custom cost function', () => {
+        const { plan, segWB } = buildPlan();
+        // Make segment AB very expensive: the direct segment becomes cheaper
+        const router = new Router(plan, {
+            costFunction: (segment) => segment.streetName === 'AB' ? 10000 : segment.length
+        });
+
+        const route = router.shortestPath('W', 'B');
+        assert.deepStrictEqual(route.segments, [segWB]);
+        assert.strictEqual(route.cost, 400);
+        assert.strictEqual(route.distance, 400);
+    });
+
+    it('should restore the distance cost with setCostFunction(null)', () => {
+        const { plan } = buildPlan();
+        const router = new Router(plan, { costFunction: () => 1 });
+        assert.strictEqual(router.shortestPath('W', 'B').distance, 400);
+
+        router.setCostFunction(null);
+        assert.strictEqual(router.shortestPath('W', 'B').distance, 250);
+    });
+});
+
+describe('Router Class - One-to-many', () => {
+
+    it('should return a route for every reachable target', () => {
+        const { plan } = buildPlan();
+        const routes = new Router(plan).shortestPathsFrom('W', ['A', 'B', 'C', 'Z']);
+        assert.strictEqual(routes.get('A').distance, 100);
+        assert.strictEqual(routes.get('B').distance, 250);
+        assert.isFalse(routes.has('C'));
+        assert.isFalse(routes.has('Z'));
+    });
+
+    it('should match single-target searches', () => {
+        const { plan } = buildPlan();
+        const router = new Router(plan);
+        const routes = router.shortestPathsFrom('B', ['W', 'A']);
+        assert.strictEqual(routes.get('W').distance, router.shortestPath('B', 'W').distance);
+        assert.deepStrictEqual(routes.get('A').pathIds, router.shortestPath('B', 'A').pathIds);
+    });
+});
+
+// Export results
+module.exports = getResults();
@@ -39,13 +39,23 @@ function runTestSuite(testFile, suiteName) {
 // Run all test suites
 runTestSuite('./node.test.js', 'Node Class Tests');
 runTestSuite('./segment.test.js', 'Segment Class Tests');
+runTestSuite('./timeWindow.test.js', 'TimeWindow Class Tests');
 runTestSuite('./demand.test.js', 'Demand Class Tests');
 runTestSuite('./tourpoint.test.js', 'TourPoint Class Tests');
 runTestSuite('./courier.test.js', 'Courier Class Tests');
+runTestSuite('./priorityQueue.test.js', 'PriorityQueue Class Tests');
+runTestSuite('./routing.test.js', 'Router Class Tests');
+runTestSuite('./spatialIndex.test.js', 'SpatialIndex Class Tests');
+runTestSuite('./speedModel.test.js', 'SpeedModel Class Tests');
 runTestSuite('./plan.test.js', 'Plan Class Tests');
+runTestSuite('./planValidator.test.js', 'PlanValidator Tests');
 runTestSuite('./leg.test.js', 'Leg Class Tests');
+runTestSuite('./stopConstraints.test.js', 'StopConstraints Class Tests');
 runTestSuite('./tour.test.js', 'Tour Class Tests');
 runTestSuite('./tours_move.test.js', 'Tour Move Tests');
+runTestSuite('./view.test.js', 'View Node Selection Tests');
+runTestSuite('./travelMatrixCache.test.js', 'TravelMatrixCache Tests');
+runTestSuite('./browserScripts.test.js', 'Browser Scripts Tests');
 runTestSuite('./computerTour.test.js', 'ComputerTour computeCompleteTour Tests');
 runTestSuite('./computerTour_algorithms.test.js', 'ComputerTour Algorithms Tests');
 runTestSuite('./system_core.test.js', 'System Core Tests');
@@ -116,6 +116,26 @@ describe('Segment Class - toJSON Method', () => {
     });
 });
 
+describe('Segment Class - Speed attributes', () => {
+
+    it('should have no speed attributes by default', () => {
+        const segment = new Segment(new Node('a', 45.75, 4.85, []), new Node('b', 45.76, 4.86, []), 'Street', 100);
+        assert.strictEqual(segment.roadClass, null);
+        assert.isFalse(segment.bikeLane);
+        assert.strictEqual(segment.speed, null);
+        assert.deepStrictEqual(Object.keys(segment.toJSON()), ['origin', 'destination', 'streetName', 'length']);
+    });
+
+    it('should keep the optional attributes and export them', () => {
+        const segment = new Segment(new Node('a', 45.75, 4.85, []), new Node('b', 45.76, 4.86, []), 'Quai', 100,
+            { roadClass: 'principale', bikeLane: true, speed: 18 });
+        const json = segment.toJSON();
+        assert.strictEqual(json.roadClass, 'principale');
+        assert.strictEqual(json.bikeLane, true);
+        assert.strictEqual(json.speed, 18);
+    });
+});
+
 describe('Segment Class - toString Method', () => {
 
     it('should return correct string representation', () => {
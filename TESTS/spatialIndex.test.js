@@ -0,0 +1,137 @@
+/**
+ * Test Suite for SpatialIndex class
+ * Tests nearest-node and range queries on the node grid
+ */
+
+const SpatialIndex = require('../backend/spatialIndex.js');
+const Node = require('../backend/node.js');
+const { describe, it, assert, getResults } = require('./testFramework.js');
+
+// 10 x 10 grid of nodes spaced by 0.001 degree (about 111 m in latitude)
+function buildGrid() {
+    const nodes = [];
+    for (let row = 0; row < 10; row++) {
+        for (let col = 0; col < 10; col++) {
+            nodes.push(new Node(`${row}-${col}`, 45.75 + row * 0.001, 4.85 + col * 0.001, []));
+        }
+    }
+    return nodes;
+}
+
+// Reference implementation: sort every node by distance
+function bruteForceNearest(index, nodes, latitude, longitude, k) {
+    return nodes
+        .map(node => ({ node, distance: index.distance(latitude, longitude, node.latitude, node.longitude) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k);
+}
+
+describe('SpatialIndex Class - nearestNode', () => {
+
+    it('should return nothing on an empty index', () => {
+        const index = new SpatialIndex([]);
+        assert.strictEqual(index.size, 0);
+        assert.deepStrictEqual(index.nearestNode(45.75, 4.85), []);
+    });
+
+    it('should find the node at the exact coordinate', () => {
+        const index = new SpatialIndex(buildGrid());
+        const [nearest] = index.nearestNode(45.753, 4.857);
+        assert.strictEqual(nearest.node.id, '3-7');
+        assert.isTrue(nearest.distance < 0.001);
+    });
+
+    it('should snap a point between nodes to the closest one', () => {
+        const index = new SpatialIndex(buildGrid());
+        const [nearest] = index.nearestNode(45.7532, 4.8569);
+        assert.strictEqual(nearest.node.id, '3-7');
+    });
+
+    it('should return the k closest nodes in order', () => {
+        const nodes = buildGrid();
+        const index = new SpatialIndex(nodes, { cellSize: 50 });
+        const result = index.nearestNode(45.7544, 4.8512, 5);
+        const expected = bruteForceNearest(index, nodes, 45.7544, 4.8512, 5);
+        assert.deepStrictEqual(result.map(r => r.node.id), expected.map(r => r.node.id));
+    });
+
+    it('should match a full scan for points outside the grid', () => {
+        const nodes = buildGrid();
+        const index = new SpatialIndex(nodes, { cellSize: 100 });
+        [[45.70, 4.80], [45.80, 4.86], [45.755, 4.95]].forEach(([lat, lon]) => {
+            const [nearest] = index.nearestNode(lat, lon);
+            const [expected] = bruteForceNearest(index, nodes, lat, lon, 1);
+            assert.strictEqual(nearest.node.id, expected.node.id);
+        });
+    });
+
+    it('should match a full scan wherever the point sits inside its cell', () => {
+        // Irregular nodes (seeded), queries anywhere in their cell rather than on a cell corner
+        let seed = 7;
+        const random = () => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed / 2147483648;
+        };
+        const nodes = Array.from({ length: 200 }, (_, i) =>
+            new Node(`N${i}`, 45.75 + random() * 0.01, 4.85 + random() * 0.01, []));
+        const index = new SpatialIndex(nodes, { cellSize: 80 });
+        for (let i = 0; i < 200; i++) {
+            const lat = 45.749 + random() * 0.012;
+            const lon = 4.849 + random() * 0.012;
+            const k = 1 + (i % 4);
+            const result = index.nearestNode(lat, lon, k);
+            const expected = bruteForceNearest(index, nodes, lat, lon, k);
+            assert.deepStrictEqual(result.map(r => r.distance), expected.map(r => r.distance));
+        }
+    });
+
+    it('should bound the unvisited cells from the position of the point in its cell', () => {
+        // Point 1 m from the east border of its cell: after the first ring, unvisited cells are at least 101 m away
+        const metersPerDegree = SpatialIndex.METERS_PER_DEGREE;
+        const at = (x, y, id) => new Node(id, y / metersPerDegree, x / metersPerDegree, []);
+        const query = [50 / metersPerDegree, 99 / metersPerDegree];
+
+        // 100.5 m west in the first ring: closer than any unvisited cell
+        let index = new SpatialIndex([at(-1.5, 50, 'west'), at(201, 50, 'east')], { cellSize: 100 });
+        assert.strictEqual(index.nearestNode(...query)[0].node.id, 'west');
+
+        // 102 m west in the first ring: the second ring holds a node 101.5 m east
+        index = new SpatialIndex([at(-3, 50, 'west'), at(200.5, 50, 'east')], { cellSize: 100 });
+        assert.strictEqual(index.nearestNode(...query)[0].node.id, 'east');
+    });
+
+    it('should honor the filter', () => {
+        const index = new SpatialIndex(buildGrid());
+        const [nearest] = index.nearestNode(45.75, 4.85, 1, node => node.id.startsWith('9-'));
+        assert.strictEqual(nearest.node.id, '9-0');
+    });
+
+    it('should return fewer than k nodes when the index is small', () => {
+        const index = new SpatialIndex(buildGrid().slice(0, 3));
+        assert.strictEqual(index.nearestNode(45.75, 4.85, 10).length, 3);
+    });
+});
+
+describe('SpatialIndex Class - nodesWithin', () => {
+
+    it('should return the nodes inside a bounding box', () => {
+        const index = new SpatialIndex(buildGrid());
+        const nodes = index.nodesWithin({ minLat: 45.7515, minLon: 4.8515, maxLat: 45.7535, maxLon: 4.8525 });
+        assert.deepStrictEqual(nodes.map(n => n.id).sort(), ['2-2', '3-2']);
+    });
+
+    it('should return the nodes inside a radius, closest first', () => {
+        const index = new SpatialIndex(buildGrid());
+        // 120 m around 5-5: the node itself and its 4 direct neighbors
+        const nodes = index.nodesWithin({ latitude: 45.755, longitude: 4.855, radius: 120 });
+        assert.strictEqual(nodes[0].id, '5-5');
+        assert.deepStrictEqual(nodes.map(n => n.id).sort(), ['4-5', '5-4', '5-5', '5-6', '6-5']);
+    });
+
+    it('should return nothing for an area away from the nodes', () => {
+        const index = new SpatialIndex(buildGrid());
+        assert.deepStrictEqual(index.nodesWithin({ latitude: 46.5, longitude: 5.5, radius: 500 }), []);
+    });
+});
+
+module.exports = getResults();
@@ -0,0 +1,83 @@
+/**
+ * Test Suite for SpeedModel class
+ * Tests the travel time computations (segment attributes, default speed, courier factor)
+ */
+
+const SpeedModel = require('../backend/speedModel.js');
+const Node = require('../backend/node.js');
+const Segment = require('../backend/segment.js');
+const Courier = require('../backend/courier.js');
+const { describe, it, assert, getResults } = require('./testFramework.js');
+
+function buildSegment(length, attributes = {}) {
+    return new Segment(new Node('a', 45.75, 4.85, []), new Node('b', 45.76, 4.86, []), 'Rue', length, attributes);
+}
+
+describe('SpeedModel Class - Segment speeds', () => {
+
+    it('should default to 15 km/h', () => {
+        const model = new SpeedModel();
+        assert.strictEqual(model.segmentSpeed(buildSegment(100)), 15);
+        assert.strictEqual(model.routeTravelTime([buildSegment(15000)]), 3600);
+    });
+
+    it('should use the plan-wide default speed', () => {
+        const model = new SpeedModel({ defaultSpeed: 20 });
+        assert.strictEqual(model.routeTravelTime([buildSegment(1000)]), 180);
+    });
+
+    it('should use the road class speed', () => {
+        const model = new SpeedModel();
+        assert.strictEqual(model.segmentSpeed(buildSegment(100, { roadClass: 'pietonne' })), 8);
+        assert.strictEqual(model.segmentSpeed(buildSegment(100, { roadClass: 'inconnue' })), 15);
+    });
+
+    it('should accept custom road classes', () => {
+        const model = new SpeedModel({ roadClassSpeeds: { quai: 18 } });
+        assert.strictEqual(model.segmentSpeed(buildSegment(100, { roadClass: 'quai' })), 18);
+        assert.strictEqual(model.segmentSpeed(buildSegment(100, { roadClass: 'pietonne' })), 8);
+    });
+
+    it('should speed up segments with a bike lane', () => {
+        const model = new SpeedModel({ bikeLaneFactor: 1.2 });
+        assert.strictEqual(model.segmentSpeed(buildSegment(100, { bikeLane: true })), 18);
+    });
+
+    it('should let an explicit segment speed win', () => {
+        const model = new SpeedModel();
+        const segment = buildSegment(100, { roadClass: 'pietonne', bikeLane: true, speed: 24 });
+        assert.strictEqual(model.segmentSpeed(segment), 24);
+    });
+});
+
+describe('SpeedModel Class - Travel times', () => {
+
+    it('should sum segment times and round up once', () => {
+        const model = new SpeedModel();
+        // 100 m and 150 m at 15 km/h: 24 s + 36 s
+        assert.strictEqual(model.routeTravelTime([buildSegment(100), buildSegment(150)]), 60);
+        assert.strictEqual(model.routeTravelTime([buildSegment(101)]), 25);
+        assert.strictEqual(model.routeTravelTime([]), 0);
+    });
+
+    it('should estimate a time from a distance at the default speed', () => {
+        const model = new SpeedModel({ defaultSpeed: 18 });
+        assert.strictEqual(model.distanceTravelTime(1000), 200);
+        assert.strictEqual(model.distanceTravelTime(0), 0);
+    });
+
+    it('should apply the courier speed factor', () => {
+        const model = new SpeedModel();
+        assert.strictEqual(model.courierTravelTime(100, new Courier('C1', 'Cargo', { speedFactor: 0.8 })), 125);
+        assert.strictEqual(model.courierTravelTime(140, new Courier('C2', 'VAE', { speedFactor: 1.4 })), 100);
+        assert.strictEqual(model.courierTravelTime(100, new Courier('C3', 'Vélo')), 100);
+        assert.strictEqual(model.courierTravelTime(100, null), 100);
+    });
+
+    it('should change its signature with its settings', () => {
+        assert.strictEqual(new SpeedModel().getSignature(), new SpeedModel().getSignature());
+        assert.isFalse(new SpeedModel().getSignature() === new SpeedModel({ defaultSpeed: 20 }).getSignature());
+    });
+});
+
+module.exports = getResults();
@@ -0,0 +1,131 @@
+/**
+ * Test Suite for StopConstraints class
+ * Tests pinned stops, locked blocks, executed prefix and serialization
+ */
+
+const StopConstraints = require('../backend/stopConstraints.js');
+const Node = require('../backend/node.js');
+const Demand = require('../backend/demand.js');
+const { TourPoint, TypePoint } = require('../backend/tourpoint.js');
+const { describe, it, assert, getResults } = require('./testFramework.js');
+
+// Warehouse, P1, P2, D1, D2, warehouse
+function buildStops() {
+    const node = new Node('N', 45.75, 4.85, []);
+    const warehouse = new TourPoint(node, 0, TypePoint.WAREHOUSE, null);
+    const first = new Demand('N', 'N', 60, 60, 'D1');
+    const second = new Demand('N', 'N', 60, 60, 'D2');
+    const p1 = new TourPoint(node, 60, TypePoint.PICKUP, first);
+    const d1 = new TourPoint(node, 60, TypePoint.DELIVERY, first);
+    const p2 = new TourPoint(node, 60, TypePoint.PICKUP, second);
+    const d2 = new TourPoint(node, 60, TypePoint.DELIVERY, second);
+    return { warehouse, p1, d1, p2, d2, stops: [warehouse, p1, p2, d1, d2, warehouse] };
+}
+
+describe('StopConstraints Class - Editing', () => {
+
+    it('should identify the stops by type and demand', () => {
+        const { warehouse, p1, d1 } = buildStops();
+        assert.strictEqual(StopConstraints.keyOf(p1), 'PICKUP:D1');
+        assert.strictEqual(StopConstraints.keyOf(d1), 'DELIVERY:D1');
+        assert.strictEqual(StopConstraints.keyOf(warehouse), null);
+    });
+
+    it('should pin, lock and mark stops as executed', () => {
+        const { warehouse, p1, d1, p2 } = buildStops();
+        const constraints = new StopConstraints();
+        assert.isTrue(constraints.isEmpty());
+
+        constraints.pin(d1, 3);
+        constraints.lock([p1, p2]);
+        constraints.markExecuted([warehouse, p1]);
+        assert.isTrue(constraints.isPinned(d1));
+        assert.deepStrictEqual(constraints.blockOf(p2), ['PICKUP:D1', 'PICKUP:D2']);
+        assert.isTrue(constraints.isExecuted(p1));
+        assert.isFalse(constraints.isExecuted(p2));
+
+        // A new block replaces the blocks it overlaps
+        constraints.lock([p2, d1]);
+        assert.strictEqual(constraints.blocks.length, 1);
+        assert.strictEqual(constraints.blockOf(p1), null);
+
+        constraints.unpin(d1);
+        constraints.unlock(d1);
+        constraints.markExecuted([]);
+        assert.isTrue(constraints.isEmpty());
+    });
+
+    it('should reject pinning the warehouse and blocks of a single stop', () => {
+        const { warehouse, p1 } = buildStops();
+        const constraints = new StopConstraints();
+        assert.throws(() => constraints.pin(warehouse, 1));
+        assert.throws(() => constraints.pin(p1, 0));
+        assert.throws(() => constraints.lock([warehouse, p1]));
+    });
+});
+
+describe('StopConstraints Class - Checking an order', () => {
+
+    it('should keep pinned stops at their position', () => {
+        const { warehouse, p1, d1, p2, d2, stops } = buildStops();
+        const constraints = new StopConstraints();
+        constraints.pin(p2, 2);
+        assert.isTrue(constraints.allows(stops));
+        assert.isFalse(constraints.allows([warehouse, p2, p1, d1, d2, warehouse]));
+    });
+
+    it('should keep locked stops together and in order', () => {
+        const { warehouse, p1, d1, p2, d2, stops } = buildStops();
+        const constraints = new StopConstraints();
+        constraints.lock([p2, d1]);
+        assert.isTrue(constraints.allows(stops));
+        assert.isFalse(constraints.allows([warehouse, p2, p1, d1, d2, warehouse]));
+        assert.isFalse(constraints.allows([warehouse, p1, d1, p2, d2, warehouse]));
+
+        // The return to the warehouse cannot break a block either
+        constraints.lock([d1, d2]);
+        assert.isFalse(constraints.allows([warehouse, p1, p2, d2, d1, warehouse]));
+    });
+
+    it('should keep the executed stops first', () => {
+        const { warehouse, p1, d1, p2, d2, stops } = buildStops();
+        const constraints = new StopConstraints();
+        constraints.markExecuted([p1, p2]);
+        assert.isTrue(constraints.allows(stops));
+        assert.isFalse(constraints.allows([warehouse, p2, p1, d1, d2, warehouse]));
+    });
+
+    it('should follow the stops once a demand leaves the tour', () => {
+        const { warehouse, p1, d1, p2, d2 } = buildStops();
+        const constraints = new StopConstraints();
+        constraints.pin(d2, 4);
+        constraints.lock([p1, d1]);
+        constraints.markExecuted([p1]);
+
+        const followed = constraints.follow([warehouse, p2, d2, warehouse]);
+        assert.deepStrictEqual(followed.toJSON(), { pins: [{ stop: 'DELIVERY:D2', position: 2 }], blocks: [], executed: [] });
+        assert.strictEqual(constraints.pins.get('DELIVERY:D2'), 4);
+    });
+});
+
+describe('StopConstraints Class - Serialization', () => {
+
+    it('should round-trip through JSON', () => {
+        const { p1, d1, p2 } = buildStops();
+        const constraints = new StopConstraints();
+        constraints.pin(d1, 3);
+        constraints.lock([p1, p2]);
+        constraints.markExecuted([p1]);
+
+        const json = JSON.parse(JSON.stringify(constraints.toJSON()));
+        assert.deepStrictEqual(json, {
+            pins: [{ stop: 'DELIVERY:D1', position: 3 }],
+            blocks: [['PICKUP:D1', 'PICKUP:D2']],
+            executed: ['PICKUP:D1']
+        });
+        assert.deepStrictEqual(StopConstraints.fromJSON(json).toJSON(), json);
+        assert.strictEqual(StopConstraints.fromJSON(null), null);
+    });
+});
+
+module.exports = getResults();
@@ -9,6 +9,9 @@ const Segment = require('../backend/segment.js');
 const Demand = require('../backend/demand.js');
 const Courier = require('../backend/courier.js');
 const Tour = require('../backend/tours.js');
+const ComputerTour = require('../backend/computerTour.js');
+const TimeWindow = require('../backend/timeWindow.js');
+const StopConstraints = require('../backend/stopConstraints.js');
 const { TourPoint, TypePoint } = require('../backend/tourpoint.js');
 const { describe, it, assert, getResults } = require('./testFramework.js');
 
@@ -86,6 +89,23 @@ describe('System Class - Helpers', () => {
         assert.deepStrictEqual(result.path, ['W', 'A', 'B']);
         assert.strictEqual(result.distance, 200);
     });
+
+    it('should keep the travel matrix cache in memory', () => {
+        const system = new System();
+        assert.strictEqual(system.travelMatrixCache.filePath, null);
+        assert.isFalse(system.travelMatrixCache.save());
+    });
+
+    it('should read the routing mode of a map', () => {
+        const system = new System();
+        const oneWay = [{ origin: 'A', destination: 'B' }, { origin: 'B', destination: 'C' }];
+        const bothWays = oneWay.concat([{ origin: 'B', destination: 'A' }]);
+        assert.strictEqual(system.readDirectedMode('true', oneWay), true);
+        assert.strictEqual(system.readDirectedMode('false', bothWays), false);
+        assert.strictEqual(system.readDirectedMode(null, oneWay), false);
+        assert.strictEqual(system.readDirectedMode(null, bothWays), true);
+        assert.strictEqual(system.readDirectedMode('oui', bothWays), true);
+    });
 });
 
 describe('System Class - Distribution and tour building', () => {
@@ -117,6 +137,648 @@ describe('System Class - Distribution and tour building', () => {
         assert.strictEqual(firstStop.address.id, 'W');
         assert.strictEqual(lastStop.address.id, 'W');
     });
+
+    it('should time the legs of a built tour with the segment speeds', () => {
+        const { system, nodes } = buildSystem();
+        // 36 km/h = 10 m/s on every street, instead of the default 15 km/h
+        const fast = { speed: 36 };
+        system.plan = new Plan(new Map(system.plan.nodes), [
+            new Segment(nodes.nodeW, nodes.nodeA, 'WA', 100, fast),
+            new Segment(nodes.nodeA, nodes.nodeB, 'AB', 100, fast),
+            new Segment(nodes.nodeW, nodes.nodeB, 'WB', 300, fast)
+        ], nodes.nodeW);
+        const courier = new Courier('C1', 'Test Courier', { speedFactor: 2 });
+        const tour = system.buildTourForCourier(courier, [new Demand('A', 'B', 300, 240, 'DEM_SPEED')], system.distanceMatrix);
+
+        // W -> A, A -> B, B -> A -> W at 20 m/s
+        assert.deepStrictEqual(tour.legs.map(leg => leg.travelTime), [5, 5, 10]);
+        assert.deepStrictEqual(tour.legs.map(leg => leg.pathSegment.length), [1, 1, 2]);
+    });
+});
+
+describe('System Class - Time windows', () => {
+    it('should read the time window attributes of a <livraison>', () => {
+        const system = new System();
+        const attrs = { debutEnlevement: '11:30', finLivraison: '18:00' };
+        const windows = system.parseDemandTimeWindows(name => attrs[name], 'Demande n°1');
+        assert.strictEqual(windows.pickupWindow.start, 11 * 3600 + 30 * 60);
+        assert.strictEqual(windows.pickupWindow.end, null);
+        assert.strictEqual(windows.deliveryWindow.end, 18 * 3600);
+    });
+
+    it('should reject invalid time window attributes', () => {
+        const system = new System();
+        const attrs = { debutLivraison: '14:00', finLivraison: '13:00' };
+        const windows = system.parseDemandTimeWindows(name => attrs[name], 'Demande n°2');
+        assert.isTrue(windows.error.startsWith('Demande n°2'));
+    });
+
+    it('should report the deliveries served after their window', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1', { deliveryWindow: new TimeWindow(null, 8 * 3600) })];
+        const result = system.computeTours([new Courier('C1', 'Test')]);
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(result.timeWindowViolations.length, 1);
+        assert.strictEqual(result.timeWindowViolations[0].demandId, 'D1');
+        assert.isTrue(result.timeWindowViolations[0].message.includes('avant 08:00'));
+    });
+
+    it('should restore the time windows of a saved tour', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1', { pickupWindow: new TimeWindow(9 * 3600, 10 * 3600) })];
+        const { tours } = system.computeTours([new Courier('C1', 'Test')]);
+        const restored = system.loadTourFromJSON(JSON.parse(JSON.stringify(tours[0].toJSON())));
+        const pickup = restored.stops.find(stop => stop.type === TypePoint.PICKUP);
+        assert.strictEqual(pickup.getTimeWindow().toString(), '09:00 - 10:00');
+        assert.strictEqual(restored.totalDuration, tours[0].totalDuration);
+    });
+});
+
+describe('System Class - Departure time', () => {
+    it('should read the departure time of a request file', () => {
+        const system = new System();
+        assert.strictEqual(system.parseDepartureTime('8:0:0'), '08:00');
+        assert.strictEqual(system.parseDepartureTime('7:30:15'), '07:30:15');
+        system.setDepartureTimeFromFile('8h00');
+        assert.strictEqual(system.departureTime, null);
+        assert.strictEqual(system.getDepartureTime(), ComputerTour.DEFAULT_DEPARTURE_TIME);
+    });
+
+    it('should prefer the run, then the courier, then the request file', () => {
+        const system = new System();
+        system.setDepartureTimeFromFile('9:0:0');
+        const courier = new Courier('C1', 'Test', { departureTime: '07:30' });
+        assert.strictEqual(system.getDepartureTime(new Courier('C2', 'Test')), '09:00');
+        assert.strictEqual(system.getDepartureTime(courier), '07:30');
+        assert.strictEqual(system.getDepartureTime(courier, { departureTime: '10:15' }), '10:15');
+    });
+
+    it('should start the tours and their schedule at the departure time', () => {
+        const { system } = buildSystem();
+        system.departureTime = '09:00';
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1')];
+        const fromFile = system.computeTours([new Courier('C1', 'Test')]);
+        assert.strictEqual(fromFile.tours[0].departureTime, '09:00');
+        assert.strictEqual(fromFile.tours[0].computeSchedule()[0].departure, 9 * 3600);
+
+        const fromCourier = system.computeTours([new Courier('C1', 'Test', { departureTime: '07:00' })]);
+        assert.strictEqual(fromCourier.tours[0].departureTime, '07:00');
+
+        const fromRun = system.computeTours([new Courier('C1', 'Test', { departureTime: '07:00' })], { departureTime: '10:30' });
+        assert.strictEqual(fromRun.tours[0].departureTime, '10:30');
+    });
+
+    it('should reject an invalid departure time for the run', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1')];
+        const result = system.computeTours([new Courier('C1', 'Test')], { departureTime: '25:00' });
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.error, 'Heure de départ invalide : 25:00');
+    });
+});
+
+describe('System Class - Shifts', () => {
+    it('should not leave before the start of the shift', () => {
+        const system = new System();
+        const courier = new Courier('C1', 'Test', { shiftStart: '09:30' });
+        assert.strictEqual(system.getDepartureTime(courier), '09:30');
+        assert.strictEqual(system.getDepartureTime(courier, { departureTime: '10:00' }), '10:00');
+    });
+
+    it('should report the overtime of a tour instead of aborting the run', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1')];
+        const result = system.computeTours([new Courier('C1', 'Test', { maxWorkingTime: 600 })]);
+        assert.strictEqual(result.code, 2);
+        assert.strictEqual(result.tours.length, 1);
+        const [entry] = result.shiftReport;
+        assert.isFalse(entry.feasible);
+        assert.strictEqual(entry.deadline, 8 * 3600 + 600);
+        assert.strictEqual(entry.overtime, entry.workingTime - 600);
+        assert.isTrue(entry.message.includes('après la fin de service'));
+        assert.strictEqual(result.extraCouriersNeeded, 1);
+    });
+
+    it('should move demands of an overloaded tour to a courier with spare time', () => {
+        const { system } = buildSystem();
+        const d1 = new Demand('A', 'B', 300, 240, 'D1');
+        const d2 = new Demand('B', 'A', 300, 240, 'D2');
+        system.demandsList = [d1, d2];
+        const busy = new Courier('C1', 'Occupé', { maxWorkingTime: 900 });
+        const idle = new Courier('C2', 'Libre');
+        const warehouse = new TourPoint(system.plan.warehouse, 0, TypePoint.WAREHOUSE, null);
+        const overloaded = system.computeCourierTour(busy, system.createTourPointPairs([d1, d2]), warehouse, {}, true);
+        assert.isFalse(system.getShiftReport(overloaded).feasible);
+
+        const tours = [overloaded];
+        const moves = system.rebalanceOvertime(tours, [busy, idle], warehouse, {});
+        assert.strictEqual(moves.length, 1);
+        assert.strictEqual(moves[0].to, idle);
+        assert.strictEqual(tours.length, 2);
+        assert.isTrue(tours.every(tour => system.getShiftReport(tour).feasible));
+    });
+
+    it('should go on with the next overloaded tour when one cannot be fixed', () => {
+        const { system } = buildSystem();
+        const d1 = new Demand('A', 'B', 300, 240, 'D1');
+        const d2 = new Demand('B', 'A', 300, 240, 'D2');
+        // Too long for any shift and too big for the free courier's bag
+        const d3 = new Demand('A', 'B', 3000, 3000, 'D3', { load: 50 });
+        system.demandsList = [d1, d2, d3];
+        const stuck = new Courier('C1', 'Bloqué', { maxWorkingTime: 900 });
+        const busy = new Courier('C2', 'Occupé', { maxWorkingTime: 900 });
+        const idle = new Courier('C3', 'Libre', { capacity: 10 });
+        const warehouse = new TourPoint(system.plan.warehouse, 0, TypePoint.WAREHOUSE, null);
+        const hopeless = system.computeCourierTour(stuck, system.createTourPointPairs([d3]), warehouse, {}, true);
+        const fixable = system.computeCourierTour(busy, system.createTourPointPairs([d1, d2]), warehouse, {}, true);
+        assert.isTrue(system.getShiftReport(hopeless).overtime > system.getShiftReport(fixable).overtime);
+        assert.isFalse(system.getShiftReport(fixable).feasible);
+
+        const tours = [hopeless, fixable];
+        const moves = system.rebalanceOvertime(tours, [stuck, busy, idle], warehouse, {});
+        assert.strictEqual(moves.length, 1);
+        assert.strictEqual(moves[0].from, busy);
+        assert.strictEqual(moves[0].to, idle);
+        assert.strictEqual(tours.length, 3);
+        assert.deepStrictEqual(tours.map(tour => system.getShiftReport(tour).feasible), [false, true, true]);
+    });
+
+    it('should estimate the missing couriers from the overtime', () => {
+        const system = new System();
+        const report = [
+            { feasible: true, departure: 0, deadline: 3600, workingTime: 1800 },
+            { feasible: false, departure: 0, deadline: 3600, workingTime: 9000 }
+        ];
+        assert.strictEqual(system.estimateExtraCouriers(report), 2);
+    });
+
+    it('should report the tours within their shift as feasible', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1')];
+        const result = system.computeTours([new Courier('C1', 'Test', { shiftStart: '09:00', shiftEnd: '10:00' })]);
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(result.tours[0].departureTime, '09:00');
+        assert.isTrue(result.shiftReport[0].feasible);
+        assert.strictEqual(result.shiftReport[0].overtime, 0);
+    });
+
+    it('should reject an invalid shift', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1')];
+        const result = system.computeTours([new Courier('C1', 'Test', { shiftStart: '14:00', shiftEnd: '12:00' })]);
+        assert.strictEqual(result.code, 1);
+        assert.isTrue(result.error.includes('précède'));
+    });
+
+    it('should reject a malformed end of shift', () => {
+        for (const shiftEnd of ['25:99', '8h']) {
+            const { system } = buildSystem();
+            system.demandsList = [new Demand('A', 'B', 300, 240, 'D1')];
+            const result = system.computeTours([new Courier('C1', 'Test', { shiftEnd })]);
+            assert.strictEqual(result.code, 1);
+            assert.isTrue(result.error.includes('horaires de service invalides'));
+        }
+    });
+});
+
+describe('System Class - Fleet size', () => {
+    it('should find the smallest number of couriers whose tours fit in the shift', () => {
+        const { system } = buildSystem();
+        // About 3.5 minutes for one demand, 5.5 minutes for both
+        system.demandsList = [new Demand('A', 'B', 60, 60, 'D1'), new Demand('B', 'A', 60, 60, 'D2')];
+        const result = system.estimateFleetSize({ maxWorkingTime: 300 });
+        assert.isTrue(result.success);
+        assert.strictEqual(result.couriers, 2);
+        assert.deepStrictEqual(result.attempts.map(attempt => attempt.code), [2, 0]);
+        assert.deepStrictEqual(result.load.map(entry => entry.demands), [1, 1]);
+        assert.isTrue(result.load.every(entry => entry.workingTime <= 300));
+        assert.strictEqual(system.toursList.length, 0);
+    });
+
+    it('should start from the service times over the working time', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 60, 60, 'D1'), new Demand('B', 'A', 60, 60, 'D2')];
+        const result = system.estimateFleetSize({ maxWorkingTime: 200, maxCouriers: 2 });
+        assert.isFalse(result.success);
+        assert.strictEqual(result.attempts.length, 1);
+        assert.strictEqual(result.attempts[0].couriers, 2);
+        assert.isTrue(result.error.includes('2 coursier(s)'));
+    });
+});
+
+describe('System Class - Network clustering', () => {
+    // Two banks of a river 150 m apart, linked by a single bridge at the warehouse, 2 km south
+    function buildRiverSystem() {
+        const system = new System(2);
+        const nodeW = new Node('W', 45.75, 4.851, []);
+        const nodes = new Map([['W', nodeW]]);
+        const segments = [];
+        ['West', 'East'].forEach((bank, side) => {
+            const longitude = 4.850 + side * 0.002;
+            const bankNodes = [45.768, 45.769, 45.778, 45.779]
+                .map((latitude, index) => new Node(`${bank}${index}`, latitude, longitude, []));
+            bankNodes.forEach(node => nodes.set(node.id, node));
+            segments.push(new Segment(nodeW, bankNodes[0], `W-${bank}`, 2000));
+            [100, 1000, 100].forEach((length, index) =>
+                segments.push(new Segment(bankNodes[index], bankNodes[index + 1], `${bank}${index}`, length)));
+        });
+        system.plan = new Plan(nodes, segments, nodeW);
+        // South and north demand on each bank
+        system.demandsList = [
+            new Demand('West0', 'West1', 60, 60, 'WS'),
+            new Demand('East0', 'East1', 60, 60, 'ES'),
+            new Demand('West2', 'West3', 60, 60, 'WN'),
+            new Demand('East2', 'East3', 60, 60, 'EN')
+        ];
+        return system;
+    }
+
+    const groupIds = groups => groups.map(group => group.map(demand => demand.id).sort().join(',')).sort();
+
+    it('should group the demands by road travel time rather than as the crow flies', () => {
+        const system = buildRiverSystem();
+        assert.deepStrictEqual(groupIds(system.distributeDemands(2)), ['EN,WN', 'ES,WS']);
+        assert.deepStrictEqual(groupIds(system.distributeDemands(2, 'network')), ['EN,ES', 'WN,WS']);
+    });
+
+    it('should select the clustering per run', () => {
+        const system = buildRiverSystem();
+        const couriers = [new Courier('C1', 'Un'), new Courier('C2', 'Deux')];
+        const result = system.computeTours(couriers, { clustering: 'network' });
+        assert.strictEqual(result.code, 0);
+        const banks = result.tours.map(tour => new Set(tour.stops
+            .map(stop => String(stop.node.id).replace(/\d+$/, ''))
+            .filter(bank => bank !== 'W')));
+        assert.isTrue(banks.every(bankSet => bankSet.size === 1));
+
+        const unknown = system.computeTours(couriers, { clustering: 'voronoi' });
+        assert.strictEqual(unknown.code, 1);
+        assert.isTrue(unknown.error.includes('voronoi'));
+    });
+
+    it('should reject an unknown method everywhere', () => {
+        const system = buildRiverSystem();
+        assert.deepStrictEqual(system.distributeDemands(2, 'voronoi'), []);
+        assert.deepStrictEqual(system.getClusters(2, 'voronoi'), []);
+    });
+
+    it('should show the sectors of the selected clustering', () => {
+        const system = buildRiverSystem();
+        const clusterIds = clusters => groupIds(clusters.map(cluster => cluster.demands));
+        assert.deepStrictEqual(clusterIds(system.getClusters(2)), ['EN,WN', 'ES,WS']);
+        assert.deepStrictEqual(clusterIds(system.getClusters(2, 'network')), ['EN,ES', 'WN,WS']);
+    });
+});
+
+describe('System Class - Capacity', () => {
+    it('should reject a demand too big for every courier', () => {
+        const { system } = buildSystem();
+        system.listCouriers = [new Courier('C1', 'Vélo', { capacity: 30 }), new Courier('C2', 'Cargo', { capacity: 80 })];
+        const rejected = system.addDemand('A', 'B', 300, 240, 100);
+        assert.strictEqual(rejected.success, false);
+        assert.strictEqual(rejected.oversized.capacity, 80);
+        assert.isTrue(rejected.error.includes('100 L'));
+        assert.strictEqual(system.addDemand('A', 'B', 300, 240, 60).success, true);
+    });
+
+    it('should accept any volume when a courier has no capacity limit', () => {
+        const { system } = buildSystem();
+        system.listCouriers = [new Courier('C1', 'Vélo', { capacity: 30 }), new Courier('C2', 'Camion')];
+        assert.strictEqual(system.findOversizedDemand(500, 'Demande 1'), null);
+    });
+
+    it('should parse the volume attribute', () => {
+        const system = new System();
+        assert.strictEqual(system.parseDemandLoad(undefined), 0);
+        assert.strictEqual(system.parseDemandLoad('12.5'), 12.5);
+        assert.isTrue(isNaN(system.parseDemandLoad('-3')));
+        assert.isTrue(isNaN(system.parseDemandLoad('gros')));
+    });
+
+    it('should explain why computeTours fails when a parcel does not fit in the bag', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1', { load: 50 })];
+        const result = system.computeTours([new Courier('C1', 'Vélo', { capacity: 30 })]);
+        assert.strictEqual(result.code, 1);
+        assert.isTrue(result.error.includes('Demande D1'));
+    });
+
+    it('should give a parcel to a courier who can carry it whatever the clustering', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1', { load: 50 })];
+        const couriers = [new Courier('C1', 'Vélo', { capacity: 10 }), new Courier('C2', 'Cargo', { capacity: 80 })];
+        const result = system.computeTours(couriers);
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(result.tours.length, 1);
+        assert.strictEqual(result.tours[0].courier.name, 'Cargo');
+    });
+
+    it('should move oversized demands to the closest group whose courier can carry them', () => {
+        const { system } = buildSystem();
+        const big = new Demand('A', 'B', 300, 240, 'BIG', { load: 50 });
+        const small = new Demand('A', 'B', 300, 240, 'SMALL', { load: 5 });
+        const other = new Demand('W', 'A', 300, 240, 'OTHER', { load: 5 });
+        const couriers = [
+            new Courier('C1', 'Vélo', { capacity: 10 }),
+            new Courier('C2', 'Cargo', { capacity: 80 }),
+            new Courier('C3', 'Camion')
+        ];
+        const { groups, moved, errors } = system.assignOversizedDemands([[big, small], [other], []], couriers);
+
+        assert.deepStrictEqual(errors, []);
+        assert.deepStrictEqual(groups.map(group => group.map(d => d.id)), [['SMALL'], ['OTHER', 'BIG'], []]);
+        assert.strictEqual(moved.length, 1);
+        assert.strictEqual(moved[0].to.name, 'Cargo');
+    });
+
+    it('should only fail when no selected courier can carry the parcel', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1', { load: 90 })];
+        const couriers = [new Courier('C1', 'Vélo', { capacity: 10 }), new Courier('C2', 'Cargo', { capacity: 80 })];
+        const result = system.computeTours(couriers);
+        assert.strictEqual(result.code, 1);
+        assert.isTrue(result.error.includes('Demande D1'));
+        assert.isTrue(result.error.includes('80 L'));
+    });
+});
+
+describe('System Class - Unreachable demands', () => {
+    function buildOneWaySystem() {
+        const { system, nodes } = buildSystem();
+        system.plan.setDirected(true);
+        // Way back for W -> A -> B, so that W, A and B reach each other
+        system.plan.segments.push(new Segment(nodes.nodeA, nodes.nodeW, 'AW', 100));
+        system.plan.segments.push(new Segment(nodes.nodeB, nodes.nodeA, 'BA', 100));
+        // C can be reached from B but there is no way back
+        const nodeC = new Node('C', 45.78, 4.88, []);
+        system.plan.nodes.set('C', nodeC);
+        system.plan.segments.push(new Segment(nodes.nodeB, nodeC, 'BC', 50));
+        return { system, nodes: { ...nodes, nodeC } };
+    }
+
+    it('should reject a demand whose delivery cannot reach the warehouse', () => {
+        const { system } = buildOneWaySystem();
+        const result = system.addDemand('A', 'C', 300, 240);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.unreachable.node, 'C');
+        assert.strictEqual(result.unreachable.role, 'delivery');
+        assert.isTrue(result.error.includes('noeud C'));
+        assert.isTrue(result.error.includes('Demande 1'));
+        assert.strictEqual(system.demandsList.length, 0);
+    });
+
+    it('should accept demands inside the warehouse component', () => {
+        const { system } = buildOneWaySystem();
+        const result = system.addDemand('A', 'B', 300, 240);
+        assert.strictEqual(result.success, true);
+    });
+
+    it('should reject an update moving a demand out of reach', () => {
+        const { system } = buildOneWaySystem();
+        const { demand } = system.addDemand('A', 'B', 300, 240);
+        const result = system.updateDemand(demand.id, 'C', 'B', 300, 240);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.unreachable.role, 'pickup');
+        assert.strictEqual(demand.pickupAddress, 'A');
+    });
+
+    it('should check demands against the warehouse of the request file', () => {
+        const { system } = buildOneWaySystem();
+        system.plan.warehouse = null;
+        assert.isTrue(system.setWarehouseFromFile('C'));
+        assert.strictEqual(system.plan.warehouse.id, 'C');
+
+        // A and B reach each other, but not the warehouse C
+        const unreachable = system.findUnreachableDemandNode('A', 'B', 'Demande n°1');
+        assert.strictEqual(unreachable.node, 'A');
+        assert.strictEqual(unreachable.role, 'pickup');
+        assert.isTrue(unreachable.message.includes("l'entrepôt (noeud C)"));
+        assert.strictEqual(system.addDemand('A', 'B', 300, 240).success, false);
+    });
+
+    it('should keep the warehouse when the file names an unknown node', () => {
+        const { system } = buildOneWaySystem();
+        assert.isFalse(system.setWarehouseFromFile('Z'));
+        assert.strictEqual(system.plan.warehouse.id, 'W');
+    });
+
+    it('should explain why computeTours fails', () => {
+        const { system } = buildOneWaySystem();
+        system.demandsList.push(new Demand('A', 'C', 300, 240, 'D9'));
+        const result = system.computeTours([new Courier('C1', 'Test')]);
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.unreachableDemands.length, 1);
+        assert.isTrue(result.error.includes('Demande D9'));
+        assert.isTrue(result.error.includes('noeud C'));
+    });
+});
+
+describe('System Class - Coordinate snapping', () => {
+
+    it('should snap a coordinate to the closest node', () => {
+        const { system } = buildSystem();
+        const result = system.snapToNode(45.7601, 4.8601);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.node.id, 'A');
+    });
+
+    it('should refuse a coordinate too far from the plan', () => {
+        const { system } = buildSystem();
+        const result = system.snapToNode(46.5, 5.5);
+        assert.strictEqual(result.success, false);
+        assert.isTrue(result.error.includes('maximum'));
+    });
+
+    it('should refuse to snap without a plan', () => {
+        const system = new System();
+        assert.strictEqual(system.snapToNode(45.75, 4.85).success, false);
+    });
+
+    it('should load demands from CSV coordinates', () => {
+        const { system } = buildSystem();
+        const csv = [
+            'latEnlevement;lonEnlevement;latLivraison;lonLivraison;dureeEnlevement;dureeLivraison',
+            '45.7601;4.8599;45.7702;4.8698;300;240',
+            '45.7699,4.8701,45.7598,4.8602,60,120'
+        ].join('\n');
+        const result = system.loadDemandsFromCSV(csv);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.count, 2);
+        assert.strictEqual(result.invalidCount, 0);
+        assert.strictEqual(system.demandsList[0].pickupAddress, 'A');
+        assert.strictEqual(system.demandsList[0].deliveryAddress, 'B');
+        assert.strictEqual(system.demandsList[1].pickupDuration, 60);
+        assert.isTrue(result.snapped[0].pickupDistance < 50);
+    });
+
+    it('should report invalid CSV lines and keep the valid ones', () => {
+        const { system } = buildSystem();
+        const csv = '45.76;4.86;45.77;4.87;300;240\nabc;4.86\n46.5;5.5;45.77;4.87;300;240\n';
+        const result = system.loadDemandsFromCSV(csv);
+        assert.strictEqual(result.count, 1);
+        assert.strictEqual(result.invalidCount, 2);
+        assert.isTrue(result.warning.includes('Ligne 2'));
+        assert.isTrue(result.warning.includes('Ligne 3'));
+    });
+
+    it('should fail when no CSV line is valid', () => {
+        const { system } = buildSystem();
+        const result = system.loadDemandsFromCSV('46.5;5.5;46.5;5.5;300;240');
+        assert.strictEqual(result.success, false);
+        assert.isTrue(result.error.includes('Ligne 1'));
+    });
+});
+
+describe('System Class - Solver report', () => {
+    it('should record the cost, bound and gap of each tour and keep them in the saved tour', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1')];
+        const { tours } = system.computeTours([new Courier('C1', 'Test')], { strategy: 'v2' });
+        const info = tours[0].solverInfo;
+        assert.strictEqual(info.solver, 'v2');
+        assert.isTrue(info.bound <= info.cost);
+        assert.strictEqual(info.gap, ComputerTour.computeGap(info.cost, info.bound));
+
+        const restored = system.loadTourFromJSON(JSON.parse(JSON.stringify(tours[0].toJSON())));
+        assert.deepStrictEqual(restored.solverInfo, info);
+    });
+
+    it('should reject an unknown objective', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1')];
+        const result = system.computeTours([new Courier('C1', 'Test')], { objective: 'cheapest' });
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.error, 'Objectif inconnu : cheapest');
+    });
+
+    it('should record the objective and the longest tour duration', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 300, 240, 'D1')];
+        const result = system.computeTours([new Courier('C1', 'Test')], { objective: 'distance' });
+        assert.strictEqual(result.tours[0].solverInfo.objective, 'distance');
+        assert.strictEqual(result.makespan, result.tours[0].totalDuration);
+    });
+
+    it('should move demands from the longest tour to shorten the latest return', () => {
+        const { system } = buildSystem();
+        const warehouse = new TourPoint(system.plan.warehouse, 0, TypePoint.WAREHOUSE, null);
+        const options = { strategy: 'v1', objective: 'makespan' };
+        const busy = [new Demand('A', 'B', 600, 600, 'D1'), new Demand('B', 'A', 600, 600, 'D2'), new Demand('A', 'B', 600, 600, 'D3')];
+        const tours = [
+            system.computeCourierTour(new Courier('C1', 'Test'), system.createTourPointPairs(busy), warehouse, options),
+            system.computeCourierTour(new Courier('C2', 'Test'), system.createTourPointPairs([new Demand('A', 'B', 60, 60, 'D4')]), warehouse, options)
+        ];
+        const before = Math.max(...tours.map(tour => tour.totalDuration));
+
+        assert.isTrue(system.balanceMakespan(tours, warehouse, options) > 0);
+        assert.isTrue(Math.max(...tours.map(tour => tour.totalDuration)) < before);
+        const demandIds = tours.flatMap(tour => tour.stops.filter(stop => stop.type === TypePoint.PICKUP).map(stop => stop.demand.id));
+        assert.deepStrictEqual(demandIds.sort(), ['D1', 'D2', 'D3', 'D4']);
+    });
+});
+
+describe('System Class - Demand insertion', () => {
+    function buildTours() {
+        const { system } = buildSystem();
+        const warehouse = new TourPoint(system.plan.warehouse, 0, TypePoint.WAREHOUSE, null);
+        const near = new Demand('A', 'A', 60, 60, 'D1');
+        const far = new Demand('B', 'B', 60, 60, 'D2');
+        system.demandsList = [near, far];
+        const tours = [
+            system.computeCourierTour(new Courier('C1', 'Test'), system.createTourPointPairs([near]), warehouse, {}),
+            system.computeCourierTour(new Courier('C2', 'Test'), system.createTourPointPairs([far]), warehouse, {})
+        ];
+        system.toursList.push(...tours);
+        return { system, tours };
+    }
+
+    it('should give the demand to the courier with the smallest increase', () => {
+        const { system, tours } = buildTours();
+        const [nearTour, farTour] = tours;
+        const added = system.addDemand('B', 'B', 60, 60);
+        const result = system.insertDemand(added.demand.id, tours);
+
+        assert.isTrue(result.success);
+        assert.strictEqual(result.candidates.length, 2);
+        assert.strictEqual(result.courier, farTour.courier);
+        assert.strictEqual(result.increase, Math.min(...result.candidates.map(candidate => candidate.increase)));
+        assert.strictEqual(tours[0], nearTour);
+        assert.strictEqual(tours[1], result.tour);
+        assert.strictEqual(system.toursList[1], result.tour);
+        assert.strictEqual(result.tour.stops.length, 6);
+    });
+
+    it('should report why a demand cannot be inserted', () => {
+        const { system, tours } = buildTours();
+        assert.strictEqual(system.insertDemand(99, tours).error, "La demande avec l'id 99 n'existe pas.");
+        assert.strictEqual(system.insertDemand('D1', tours).error, 'La demande D1 fait déjà partie d\'une tournée.');
+        const added = system.addDemand('A', 'B', 60, 60, 50);
+        tours.forEach(tour => { tour.courier.capacity = 10; });
+        assert.isFalse(system.insertDemand(added.demand.id, tours).success);
+    });
+});
+
+describe('System Class - Demand removal from tours', () => {
+    it('should take the demand out of its tour and drop emptied tours', () => {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 60, 60, 'D1'), new Demand('B', 'A', 60, 60, 'D2'), new Demand('A', 'A', 60, 60, 'D3')];
+        const result = system.computeTours([new Courier('C1', 'Test')], { strategy: 'v1' });
+        const tours = result.tours.slice();
+        const single = system.computeCourierTour(new Courier('C2', 'Test'),
+            system.createTourPointPairs([system.demandsList[2]]), result.tours[0].stops[0], {});
+        tours.push(single);
+        system.toursList.push(single);
+
+        assert.isTrue(system.removeDemandById('D2', { tours, improve: true }));
+        assert.strictEqual(tours[0].stops.length, 6);
+        assert.isFalse(tours[0].stops.some(stop => stop.demand && stop.demand.id === 'D2'));
+        assert.strictEqual(system.toursList[0], tours[0]);
+        assert.strictEqual(tours[0].totalDistance, tours[0].legs.reduce((sum, leg) => sum + leg.distance, 0));
+
+        assert.isTrue(system.removeDemandById('D3', { tours }));
+        assert.strictEqual(tours.length, 1);
+        assert.isFalse(tours[0].stops.some(stop => stop.demand && stop.demand.id === 'D3'));
+        assert.isFalse(system.toursList.includes(single));
+    });
+});
+
+describe('System Class - Stop constraints', () => {
+    function buildTour() {
+        const { system } = buildSystem();
+        system.demandsList = [new Demand('A', 'B', 60, 60, 'D1'), new Demand('B', 'A', 60, 60, 'D2'), new Demand('A', 'A', 60, 60, 'D3')];
+        const { tours } = system.computeTours([new Courier('C1', 'Test')], { strategy: 'v1' });
+        return { system, tour: tours[0] };
+    }
+
+    it('should keep the constraints in the saved tour', () => {
+        const { system, tour } = buildTour();
+        tour.constraints = new StopConstraints();
+        tour.constraints.pin(tour.stops[2], 2);
+        tour.constraints.lock(tour.stops.slice(3, 5));
+
+        const restored = system.loadTourFromJSON(JSON.parse(JSON.stringify(tour.toJSON())));
+        assert.deepStrictEqual(restored.constraints.toJSON(), tour.constraints.toJSON());
+        assert.isTrue(restored.constraints.allows(restored.stops));
+        assert.strictEqual(system.loadTourFromJSON(JSON.parse(JSON.stringify(Object.assign(tour.toJSON(), { constraints: null })))).constraints, null);
+    });
+
+    it('should reoptimize a tour around its executed stops and replace it', () => {
+        const { system, tour } = buildTour();
+        const executed = tour.stops.slice(1, 3).reverse();
+        tour.stops.splice(1, 2, ...executed);
+        system.recalculateTourLegs(tour);
+        tour.constraints = new StopConstraints();
+        tour.constraints.markExecuted(executed);
+        const tours = [tour];
+
+        const result = system.reoptimizeTour(tour, { tours, strategy: 'v1' });
+        assert.isTrue(result.success);
+        assert.strictEqual(tours[0], result.tour);
+        assert.strictEqual(system.toursList[0], result.tour);
+        assert.deepStrictEqual(result.tour.stops.slice(1, 3), executed);
+        assert.strictEqual(result.tour.totalDuration, result.tour.solverInfo.cost);
+        assert.isFalse(system.reoptimizeTour(null).success);
+    });
 });
 
 module.exports = getResults();
@@ -9,6 +9,7 @@ const System = require("../backend/system.js");
 const Plan = require("../backend/plan.js");
 const Node = require("../backend/node.js");
 const Segment = require("../backend/segment.js");
+const SpeedModel = require("../backend/speedModel.js");
 const Demand = require("../backend/demand.js");
 const Courier = require("../backend/courier.js");
 const Tour = require("../backend/tours.js");
@@ -269,6 +270,13 @@ describe('System - calculateTravelTime', () => {
         const time = system.calculateTravelTime(1234);
         assert.strictEqual(time, Math.round(time));
     });
+
+    it('should use the default speed of the plan and the courier factor', () => {
+        const system = new System();
+        system.plan = new Plan(new Map(), [], null, { speedModel: new SpeedModel({ defaultSpeed: 20 }) });
+        assert.strictEqual(system.calculateTravelTime(1000), 180);
+        assert.strictEqual(system.calculateTravelTime(1000, new Courier('C1', 'VAE', { speedFactor: 1.5 })), 120);
+    });
 });
 
 describe('System - calculateTour', () => {
@@ -361,6 +369,39 @@ describe('System - recalculateTourLegs', () => {
         assert.isTrue(tour.legs[0] instanceof Leg);
     });
 
+    it('should rebuild complete legs with tour points and segments', () => {
+        const { system, nodes } = buildTestSystem();
+        const courier = new Courier('C1', 'Test');
+        const tour = new Tour('T1', '08:00', courier);
+
+        const demand = new Demand('B', 'A', 300, 240, 'D1');
+        const warehouse = new TourPoint(nodes.nodeW, 0, TypePoint.WAREHOUSE, null);
+        const pickup = new TourPoint(nodes.nodeB, 300, TypePoint.PICKUP, demand);
+        tour.addStop(warehouse);
+        tour.addStop(pickup);
+
+        system.recalculateTourLegs(tour);
+
+        const leg = tour.legs[0];
+        assert.strictEqual(leg.from, warehouse);
+        assert.strictEqual(leg.to, pickup);
+        assert.deepStrictEqual(leg.pathSegment.map(s => s.streetName), ['WA', 'AB']);
+        assert.strictEqual(leg.distance, 200);
+        assert.strictEqual(leg.travelTime, Math.ceil(200 / (15000 / 3600)));
+    });
+
+    it('should apply the courier speed factor to rebuilt legs', () => {
+        const { system, nodes } = buildTestSystem();
+        const tour = new Tour('T1', '08:00', new Courier('C1', 'Cargo', { speedFactor: 0.5 }));
+        const demand = new Demand('B', 'A', 300, 240, 'D1');
+        tour.addStop(new TourPoint(nodes.nodeW, 0, TypePoint.WAREHOUSE, null));
+        tour.addStop(new TourPoint(nodes.nodeB, 300, TypePoint.PICKUP, demand));
+
+        system.recalculateTourLegs(tour);
+
+        assert.strictEqual(tour.legs[0].travelTime, 2 * 48);
+    });
+
     it('should handle tour without plan', () => {
         const system = new System();
         const tour = new Tour('T1', '08:00', new Courier('C1', 'Test'));
@@ -528,12 +569,12 @@ describe('System - K-means Clustering', () => {
     });
 });
 
-describe('System - getKMeansClusters', () => {
+describe('System - getClusters', () => {
     it('should return empty array when no demands', () => {
         const { system } = buildTestSystem();
         system.demandsList = [];
 
-        const clusters = system.getKMeansClusters(2);
+        const clusters = system.getClusters(2);
 
         assert.strictEqual(clusters.length, 0);
     });
@@ -542,10 +583,10 @@ describe('System - getKMeansClusters', () => {
         const { system } = buildTestSystem();
         system.demandsList = [new Demand('A', 'B', 300, 240, 'D1')];
 
-        const clustersNegative = system.getKMeansClusters(-1);
+        const clustersNegative = system.getClusters(-1);
         assert.strictEqual(clustersNegative.length, 0);
 
-        const clustersTooLarge = system.getKMeansClusters(10);
+        const clustersTooLarge = system.getClusters(10);
         assert.strictEqual(clustersTooLarge.length, 0);
     });
 
@@ -557,7 +598,7 @@ describe('System - getKMeansClusters', () => {
         ];
         system.demandsList = demands;
 
-        const clusters = system.getKMeansClusters(2);
+        const clusters = system.getClusters(2);
 
         assert.isTrue(clusters.length > 0);
     });
@@ -566,7 +607,7 @@ describe('System - getKMeansClusters', () => {
         const { system } = buildTestSystem();
         system.demandsList = [new Demand('A', 'B', 300, 240, 'D1')];
 
-        const clusters = system.getKMeansClusters(0);
+        const clusters = system.getClusters(0);
 
         assert.strictEqual(clusters.length, 0);
     });
@@ -0,0 +1,89 @@
+/**
+ * Test Suite for TimeWindow class
+ * Tests time parsing, waiting times and lateness
+ */
+
+const TimeWindow = require('../backend/timeWindow.js');
+const { describe, it, assert, getResults } = require('./testFramework.js');
+
+describe('TimeWindow Class - Parsing', () => {
+
+    it('should parse HH:MM and HH:MM:SS times', () => {
+        assert.strictEqual(TimeWindow.parseTime('08:00'), 8 * 3600);
+        assert.strictEqual(TimeWindow.parseTime('8:30'), 8 * 3600 + 30 * 60);
+        assert.strictEqual(TimeWindow.parseTime('18:00:30'), 18 * 3600 + 30);
+        assert.strictEqual(TimeWindow.parseTime('8:0:0'), 8 * 3600);
+    });
+
+    it('should return null for empty values and NaN for malformed ones', () => {
+        assert.strictEqual(TimeWindow.parseTime(''), null);
+        assert.strictEqual(TimeWindow.parseTime(undefined), null);
+        assert.isTrue(Number.isNaN(TimeWindow.parseTime('8h00')));
+        assert.isTrue(Number.isNaN(TimeWindow.parseTime('25:00')));
+    });
+
+    it('should format seconds as HH:MM', () => {
+        assert.strictEqual(TimeWindow.formatTime(8 * 3600 + 5 * 60 + 59), '08:05');
+        assert.strictEqual(TimeWindow.formatTime(18 * 3600), '18:00');
+        assert.strictEqual(TimeWindow.formatTime(8 * 3600 + 5 * 60 + 9, true), '08:05:09');
+    });
+
+    it('should build a window from attribute strings', () => {
+        const window = TimeWindow.fromStrings('11:30', '12:00');
+        assert.strictEqual(window.start, 11 * 3600 + 30 * 60);
+        assert.strictEqual(window.end, 12 * 3600);
+        assert.strictEqual(TimeWindow.fromStrings(null, null), null);
+
+        const openEnded = TimeWindow.fromStrings(null, '18:00');
+        assert.strictEqual(openEnded.start, null);
+        assert.strictEqual(openEnded.end, 18 * 3600);
+    });
+
+    it('should reject malformed or reversed windows', () => {
+        assert.throws(() => TimeWindow.fromStrings('midi', '13:00'));
+        assert.throws(() => TimeWindow.fromStrings('14:00', '13:00'));
+    });
+});
+
+describe('TimeWindow Class - Waiting and lateness', () => {
+
+    it('should wait when arriving before the window', () => {
+        const window = new TimeWindow(9 * 3600, 10 * 3600);
+        assert.strictEqual(window.waitingTime(8 * 3600 + 45 * 60), 15 * 60);
+        assert.strictEqual(window.waitingTime(9 * 3600 + 1), 0);
+    });
+
+    it('should measure lateness after the end of the window', () => {
+        const window = new TimeWindow(9 * 3600, 10 * 3600);
+        assert.strictEqual(window.lateness(10 * 3600), 0);
+        assert.strictEqual(window.lateness(10 * 3600 + 120), 120);
+    });
+
+    it('should ignore missing bounds', () => {
+        const afterOnly = new TimeWindow(9 * 3600, null);
+        assert.strictEqual(afterOnly.lateness(23 * 3600), 0);
+        const beforeOnly = new TimeWindow(null, 18 * 3600);
+        assert.strictEqual(beforeOnly.waitingTime(0), 0);
+    });
+});
+
+describe('TimeWindow Class - Serialization', () => {
+
+    it('should round-trip through JSON', () => {
+        const window = new TimeWindow(11 * 3600 + 30 * 60, 12 * 3600);
+        const json = window.toJSON();
+        assert.deepStrictEqual(json, { start: '11:30', end: '12:00' });
+        const restored = TimeWindow.fromJSON(json);
+        assert.strictEqual(restored.start, window.start);
+        assert.strictEqual(restored.end, window.end);
+        assert.strictEqual(TimeWindow.fromJSON(null), null);
+    });
+
+    it('should describe the window in French', () => {
+        assert.strictEqual(new TimeWindow(11 * 3600 + 30 * 60, 12 * 3600).toString(), '11:30 - 12:00');
+        assert.strictEqual(new TimeWindow(11 * 3600 + 30 * 60, null).toString(), 'après 11:30');
+        assert.strictEqual(new TimeWindow(null, 18 * 3600).toString(), 'avant 18:00');
+    });
+});
+
+module.exports = getResults();
@@ -10,6 +10,8 @@ const { TourPoint, TypePoint } = require('../backend/tourpoint.js');
 const Node = require('../backend/node.js');
 const Demand = require('../backend/demand.js');
 const Segment = require('../backend/segment.js');
+const TimeWindow = require('../backend/timeWindow.js');
+const StopConstraints = require('../backend/stopConstraints.js');
 const { describe, it, assert, getResults } = require('./testFramework.js');
 
 // Test Suite: Tour Class
@@ -216,6 +218,74 @@ describe('Tour Class - calculateTotalDuration Method', () => {
     });
 });
 
+describe('Tour Class - Schedule and time windows', () => {
+
+    function buildWindowedTour(deliveryWindow) {
+        const tour = new Tour(null, '08:00', new Courier('C001', 'John Doe'));
+        const nodeW = new Node('W', 45.75, 4.85, []);
+        const node1 = new Node('1', 45.76, 4.86, []);
+        const node2 = new Node('2', 45.77, 4.87, []);
+        const demand = new Demand('1', '2', 300, 240, 'D1', { deliveryWindow });
+
+        const warehouse = new TourPoint(nodeW, 0, TypePoint.WAREHOUSE, null);
+        const pickupPoint = new TourPoint(node1, 300, TypePoint.PICKUP, demand);
+        const deliveryPoint = new TourPoint(node2, 240, TypePoint.DELIVERY, demand);
+        [warehouse, pickupPoint, deliveryPoint].forEach(stop => tour.addStop(stop));
+        tour.addLeg(new Leg(warehouse, pickupPoint, [nodeW, node1], [], 100, 60));
+        tour.addLeg(new Leg(pickupPoint, deliveryPoint, [node1, node2], [], 100, 60));
+        return tour;
+    }
+
+    it('should compute arrival and service times from the departure time', () => {
+        const tour = buildWindowedTour(null);
+        const schedule = tour.computeSchedule();
+        assert.strictEqual(schedule[1].arrival, 8 * 3600 + 60);
+        assert.strictEqual(schedule[2].start, 8 * 3600 + 60 + 300 + 60);
+        assert.strictEqual(schedule[2].wait, 0);
+    });
+
+    it('should wait for the start of a time window and count it in the duration', () => {
+        const tour = buildWindowedTour(new TimeWindow(8 * 3600 + 15 * 60, null));
+        tour.calculateTotalDuration();
+        assert.strictEqual(tour.schedule[2].start, 8 * 3600 + 15 * 60);
+        assert.strictEqual(tour.schedule[2].wait, 15 * 60 - 420);
+        assert.strictEqual(tour.totalDuration, 15 * 60 + 240);
+        assert.strictEqual(tour.getTimeWindowViolations().length, 0);
+    });
+
+    it('should track the load onboard after each stop', () => {
+        const tour = buildWindowedTour(null);
+        tour.stops[1].demand.load = 15;
+        const schedule = tour.computeSchedule();
+        assert.deepStrictEqual(schedule.map(entry => entry.load), [0, 15, 0]);
+        assert.strictEqual(tour.getMaxLoad(), 15);
+    });
+
+    it('should flag a stop served after its time window', () => {
+        const tour = buildWindowedTour(new TimeWindow(null, 8 * 3600 + 5 * 60));
+        const violations = tour.getTimeWindowViolations();
+        assert.strictEqual(violations.length, 1);
+        assert.strictEqual(violations[0].index, 2);
+        assert.strictEqual(violations[0].lateness, 120);
+        assert.strictEqual(tour.toJSON().schedule[2].lateness, 120);
+    });
+
+    it('should group consecutive stops at the same node into one visit', () => {
+        const tour = buildWindowedTour(null);
+        const demand2 = new Demand('1', '2', 120, 60, 'D2');
+        const secondPickup = new TourPoint(tour.stops[1].node, 120, TypePoint.PICKUP, demand2);
+        tour.stops.splice(2, 0, secondPickup);
+        tour.legs.splice(1, 0, new Leg(tour.stops[1], secondPickup, [tour.stops[1].node], [], 0, 0));
+
+        const visits = tour.getVisits();
+        assert.strictEqual(visits.length, 3);
+        assert.deepStrictEqual(visits[1].indexes, [1, 2]);
+        assert.strictEqual(visits[1].serviceDuration, 420);
+        assert.strictEqual(visits[1].arrival, 8 * 3600 + 60);
+        assert.strictEqual(visits[1].departure, 8 * 3600 + 60 + 420);
+    });
+});
+
 describe('Tour Class - calculateTotalDistance Method', () => {
 
     it('should return 0 for tour with empty legs', () => {
@@ -297,6 +367,26 @@ describe('Tour Class - toJSON Method', () => {
         assert.isTrue(keys.includes('totalDuration'));
         assert.isTrue(keys.includes('totalDistance'));
     });
+
+    it('should save a copy of the solver report', () => {
+        const tour = new Tour(null, '08:00', new Courier('C001', 'John Doe'));
+        assert.strictEqual(tour.toJSON().solverInfo, null);
+
+        tour.solverInfo = { solver: 'v2', provedOptimal: false, runtime: 3, explored: null, cost: 1200, bound: 1000, gap: 100 / 6 };
+        const json = tour.toJSON();
+        assert.deepStrictEqual(json.solverInfo, tour.solverInfo);
+        assert.isTrue(json.solverInfo !== tour.solverInfo);
+    });
+
+    it('should save the stop constraints', () => {
+        const tour = new Tour(null, '08:00', new Courier('C001', 'John Doe'));
+        assert.strictEqual(tour.toJSON().constraints, null);
+
+        const pickup = new TourPoint(new Node('N', 45.75, 4.85, []), 60, TypePoint.PICKUP, new Demand('N', 'N', 60, 60, 'D1'));
+        tour.constraints = new StopConstraints();
+        tour.constraints.pin(pickup, 1);
+        assert.deepStrictEqual(tour.toJSON().constraints, { pins: [{ stop: 'PICKUP:D1', position: 1 }], blocks: [], executed: [] });
+    });
 });
 
 describe('Tour Class - toString Method', () => {
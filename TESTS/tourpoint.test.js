@@ -68,6 +68,17 @@ describe('TourPoint Class - Constructor and Basic Properties', () => {
     });
 });
 
+describe('TourPoint Class - Identity', () => {
+
+    it('should give distinct IDs to points at the same node', () => {
+        const node = new Node('123', 45.75, 4.85, []);
+        const first = new TourPoint(node, 300, TypePoint.PICKUP, null);
+        const second = new TourPoint(node, 300, TypePoint.PICKUP, null);
+        assert.isTrue(typeof first.id === 'string');
+        assert.isTrue(first.id !== second.id);
+    });
+});
+
 describe('TourPoint Class - TypePoint Enum', () => {
 
     it('should have PICKUP type defined', () => {
@@ -145,6 +156,17 @@ describe('TourPoint Class - toJSON Method', () => {
     });
 });
 
+describe('TourPoint Class - Load change', () => {
+
+    it('should add the demand load at the pickup and remove it at the delivery', () => {
+        const node = new Node('1', 45.75, 4.85, []);
+        const demand = new Demand('1', '2', 300, 240, 'D1', { load: 12 });
+        assert.strictEqual(new TourPoint(node, 300, TypePoint.PICKUP, demand).getLoadChange(), 12);
+        assert.strictEqual(new TourPoint(node, 240, TypePoint.DELIVERY, demand).getLoadChange(), -12);
+        assert.strictEqual(new TourPoint(node, 0, TypePoint.WAREHOUSE, null).getLoadChange(), 0);
+    });
+});
+
 describe('TourPoint Class - toString Method', () => {
 
     it('should return correct string representation', () => {
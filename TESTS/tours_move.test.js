@@ -5,6 +5,8 @@
 const Tour = require('../backend/tours.js');
 const Courier = require('../backend/courier.js');
 const Node = require('../backend/node.js');
+const Demand = require('../backend/demand.js');
+const StopConstraints = require('../backend/stopConstraints.js');
 const { TourPoint, TypePoint } = require('../backend/tourpoint.js');
 const { describe, it, assert, getResults } = require('./testFramework.js');
 
@@ -139,6 +141,32 @@ describe('Tour order change - isMoveValid and movePoint', () => {
         assert.strictEqual(types[3], TypePoint.DELIVERY);
     });
 
+    it('should forbid moving pinned or executed stops', () => {
+        const tour = new Tour(null, '08:00', new Courier('C001', 'John Doe'));
+        const node = new Node('1', 45.75, 4.85, []);
+        const first = new Demand('1', '1', 60, 60, 'D1');
+        const second = new Demand('1', '1', 60, 60, 'D2');
+        const start = new TourPoint(node, 0, TypePoint.WAREHOUSE, null);
+        const p1 = new TourPoint(node, 60, TypePoint.PICKUP, first);
+        const p2 = new TourPoint(node, 60, TypePoint.PICKUP, second);
+        const d1 = new TourPoint(node, 60, TypePoint.DELIVERY, first);
+        const d2 = new TourPoint(node, 60, TypePoint.DELIVERY, second);
+        const end = new TourPoint(node, 0, TypePoint.WAREHOUSE, null);
+        tour.stops = [start, p1, p2, d1, d2, end];
+
+        tour.constraints = new StopConstraints();
+        tour.constraints.pin(d1, 3);
+        assert.strictEqual(tour.movePoint(3, 4).reason, 'STOP_CONSTRAINTS');
+        assert.strictEqual(tour.movePoint(4, 3).reason, 'STOP_CONSTRAINTS');
+
+        tour.constraints.markExecuted([p1]);
+        assert.strictEqual(tour.movePoint(2, 1).reason, 'STOP_CONSTRAINTS');
+        assert.isTrue(tour.movePoint(1, 2).valid === false);
+
+        tour.constraints = null;
+        assert.isTrue(tour.movePoint(3, 4).valid);
+    });
+
 });
 
 module.exports = getResults();
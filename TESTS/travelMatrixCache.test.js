@@ -0,0 +1,238 @@
+/**
+ * Test Suite for TravelMatrixCache class
+ * Tests route caching across computations, eviction and persistence on disk
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TravelMatrixCache = require('../backend/travelMatrixCache.js');
+const ComputerTour = require('../backend/computerTour.js');
+const Plan = require('../backend/plan.js');
+const Node = require('../backend/node.js');
+const Segment = require('../backend/segment.js');
+const Demand = require('../backend/demand.js');
+const { TourPoint, TypePoint } = require('../backend/tourpoint.js');
+const { describe, it, assert, getResults } = require('./testFramework.js');
+
+function buildPlan() {
+    const nodeW = new Node('W', 45.75, 4.85, []);
+    const nodeA = new Node('A', 45.76, 4.86, []);
+    const nodeB = new Node('B', 45.77, 4.87, []);
+    const nodeC = new Node('C', 45.78, 4.88, []);
+
+    const segments = [
+        new Segment(nodeW, nodeA, 'WA', 100),
+        new Segment(nodeA, nodeB, 'AB', 150),
+        new Segment(nodeB, nodeC, 'BC', 120),
+        new Segment(nodeW, nodeC, 'WC', 500)
+    ];
+
+    const nodes = new Map([
+        ['W', nodeW],
+        ['A', nodeA],
+        ['B', nodeB],
+        ['C', nodeC]
+    ]);
+
+    return { plan: new Plan(nodes, segments, nodeW), nodeW, nodeA, nodeB, nodeC };
+}
+
+function makePair(pickupNode, deliveryNode, demandId) {
+    const demand = new Demand(pickupNode.id, deliveryNode.id, 60, 60, demandId);
+    return [
+        new TourPoint(pickupNode, 60, TypePoint.PICKUP, demand),
+        new TourPoint(deliveryNode, 60, TypePoint.DELIVERY, demand)
+    ];
+}
+
+describe('TravelMatrixCache - Routes', () => {
+
+    it('should return cached routes with the plan objects', () => {
+        const { plan } = buildPlan();
+        const cache = new TravelMatrixCache();
+        const route = plan.findShortestPath('W', 'B');
+
+        assert.strictEqual(cache.getRoute(plan, 'W', 'B'), null);
+        cache.setRoute(plan, 'W', 'B', route);
+
+        const cached = cache.getRoute(plan, 'W', 'B');
+        assert.deepStrictEqual(cached.pathIds, ['W', 'A', 'B']);
+        assert.strictEqual(cached.path[1], plan.nodes.get('A'));
+        assert.strictEqual(cached.segments[0], plan.segments[0]);
+        assert.strictEqual(cached.distance, route.distance);
+        assert.strictEqual(cached.travelTime, route.travelTime);
+        assert.strictEqual(cache.size(plan), 1);
+    });
+
+    it('should not reuse routes when the plan changes', () => {
+        const { plan } = buildPlan();
+        const cache = new TravelMatrixCache();
+        cache.setRoute(plan, 'W', 'B', plan.findShortestPath('W', 'B'));
+
+        const hashBefore = plan.getHash();
+        plan.segments = plan.segments.map(s => new Segment(s.origin, s.destination, s.streetName, s.length * 2));
+        assert.isTrue(plan.getHash() !== hashBefore);
+        assert.strictEqual(cache.getRoute(plan, 'W', 'B'), null);
+    });
+
+    it('should clear the routes of a plan', () => {
+        const { plan } = buildPlan();
+        const cache = new TravelMatrixCache();
+        cache.setRoute(plan, 'W', 'B', plan.findShortestPath('W', 'B'));
+        cache.clear(plan);
+        assert.strictEqual(cache.size(plan), 0);
+    });
+});
+
+describe('TravelMatrixCache - Eviction', () => {
+
+    it('should hold at most maxEntries pairs and drop the least recently used', () => {
+        const { plan } = buildPlan();
+        const cache = new TravelMatrixCache({ maxEntries: 2 });
+        cache.setRoute(plan, 'W', 'A', plan.findShortestPath('W', 'A'));
+        cache.setRoute(plan, 'W', 'B', plan.findShortestPath('W', 'B'));
+        assert.isTrue(cache.getRoute(plan, 'W', 'A') !== null); // W_A is now the most recent pair
+
+        cache.setRoute(plan, 'W', 'C', plan.findShortestPath('W', 'C'));
+        assert.strictEqual(cache.size(plan), 2);
+        assert.strictEqual(cache.entryCount, 2);
+        assert.strictEqual(cache.getRoute(plan, 'W', 'B'), null);
+        assert.isTrue(cache.getRoute(plan, 'W', 'A') !== null);
+        assert.isTrue(cache.getRoute(plan, 'W', 'C') !== null);
+    });
+
+    it('should evict the pairs of the least recently used plan first', () => {
+        const { plan } = buildPlan();
+        const other = buildPlan().plan;
+        other.segments = other.segments.map(s => new Segment(s.origin, s.destination, s.streetName, s.length * 2));
+        const cache = new TravelMatrixCache({ maxEntries: 2 });
+
+        cache.setRoute(other, 'W', 'A', other.findShortestPath('W', 'A'));
+        cache.setRoute(plan, 'W', 'A', plan.findShortestPath('W', 'A'));
+        cache.setRoute(plan, 'W', 'B', plan.findShortestPath('W', 'B'));
+
+        assert.strictEqual(cache.size(other), 0);
+        assert.strictEqual(cache.size(plan), 2);
+    });
+
+    it('should bound the routes merged from JSON data', () => {
+        const { plan } = buildPlan();
+        const source = new TravelMatrixCache();
+        ['A', 'B', 'C'].forEach(id => source.setRoute(plan, 'W', id, plan.findShortestPath('W', id)));
+
+        const cache = new TravelMatrixCache({ maxEntries: 2 });
+        cache.mergeJSON(source.toJSON());
+        assert.strictEqual(cache.size(plan), 2);
+        assert.strictEqual(cache.getRoute(plan, 'W', 'A'), null);
+        assert.deepStrictEqual(cache.getRoute(plan, 'W', 'C').pathIds, ['W', 'A', 'B', 'C']);
+    });
+});
+
+describe('TravelMatrixCache - Merged data', () => {
+
+    it('should drop malformed entries and keep the valid ones', () => {
+        const { plan } = buildPlan();
+        const source = new TravelMatrixCache();
+        source.setRoute(plan, 'W', 'B', plan.findShortestPath('W', 'B'));
+        const data = source.toJSON();
+        const pairs = data.plans[plan.getHash()];
+        const valid = pairs.W_B;
+        pairs.W_A = { segmentIndexes: [0], distance: 100, travelTime: 24 };
+        pairs.W_C = Object.assign({}, valid, { pathIds: 'W,A,B,C' });
+        pairs.A_B = Object.assign({}, valid, { distance: 'far' });
+        pairs.B_C = Object.assign({}, valid, { travelTime: null });
+        pairs.A_C = Object.assign({}, valid, { pathIds: [{ id: 'A' }] });
+        data.plans.other = 'not a plan';
+
+        const cache = new TravelMatrixCache();
+        assert.strictEqual(cache.mergeJSON(data), 6);
+        assert.strictEqual(cache.size(plan), 1);
+        assert.deepStrictEqual(cache.getRoute(plan, 'W', 'B').pathIds, ['W', 'A', 'B']);
+        assert.strictEqual(cache.getRoute(plan, 'W', 'A'), null);
+    });
+
+    it('should ignore data without plans', () => {
+        const cache = new TravelMatrixCache();
+        assert.strictEqual(cache.mergeJSON(null), 0);
+        assert.strictEqual(cache.mergeJSON({ plans: null }), 0);
+        assert.strictEqual(cache.entryCount, 0);
+    });
+});
+
+describe('TravelMatrixCache - Persistence', () => {
+
+    it('should save and reload routes from a file', () => {
+        const { plan } = buildPlan();
+        const filePath = path.join(os.tmpdir(), `travel_matrix_cache_${process.pid}.json`);
+        try {
+            const cache = new TravelMatrixCache({ filePath });
+            cache.setRoute(plan, 'W', 'C', plan.findShortestPath('W', 'C'));
+            assert.isTrue(cache.save());
+            assert.isFalse(cache.save()); // Nothing changed since the last save
+
+            const reloaded = new TravelMatrixCache({ filePath });
+            const route = reloaded.getRoute(plan, 'W', 'C');
+            assert.deepStrictEqual(route.pathIds, ['W', 'A', 'B', 'C']);
+            assert.strictEqual(route.distance, 370);
+        } finally {
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        }
+    });
+
+    it('should evict entries read from a file beyond maxEntries', () => {
+        const { plan } = buildPlan();
+        const filePath = path.join(os.tmpdir(), `travel_matrix_cache_bounded_${process.pid}.json`);
+        try {
+            const cache = new TravelMatrixCache({ filePath });
+            ['A', 'B', 'C'].forEach(id => cache.setRoute(plan, 'W', id, plan.findShortestPath('W', id)));
+            cache.save();
+
+            const bounded = new TravelMatrixCache({ filePath, maxEntries: 1 });
+            assert.strictEqual(bounded.size(plan), 1);
+            assert.isTrue(bounded.save()); // The evicted entries are written back
+            assert.strictEqual(new TravelMatrixCache({ filePath }).size(plan), 1);
+        } finally {
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        }
+    });
+
+    it('should start empty when the file is missing', () => {
+        const { plan } = buildPlan();
+        const cache = new TravelMatrixCache({ filePath: path.join(os.tmpdir(), 'missing_travel_matrix_cache.json') });
+        assert.strictEqual(cache.size(plan), 0);
+    });
+});
+
+describe('TravelMatrixCache - ComputerTour integration', () => {
+
+    it('should only route the new pairs after adding a demand', () => {
+        const { plan, nodeW, nodeA, nodeB, nodeC } = buildPlan();
+        const cache = new TravelMatrixCache();
+        const warehouse = new TourPoint(nodeW, 0, TypePoint.WAREHOUSE, null);
+        const pair1 = makePair(nodeA, nodeB, 'D1');
+        const pair2 = makePair(nodeC, nodeA, 'D2');
+
+        const first = new ComputerTour(plan, warehouse);
+        first.setTravelMatrixCache(cache);
+        assert.isTrue(first.fillTourPointStructures([pair1]));
+        const routedFirst = cache.stats.misses;
+        assert.strictEqual(routedFirst, 9); // 3 distinct nodes: 3 x 3 pairs
+
+        const second = new ComputerTour(plan, warehouse);
+        second.setTravelMatrixCache(cache);
+        assert.isTrue(second.fillTourPointStructures([pair1, pair2]));
+
+        // Only the pairs involving the new node C are routed: 4 x 4 - 3 x 3
+        assert.strictEqual(cache.stats.misses - routedFirst, 7);
+
+        const uncached = new ComputerTour(plan, warehouse);
+        uncached.fillTourPointStructures([pair1, pair2]);
+        second.tourPointGraphTimes.forEach((time, key) => {
+            assert.strictEqual(time, uncached.tourPointGraphTimes.get(key));
+        });
+    });
+});
+
+// Export results
+module.exports = getResults();
@@ -0,0 +1,119 @@
+/**
+ * Test Suite for View node selection
+ * Runs the selection mode against a stubbed Leaflet map (no browser needed)
+ */
+
+const { describe, it, assert, getResults } = require('./testFramework.js');
+
+// Minimal Leaflet / DOM stand-ins used by the selection mode
+function createFakeMap() {
+    const map = {
+        layers: new Set(),
+        handlers: {},
+        on(event, handler) { this.handlers[event] = handler; },
+        off(event, handler) {
+            if (this.handlers[event] === handler) delete this.handlers[event];
+        },
+        removeLayer(layer) { this.layers.delete(layer); }
+    };
+    return map;
+}
+
+function createFakeMarker() {
+    return {
+        handlers: {},
+        addTo(map) { map.layers.add(this); return this; },
+        bindTooltip() { return this; },
+        on(event, handler) { this.handlers[event] = handler; return this; },
+        setStyle() { return this; }
+    };
+}
+
+global.L = { circleMarker: () => createFakeMarker() };
+global.window = {};
+global.document = { getElementById: () => ({ style: {} }) };
+
+const View = require('../front/scripts/view.js');
+
+function buildView(nodeCount) {
+    const view = new View(null, null);
+    view.mapElementId = 'map';
+    view.map = createFakeMap();
+    for (let i = 0; i < nodeCount; i++) {
+        view.nodeMap.set(`${i}`, { id: `${i}`, latitude: 45.75 + i * 0.0001, longitude: 4.85 });
+    }
+    return view;
+}
+
+describe('View - setNodeSelectionMode', () => {
+
+    it('should render a clickable marker per node on a small plan', () => {
+        const view = buildView(308);
+        view.setNodeSelectionMode(true, 'pickup');
+
+        assert.strictEqual(view.selectableNodes.length, 308);
+        assert.strictEqual(view.map.layers.size, 308);
+        assert.isTrue(typeof view.map.handlers.click === 'function');
+    });
+
+    it('should only listen to map clicks on a large plan', () => {
+        const view = buildView(View.MAX_SELECTABLE_MARKERS + 1);
+        view.setNodeSelectionMode(true, 'delivery');
+
+        assert.strictEqual(view.selectableNodes.length, 0);
+        assert.isTrue(typeof view.map.handlers.click === 'function');
+    });
+
+    it('should still render markers at the threshold', () => {
+        const view = buildView(View.MAX_SELECTABLE_MARKERS);
+        view.setNodeSelectionMode(true, 'pickup');
+
+        assert.strictEqual(view.selectableNodes.length, View.MAX_SELECTABLE_MARKERS);
+    });
+
+    it('should pass map clicks to window.onMapLocationSelected on a large plan', () => {
+        const view = buildView(View.MAX_SELECTABLE_MARKERS + 1);
+        const clicks = [];
+        window.onMapLocationSelected = (latitude, longitude) => { clicks.push([latitude, longitude]); };
+
+        view.setNodeSelectionMode(true, 'pickup');
+        view.map.handlers.click({ latlng: { lat: 45.76, lng: 4.86 } });
+        assert.deepStrictEqual(clicks, [[45.76, 4.86]]);
+        assert.strictEqual(view.map.layers.size, 0);
+
+        // Once the selection is over, map clicks are ignored
+        const handler = view.map.handlers.click;
+        view.setNodeSelectionMode(false);
+        handler({ latlng: { lat: 45.77, lng: 4.87 } });
+        assert.strictEqual(clicks.length, 1);
+        delete window.onMapLocationSelected;
+    });
+
+    it('should pass the clicked node to window.onNodeSelected', () => {
+        const view = buildView(3);
+        let selected = null;
+        window.onNodeSelected = (node) => { selected = node; };
+
+        view.setNodeSelectionMode(true, 'pickup');
+        view.selectableNodes[1].handlers.click();
+
+        assert.strictEqual(selected.id, '1');
+        delete window.onNodeSelected;
+    });
+
+    it('should remove markers and the map listener when disabled', () => {
+        const view = buildView(3);
+        view.setNodeSelectionMode(true, 'pickup');
+        view.setNodeSelectionMode(false);
+
+        assert.strictEqual(view.selectableNodes.length, 0);
+        assert.strictEqual(view.map.layers.size, 0);
+        assert.strictEqual(view.map.handlers.click, undefined);
+    });
+});
+
+delete global.L;
+delete global.window;
+delete global.document;
+
+module.exports = getResults();
@@ -21,6 +21,15 @@ if (isNodeEnv) {
     TourDependency = Tour;
 }
 
+let TimeWindowDependency = null;
+if (isNodeEnv) {
+    TimeWindowDependency = require('./timeWindow');
+} else if (typeof window !== 'undefined' && window.TimeWindow) {
+    TimeWindowDependency = window.TimeWindow;
+} else if (typeof TimeWindow !== 'undefined') {
+    TimeWindowDependency = TimeWindow;
+}
+
 function getLegClass() {
     if (LegDependency) {
         return LegDependency;
@@ -49,6 +58,98 @@ function getTourClass() {
     throw new Error('Tour class is not available for ComputerTour');
 }
 
+/**
+ * Gets the TimeWindow class from dependencies (handles Node.js and Browser environments)
+ * Its parseTime is the one parser of the "HH:MM" times of the tours (departure, end of shift)
+ * @returns {Function} The TimeWindow constructor class
+ * @throws {Error} If TimeWindow class is not available in any environment
+ */
+function getTimeWindowClass() {
+    if (TimeWindowDependency) {
+        return TimeWindowDependency;
+    }
+    if (typeof globalThis !== 'undefined' && globalThis.TimeWindow) {
+        TimeWindowDependency = globalThis.TimeWindow;
+        return TimeWindowDependency;
+    }
+    throw new Error('TimeWindow class is not available for ComputerTour');
+}
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32)
+ * The same seed always gives the same sequence, which keeps the metaheuristic reproducible
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createRandomGenerator(seed) {
+    let state = (Number(seed) || 0) >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Solves the assignment problem (Hungarian algorithm, O(n^3))
+ * @param {Array<Array<number>>} costs - Square matrix, costs[i][j] cost of giving column j to row i
+ * @returns {number} Smallest total cost of a perfect assignment
+ */
+function solveAssignment(costs) {
+    const n = costs.length;
+    const rowPotential = new Float64Array(n + 1);
+    const columnPotential = new Float64Array(n + 1);
+    const rowOfColumn = new Int32Array(n + 1); // 1-based, 0: free
+    const way = new Int32Array(n + 1);
+
+    for (let row = 1; row <= n; row++) {
+        rowOfColumn[0] = row;
+        let column = 0;
+        const minSlack = new Float64Array(n + 1).fill(Infinity);
+        const used = new Uint8Array(n + 1);
+        do {
+            used[column] = 1;
+            const currentRow = rowOfColumn[column];
+            let delta = Infinity;
+            let nextColumn = 0;
+            for (let j = 1; j <= n; j++) {
+                if (used[j]) continue;
+                const slack = costs[currentRow - 1][j - 1] - rowPotential[currentRow] - columnPotential[j];
+                if (slack < minSlack[j]) {
+                    minSlack[j] = slack;
+                    way[j] = column;
+                }
+                if (minSlack[j] < delta) {
+                    delta = minSlack[j];
+                    nextColumn = j;
+                }
+            }
+            for (let j = 0; j <= n; j++) {
+                if (used[j]) {
+                    rowPotential[rowOfColumn[j]] += delta;
+                    columnPotential[j] -= delta;
+                } else {
+                    minSlack[j] -= delta;
+                }
+            }
+            column = nextColumn;
+        } while (rowOfColumn[column] !== 0);
+        do {
+            const previousColumn = way[column];
+            rowOfColumn[column] = rowOfColumn[previousColumn];
+            column = previousColumn;
+        } while (column !== 0);
+    }
+
+    let total = 0;
+    for (let j = 1; j <= n; j++) {
+        total += costs[rowOfColumn[j] - 1][j - 1];
+    }
+    return total;
+}
+
 class ComputerTour {
     /**
      * Constructor for the ComputerTour class
@@ -60,10 +161,32 @@ class ComputerTour {
         this.start = warehouseStart; // TourPoint
         this.tourPoints = new Set(); // Set<TourPoint>
         this.precedence = new Map(); // Map<TourPointDelivery, TourPointPickup>
-        this.tourPointGraphTimes = new Map(); // Map<string, number> - key: "fromNodeId_toNodeId"
-        this.tourPointGraphLegs = new Map(); // Map<string, Leg> - key: "fromNodeId_toNodeId"
+        this.tourPointGraphTimes = new Map(); // Map<string, number> - key: "fromPointId_toPointId"
+        this.tourPointGraphLegs = new Map(); // Map<string, Leg> - key: "fromPointId_toPointId"
         this.pathfindingAlgorithm = 'astar'; // Default to A* for better performance
-        this.tspStrategy = 'v1'; // Default to flexible strategy
+        this.tspStrategy = 'auto'; // Name of a registered solver (see ComputerTour.registerSolver)
+        this.solverOptions = {}; // { timeBudget, nodeLimit, seed } passed to the solver
+        this.lastSolverResult = null; // { solver, objective, tour, provedOptimal, runtime, explored, cost, bound, gap } of the last computeTSPTour
+        this.searchStats = null; // { explored, complete } of the last exact search (branch & bound or dynamic programming)
+        this.travelMatrixCache = null; // TravelMatrixCache shared across computations (optional)
+        this.departureTime = ComputerTour.DEFAULT_DEPARTURE_TIME; // "HH:MM" or "HH:MM:SS", start of the time window clock
+        this.timeWindowMode = 'soft'; // 'soft': lateness is penalized, 'hard': late tours are rejected
+        this.capacity = Infinity; // Bag volume of the courier in liters, set by fillTourPointStructures
+        this.shiftEnd = Infinity; // Latest return to the warehouse (seconds since midnight), set by setShift
+        this.maxWorkingTime = Infinity; // Longest tour of the courier in seconds, set by setShift
+        this.mergeColocatedStops = false; // Group the stops sharing a node into a single visit
+        this.objective = 'duration'; // Name of the minimized objective (see ComputerTour.objectives)
+        this.objectiveWeights = null; // Weights of the 'mix' objective
+        this.weights = null; // Weights of the objective, computed on first use by getObjectiveWeights
+        this.stopConstraints = null; // Pinned, locked and executed stops resolved by setStopConstraints, with the reference order
+    }
+
+    /**
+     * Sets the cache used to reuse routes between tour point nodes
+     * @param {TravelMatrixCache|null} cache
+     */
+    setTravelMatrixCache(cache) {
+        this.travelMatrixCache = cache || null;
     }
 
     /**
@@ -81,45 +204,263 @@ class ComputerTour {
 
     /**
      * Sets the TSP strategy to use
-     * @param {string} strategy - 'v0' (rigid), 'v1' (flexible), or 'v2' (nearest neighbor)
+     * @param {string} strategy - Name of a registered solver: 'auto' (default), 'v0' (rigid), 'v1' (branch & bound),
+     *   'v2' (nearest neighbor + 2-opt), or any solver added with ComputerTour.registerSolver
+     * @param {Object} options - Solver options, see setSolverOptions
      */
-    setTSPStrategy(strategy) {
-        if (['v0', 'v1', 'v2'].includes(strategy)) {
+    setTSPStrategy(strategy, options = null) {
+        if (ComputerTour.solvers.has(strategy)) {
             this.tspStrategy = strategy;
         } else {
-            console.warn(`Invalid TSP strategy: ${strategy}. Using default: v1`);
-            this.tspStrategy = 'v1';
+            console.warn(`Invalid TSP strategy: ${strategy}. Using default: auto`);
+            this.tspStrategy = 'auto';
+        }
+        if (options) {
+            this.setSolverOptions(options);
+        }
+    }
+
+    /**
+     * Sets the options passed to the solver
+     * @param {Object} options
+     * @param {number} options.timeBudget - Time budget in milliseconds (0: none); an interrupted search returns its best tour
+     * @param {number} options.nodeLimit - Largest number of search nodes explored (0: none)
+     * @param {number} options.seed - Seed of the randomized solvers, for reproducible results
+     */
+    setSolverOptions(options = {}) {
+        this.solverOptions = Object.assign({}, options);
+    }
+
+    /**
+     * Registers a TSP solver, which can then be picked with setTSPStrategy or computeTSPTour({ strategy })
+     * @param {string} name - Solver name
+     * @param {function(ComputerTour, Object): ({tour: Array<TourPoint>|null, provedOptimal: boolean, explored?: number, solver?: string, bound?: number}|Array<TourPoint>|null)} solve
+     *   Called once the tour point structures are filled, with the solver options. A solver knowing a better lower bound
+     *   than computeLowerBound can return it in bound
+     * @param {string} description - Label shown to the user
+     */
+    static registerSolver(name, solve, description = name) {
+        if (typeof solve !== 'function') {
+            throw new Error(`ComputerTour.registerSolver: solver ${name} is not a function`);
+        }
+        ComputerTour.solvers.set(name, { name, solve, description });
+    }
+
+    /**
+     * Lists the registered solvers
+     * @returns {Array<{name: string, description: string}>}
+     */
+    static getSolvers() {
+        return Array.from(ComputerTour.solvers.values()).map(({ name, description }) => ({ name, description }));
+    }
+
+    /**
+     * Sets the departure time of the tour from the warehouse
+     * @param {string} time - Departure time "HH:MM" or "H:M:S" (as in the request files), kept as "HH:MM",
+     *   or "HH:MM:SS" when the seconds are not 0
+     */
+    setDepartureTime(time) {
+        const TimeWindowClass = getTimeWindowClass();
+        const seconds = typeof time === 'string' ? TimeWindowClass.parseTime(time) : NaN;
+        if (Number.isFinite(seconds)) {
+            this.departureTime = TimeWindowClass.formatTime(seconds, seconds % 60 !== 0);
+        } else {
+            console.warn(`Invalid departure time: ${time}. Using default: ${ComputerTour.DEFAULT_DEPARTURE_TIME}`);
+            this.departureTime = ComputerTour.DEFAULT_DEPARTURE_TIME;
+        }
+    }
+
+    /**
+     * Sets how time windows are enforced
+     * @param {string} mode - 'soft' (lateness penalized by LATENESS_PENALTY) or 'hard' (no late service allowed)
+     */
+    setTimeWindowMode(mode) {
+        if (mode === 'soft' || mode === 'hard') {
+            this.timeWindowMode = mode;
+        } else {
+            console.warn(`Invalid time window mode: ${mode}. Using default: soft`);
+            this.timeWindowMode = 'soft';
+        }
+    }
+
+    /**
+     * Sets the bag volume the running load must stay under
+     * @param {number|null} capacity - Volume in liters (null or 0: unlimited)
+     */
+    setCapacity(capacity) {
+        this.capacity = capacity > 0 ? capacity : Infinity;
+    }
+
+    /**
+     * Sets the shift of the courier, a hard constraint of every solver: the tour must be back at the warehouse
+     * before the end of the shift and last at most the maximum working time
+     * @param {string|null} shiftEnd - End of the shift "HH:MM" or "HH:MM:SS" (null: none)
+     * @param {number|null} maxWorkingTime - Maximum working time in seconds (null or 0: unlimited)
+     * @throws {Error} If the end of the shift is malformed (e.g. "25:99" or "8h")
+     */
+    setShift(shiftEnd = null, maxWorkingTime = null) {
+        const end = getTimeWindowClass().parseTime(shiftEnd);
+        if (Number.isNaN(end)) {
+            throw new Error(`ComputerTour.setShift: invalid end of shift ${shiftEnd}`);
+        }
+        this.shiftEnd = end === null ? Infinity : end;
+        this.maxWorkingTime = maxWorkingTime > 0 ? maxWorkingTime : Infinity;
+    }
+
+    /**
+     * Latest time the courier may be back at the warehouse: end of the shift, or departure plus the maximum working time
+     * @returns {number} Seconds since midnight, Infinity without shift
+     */
+    getShiftDeadline() {
+        return Math.min(this.shiftEnd, this.getDepartureSeconds() + this.maxWorkingTime);
+    }
+
+    /**
+     * Sets the objective minimized by the solvers
+     * @param {string} objective - Name in ComputerTour.objectives: 'duration', 'distance', 'travelTime', 'makespan', 'lateness' or 'mix'
+     * @param {Object|null} weights - For 'mix': { distance, travelTime, duration, lateness } weights (non-negative),
+     *   missing ones default to the 'duration' objective
+     */
+    setObjective(objective, weights = null) {
+        if (ComputerTour.objectives[objective]) {
+            this.objective = objective;
+        } else {
+            console.warn(`Invalid objective: ${objective}. Using default: duration`);
+            this.objective = 'duration';
         }
+        this.objectiveWeights = weights ? Object.assign({}, weights) : null;
+        this.weights = null;
+    }
+
+    /**
+     * Returns the weights of the tour metrics in the current objective
+     * @returns {{distance: number, travelTime: number, duration: number, lateness: number}}
+     *   per meter, per second of travel, per second of tour duration and per second of lateness
+     */
+    getObjectiveWeights() {
+        if (!this.weights) {
+            const weights = Object.assign({ distance: 0, travelTime: 0, duration: 0, lateness: 0 },
+                ComputerTour.objectives[this.objective].weights(this.objectiveWeights || {}));
+            for (const key of Object.keys(weights)) {
+                weights[key] = Math.max(0, Number(weights[key]) || 0);
+            }
+            this.weights = weights;
+        }
+        return this.weights;
+    }
+
+    /**
+     * Sets the pinned stops, locked blocks and executed prefix the solvers must respect
+     * @param {StopConstraints|null} constraints - null or empty: every order is allowed
+     * @param {Array<TourPoint>|null} referenceStops - Current order of the tour points, warehouse first and last; it is kept
+     *   when no solver finds an order respecting the constraints
+     */
+    setStopConstraints(constraints, referenceStops = null) {
+        if (!constraints || constraints.isEmpty() || !referenceStops) {
+            this.stopConstraints = null;
+            return;
+        }
+        this.stopConstraints = Object.assign(constraints.resolve(referenceStops), { reference: referenceStops.slice() });
+    }
+
+    /**
+     * Tells whether a tour point may follow another one at a position of the tour (see StopConstraints.resolve)
+     * @param {number} position - Position of point in the tour, the warehouse being at 0
+     * @param {TourPoint} lastPoint
+     * @param {TourPoint} point
+     * @returns {boolean}
+     * @private
+     */
+    canAppend(position, lastPoint, point) {
+        return !this.stopConstraints || this.stopConstraints.canAppend(position, lastPoint, point);
+    }
+
+    /**
+     * Checks that an ordered sequence of tour points (warehouse first and last) respects the stop constraints
+     * @param {Array<TourPoint>} points
+     * @returns {boolean}
+     */
+    respectsStopConstraints(points) {
+        if (!this.stopConstraints) return true;
+        for (let i = 1; i < points.length; i++) {
+            if (!this.stopConstraints.canAppend(i, points[i - 1], points[i])) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Enables grouping the stops that share a node into a single visit (see groupColocatedStops)
+     * @param {boolean} enabled
+     */
+    setMergeColocatedStops(enabled) {
+        this.mergeColocatedStops = !!enabled;
     }
 
     /**
      * Computes a complete tour from an array of pickup/delivery pairs
      * @param {Array<[TourPoint, TourPoint]>} pickupDeliveryPairs - Array of [TourPointPickup, TourPointDelivery] pairs
      * @param {Courier} courier - The courier assigned to this tour
-     * @returns {Tour|null}
+     * @param {Object} options - Solver options for this call ({ strategy, timeBudget, nodeLimit, seed, objective, objectiveWeights }), see solve,
+     *   mergeColocatedStops to override setMergeColocatedStops, departureTime to override setDepartureTime,
+     *   shiftEnd and maxWorkingTime to override the shift of the courier (null: none)
+     * @returns {Tour|null} null when no tour respects the constraints, the shift included
      */
-    computeTour(pickupDeliveryPairs, courier) {
+    computeTour(pickupDeliveryPairs, courier, options = {}) {
+        if (options.departureTime !== undefined) {
+            this.setDepartureTime(options.departureTime);
+        }
+        this.setShift(
+            options.shiftEnd !== undefined ? options.shiftEnd : (courier && courier.shiftEnd) || null,
+            options.maxWorkingTime !== undefined ? options.maxWorkingTime : (courier && courier.maxWorkingTime) || null
+        );
         // 1. Fill internal data structures
         let fillStartTime = Date.now();
-        const success = this.fillTourPointStructures(pickupDeliveryPairs);
+        const success = this.fillTourPointStructures(pickupDeliveryPairs, courier);
         if (!success) {
             return null;
         }
+        const oversized = pickupDeliveryPairs.find(([pickup]) => pickup.getLoadChange() > this.capacity);
+        if (oversized) {
+            console.error(`ComputerTour.computeTour: demand ${oversized[0].demand.id} does not fit in the courier's bag`);
+            return null;
+        }
         let fillTime = (Date.now() - fillStartTime) / 1000;
         console.log(`Tour point structures filled in ${fillTime.toFixed(2)} seconds`);
 
         // 2. Compute the TSP tour
         let TSPStartTime = Date.now();
-        const tspTour = this.computeTSPTour();
+        let tspTour = this.computeTSPTour(options);
         if (!tspTour) {
             return null;
         }
+        const mergeColocatedStops = options.mergeColocatedStops !== undefined ? !!options.mergeColocatedStops : this.mergeColocatedStops;
+        if (mergeColocatedStops) {
+            tspTour = this.groupColocatedStops(tspTour);
+            const result = this.lastSolverResult;
+            result.tour = tspTour;
+            result.cost = this.evaluateSequence(tspTour).cost;
+            result.gap = ComputerTour.computeGap(result.cost, result.bound);
+        }
         let tspTime = (Date.now() - TSPStartTime) / 1000;
-        console.log(`TSP tour computed in ${tspTime.toFixed(2)} seconds`);
+        const { solver, provedOptimal } = this.lastSolverResult;
+        console.log(`TSP tour computed in ${tspTime.toFixed(2)} seconds (${solver}${provedOptimal ? ', optimal' : ''})`);
 
         // 3. Compute the complete tour with all details
         let CompleteStartTime = Date.now();
         const completeTour = this.computeCompleteTour(tspTour, courier);
+        if (completeTour) {
+            completeTour.solverInfo = {
+                solver: solver,
+                objective: this.lastSolverResult.objective,
+                provedOptimal: provedOptimal,
+                runtime: this.lastSolverResult.runtime,
+                explored: this.lastSolverResult.explored,
+                cost: this.lastSolverResult.cost,
+                bound: this.lastSolverResult.bound,
+                gap: this.lastSolverResult.gap
+            };
+            completeTour.mergeColocatedStops = mergeColocatedStops;
+        }
         let completeTime = (Date.now() - CompleteStartTime) / 1000;
         console.log(`Complete tour computed in ${completeTime.toFixed(2)} seconds`);
         return completeTour;
@@ -128,10 +469,15 @@ class ComputerTour {
     /**
      * Fills the internal tour point data structures
      * @param {Array<[TourPoint, TourPoint]>} pickupDeliveryPairs - Array of [TourPointPickup, TourPointDelivery] pairs
+     * @param {Courier|null} courier - Courier whose speed factor applies to the travel times and whose capacity bounds the load
      * @returns {boolean} - True if successful, false if no path exists
      * @private
      */
-    fillTourPointStructures(pickupDeliveryPairs) {
+    fillTourPointStructures(pickupDeliveryPairs, courier = null) {
+        if (courier) {
+            this.setCapacity(courier.capacity);
+        }
+
         // Clear existing data (security), except the warehouse start point and plan.
         this.tourPoints.clear();
         this.precedence.clear();
@@ -150,6 +496,18 @@ class ComputerTour {
         const allTourPoints = Array.from(this.tourPoints);
         allTourPoints.push(this.start); // Include the warehouse start point
         const LegClass = getLegClass();
+        const speedModel = this.plan.getSpeedModel();
+        const targetIds = allTourPoints.map(point => point.node.id);
+
+        // One one-to-many search per distinct start node (co-located tour points share it)
+        const pathsByStart = new Map();
+        for (const fromPoint of allTourPoints) {
+            const startKey = String(fromPoint.node.id);
+            if (!pathsByStart.has(startKey)) {
+                pathsByStart.set(startKey, this.getRoutesFrom(fromPoint.node.id, targetIds));
+            }
+        }
+
         // Get all pairs of tour points (including the warehouse)
         for (let i = 0; i < allTourPoints.length; i++) {
             for (let j = 0; j < allTourPoints.length; j++) {
@@ -157,12 +515,12 @@ class ComputerTour {
                     const fromPoint = allTourPoints[i];
                     const toPoint = allTourPoints[j];
 
-                    // Compute shortest path between fromPoint.node and toPoint.node using configured algorithm
-                    const pathResult = this.findShortestPath(fromPoint.node.id, toPoint.node.id, this.pathfindingAlgorithm);
+                    const paths = pathsByStart.get(String(fromPoint.node.id));
+                    const pathResult = paths ? paths.get(String(toPoint.node.id)) : null;
                     if (!pathResult) {
                         return false; // No path exists between these points
                     }
-                    const travelTime = Math.ceil(pathResult.distance / (15000 / 3600)); // 15 km/h = 15000m/3600s
+                    const travelTime = speedModel.courierTravelTime(pathResult.travelTime, courier);
                     const leg = new LegClass(fromPoint, toPoint, pathResult.path, pathResult.segments, pathResult.distance, travelTime);
                     // Store in the maps with string key
                     const key = this.getKey(fromPoint, toPoint);
@@ -175,249 +533,467 @@ class ComputerTour {
     }
 
     /**
-     * Generates a unique key for a pair of tour points
-     * @param {TourPoint} fromPoint - The starting tour point
-     * @param {TourPoint} toPoint - The ending tour point
-     * @returns {string} - The key in format "fromNodeId_toNodeId"
+     * Fills the internal tour point data structures to insert a pickup/delivery pair into a computed tour
+     * The legs of the tour are reused; only the routes between its stops and the new points are searched
+     * @param {Tour} tour - Computed tour, warehouse first and last
+     * @param {TourPoint} pickup - New pickup
+     * @param {TourPoint} delivery - New delivery
+     * @param {Courier|null} courier - Courier whose speed factor applies to the new travel times
+     * @returns {boolean} - True if successful, false if no path exists
      * @private
      */
-    getKey(fromPoint, toPoint) {
-        return `${fromPoint.node.id}_${toPoint.node.id}`;
-    }
+    fillInsertionStructures(tour, pickup, delivery, courier = null) {
+        this.tourPoints.clear();
+        this.precedence.clear();
+        this.tourPointGraphTimes.clear();
+        this.tourPointGraphLegs.clear();
 
-    /**
-     * A* algorithm implementation for shortest path with euclidean heuristic
-     * @param {string|number} startId - Starting node ID
-     * @param {string|number} endId - Destination node ID
-     * @returns {Object} { pathIds: Array<string>, distance: number, segments: Array<Segment> } or null if no path exists
-     * @private
-     */
-    aStarShortestPath(startId, endId) {
-        // Validate nodes exist
-        if (!this.plan.nodes.has(startId) || !this.plan.nodes.has(endId)) {
-            return null;
+        const stops = tour.stops;
+        const pickups = new Map(); // demand -> pickup of the tour
+        for (const stop of stops.slice(1, -1)) {
+            this.tourPoints.add(stop);
+            if (stop.type === 'PICKUP') pickups.set(stop.demand, stop);
         }
+        for (const stop of stops) {
+            if (stop.type === 'DELIVERY' && pickups.has(stop.demand)) {
+                this.precedence.set(stop, pickups.get(stop.demand));
+            }
+        }
+        this.tourPoints.add(pickup);
+        this.tourPoints.add(delivery);
+        this.precedence.set(delivery, pickup);
 
-        const startNode = this.plan.nodes.get(startId);
-        const endNode = this.plan.nodes.get(endId);
-
-        // Euclidean distance heuristic
-        const heuristic = (nodeId) => {
-            const node = this.plan.nodes.get(nodeId);
-            const dx = node.longitude - endNode.longitude;
-            const dy = node.latitude - endNode.latitude;
-            // Convert to approximate meters (rough approximation for Lyon area)
-            const latToMeters = 111000; // 1 degree latitude ≈ 111 km
-            const lonToMeters = latToMeters * Math.cos(node.latitude * Math.PI / 180);
-            return Math.sqrt((dx * lonToMeters) ** 2 + (dy * latToMeters) ** 2);
+        const LegClass = getLegClass();
+        const speedModel = this.plan.getSpeedModel();
+        const routesByStart = new Map();
+        const addLeg = (fromPoint, toPoint) => {
+            const routes = routesByStart.get(String(fromPoint.node.id));
+            const route = routes ? routes.get(String(toPoint.node.id)) : null;
+            if (!route) return false;
+            const travelTime = speedModel.courierTravelTime(route.travelTime, courier);
+            const key = this.getKey(fromPoint, toPoint);
+            this.tourPointGraphTimes.set(key, travelTime);
+            this.tourPointGraphLegs.set(key, new LegClass(fromPoint, toPoint, route.path, route.segments, route.distance, travelTime));
+            return true;
         };
 
-        // Initialize A* data structures
-        const openSet = new Set([startId]);
-        const closedSet = new Set();
-        const gScore = new Map(); // Actual distance from start
-        const fScore = new Map(); // gScore + heuristic
-        const previous = new Map();
-
-        // Initialize all nodes
-        this.plan.nodes.forEach((node, id) => {
-            gScore.set(id, id == startId ? 0 : Infinity);
-            fScore.set(id, id == startId ? heuristic(startId) : Infinity);
-            previous.set(id, null);
-        });
-
-        while (openSet.size > 0) {
-            // Find node in openSet with lowest fScore
-            let currentId = null;
-            let minFScore = Infinity;
-            openSet.forEach(id => {
-                if (fScore.get(id) < minFScore) {
-                    minFScore = fScore.get(id);
-                    currentId = id;
-                }
-            });
-
-            // If no valid node found
-            if (currentId === null) {
-                return null;
+        // Legs of the tour, routed again only when missing
+        const missing = [];
+        for (let i = 0; i < stops.length - 1; i++) {
+            const leg = tour.legs[i];
+            if (leg && leg.from === stops[i] && leg.to === stops[i + 1]) {
+                const key = this.getKey(stops[i], stops[i + 1]);
+                this.tourPointGraphTimes.set(key, leg.travelTime);
+                this.tourPointGraphLegs.set(key, leg);
+            } else {
+                missing.push(i);
             }
+        }
 
-            // If we reached the destination
-            if (currentId == endId) {
-                break;
+        // One search from each new point to every stop, and one from each stop node to the new points
+        const newIds = [pickup.node.id, delivery.node.id];
+        const allIds = newIds.concat(stops.map(stop => stop.node.id));
+        for (const point of [pickup, delivery]) {
+            routesByStart.set(String(point.node.id), this.getRoutesFrom(point.node.id, allIds));
+        }
+        stops.forEach((stop, index) => {
+            const startKey = String(stop.node.id);
+            const targets = missing.includes(index) ? newIds.concat([stops[index + 1].node.id]) : newIds;
+            const known = routesByStart.get(startKey);
+            if (!known || targets.some(id => !known.has(String(id)))) {
+                const routes = this.getRoutesFrom(stop.node.id, targets);
+                routesByStart.set(startKey, known && routes ? new Map([...known, ...routes]) : routes);
             }
+        });
 
-            // Move current from open to closed set
-            openSet.delete(currentId);
-            closedSet.add(currentId);
-
-            // Check all neighbors
-            const neighbors = this.plan.getNeighbors(currentId);
-            neighbors.forEach(neighborId => {
-                // Skip if already evaluated
-                if (closedSet.has(neighborId)) return;
-
-                // Find segment connecting current to neighbor
-                const segment = this.plan.segments.find(s =>
-                    (s.origin.id == currentId && s.destination.id == neighborId) ||
-                    (s.destination.id == currentId && s.origin.id == neighborId)
-                );
+        for (const index of missing) {
+            if (!addLeg(stops[index], stops[index + 1])) return false;
+        }
+        for (const stop of stops) {
+            for (const point of [pickup, delivery]) {
+                if (!addLeg(stop, point) || !addLeg(point, stop)) return false;
+            }
+        }
+        return addLeg(pickup, delivery);
+    }
 
-                if (!segment) return;
+    /**
+     * Takes the settings of a computed tour: departure time, capacity and shift of its courier and objective
+     * @param {Tour} tour
+     * @param {Object} options - objective and objectiveWeights (default: the objective recorded on the tour)
+     * @returns {Courier|null} The courier of the tour
+     * @private
+     */
+    useTourSettings(tour, options = {}) {
+        const previousInfo = tour.solverInfo || {};
+        const objective = options.objective !== undefined ? options.objective : (previousInfo.objective || this.objective);
+        this.setObjective(objective, options.objectiveWeights || null);
+        if (tour.departureTime) {
+            this.setDepartureTime(tour.departureTime);
+        }
+        const courier = tour.courier || null;
+        if (courier) {
+            this.setCapacity(courier.capacity);
+            this.setShift(courier.shiftEnd || null, courier.maxWorkingTime || null);
+        }
+        return courier;
+    }
 
-                // Calculate tentative gScore
-                const tentativeGScore = gScore.get(currentId) + segment.length;
+    /**
+     * Inserts a demand into a computed tour at the cheapest feasible positions of its pickup and delivery
+     * The other stops keep their order and only the legs around the new points change, so a courier already
+     * on the road keeps the rest of the route.
+     * @param {Tour} tour - Computed tour, warehouse first and last
+     * @param {TourPoint} pickup - Pickup of the new demand
+     * @param {TourPoint} delivery - Delivery of the new demand
+     * @param {Object} options - objective and objectiveWeights (default: the objective recorded on the tour)
+     * @returns {{tour: Tour, cost: number, increase: number, pickupIndex: number, deliveryIndex: number}|null}
+     *   A new tour (same id) with its cost and the increase of the cost in the unit of the objective,
+     *   null if no positions respect the capacity, the shift of the courier and the hard time windows
+     */
+    insertDemand(tour, pickup, delivery, options = {}) {
+        const startTime = Date.now();
+        const previousInfo = tour.solverInfo || {};
+        const courier = this.useTourSettings(tour, options);
+        if (pickup.getLoadChange() > this.capacity) {
+            console.error(`ComputerTour.insertDemand: demand ${pickup.demand.id} does not fit in the courier's bag`);
+            return null;
+        }
 
-                // Add to open set if not already there
-                if (!openSet.has(neighborId)) {
-                    openSet.add(neighborId);
-                } else if (tentativeGScore >= gScore.get(neighborId)) {
-                    // Not a better path
-                    return;
+        const stops = tour.stops;
+        this.start = stops[0];
+        if (!this.fillInsertionStructures(tour, pickup, delivery, courier)) {
+            console.error('ComputerTour.insertDemand: no path between the tour and the new demand');
+            return null;
+        }
+        // The new stops may not move a pinned stop nor enter a block or the executed prefix
+        this.setStopConstraints(tour.constraints || null, stops);
+
+        // Pickup before stops[i], delivery before stops[j] (i <= j), never after the return to the warehouse
+        const hardWindows = this.timeWindowMode === 'hard';
+        const before = this.evaluateSequence(stops).cost;
+        let best = null;
+        let bestCost = Infinity;
+        let explored = 0;
+        for (let i = 1; i < stops.length; i++) {
+            for (let j = i; j < stops.length; j++) {
+                const candidate = stops.slice(0, i).concat([pickup], stops.slice(i, j), [delivery], stops.slice(j));
+                explored++;
+                if (!this.respectsCapacity(candidate) || !this.respectsStopConstraints(candidate)) continue;
+                const evaluation = this.evaluateSequence(candidate);
+                if ((hardWindows && !evaluation.feasible) || evaluation.overtime > 0) continue;
+                if (evaluation.cost < bestCost) {
+                    bestCost = evaluation.cost;
+                    best = { sequence: candidate, pickupIndex: i, deliveryIndex: j + 1 };
                 }
-
-                // This is the best path so far, record it
-                previous.set(neighborId, currentId);
-                gScore.set(neighborId, tentativeGScore);
-                fScore.set(neighborId, tentativeGScore + heuristic(neighborId));
-            });
+            }
         }
-
-        // Reconstruct path with IDs
-        const pathIds = [];
-        let current = endId;
-        while (current !== null) {
-            pathIds.unshift(current);
-            current = previous.get(current);
+        if (!best) {
+            console.error('ComputerTour.insertDemand: no position respects the constraints');
+            return null;
         }
 
-        // If path doesn't start at startId, no path exists
-        if (pathIds[0] != startId) {
+        const newTour = this.computeCompleteTour(best.sequence, courier);
+        if (!newTour) {
             return null;
         }
+        newTour.id = tour.id;
+        newTour.mergeColocatedStops = !!tour.mergeColocatedStops;
+        newTour.constraints = tour.constraints || null;
+
+        // Removing the new demand from any tour never makes it longer (routes are shortest paths),
+        // so a bound of the previous tour for the same objective still holds
+        const sameObjective = (previousInfo.objective || 'duration') === this.objective && this.objective !== 'mix';
+        const bound = sameObjective && typeof previousInfo.bound === 'number' ? Math.min(previousInfo.bound, bestCost) : null;
+        newTour.solverInfo = {
+            solver: 'insertion',
+            objective: this.objective,
+            provedOptimal: false,
+            runtime: Date.now() - startTime,
+            explored,
+            cost: bestCost,
+            bound,
+            gap: bound === null ? null : ComputerTour.computeGap(bestCost, bound)
+        };
+        return {
+            tour: newTour,
+            cost: bestCost,
+            increase: bestCost - before,
+            pickupIndex: best.pickupIndex,
+            deliveryIndex: best.deliveryIndex
+        };
+    }
 
-        // Get segments along the path
-        const pathSegments = [];
-        for (let i = 0; i < pathIds.length - 1; i++) {
-            const segment = this.plan.segments.find(s =>
-                (s.origin.id == pathIds[i] && s.destination.id == pathIds[i + 1]) ||
-                (s.destination.id == pathIds[i] && s.origin.id == pathIds[i + 1])
-            );
-            if (segment) {
-                pathSegments.push(segment);
+    /**
+     * Removes the pickup and delivery of a demand from a computed tour
+     * The other stops keep their order and their legs; only the pairs of stops that become adjacent are routed.
+     * With options.improve, a local search (see improveSequence) then reorders the stops of this tour, which needs
+     * the routes between all its stops (from the travel matrix cache when it is set).
+     * @param {Tour} tour - Computed tour, warehouse first and last
+     * @param {number|string} demandId - ID of the removed demand
+     * @param {Object} options - improve (boolean), timeBudget of the local search in milliseconds,
+     *   objective and objectiveWeights (default: the objective recorded on the tour)
+     * @returns {{tour: Tour, cost: number, decrease: number|null}|null} A new tour (same id), its cost and the decrease
+     *   of the cost in the unit of the objective, null if the demand is not in the tour or a route is missing
+     */
+    removeDemand(tour, demandId, options = {}) {
+        const startTime = Date.now();
+        const stops = tour.stops;
+        const isRemoved = (stop) => !!stop.demand && String(stop.demand.id) === String(demandId);
+        if (!stops.some(isRemoved)) {
+            return null;
+        }
+        const courier = this.useTourSettings(tour, options);
+
+        // A loaded tour has two warehouse points: the first one closes the new tour
+        this.start = stops[0];
+        const remaining = stops.slice(1, -1).filter(stop => !isRemoved(stop));
+        let sequence = [this.start, ...remaining, this.start];
+        const constraints = tour.constraints ? tour.constraints.follow(sequence) : null;
+
+        if (options.improve) {
+            const pickups = new Map();
+            remaining.forEach(stop => { if (stop.type === 'PICKUP') pickups.set(stop.demand, stop); });
+            const pairs = remaining
+                .filter(stop => stop.type === 'DELIVERY' && pickups.has(stop.demand))
+                .map(delivery => [pickups.get(delivery.demand), delivery]);
+            if (!this.fillTourPointStructures(pairs, courier)) {
+                console.error('ComputerTour.removeDemand: no path between the remaining stops');
+                return null;
             }
+        } else {
+            this.tourPoints.clear();
+            remaining.forEach(stop => this.tourPoints.add(stop));
+            this.precedence.clear();
+            this.tourPointGraphTimes.clear();
+            this.tourPointGraphLegs.clear();
         }
 
+        // Legs of the tour, kept for the arcs that do not change
+        const legsMatch = tour.legs.length === stops.length - 1
+            && tour.legs.every((leg, index) => leg && leg.from === stops[index] && leg.to === stops[index + 1]);
+        if (legsMatch) {
+            tour.legs.forEach((leg, index) => {
+                const key = this.getKey(stops[index], stops[index + 1]);
+                this.tourPointGraphTimes.set(key, leg.travelTime);
+                this.tourPointGraphLegs.set(key, leg);
+            });
+        }
+        const previousCost = legsMatch ? this.evaluateSequence(stops).cost : null;
+
+        let explored = null;
+        if (options.improve) {
+            this.setStopConstraints(constraints, sequence);
+            const improvement = this.improveSequence(sequence, options);
+            sequence = improvement.sequence;
+            explored = improvement.explored;
+        }
+
+        // Routes the new adjacent pairs
+        const newTour = this.computeCompleteTour(sequence, courier);
+        if (!newTour) {
+            return null;
+        }
+        const cost = this.evaluateSequence(sequence).cost;
+        newTour.id = tour.id;
+        newTour.mergeColocatedStops = !!tour.mergeColocatedStops;
+        newTour.constraints = constraints;
+
+        // The lower bound needs the routes between all the stops
+        const bound = options.improve ? Math.min(this.computeLowerBound(), cost) : null;
+        newTour.solverInfo = {
+            solver: options.improve ? 'removal+local' : 'removal',
+            objective: this.objective,
+            provedOptimal: false,
+            runtime: Date.now() - startTime,
+            explored,
+            cost,
+            bound,
+            gap: bound === null ? null : ComputerTour.computeGap(cost, bound)
+        };
         return {
-            pathIds: pathIds,
-            distance: gScore.get(endId),
-            segments: pathSegments
+            tour: newTour,
+            cost,
+            decrease: previousCost === null ? null : previousCost - cost
         };
     }
 
     /**
-     * Dijkstra algorithm implementation for shortest path
-     * @param {string|number} startId - Starting node ID
-     * @param {string|number} endId - Destination node ID
-     * @returns {Object} { pathIds: Array<string>, distance: number, segments: Array<Segment> } or null if no path exists
-     * @private
+     * Optimizes the order of the stops of a computed tour again, keeping its pinned stops, locked blocks and executed
+     * prefix (tour.constraints) in place; only the free stops are reordered
+     * @param {Tour} tour - Computed tour, warehouse first and last
+     * @param {Object} options - Solver options (see computeTour), objective and objectiveWeights
+     *   (default: the objective recorded on the tour)
+     * @returns {Tour|null} A new tour (same id and constraints), null if a route is missing
      */
-    dijkstraShortestPath(startId, endId) {
-        // Validate nodes exist
-        if (!this.plan.nodes.has(startId) || !this.plan.nodes.has(endId)) {
+    reoptimizeTour(tour, options = {}) {
+        const courier = this.useTourSettings(tour, options);
+        this.start = tour.stops[0];
+        const stops = tour.stops.slice(1, -1);
+        const pickups = new Map();
+        stops.forEach(stop => { if (stop.type === 'PICKUP') pickups.set(stop.demand, stop); });
+        const pairs = stops
+            .filter(stop => stop.type === 'DELIVERY' && pickups.has(stop.demand))
+            .map(delivery => [pickups.get(delivery.demand), delivery]);
+
+        this.setStopConstraints(tour.constraints || null, [this.start, ...stops, this.start]);
+        const newTour = this.computeTour(pairs, courier,
+            Object.assign({ mergeColocatedStops: !!tour.mergeColocatedStops }, options, { objective: this.objective }));
+        this.setStopConstraints(null);
+        if (!newTour) {
             return null;
         }
+        newTour.id = tour.id;
+        newTour.constraints = tour.constraints || null;
+        return newTour;
+    }
 
-        // Initialize distances and previous nodes
-        const distances = new Map();
-        const previous = new Map();
-        const unvisited = new Set();
+    /**
+     * Improves an ordered sequence of the filled tour points with 2-opt (reverse a chain of stops) and or-opt
+     * (move a chain of 1 to 3 stops) moves, applying the first move that lowers the cost of evaluateSequence
+     * and keeps the precedence, the capacity, the stop constraints, the shift (no more overtime than the given sequence)
+     * and (hard mode) the time windows, until no move improves it
+     * @param {Array<TourPoint>} points - Ordered tour points, warehouse first and last
+     * @param {Object} options - timeBudget in milliseconds (0: none)
+     * @returns {{sequence: Array<TourPoint>, explored: number}} The improved sequence and the number of moves evaluated
+     */
+    improveSequence(points, options = {}) {
+        const deadline = options.timeBudget > 0 ? Date.now() + options.timeBudget : Infinity;
+        const hardWindows = this.timeWindowMode === 'hard';
+        const respectsPrecedence = (sequence) => {
+            const seen = new Set();
+            for (const point of sequence) {
+                if (this.precedence.has(point) && !seen.has(this.precedence.get(point))) return false;
+                seen.add(point);
+            }
+            return true;
+        };
 
-        // Set all distances to infinity except start node
-        this.plan.nodes.forEach((node, id) => {
-            distances.set(id, id == startId ? 0 : Infinity);
-            previous.set(id, null);
-            unvisited.add(id);
-        });
+        let sequence = points.slice();
+        let { cost, overtime } = this.evaluateSequence(sequence);
+        let explored = 0;
+        const tryCandidate = (candidate) => {
+            explored++;
+            if (!respectsPrecedence(candidate) || !this.respectsCapacity(candidate)) return false;
+            if (!this.respectsStopConstraints(candidate)) return false;
+            const evaluation = this.evaluateSequence(candidate);
+            if (evaluation.cost >= cost - 1e-9 || (hardWindows && !evaluation.feasible)) return false;
+            if (evaluation.overtime > overtime) return false;
+            sequence = candidate;
+            ({ cost, overtime } = evaluation);
+            return true;
+        };
 
-        while (unvisited.size > 0) {
-            // Find unvisited node with minimum distance
-            let currentId = null;
-            let minDistance = Infinity;
-            unvisited.forEach(id => {
-                if (distances.get(id) < minDistance) {
-                    minDistance = distances.get(id);
-                    currentId = id;
+        const n = sequence.length;
+        let improved = true;
+        while (improved && Date.now() <= deadline) {
+            improved = false;
+            // 2-opt: reverse the stops i..j
+            for (let i = 1; i < n - 2 && !improved; i++) {
+                for (let j = i + 1; j < n - 1 && !improved; j++) {
+                    improved = tryCandidate(sequence.slice(0, i).concat(sequence.slice(i, j + 1).reverse(), sequence.slice(j + 1)));
                 }
-            });
-
-            // If no path exists
-            if (currentId === null || minDistance === Infinity) {
-                return null;
             }
-
-            // Remove current from unvisited
-            unvisited.delete(currentId);
-
-            // If we reached the destination
-            if (currentId == endId) {
-                break;
+            // or-opt: move the chain of stops from..from+length-1 before the stop at position to of the rest
+            for (let length = 1; length <= 3 && !improved; length++) {
+                for (let from = 1; from + length < n && !improved; from++) {
+                    const chain = sequence.slice(from, from + length);
+                    const rest = sequence.slice(0, from).concat(sequence.slice(from + length));
+                    for (let to = 1; to < rest.length && !improved; to++) {
+                        if (to === from) continue;
+                        improved = tryCandidate(rest.slice(0, to).concat(chain, rest.slice(to)));
+                    }
+                }
             }
+        }
+        return { sequence, explored };
+    }
 
-            // Check all neighbors
-            const neighbors = this.plan.getNeighbors(currentId);
-            neighbors.forEach(neighborId => {
-                if (!unvisited.has(neighborId)) return;
-
-                // Find segment connecting current to neighbor
-                const segment = this.plan.segments.find(s =>
-                    (s.origin.id == currentId && s.destination.id == neighborId) ||
-                    (s.destination.id == currentId && s.origin.id == neighborId)
-                );
-
-                if (!segment) return;
+    /**
+     * Returns the routes from one node to the target nodes
+     * Routes found in the travel matrix cache are reused; only the missing ones are searched (and then cached)
+     * @param {string|number} startId - Starting node ID
+     * @param {Array<string|number>} targetIds - Destination node IDs
+     * @returns {Map<string, RouteResult>|null} Routes keyed by string target ID, null if the start node is not in the plan
+     * @private
+     */
+    getRoutesFrom(startId, targetIds) {
+        if (!this.travelMatrixCache) {
+            return this.dijkstraOneToMany(startId, targetIds);
+        }
 
-                // Calculate new distance
-                const newDistance = distances.get(currentId) + segment.length;
+        const routes = new Map();
+        const missingIds = new Map(); // string key -> target ID
+        targetIds.forEach(id => {
+            const key = String(id);
+            if (routes.has(key) || missingIds.has(key)) return;
+            const cached = this.travelMatrixCache.getRoute(this.plan, startId, id);
+            if (cached) {
+                routes.set(key, cached);
+            } else {
+                missingIds.set(key, id);
+            }
+        });
 
-                // Update if shorter path found
-                if (newDistance < distances.get(neighborId)) {
-                    distances.set(neighborId, newDistance);
-                    previous.set(neighborId, currentId);
-                }
+        if (missingIds.size > 0) {
+            const computed = this.dijkstraOneToMany(startId, Array.from(missingIds.values()));
+            if (!computed) {
+                return null;
+            }
+            computed.forEach((route, key) => {
+                routes.set(key, route);
+                this.travelMatrixCache.setRoute(this.plan, startId, missingIds.get(key), route);
             });
         }
+        return routes;
+    }
 
-        // Reconstruct path with IDs
-        const pathIds = [];
-        let current = endId;
-        while (current !== null) {
-            pathIds.unshift(current);
-            current = previous.get(current);
-        }
+    /**
+     * Generates a unique key for a pair of tour points
+     * Keys use the tour point IDs, not the node IDs: points sharing a node (two pickups at the same restaurant,
+     * a delivery at the warehouse) keep their own legs
+     * @param {TourPoint} fromPoint - The starting tour point
+     * @param {TourPoint} toPoint - The ending tour point
+     * @returns {string} - The key in format "fromPointId_toPointId"
+     * @private
+     */
+    getKey(fromPoint, toPoint) {
+        return `${fromPoint.id}_${toPoint.id}`;
+    }
 
-        // If path doesn't start at startId, no path exists
-        if (pathIds[0] != startId) {
-            return null;
-        }
+    /**
+     * A* algorithm implementation for shortest path with euclidean heuristic
+     * @param {string|number} startId - Starting node ID
+     * @param {string|number} endId - Destination node ID
+     * @returns {RouteResult|null} { path, pathIds, segments, distance, travelTime, cost } or null if no path exists
+     * @private
+     */
+    aStarShortestPath(startId, endId) {
+        return this.plan.getRouter().shortestPath(startId, endId, { algorithm: 'astar' });
+    }
 
-        // Get segments along the path
-        const pathSegments = [];
-        for (let i = 0; i < pathIds.length - 1; i++) {
-            const segment = this.plan.segments.find(s =>
-                (s.origin.id == pathIds[i] && s.destination.id == pathIds[i + 1]) ||
-                (s.destination.id == pathIds[i] && s.origin.id == pathIds[i + 1])
-            );
-            if (segment) {
-                pathSegments.push(segment);
-            }
-        }
+    /**
+     * Dijkstra algorithm implementation for shortest path
+     * @param {string|number} startId - Starting node ID
+     * @param {string|number} endId - Destination node ID
+     * @returns {RouteResult|null} { path, pathIds, segments, distance, travelTime, cost } or null if no path exists
+     * @private
+     */
+    dijkstraShortestPath(startId, endId) {
+        return this.plan.getRouter().shortestPath(startId, endId, { algorithm: 'dijkstra' });
+    }
 
-        return {
-            pathIds: pathIds,
-            distance: distances.get(endId),
-            segments: pathSegments
-        };
+    /**
+     * One-to-many Dijkstra: shortest paths from one node to every target node
+     * The search stops as soon as all targets are settled
+     * @param {string|number} startId - Starting node ID
+     * @param {Array<string|number>} targetIds - Destination node IDs
+     * @returns {Map<string, RouteResult>|null} Routes keyed by string target ID (unreachable targets are absent),
+     *          null if the start node is not in the plan
+     * @private
+     */
+    dijkstraOneToMany(startId, targetIds) {
+        return this.plan.getRouter().shortestPathsFrom(startId, targetIds);
     }
 
     /**
@@ -425,53 +1001,266 @@ class ComputerTour {
      * @param {string|number} startId - Starting node ID
      * @param {string|number} endId - Destination node ID
      * @param {string} algorithm - Algorithm to use: 'dijkstra' or 'astar' (default: 'astar')
-     * @returns {Object} { path: Array<Node>, distance: number, segments: Array<Segment> } or null if no path exists
+     * @returns {RouteResult|null} { path: Array<Node>, pathIds, segments: Array<Segment>, distance, travelTime, cost } or null if no path exists
      * @private
      */
     findShortestPath(startId, endId, algorithm = 'astar') {
-        let algorithmResult;
-
         if (algorithm === 'astar') {
-            algorithmResult = this.aStarShortestPath(startId, endId);
-        } else if (algorithm === 'dijkstra') {
-            algorithmResult = this.dijkstraShortestPath(startId, endId);
-        } else {
-            console.warn(`Unknown algorithm: ${algorithm}, falling back to A*`);
-            algorithmResult = this.aStarShortestPath(startId, endId);
+            return this.aStarShortestPath(startId, endId);
+        }
+        if (algorithm === 'dijkstra') {
+            return this.dijkstraShortestPath(startId, endId);
         }
+        console.warn(`Unknown algorithm: ${algorithm}, falling back to A*`);
+        return this.aStarShortestPath(startId, endId);
+    }
 
-        if (!algorithmResult) {
-            return null;
+    /**
+     * Tells whether at least one tour point has a time window
+     * @returns {boolean}
+     * @private
+     */
+    hasTimeWindows() {
+        for (const point of this.tourPoints) {
+            if (point.getTimeWindow && point.getTimeWindow()) return true;
         }
+        return false;
+    }
+
+    /**
+     * Returns the departure time in seconds since midnight
+     * @returns {number}
+     * @private
+     */
+    getDepartureSeconds() {
+        return getTimeWindowClass().parseTime(this.departureTime);
+    }
 
-        // Convert IDs to Node objects
-        const path = algorithmResult.pathIds.map(id => this.plan.nodes.get(id));
+    /**
+     * Moves the clock to the end of the service at a tour point
+     * @param {number} time - Time the courier leaves the previous point (seconds since midnight)
+     * @param {TourPoint} point - Next tour point
+     * @param {number} travelTime - Travel time to the point in seconds
+     * @returns {{start: number, time: number, lateness: number}} Service start, departure from the point and lateness
+     * @private
+     */
+    visitPoint(time, point, travelTime) {
+        const arrival = time + travelTime;
+        const timeWindow = point.getTimeWindow ? point.getTimeWindow() : null;
+        const start = timeWindow ? arrival + timeWindow.waitingTime(arrival) : arrival;
+        const lateness = timeWindow ? timeWindow.lateness(start) : 0;
+        return { start, time: start + (point.serviceDuration || 0), lateness };
+    }
+
+    /**
+     * Moves the clock from one tour point to the end of the service at the next one and prices the step
+     * @param {number} time - Time the courier leaves fromPoint (seconds since midnight)
+     * @param {TourPoint} fromPoint
+     * @param {TourPoint} toPoint
+     * @returns {{start: number, time: number, lateness: number, travelTime: number, distance: number, cost: number}|null}
+     *   The visit of toPoint, the travel time and distance of the leg and the objective cost of the step (null without leg)
+     * @private
+     */
+    stepTo(time, fromPoint, toPoint) {
+        const key = this.getKey(fromPoint, toPoint);
+        const travelTime = this.tourPointGraphTimes.get(key);
+        if (travelTime === undefined) return null;
+        const leg = this.tourPointGraphLegs.get(key);
+        const distance = leg && typeof leg.distance === 'number' ? leg.distance : 0;
+        const visit = this.visitPoint(time, toPoint, travelTime);
+        const weights = this.getObjectiveWeights();
+        const cost = weights.duration * (visit.time - time) + weights.travelTime * travelTime
+            + weights.distance * distance + weights.lateness * visit.lateness;
+        return Object.assign(visit, { travelTime, distance, cost });
+    }
 
+    /**
+     * Objective cost of the arc between two tour points, without waiting, service and lateness
+     * @param {TourPoint} fromPoint
+     * @param {TourPoint} toPoint
+     * @returns {number} Infinity without leg
+     * @private
+     */
+    getArcCost(fromPoint, toPoint) {
+        const key = this.getKey(fromPoint, toPoint);
+        const travelTime = this.tourPointGraphTimes.get(key);
+        if (travelTime === undefined) return Infinity;
+        const leg = this.tourPointGraphLegs.get(key);
+        const distance = leg && typeof leg.distance === 'number' ? leg.distance : 0;
+        const weights = this.getObjectiveWeights();
+        return (weights.duration + weights.travelTime) * travelTime + weights.distance * distance;
+    }
+
+    /**
+     * Evaluates an ordered sequence of tour points (warehouse first and last) against the time windows
+     * @param {Array<TourPoint>} points
+     * @returns {{duration: number, distance: number, travelTime: number, lateness: number, overtime: number, cost: number, feasible: boolean}}
+     *   duration in seconds (travel, service and waiting), distance in meters, travel time and total lateness in seconds,
+     *   overtime: seconds past the shift deadline (see getShiftDeadline),
+     *   cost in the unit of the objective (duration + LATENESS_PENALTY * lateness by default), feasible = no lateness
+     */
+    evaluateSequence(points) {
+        const departure = this.getDepartureSeconds();
+        let time = departure;
+        let distance = 0;
+        let travelTime = 0;
+        let lateness = 0;
+        let cost = 0;
+        for (let i = 1; i < points.length; i++) {
+            const step = this.stepTo(time, points[i - 1], points[i]);
+            if (!step) {
+                return { duration: Infinity, distance: Infinity, travelTime: Infinity, lateness: Infinity, overtime: Infinity, cost: Infinity, feasible: false };
+            }
+            time = step.time;
+            distance += step.distance;
+            travelTime += step.travelTime;
+            lateness += step.lateness;
+            cost += step.cost;
+        }
         return {
-            path: path,
-            distance: algorithmResult.distance,
-            segments: algorithmResult.segments
+            duration: time - departure,
+            distance,
+            travelTime,
+            lateness,
+            overtime: Math.max(0, time - this.getShiftDeadline()),
+            cost,
+            feasible: lateness === 0
         };
     }
 
     /**
-     * Computes the TSP (Traveling Salesman Problem) tour
+     * Checks that a sequence of tour points (warehouse first and last) is back at the warehouse before the shift deadline
+     * @param {Array<TourPoint>} points
+     * @returns {boolean}
+     */
+    respectsShift(points) {
+        return this.getShiftDeadline() === Infinity || this.evaluateSequence(points).overtime === 0;
+    }
+
+    /**
+     * Checks that the load onboard never exceeds the capacity along a sequence of tour points
+     * @param {Array<TourPoint>} points
+     * @returns {boolean}
+     */
+    respectsCapacity(points) {
+        if (this.capacity === Infinity) return true;
+        let load = 0;
+        for (const point of points) {
+            load += point.getLoadChange ? point.getLoadChange() : 0;
+            if (load > this.capacity) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Computes the TSP (Traveling Salesman Problem) tour with the selected solver
+     * @param {Object} options - Overrides for this call: strategy (solver name), timeBudget, nodeLimit, seed
      * @returns {Array<TourPoint>|null}
      * @private
      */
-    // Version 0 : Give a random order (respecting the precedence constraints)
-    // Version 1 : Compute all permutations (inefficient for large sets)
-    // Version 2 : Constraints & Branch and Bound
-    // Version 3 : Heuristic approaches for selecting the order of visits,
-    // by selecting the nearest unvisited point at each step.
-    computeTSPTour() {
-        const pointCount = this.tourPoints.size;
-        
-        if (pointCount <= 16) {
-            return this.computeTSPTourV1();
-        } else {
-            return this.computeTSPTourV2();
+    computeTSPTour(options = {}) {
+        return this.solve(options).tour;
+    }
+
+    /**
+     * Runs a registered solver on the filled tour point structures
+     * @param {Object} options - Overrides for this call: strategy (solver name), timeBudget, nodeLimit, seed,
+     *   objective and objectiveWeights (see setObjective)
+     * @returns {{solver: string, objective: string, tour: Array<TourPoint>|null, provedOptimal: boolean, runtime: number,
+     *   explored: number|null, cost: number|null, bound: number, gap: number|null}}
+     *   Also kept in lastSolverResult; runtime in milliseconds, cost as given by evaluateSequence (the optimal cost when provedOptimal),
+     *   bound a lower bound on the cost of every tour and gap = (cost - bound) / cost in percent
+     */
+    solve(options = {}) {
+        const settings = Object.assign({}, this.solverOptions, options);
+        const name = settings.strategy || this.tspStrategy;
+        const solver = ComputerTour.solvers.get(name);
+        if (!solver) {
+            throw new Error(`ComputerTour.solve: unknown TSP strategy ${name}`);
+        }
+        if (settings.objective !== undefined) {
+            this.setObjective(settings.objective, settings.objectiveWeights || null);
+        }
+
+        const startTime = Date.now();
+        let result = solver.solve(this, settings);
+        if (Array.isArray(result) || !result) {
+            result = { tour: result || null, provedOptimal: false };
+        }
+        // Contradictory stop constraints: the current order of the tour is kept
+        const reference = this.stopConstraints ? this.stopConstraints.reference : null;
+        if (reference && (!result.tour || !this.respectsStopConstraints(result.tour))) {
+            console.warn('ComputerTour.solve: no order respects the stop constraints, the current order is kept');
+            result = { tour: reference, provedOptimal: false, explored: result.explored, solver: `${result.solver || name}+reference` };
+        }
+        // The shift is a hard constraint, whatever the solver
+        if (result.tour && !this.respectsShift(result.tour)) {
+            console.error(`ComputerTour.solve: no tour found within the shift of the courier (${name})`);
+            result = { tour: null, provedOptimal: false, explored: result.explored, solver: result.solver };
         }
+
+        const runtime = Date.now() - startTime;
+        const provedOptimal = !!result.provedOptimal && !!result.tour;
+        const cost = result.tour ? this.evaluateSequence(result.tour).cost : null;
+
+        // A proved optimum is its own bound; the bound never exceeds the cost (rounding of the relaxation)
+        let bound = Math.max(this.computeLowerBound(), typeof result.bound === 'number' ? result.bound : 0);
+        if (cost !== null) {
+            bound = provedOptimal ? cost : Math.min(bound, cost);
+        }
+
+        this.lastSolverResult = {
+            solver: result.solver || name,
+            objective: this.objective,
+            tour: result.tour,
+            provedOptimal,
+            runtime,
+            explored: typeof result.explored === 'number' ? result.explored : null,
+            cost,
+            bound,
+            gap: ComputerTour.computeGap(cost, bound)
+        };
+        return this.lastSolverResult;
+    }
+
+    /**
+     * Lower bound on the cost of every tour of the filled tour points, in the measure of evaluateSequence
+     * Service durations are fixed and waiting and lateness are never negative, so the bound adds the weighted service
+     * durations to the assignment relaxation of the arc costs: every point gets one successor (subtours allowed), without
+     * the arcs no tour can use (warehouse to a delivery, pickup to the warehouse, delivery to its own pickup)
+     * @returns {number} Lower bound in the unit of the objective
+     */
+    computeLowerBound() {
+        const points = [this.start, ...Array.from(this.tourPoints)];
+        let services = this.start.serviceDuration || 0; // service at the return to the warehouse
+        for (const point of this.tourPoints) {
+            services += point.serviceDuration || 0;
+        }
+        const bound = this.getObjectiveWeights().duration * services;
+        if (points.length < 2) return bound;
+
+        const costs = points.map((from, i) => points.map((to, j) => {
+            if (i === j) return ComputerTour.FORBIDDEN_ARC_COST;
+            if (i === 0 && this.precedence.has(to)) return ComputerTour.FORBIDDEN_ARC_COST;
+            if (j === 0 && !this.precedence.has(from)) return ComputerTour.FORBIDDEN_ARC_COST;
+            if (this.precedence.get(from) === to) return ComputerTour.FORBIDDEN_ARC_COST;
+            const arcCost = this.getArcCost(from, to);
+            return Number.isFinite(arcCost) ? arcCost : ComputerTour.FORBIDDEN_ARC_COST;
+        }));
+        const travel = solveAssignment(costs);
+        return travel < ComputerTour.FORBIDDEN_ARC_COST ? bound + travel : bound;
+    }
+
+    /**
+     * Optimality gap of a cost with respect to a lower bound
+     * @param {number|null} cost
+     * @param {number} bound
+     * @returns {number|null} (cost - bound) / cost in percent, null without cost
+     */
+    static computeGap(cost, bound) {
+        if (cost === null || !Number.isFinite(cost)) return null;
+        if (cost <= 0) return 0;
+        return Math.max(0, (cost - bound) / cost * 100);
     }
 
     /**
@@ -490,50 +1279,73 @@ class ComputerTour {
         return finalPath;
     }
 
-    computeTSPTourV1() {
+    /**
+     * Version 1 : Branch and Bound on the objective cost, cheapest arcs first
+     * Stops at the time budget or node limit and keeps the best tour found so far;
+     * searchStats tells whether the search was complete (the tour is then optimal)
+     * @param {Object} options
+     * @param {number} options.timeBudget - Time budget in milliseconds (0: none)
+     * @param {number} options.nodeLimit - Largest number of search nodes explored (0: none)
+     * @returns {Array<TourPoint>|null}
+     * @private
+     */
+    computeTSPTourV1(options = {}) {
         let bestTour = null;
-        let bestDistance = Infinity;
+        let bestCost = Infinity;
+
+        // Search budget
+        const deadline = options.timeBudget > 0 ? Date.now() + options.timeBudget : Infinity;
+        const nodeLimit = options.nodeLimit > 0 ? options.nodeLimit : Infinity;
+        let explored = 0;
+        let stopped = false;
 
         // Convert tourPoints Set to Array with indices
         const tourPointsArray = [this.start, ...Array.from(this.tourPoints)];
 
-        // Precompute cheap lower-bound helpers
-        const minOutgoingTime = new Map();
-        const returnToStartTime = new Map();
+        // Precompute cheap lower-bound helpers: waiting, service and lateness only add to the arc costs
+        const minOutgoingCost = new Map();
+        const returnToStartCost = new Map();
 
         for (const fromPoint of tourPointsArray) {
             let bestOut = Infinity;
             for (const toPoint of tourPointsArray) {
                 if (fromPoint === toPoint) continue;
-                const key = this.getKey(fromPoint, toPoint);
-                const travelTime = this.tourPointGraphTimes.get(key);
-                if (travelTime !== undefined && travelTime < bestOut) {
-                    bestOut = travelTime;
-                }
+                bestOut = Math.min(bestOut, this.getArcCost(fromPoint, toPoint));
             }
-            minOutgoingTime.set(fromPoint, bestOut);
-
-            const backKey = this.getKey(fromPoint, this.start);
-            returnToStartTime.set(fromPoint, this.tourPointGraphTimes.get(backKey) ?? Infinity);
+            minOutgoingCost.set(fromPoint, bestOut);
+            returnToStartCost.set(fromPoint, this.getArcCost(fromPoint, this.start));
         }
 
-        const enumerate = (currentPath, visited, currentDuration) => {
+        // Time windows: the clock includes service and waiting times, lateness is penalized (soft) or forbidden (hard)
+        const hardWindows = this.timeWindowMode === 'hard';
+        const departure = this.getDepartureSeconds();
+        const startService = this.start.serviceDuration || 0;
+        // Shift: the clock only moves forward, so a stop left after the deadline ends the branch
+        const shiftDeadline = this.getShiftDeadline();
+
+        const enumerate = (currentPath, visited, currentTime, currentCost, currentLoad) => {
+            explored++;
+            if (explored > nodeLimit || ((explored & 255) === 0 && Date.now() > deadline)) {
+                stopped = true;
+                return;
+            }
             const lastPoint = currentPath[currentPath.length - 1];
 
             // If all points visited, check if we can return to warehouse
             if (visited.size === tourPointsArray.length) {
-                const returnKey = this.getKey(lastPoint, this.start);
-                const returnTime = this.tourPointGraphTimes.get(returnKey);
-                const totalDuration = currentDuration + returnTime;
+                if (!this.canAppend(currentPath.length, lastPoint, this.start)) return;
+                const returnStep = this.stepTo(currentTime, lastPoint, this.start);
+                if (!returnStep || (hardWindows && returnStep.lateness > 0) || returnStep.time > shiftDeadline) return;
+                const totalCost = currentCost + returnStep.cost;
 
-                if (totalDuration < bestDistance) {
-                    bestDistance = totalDuration;
+                if (totalCost < bestCost) {
+                    bestCost = totalCost;
                     bestTour = [...currentPath, this.start];
                 }
                 return;
             }
 
-            // Collect valid candidates with their travel times
+            // Collect valid candidates with their arc costs
             const candidates = [];
             for (let i = 1; i < tourPointsArray.length; i++) {
                 const nextPoint = tourPointsArray[i];
@@ -547,56 +1359,72 @@ class ComputerTour {
                     if (!visited.has(requiredPickup)) continue;
                 }
 
-                const key = this.getKey(lastPoint, nextPoint);
-                const travelTime = this.tourPointGraphTimes.get(key);
-                if (travelTime === undefined) continue;
-                candidates.push({ point: nextPoint, travelTime });
+                // Check capacity: the bag must have room for a pickup
+                if (currentLoad + nextPoint.getLoadChange() > this.capacity) continue;
+
+                // Check pinned positions and locked blocks
+                if (!this.canAppend(currentPath.length, lastPoint, nextPoint)) continue;
+
+                const arcCost = this.getArcCost(lastPoint, nextPoint);
+                if (!Number.isFinite(arcCost)) continue;
+                candidates.push({ point: nextPoint, arcCost });
             }
 
-            // Sort by travel time - nearest point first
-            candidates.sort((a, b) => a.travelTime - b.travelTime);
+            // Sort by arc cost - cheapest point first
+            candidates.sort((a, b) => a.arcCost - b.arcCost);
 
-            // Try each candidate in order (nearest first)
-            for (const { point: nextPoint, travelTime } of candidates) {
-                const newDuration = currentDuration + travelTime;
+            // Try each candidate in order (cheapest first)
+            for (const { point: nextPoint } of candidates) {
+                const step = this.stepTo(currentTime, lastPoint, nextPoint);
+                if ((hardWindows && step.lateness > 0) || step.time > shiftDeadline) continue;
+                const newCost = currentCost + step.cost;
 
                 // Prune if already worse than best
-                if (newDuration >= bestDistance) continue;
+                if (newCost >= bestCost) continue;
 
-                // Optimistic lower bound: add minimal exits for unvisited points and best return to start
-                let optimistic = newDuration + returnToStartTime.get(nextPoint);
+                // Optimistic lower bound: every point still to leave (nextPoint and the unvisited ones) leaves by its
+                // cheapest arc; only the last point of the tour is known to go back to the start
+                const isLast = visited.size + 1 === tourPointsArray.length;
+                let optimistic = newCost + (isLast ? returnToStartCost.get(nextPoint) : minOutgoingCost.get(nextPoint));
                 for (let i = 1; i < tourPointsArray.length; i++) {
                     const candidatePoint = tourPointsArray[i];
                     if (candidatePoint === nextPoint || visited.has(candidatePoint)) continue;
-                    optimistic += minOutgoingTime.get(candidatePoint);
+                    optimistic += minOutgoingCost.get(candidatePoint);
                 }
-                if (optimistic >= bestDistance) continue;
+                if (optimistic >= bestCost) continue;
 
                 // Branch: explore this path
                 visited.add(nextPoint);
                 currentPath.push(nextPoint);
 
-                enumerate(currentPath, visited, newDuration);
+                enumerate(currentPath, visited, step.time, newCost, currentLoad + nextPoint.getLoadChange());
 
                 // Backtrack
                 currentPath.pop();
                 visited.delete(nextPoint);
+
+                if (stopped) return;
             }
         };
 
         // Start enumeration from warehouse
         const initialVisited = new Set([this.start]);
-        enumerate([this.start], initialVisited, 0);
+        enumerate([this.start], initialVisited, departure + startService, this.getObjectiveWeights().duration * startService, 0);
 
+        this.searchStats = { explored: Math.min(explored, nodeLimit), complete: !stopped };
         return bestTour;
     }
 
     /**
      * Version 2 : Gleedy Nearest Neighbor with precedence constraints
+     * @param {Object} options
+     * @param {number} options.timeBudget - Time budget in milliseconds for the 2-opt improvement (0: none)
      * @returns {Array<TourPoint>|null}
      * @private
      */
-    computeTSPTourV2() {
+    computeTSPTourV2(options = {}) {
+        const deadline = options.timeBudget > 0 ? Date.now() + options.timeBudget : Infinity;
+
         // Step 1: Build an initial tour via nearest neighbor respecting precedence
         const path = [];
         path.push(this.start);
@@ -605,6 +1433,9 @@ class ComputerTour {
         const visitedPickups = new Set();
         let currentPoint = this.start;
         const allPoints = Array.from(this.tourPoints);
+        const withTimeWindows = this.hasTimeWindows();
+        let currentTime = this.getDepartureSeconds() + (this.start.serviceDuration || 0);
+        let currentLoad = 0;
 
         while (visited.size < allPoints.length) {
             let best = null;
@@ -619,8 +1450,16 @@ class ComputerTour {
                     if (!visitedPickups.has(requiredPickup)) continue;
                 }
 
-                const key = this.getKey(currentPoint, point);
-                const cost = this.tourPointGraphTimes.get(key) ?? Infinity;
+                // Capacity: the bag must have room for a pickup
+                if (currentLoad + point.getLoadChange() > this.capacity) continue;
+
+                // Pinned positions and locked blocks
+                if (!this.canAppend(path.length, currentPoint, point)) continue;
+
+                // Nearest for the objective: waiting for a window counts, and being late costs the penalty
+                const step = this.stepTo(currentTime, currentPoint, point);
+                if (!step) continue;
+                const cost = step.cost - this.getObjectiveWeights().duration * (point.serviceDuration || 0);
                 if (cost < bestCost) { bestCost = cost; best = point; }
             }
 
@@ -629,6 +1468,8 @@ class ComputerTour {
                 return null;
             }
 
+            currentTime = this.stepTo(currentTime, currentPoint, best).time;
+            currentLoad += best.getLoadChange();
             path.push(best);
             visited.add(best);
             if (!this.precedence.has(best)) {
@@ -641,9 +1482,7 @@ class ComputerTour {
         // Helper: get symmetric arc cost between two points
         const arcCost = (a, b) => {
             if (!a || !b) return Infinity;
-            const key = this.getKey(a, b);
-            const t = this.tourPointGraphTimes.get(key);
-            return typeof t === 'number' ? t : Infinity;
+            return this.getArcCost(a, b);
         };
 
         // Helper: check precedence validity of a full path
@@ -674,8 +1513,13 @@ class ComputerTour {
 
         // Step 2: Greedy local search (2-opt) to improve path cost
         // We keep endpoints `start` fixed: indices 0 and path.length-1
+        // With time windows, a reversal changes every later arrival: candidates are evaluated on the whole sequence
+        // Within a shift, a reversal may not add overtime
+        let currentCost = withTimeWindows ? this.evaluateSequence(path).cost : 0;
+        const withShift = this.getShiftDeadline() < Infinity;
+        let currentOvertime = withShift ? this.evaluateSequence(path).overtime : 0;
         let improved = true;
-        while (improved) {
+        while (improved && Date.now() <= deadline) {
             improved = false;
             let bestDelta = 0;
             let bestI = -1;
@@ -692,18 +1536,26 @@ class ComputerTour {
                     const c = path[j];
                     const d = path[j + 1];
 
-                    const currentCost = arcCost(a, b) + arcCost(c, d);
+                    const arcsCost = arcCost(a, b) + arcCost(c, d);
                     const swappedCost = arcCost(a, c) + arcCost(b, d);
-                    const delta = swappedCost - currentCost;
-                    if (delta >= -1e-9) continue; // not improving
+                    let delta = swappedCost - arcsCost;
+                    if (!withTimeWindows && delta >= -1e-9) continue; // not improving
 
                     // Build candidate path by reversing segment [i..j]
                     const candidate = path.slice(0, i)
                         .concat(path.slice(i, j + 1).reverse())
                         .concat(path.slice(j + 1));
 
-                    // Check precedence validity
+                    // Check precedence, capacity and stop constraints validity
                     if (!respectsPrecedence(candidate)) continue;
+                    if (!this.respectsCapacity(candidate)) continue;
+                    if (!this.respectsStopConstraints(candidate)) continue;
+                    if (withShift && this.evaluateSequence(candidate).overtime > currentOvertime) continue;
+
+                    if (withTimeWindows) {
+                        delta = this.evaluateSequence(candidate).cost - currentCost;
+                        if (delta >= -1e-9) continue;
+                    }
 
                     // Greedy: pick the most improving pair in this iteration
                     if (delta < bestDelta) {
@@ -722,12 +1574,416 @@ class ComputerTour {
                     .concat(path.slice(bestJ + 1));
                 path.length = 0;
                 Array.prototype.push.apply(path, newPath);
+                currentCost += bestDelta;
+                if (withShift) currentOvertime = this.evaluateSequence(path).overtime;
             }
         }
 
+        if (withTimeWindows && this.timeWindowMode === 'hard' && !this.evaluateSequence(path).feasible) {
+            console.error('ComputerTour.computeTSPTourV2: No order found that respects all time windows');
+            return null;
+        }
+
         return path;
     }
 
+    /**
+     * Version 3 : Simulated annealing over precedence-preserving moves, starting from the Version 2 tour
+     * Each iteration applies one move (relocate a pair, swap two pairs, or-opt of 1 to 3 points,
+     * or ruin and recreate of a few pairs with pair-aware cheapest insertion) and accepts it with the annealing rule.
+     * The result only depends on the seed as long as the time budget is not reached.
+     * @param {Object} options
+     * @param {number} options.seed - Seed of the random generator (default 1)
+     * @param {number} options.iterations - Number of moves tried (default METAHEURISTIC_ITERATIONS)
+     * @param {number} options.timeBudget - Time budget in milliseconds (default METAHEURISTIC_TIME_BUDGET)
+     * @returns {Array<TourPoint>|null}
+     * @private
+     */
+    computeTSPTourV3(options = {}) {
+        const timeBudget = options.timeBudget > 0 ? options.timeBudget : ComputerTour.METAHEURISTIC_TIME_BUDGET;
+        const deadline = Date.now() + timeBudget;
+        const iterations = options.iterations > 0 ? options.iterations : ComputerTour.METAHEURISTIC_ITERATIONS;
+        const random = createRandomGenerator(options.seed !== undefined ? options.seed : 1);
+        const randomInt = (n) => Math.floor(random() * n);
+
+        const withTimeWindows = this.hasTimeWindows();
+        const pairs = Array.from(this.precedence.entries()).map(([delivery, pickup]) => ({ pickup, delivery }));
+        const time = (a, b) => this.getArcCost(a, b);
+        const fullPath = (sequence) => [this.start, ...sequence, this.start];
+
+        // Cost of a sequence (warehouse excluded): arc costs, or the evaluated cost when windows exist;
+        // a complete sequence ending after the shift deadline costs Infinity
+        const sequenceCost = (sequence) => {
+            if (!this.respectsCapacity(sequence) || !this.respectsStopConstraints(fullPath(sequence))) return Infinity;
+            if (sequence.length === this.tourPoints.size && !this.respectsShift(fullPath(sequence))) return Infinity;
+            if (withTimeWindows) return this.evaluateSequence(fullPath(sequence)).cost;
+            let cost = 0;
+            let previous = this.start;
+            for (const point of sequence) {
+                cost += time(previous, point);
+                previous = point;
+            }
+            return cost + time(previous, this.start);
+        };
+
+        // Pair-aware cheapest insertion: pickup before sequence[i], delivery before sequence[j] (i <= j)
+        const insertPair = (sequence, pickup, delivery) => {
+            let best = null;
+            let bestCost = Infinity;
+            const n = sequence.length;
+            for (let i = 0; i <= n; i++) {
+                for (let j = i; j <= n; j++) {
+                    let cost;
+                    if (withTimeWindows) {
+                        cost = 0;
+                    } else {
+                        // Added arc cost, the rest of the sequence is unchanged
+                        const before = i === 0 ? this.start : sequence[i - 1];
+                        const after = i === n ? this.start : sequence[i];
+                        if (i === j) {
+                            cost = time(before, pickup) + time(pickup, delivery) + time(delivery, after) - time(before, after);
+                        } else {
+                            const beforeDelivery = sequence[j - 1];
+                            const afterDelivery = j === n ? this.start : sequence[j];
+                            cost = time(before, pickup) + time(pickup, after) - time(before, after)
+                                + time(beforeDelivery, delivery) + time(delivery, afterDelivery) - time(beforeDelivery, afterDelivery);
+                        }
+                        if (cost >= bestCost) continue;
+                    }
+                    const candidate = sequence.slice(0, i).concat([pickup], sequence.slice(i, j), [delivery], sequence.slice(j));
+                    if (withTimeWindows) {
+                        cost = sequenceCost(candidate);
+                    } else if (!this.respectsCapacity(candidate)) {
+                        continue;
+                    }
+                    // Positions are only known once every point is back in the sequence
+                    if (candidate.length === this.tourPoints.size && !this.respectsStopConstraints(fullPath(candidate))) continue;
+                    if (cost < bestCost) {
+                        bestCost = cost;
+                        best = candidate;
+                    }
+                }
+            }
+            return best;
+        };
+
+        const respectsPrecedence = (sequence) => {
+            const seen = new Set();
+            for (const point of sequence) {
+                if (this.precedence.has(point) && !seen.has(this.precedence.get(point))) return false;
+                seen.add(point);
+            }
+            return true;
+        };
+
+        // Moves: each returns a new sequence respecting precedence, or null
+        const relocatePair = (sequence) => {
+            const { pickup, delivery } = pairs[randomInt(pairs.length)];
+            return insertPair(sequence.filter(point => point !== pickup && point !== delivery), pickup, delivery);
+        };
+
+        const swapPairs = (sequence) => {
+            if (pairs.length < 2) return null;
+            const first = pairs[randomInt(pairs.length)];
+            const second = pairs[randomInt(pairs.length)];
+            if (first === second) return null;
+            // Each pickup takes the place of the other pickup, same for the deliveries: precedence is kept
+            const swapped = new Map([
+                [first.pickup, second.pickup], [second.pickup, first.pickup],
+                [first.delivery, second.delivery], [second.delivery, first.delivery]
+            ]);
+            return sequence.map(point => swapped.get(point) || point);
+        };
+
+        const orOpt = (sequence) => {
+            const length = 1 + randomInt(Math.min(3, sequence.length));
+            const from = randomInt(sequence.length - length + 1);
+            const chain = sequence.slice(from, from + length);
+            const rest = sequence.slice(0, from).concat(sequence.slice(from + length));
+            const to = randomInt(rest.length + 1);
+            if (to === from) return null;
+            const candidate = rest.slice(0, to).concat(chain, rest.slice(to));
+            return respectsPrecedence(candidate) ? candidate : null;
+        };
+
+        const ruinAndRecreate = (sequence) => {
+            const count = 1 + randomInt(Math.max(1, Math.ceil(pairs.length * ComputerTour.METAHEURISTIC_RUIN_SHARE)));
+            const removed = [];
+            const remaining = pairs.slice();
+            while (removed.length < count && remaining.length > 0) {
+                removed.push(remaining.splice(randomInt(remaining.length), 1)[0]);
+            }
+            const removedPoints = new Set();
+            removed.forEach(({ pickup, delivery }) => { removedPoints.add(pickup); removedPoints.add(delivery); });
+            let candidate = sequence.filter(point => !removedPoints.has(point));
+            for (const { pickup, delivery } of removed) {
+                candidate = insertPair(candidate, pickup, delivery);
+                if (!candidate) return null;
+            }
+            return candidate;
+        };
+
+        const moves = [relocatePair, swapPairs, orOpt, ruinAndRecreate];
+
+        // Initial solution: Version 2, or cheapest insertion of every pair when it finds none,
+        // or the reference order when the stop constraints rule out both
+        const initialTour = this.computeTSPTourV2({ timeBudget: timeBudget / 4 });
+        let current = initialTour ? initialTour.slice(1, -1) : [];
+        if (!initialTour && this.stopConstraints) {
+            current = this.stopConstraints.reference.slice(1, -1);
+        } else if (!initialTour) {
+            for (const { pickup, delivery } of pairs) {
+                current = insertPair(current, pickup, delivery);
+                if (!current) {
+                    console.error('ComputerTour.computeTSPTourV3: No initial tour respecting the capacity');
+                    return null;
+                }
+            }
+        }
+        let currentCost = sequenceCost(current);
+        let best = current;
+        let bestCost = currentCost;
+
+        // Annealing: a move 1% worse than the initial tour is first accepted half of the time,
+        // the temperature then decreases geometrically down to a thousandth of that
+        let temperature = Number.isFinite(currentCost) && currentCost > 0 ? 0.01 * currentCost / Math.LN2 : 1;
+        const cooling = Math.pow(0.001, 1 / iterations);
+
+        if (pairs.length > 0) {
+            for (let iteration = 0; iteration < iterations; iteration++) {
+                if ((iteration & 15) === 0 && Date.now() > deadline) break;
+
+                const candidate = moves[randomInt(moves.length)](current);
+                temperature *= cooling;
+                if (!candidate) continue;
+
+                const candidateCost = sequenceCost(candidate);
+                if (!Number.isFinite(candidateCost)) continue;
+                const delta = candidateCost - currentCost;
+                if (delta < 0 || random() < Math.exp(-delta / temperature)) {
+                    current = candidate;
+                    currentCost = candidateCost;
+                    if (currentCost < bestCost - 1e-9) {
+                        best = current;
+                        bestCost = currentCost;
+                    }
+                }
+            }
+        }
+
+        const tour = fullPath(best);
+        if (withTimeWindows && this.timeWindowMode === 'hard' && !this.evaluateSequence(tour).feasible) {
+            console.error('ComputerTour.computeTSPTourV3: No order found that respects all time windows');
+            return null;
+        }
+        if (!this.respectsShift(tour)) {
+            console.error('ComputerTour.computeTSPTourV3: No order found within the shift of the courier');
+            return null;
+        }
+        return tour;
+    }
+
+    /**
+     * Version 4 : Held-Karp dynamic programming over the (visited demands, last point) states
+     * Each demand is not started, picked up or delivered, so only 3^n sets of visited points respect the
+     * pickup-before-delivery rule (instead of 4^n); the load onboard only depends on the set, so states over
+     * the capacity are dropped. Without time windows the tour is optimal for every objective; with hard windows it is
+     * optimal for the duration (waiting makes arriving earlier never worse), otherwise the recursion is an approximation
+     * (see dynamicProgrammingIsExact). The position of a point is the size of its set, so pinned stops and locked blocks
+     * are checked on each transition and keep the recursion exact.
+     * searchStats gives the optimal cost (same measure as evaluateSequence) and whether the search was complete.
+     * @param {Object} options
+     * @param {number} options.timeBudget - Time budget in milliseconds (0: none)
+     * @returns {Array<TourPoint>|null}
+     * @private
+     */
+    computeTSPTourV4(options = {}) {
+        const pairs = Array.from(this.precedence.entries()).map(([delivery, pickup]) => ({ pickup, delivery }));
+        const demandCount = pairs.length;
+        this.searchStats = { explored: 0, complete: false, cost: null, exact: false };
+        if (demandCount > ComputerTour.DP_SOLVER_MAX_DEMANDS) {
+            console.error(`ComputerTour.computeTSPTourV4: ${demandCount} demands, at most ${ComputerTour.DP_SOLVER_MAX_DEMANDS} are supported`);
+            return null;
+        }
+
+        const deadline = options.timeBudget > 0 ? Date.now() + options.timeBudget : Infinity;
+        const hardWindows = this.hasTimeWindows() && this.timeWindowMode === 'hard';
+        const weights = this.getObjectiveWeights();
+        const departure = this.getDepartureSeconds();
+        const startTime = departure + (this.start.serviceDuration || 0);
+        const shiftDeadline = this.getShiftDeadline();
+
+        // Point 2k is the pickup of demand k, point 2k+1 its delivery
+        const points = [];
+        pairs.forEach(({ pickup, delivery }) => points.push(pickup, delivery));
+        const pointCount = points.length;
+        const loads = pairs.map(({ pickup }) => pickup.getLoadChange());
+        const time = (a, b) => this.tourPointGraphTimes.get(this.getKey(a, b)) ?? Infinity;
+        const times = points.map(from => points.map(to => (from === to ? 0 : time(from, to))));
+        // Part of the arc cost that does not depend on the clock (travel time and distance weights)
+        const arcExtra = (a, b) => this.getArcCost(a, b) - weights.duration * time(a, b);
+        const extras = points.map(from => points.map(to => (from === to ? 0 : arcExtra(from, to))));
+
+        // A set is written in base 3, digit k being the state of demand k (0: not started, 1: picked up, 2: delivered)
+        const powers = [1];
+        for (let k = 0; k < demandCount; k++) powers.push(powers[k] * 3);
+        const setCount = powers[demandCount];
+
+        // cost: objective cost when leaving the last point; clock: time of day when leaving it,
+        // only stored when it cannot be read from the cost (plain duration objective without soft windows)
+        const clockFromCost = !(this.hasTimeWindows() && !hardWindows)
+            && weights.duration === 1 && weights.travelTime === 0 && weights.distance === 0;
+        const cost = new Float64Array(setCount * pointCount).fill(Infinity);
+        const clock = clockFromCost ? null : new Float64Array(setCount * pointCount);
+        const parent = new Int8Array(setCount * pointCount).fill(-1);
+        const clockAt = (state) => (clockFromCost ? departure + cost[state] : clock[state]);
+        let explored = 0;
+
+        // position: number of points visited once next is added (pinned positions and locked blocks)
+        const relax = (fromTime, fromCost, previous, set, next, position) => {
+            const first = previous < 0;
+            if (!this.canAppend(position, first ? this.start : points[previous], points[next])) return;
+            const visit = this.visitPoint(fromTime, points[next], first ? time(this.start, points[next]) : times[previous][next]);
+            if ((hardWindows && visit.lateness > 0) || visit.time > shiftDeadline) return;
+            const nextCost = fromCost + weights.duration * (visit.time - fromTime) + weights.lateness * visit.lateness
+                + (first ? arcExtra(this.start, points[next]) : extras[previous][next]);
+            const state = set * pointCount + next;
+            if (nextCost < cost[state]) {
+                cost[state] = nextCost;
+                if (!clockFromCost) clock[state] = visit.time;
+                parent[state] = previous;
+            }
+        };
+
+        // First stop: any pickup that fits in the bag
+        for (let k = 0; k < demandCount; k++) {
+            if (loads[k] <= this.capacity) {
+                relax(startTime, weights.duration * (startTime - departure), -1, powers[k], 2 * k, 1);
+            }
+        }
+
+        // Sets only grow when a point is added, so increasing set numbers are processed in a valid order
+        const digits = new Array(demandCount).fill(0);
+        for (let set = 1; set < setCount; set++) {
+            for (let k = 0; k < demandCount; k++) {
+                if (digits[k] < 2) { digits[k]++; break; }
+                digits[k] = 0;
+            }
+            if ((set & 1023) === 0 && Date.now() > deadline) {
+                this.searchStats.explored = explored;
+                return null;
+            }
+
+            let load = 0;
+            let visitedCount = 0;
+            for (let k = 0; k < demandCount; k++) {
+                if (digits[k] === 1) load += loads[k];
+                visitedCount += digits[k];
+            }
+
+            for (let last = 0; last < pointCount; last++) {
+                const state = set * pointCount + last;
+                if (cost[state] === Infinity) continue;
+                explored++;
+                const fromTime = clockAt(state);
+                for (let k = 0; k < demandCount; k++) {
+                    if (digits[k] === 0 && load + loads[k] <= this.capacity) {
+                        relax(fromTime, cost[state], last, set + powers[k], 2 * k, visitedCount + 1);
+                    } else if (digits[k] === 1) {
+                        relax(fromTime, cost[state], last, set + powers[k], 2 * k + 1, visitedCount + 1);
+                    }
+                }
+            }
+        }
+
+        // Return to the warehouse from the best last delivery
+        const fullSet = setCount - 1;
+        let bestLast = -1;
+        let bestCost = Infinity;
+        for (let last = 0; last < pointCount; last++) {
+            const state = fullSet * pointCount + last;
+            if (cost[state] === Infinity || !this.canAppend(pointCount + 1, points[last], this.start)) continue;
+            const returnStep = this.stepTo(clockAt(state), points[last], this.start);
+            if (!returnStep || (hardWindows && returnStep.lateness > 0) || returnStep.time > shiftDeadline) continue;
+            const total = cost[state] + returnStep.cost;
+            if (total < bestCost) {
+                bestCost = total;
+                bestLast = last;
+            }
+        }
+
+        this.searchStats = { explored, complete: true, cost: null, exact: this.dynamicProgrammingIsExact() };
+        if (demandCount === 0) {
+            this.searchStats.cost = 0;
+            return [this.start, this.start];
+        }
+        if (bestLast < 0) {
+            console.error('ComputerTour.computeTSPTourV4: No order respects the constraints');
+            return null;
+        }
+
+        // Walk the parents back from the full set
+        const order = [];
+        let set = fullSet;
+        let last = bestLast;
+        while (last >= 0) {
+            order.unshift(points[last]);
+            const previous = parent[set * pointCount + last];
+            set -= powers[last >> 1];
+            last = previous;
+        }
+        this.searchStats.cost = bestCost;
+        return [this.start, ...order, this.start];
+    }
+
+    /**
+     * Tells whether the dynamic programming solver (Version 4) gives an optimal tour for the current objective:
+     * always without time windows nor shift, and with hard windows or a shift when the objective only weights the duration
+     * (the cheapest state is then also the earliest one)
+     * @returns {boolean}
+     */
+    dynamicProgrammingIsExact() {
+        const weights = this.getObjectiveWeights();
+        const durationOnly = weights.distance === 0 && weights.travelTime === 0 && weights.duration > 0;
+        if (!this.hasTimeWindows()) return durationOnly || this.getShiftDeadline() === Infinity;
+        return this.timeWindowMode === 'hard' && durationOnly;
+    }
+
+    /**
+     * Moves each stop right after an earlier stop at the same node, so that co-located stops form a single visit
+     * (several pickups at the same restaurant, a delivery next to another one). A move is kept when it respects
+     * the precedence and the capacity and does not increase the cost of the tour nor its overtime.
+     * @param {Array<TourPoint>} points - Ordered tour points, warehouse first and last
+     * @returns {Array<TourPoint>} New ordered tour points
+     */
+    groupColocatedStops(points) {
+        let sequence = points.slice();
+        let { cost, overtime } = this.evaluateSequence(sequence);
+
+        for (let j = 2; j < sequence.length - 1; j++) {
+            const point = sequence[j];
+            const nodeId = String(point.node.id);
+            if (String(sequence[j - 1].node.id) === nodeId) continue; // already grouped
+
+            let i = j - 2;
+            while (i >= 0 && String(sequence[i].node.id) !== nodeId) i--;
+            if (i < 0) continue;
+
+            // A delivery can only move after its pickup
+            const pickup = this.precedence.get(point);
+            if (pickup && sequence.indexOf(pickup) > i) continue;
+
+            const candidate = sequence.slice(0, i + 1).concat([point], sequence.slice(i + 1, j), sequence.slice(j + 1));
+            if (!this.respectsCapacity(candidate) || !this.respectsStopConstraints(candidate)) continue;
+            const evaluation = this.evaluateSequence(candidate);
+            if (evaluation.cost > cost + 1e-9 || evaluation.overtime > overtime) continue;
+
+            sequence = candidate;
+            ({ cost, overtime } = evaluation);
+        }
+        return sequence;
+    }
+
     /**
      * Validates that a tour respects all precedence constraints
      * @param {Array<TourPoint>} tour - The tour to validate
@@ -781,8 +2037,7 @@ class ComputerTour {
         const TourClass = getTourClass();
         const LegClass = getLegClass();
 
-        const DEFAULT_DEPARTURE = "08:00";
-        const tour = new TourClass(null, DEFAULT_DEPARTURE, courier || null);
+        const tour = new TourClass(null, this.departureTime, courier || null);
 
         // Add stops in order
         tourPointsArray.forEach(tp => tour.addStop(tp));
@@ -817,11 +2072,7 @@ class ComputerTour {
             return null;
         };
 
-        const estimateTravelTimeSeconds = (distanceMeters) => {
-            // Assume 15 km/h average speed
-            const speedMetersPerSecond = (15 * 1000) / 3600;
-            return Math.round(distanceMeters / speedMetersPerSecond);
-        };
+        const speedModel = this.plan.getSpeedModel();
 
         for (let i = 0; i < tourPointsArray.length - 1; i++) {
             const from = tourPointsArray[i];
@@ -839,7 +2090,7 @@ class ComputerTour {
                 const precomputedTime = getPrecomputedTimeSeconds(from, to);
                 const travelTimeSeconds = typeof precomputedTime === 'number'
                     ? precomputedTime
-                    : estimateTravelTimeSeconds(pathResult.distance || 0);
+                    : speedModel.courierTravelTime(pathResult.travelTime, courier);
 
                 leg = new LegClass(
                     from,
@@ -870,6 +2121,154 @@ class ComputerTour {
     }
 }
 
+/**
+ * Registered TSP solvers, by name
+ * @type {Map<string, {name: string, solve: Function, description: string}>}
+ */
+ComputerTour.solvers = new Map();
+
+/**
+ * Largest number of tour points solved by Branch & Bound in the 'auto' strategy (soft time windows)
+ * @type {number}
+ */
+ComputerTour.EXACT_SOLVER_MAX_POINTS = 16;
+
+ComputerTour.registerSolver('v0', (computerTour) => ({
+    tour: computerTour.computeTSPTourV0(),
+    provedOptimal: false
+}), 'Ordre des demandes');
+
+ComputerTour.registerSolver('v1', (computerTour, options) => {
+    const tour = computerTour.computeTSPTourV1(options);
+    const { explored, complete } = computerTour.searchStats;
+    if (!tour && !complete) {
+        // Budget spent before the first complete tour: fall back on the heuristic
+        return { tour: computerTour.computeTSPTourV2(options), provedOptimal: false, explored, solver: 'v1+v2' };
+    }
+    return { tour, provedOptimal: complete, explored };
+}, 'Exact (Branch & Bound)');
+
+ComputerTour.registerSolver('v2', (computerTour, options) => ({
+    tour: computerTour.computeTSPTourV2(options),
+    provedOptimal: false
+}), 'Rapide (plus proche voisin + 2-opt)');
+
+ComputerTour.registerSolver('v3', (computerTour, options) => ({
+    tour: computerTour.computeTSPTourV3(options),
+    provedOptimal: false
+}), 'Métaheuristique (recuit simulé + LNS)');
+
+ComputerTour.registerSolver('v4', (computerTour, options) => {
+    const tour = computerTour.computeTSPTourV4(options);
+    const { explored, complete, exact } = computerTour.searchStats;
+    if (!tour && !complete) {
+        // Budget spent before the end of the recursion: fall back on the heuristic
+        return { tour: computerTour.computeTSPTourV2(options), provedOptimal: false, explored, solver: 'v4+v2' };
+    }
+    return { tour, provedOptimal: complete && exact, explored };
+}, 'Exact (programmation dynamique)');
+
+ComputerTour.registerSolver('auto', (computerTour, options) => {
+    // Dynamic programming is much faster than Branch & Bound, when it is exact for the time windows and the objective
+    let name = 'v2';
+    if (computerTour.dynamicProgrammingIsExact() && computerTour.precedence.size <= ComputerTour.AUTO_DP_MAX_DEMANDS) {
+        name = 'v4';
+    } else if (computerTour.tourPoints.size <= ComputerTour.EXACT_SOLVER_MAX_POINTS) {
+        name = 'v1';
+    }
+    const result = ComputerTour.solvers.get(name).solve(computerTour, options);
+    return Object.assign({ solver: name }, result);
+}, 'Automatique');
+
+/**
+ * Objectives the solvers can minimize: label (French), unit of the cost ('s', 'm' or '' for weighted mixes) and
+ * weights of the tour metrics: per meter of distance, per second of travel, of tour duration and of lateness.
+ * Per tour 'makespan' is the duration (the return time of the courier); System.computeTours then balances the tours
+ * so that the last courier returns as early as possible.
+ * @type {Object<string, {label: string, unit: string, weights: function(Object): Object}>}
+ */
+ComputerTour.objectives = {
+    duration: {
+        label: 'Durée totale',
+        unit: 's',
+        weights: () => ({ duration: 1, lateness: ComputerTour.LATENESS_PENALTY })
+    },
+    distance: {
+        label: 'Distance totale',
+        unit: 'm',
+        weights: () => ({ distance: 1 })
+    },
+    travelTime: {
+        label: 'Temps de trajet',
+        unit: 's',
+        weights: () => ({ travelTime: 1 })
+    },
+    makespan: {
+        label: 'Retour du dernier coursier',
+        unit: 's',
+        weights: () => ({ duration: 1, lateness: ComputerTour.LATENESS_PENALTY })
+    },
+    lateness: {
+        // The duration only separates tours with the same lateness
+        label: 'Retards',
+        unit: 's',
+        weights: () => ({ lateness: 1, duration: 0.001 })
+    },
+    mix: {
+        label: 'Pondéré',
+        unit: '',
+        weights: (custom) => Object.assign({ duration: 1, lateness: ComputerTour.LATENESS_PENALTY }, custom)
+    }
+};
+
+/**
+ * Number of moves tried by the metaheuristic (Version 3) when no iteration count is given
+ * @type {number}
+ */
+ComputerTour.METAHEURISTIC_ITERATIONS = 5000;
+
+/**
+ * Time budget of the metaheuristic (Version 3) in milliseconds when none is given
+ * @type {number}
+ */
+ComputerTour.METAHEURISTIC_TIME_BUDGET = 5000;
+
+/**
+ * Largest share of the pairs removed by one ruin and recreate move
+ * @type {number}
+ */
+ComputerTour.METAHEURISTIC_RUIN_SHARE = 0.3;
+
+/**
+ * Largest number of demands solved by the dynamic programming solver (Version 4): 3^12 sets of 24 points
+ * @type {number}
+ */
+ComputerTour.DP_SOLVER_MAX_DEMANDS = 12;
+
+/**
+ * Largest number of demands solved by dynamic programming in the 'auto' strategy (a few tenths of a second)
+ * @type {number}
+ */
+ComputerTour.AUTO_DP_MAX_DEMANDS = 10;
+
+/**
+ * Cost of the arcs no tour can use in the assignment relaxation of computeLowerBound
+ * @type {number}
+ */
+ComputerTour.FORBIDDEN_ARC_COST = 1e12;
+
+/**
+ * Departure time from the warehouse when none is given
+ * @type {string}
+ */
+ComputerTour.DEFAULT_DEPARTURE_TIME = "08:00";
+
+/**
+ * Cost of one second of lateness, in seconds of tour duration, when time windows are soft
+ * @type {number}
+ */
+ComputerTour.LATENESS_PENALTY = 10;
+
 // Export for Node.js
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ComputerTour;
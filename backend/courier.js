@@ -8,10 +8,32 @@ class Courier {
      * Constructor for the Courier class
      * @param {string|number|null} id - Unique identifier (auto-generated if null)
      * @param {string} name - Courier name
+     * @param {Object} options
+     * @param {number} options.speedFactor - Multiplier applied to the plan speeds (e.g. 0.8 for a cargo bike, 1.4 for an e-bike)
+     * @param {number|null} options.capacity - Bag volume in liters (null: unlimited)
+     * @param {string|null} options.departureTime - Departure time from the warehouse, "HH:MM" (null: the one of the run)
+     * @param {string|null} options.shiftStart - Start of the shift "HH:MM", the courier never leaves before (null: none)
+     * @param {string|null} options.shiftEnd - End of the shift "HH:MM", the courier is back at the warehouse before (null: none)
+     * @param {number} options.maxWorkingTime - Longest tour in seconds (default Courier.DEFAULT_MAX_WORKING_TIME)
      */
-    constructor(id = null, name) {
+    constructor(id = null, name, options = {}) {
         this.id = id !== null ? id : `C${Courier.nextId++}`;
         this.name = name;
+        this.speedFactor = options.speedFactor > 0 ? options.speedFactor : 1;
+        this.capacity = options.capacity > 0 ? Number(options.capacity) : null;
+        this.departureTime = options.departureTime ? String(options.departureTime) : null;
+        this.shiftStart = options.shiftStart ? String(options.shiftStart) : null;
+        this.shiftEnd = options.shiftEnd ? String(options.shiftEnd) : null;
+        this.maxWorkingTime = options.maxWorkingTime > 0 ? Number(options.maxWorkingTime) : Courier.DEFAULT_MAX_WORKING_TIME;
+    }
+
+    /**
+     * Tells whether a load fits in the courier's bag
+     * @param {number} load - Volume in liters
+     * @returns {boolean}
+     */
+    canCarry(load) {
+        return this.capacity === null || load <= this.capacity;
     }
 
     /**
@@ -21,7 +43,13 @@ class Courier {
     toJSON() {
         return {
             id: this.id,
-            name: this.name
+            name: this.name,
+            speedFactor: this.speedFactor,
+            capacity: this.capacity,
+            departureTime: this.departureTime,
+            shiftStart: this.shiftStart,
+            shiftEnd: this.shiftEnd,
+            maxWorkingTime: this.maxWorkingTime
         };
     }
 
@@ -34,6 +62,12 @@ class Courier {
     }
 }
 
+/**
+ * Maximum working time of a courier without one, in seconds
+ * @type {number}
+ */
+Courier.DEFAULT_MAX_WORKING_TIME = 8 * 60 * 60;
+
 // Export for Node.js
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Courier;
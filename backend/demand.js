@@ -22,13 +22,28 @@ class Demand {
      * @param {number} pickupDuration - Duration at pickup (seconds)
      * @param {number} deliveryDuration - Duration at delivery (seconds)
      * @param {string|number} id - Demand ID (auto-generated if null)
+     * @param {Object} options
+     * @param {TimeWindow|null} options.pickupWindow - When the pickup may start (e.g. order released at 11:30)
+     * @param {TimeWindow|null} options.deliveryWindow - When the delivery may start (e.g. office closing at 18:00)
+     * @param {number} options.load - Room taken in the courier's bag from pickup to delivery, in liters (default: 0)
      */
-    constructor(pickupAddress, deliveryAddress, pickupDuration, deliveryDuration, id = null) {
+    constructor(pickupAddress, deliveryAddress, pickupDuration, deliveryDuration, id = null, options = {}) {
         this.id = id !== null ? id : Demand.generateId();
         this.pickupAddress = pickupAddress;
         this.deliveryAddress = deliveryAddress;
         this.pickupDuration = pickupDuration;
         this.deliveryDuration = deliveryDuration;
+        this.pickupWindow = options.pickupWindow || null;
+        this.deliveryWindow = options.deliveryWindow || null;
+        this.load = options.load > 0 ? Number(options.load) : 0;
+    }
+
+    /**
+     * Tells whether the demand has a time window on its pickup or its delivery
+     * @returns {boolean}
+     */
+    hasTimeWindows() {
+        return this.pickupWindow !== null || this.deliveryWindow !== null;
     }
 
     /**
@@ -36,13 +51,23 @@ class Demand {
      * @returns {Object}
      */
     toJSON() {
-        return {
+        const json = {
             id: this.id,
             pickupAddress: this.pickupAddress?.id ?? this.pickupAddress,
             deliveryAddress: this.deliveryAddress?.id ?? this.deliveryAddress,
             pickupDuration: this.pickupDuration,
             deliveryDuration: this.deliveryDuration
         };
+        if (this.pickupWindow) {
+            json.pickupWindow = this.pickupWindow.toJSON();
+        }
+        if (this.deliveryWindow) {
+            json.deliveryWindow = this.deliveryWindow.toJSON();
+        }
+        if (this.load > 0) {
+            json.load = this.load;
+        }
+        return json;
     }
 
     /**
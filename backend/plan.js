@@ -1,6 +1,15 @@
 /**
  * Class representing a city plan (Plan)
  */
+const RouterDependency = (typeof module !== 'undefined' && module.exports)
+    ? require('./routing')
+    : (typeof window !== 'undefined' ? window.Router : undefined);
+const SpeedModelDependency = (typeof module !== 'undefined' && module.exports)
+    ? require('./speedModel')
+    : (typeof window !== 'undefined' ? window.SpeedModel : undefined);
+const SpatialIndexDependency = (typeof module !== 'undefined' && module.exports)
+    ? require('./spatialIndex')
+    : (typeof window !== 'undefined' ? window.SpatialIndex : undefined);
 
 class Plan {
 
@@ -9,8 +18,12 @@ class Plan {
      * @param {Array<Node>} nodes - List of all nodes (intersections)
      * @param {Array<Troncon>} segments - List of all segments (road segments)
      * @param {Node|null} warehouse - The warehouse node (starting point)
+     * @param {Object} options - Routing options
+     * @param {boolean} options.directed - If true, a segment can only be traveled from origin to destination
+     *   (default: Plan.detectDirected(segments), the default of System.loadPlan too)
+     * @param {SpeedModel} options.speedModel - Travel time model (default: 15 km/h on every segment)
      */
-    constructor(nodes = new Map(), segments = [], warehouse = null) {
+    constructor(nodes = new Map(), segments = [], warehouse = null, options = {}) {
         /**
          * @type {Map<idNode, Node>}
          */
@@ -25,150 +38,415 @@ class Plan {
          * @type {Node|null}
          */
         this.warehouse = warehouse;
+
+        /**
+         * Directed routing mode (one-way streets honored)
+         * @type {boolean}
+         */
+        this.directed = typeof options.directed === 'boolean' ? options.directed : Plan.detectDirected(segments);
+
+        /**
+         * Travel time model of this plan
+         * @type {SpeedModel}
+         */
+        this.speedModel = options.speedModel || new SpeedModelDependency();
+
+        /**
+         * Outgoing arcs per node ID, built lazily from the segments
+         * @type {Map<string, Array<{segment: Segment, from: Node, to: Node}>>|null}
+         * @private
+         */
+        this._adjacency = null;
+        this._indexedSegments = null;
+        this._indexedSegmentCount = 0;
+        this._indexedDirected = null;
+        this._segmentPositions = null;
+        this._hash = null;
+        this._components = null;
+
+        /**
+         * Routing service shared by every shortest path search on this plan
+         * @type {Router|null}
+         * @private
+         */
+        this._router = null;
+
+        /**
+         * Spatial index on the nodes, built on first use
+         * @type {SpatialIndex|null}
+         * @private
+         */
+        this._spatialIndex = null;
+        this._spatialIndexSize = 0;
     }
 
     /**
-     * Finds and returns a node by its ID
-     * @param {string|number} id - Node identifier
-     * @returns {Node|null}
+     * Returns the routing service of this plan (created on first use)
+     * @returns {Router}
      */
-    getNodeById(id) {
-        return this.nodes.get(id) || null;
+    getRouter() {
+        if (!this._router) {
+            this._router = new RouterDependency(this);
+        }
+        return this._router;
     }
 
     /**
-     * Returns all outgoing road segments from a given node
-     * @param {string|number} nodeId
-     * @returns {Array<Troncon>}
+     * Returns the travel time model of this plan
+     * @returns {SpeedModel}
      */
-    getEdgesFrom(nodeId) {
-        return this.segments.filter(e => (e.origin.id == nodeId || e.destination.id == nodeId));
+    getSpeedModel() {
+        return this.speedModel;
     }
 
     /**
-     * Returns all neighboring node IDs connected to a given node
-     * @param {string|number} nodeId
-     * @returns {Array<string|number>}
+     * Replaces the travel time model (cached routes of the previous model no longer match the plan hash)
+     * @param {SpeedModel} speedModel
      */
-    getNeighbors(nodeId) {
-        const neighbors = new Set();
+    setSpeedModel(speedModel) {
+        this.speedModel = speedModel || new SpeedModelDependency();
+        this._hash = null;
+    }
+
+    /**
+     * Guesses the routing mode of a map from its segments: a map that lists both directions of a street
+     * is a directed map whose other streets are one-way, a map that never does lists two-way streets once
+     * @param {Array<{origin: Node|string, destination: Node|string}>} segments - Segments, or their node IDs
+     * @returns {boolean} True if a segment is listed in both directions
+     */
+    static detectDirected(segments) {
+        const idOf = (end) => (end && typeof end === 'object' ? end.id : end);
+        const arcs = new Set(segments.filter(Boolean).map(segment => `${idOf(segment.origin)}|${idOf(segment.destination)}`));
+        return segments.some(segment => segment
+            && idOf(segment.origin) != idOf(segment.destination)
+            && arcs.has(`${idOf(segment.destination)}|${idOf(segment.origin)}`));
+    }
+
+    /**
+     * Enables or disables the directed routing mode
+     * @param {boolean} directed - True to honor segment direction, false to treat segments as two-way
+     */
+    setDirected(directed) {
+        this.directed = directed === true;
+    }
+
+    /**
+     * Builds the adjacency index (outgoing arcs per node)
+     * Called automatically when the segments or the routing mode change;
+     * call it explicitly after modifying a segment in place
+     * @returns {Map<string, Array<{segment: Segment, from: Node, to: Node}>>}
+     */
+    buildAdjacencyIndex() {
+        const adjacency = new Map();
+        const addArc = (from, to, segment) => {
+            const key = String(from.id);
+            if (!adjacency.has(key)) {
+                adjacency.set(key, []);
+            }
+            adjacency.get(key).push({ segment, from, to });
+        };
 
         this.segments.forEach(segment => {
-            if (segment.origin.id == nodeId) {
-                neighbors.add(segment.destination.id);
-            } else if (segment.destination.id == nodeId) {
-                neighbors.add(segment.origin.id);
+            if (!segment || !segment.origin || !segment.destination) return;
+            addArc(segment.origin, segment.destination, segment);
+            if (!this.directed && segment.origin.id != segment.destination.id) {
+                addArc(segment.destination, segment.origin, segment);
             }
         });
 
-        return Array.from(neighbors);
+        this._adjacency = adjacency;
+        this._segmentPositions = new Map(this.segments.map((segment, index) => [segment, index]));
+        this._hash = null;
+        this._components = null;
+        this._indexedSegments = this.segments;
+        this._indexedSegmentCount = this.segments.length;
+        this._indexedDirected = this.directed;
+        return adjacency;
     }
 
     /**
-     * Finds the shortest path between two nodes using Dijkstra's algorithm
-     * @param {string|number} startId - Starting node ID
-     * @param {string|number} endId - Destination node ID
-     * @returns {Object} { path: Array<Node>, distance: number, segments: Array<Segment> } or null if no path exists
+     * Returns the adjacency index, rebuilding it if the segments or the routing mode changed
+     * @returns {Map<string, Array<{segment: Segment, from: Node, to: Node}>>}
      */
-    findShortestPath(startId, endId) {
-        // Validate nodes exist
-        if (!this.nodes.has(startId) || !this.nodes.has(endId)) {
-            return null;
+    getAdjacency() {
+        if (this._adjacency === null ||
+            this._indexedSegments !== this.segments ||
+            this._indexedSegmentCount !== this.segments.length ||
+            this._indexedDirected !== this.directed) {
+            return this.buildAdjacencyIndex();
         }
+        return this._adjacency;
+    }
 
-        // Initialize distances and previous nodes
-        const distances = new Map();
-        const previous = new Map();
-        const unvisited = new Set();
+    /**
+     * Returns the position of a segment in the segments array
+     * @param {Segment} segment
+     * @returns {number} -1 if the segment does not belong to the plan
+     */
+    indexOfSegment(segment) {
+        this.getAdjacency();
+        return this._segmentPositions.has(segment) ? this._segmentPositions.get(segment) : -1;
+    }
 
-        // Set all distances to infinity except start node
-        this.nodes.forEach((node, id) => {
-            distances.set(id, id == startId ? 0 : Infinity);
-            previous.set(id, null);
-            unvisited.add(id);
-        });
+    /**
+     * Returns a hash identifying the routing graph (routing mode, segments and their lengths)
+     * Used to key cached routes: plans with the same hash have the same shortest paths
+     * @returns {string} Segment count and 32-bit FNV-1a hash in hexadecimal
+     */
+    getHash() {
+        this.getAdjacency();
+        if (this._hash === null) {
+            let hash = 0x811c9dc5;
+            const addString = (text) => {
+                for (let i = 0; i < text.length; i++) {
+                    hash ^= text.charCodeAt(i);
+                    hash = Math.imul(hash, 0x01000193) >>> 0;
+                }
+            };
 
-        while (unvisited.size > 0) {
-            // Find unvisited node with minimum distance
-            let currentId = null;
-            let minDistance = Infinity;
-            unvisited.forEach(id => {
-                if (distances.get(id) < minDistance) {
-                    minDistance = distances.get(id);
-                    currentId = id;
+            addString(this.directed ? 'directed' : 'undirected');
+            addString(`|${this.speedModel.getSignature()}`);
+            this.segments.forEach(segment => {
+                if (!segment || !segment.origin || !segment.destination) return;
+                addString(`|${segment.origin.id}>${segment.destination.id}:${segment.length}`);
+                if (segment.roadClass || segment.bikeLane || segment.speed) {
+                    addString(`:${segment.roadClass || ''}:${segment.bikeLane ? 1 : 0}:${segment.speed || ''}`);
                 }
             });
+            this._hash = `${this.segments.length}-${hash.toString(16).padStart(8, '0')}`;
+        }
+        return this._hash;
+    }
 
-            // If no path exists
-            if (currentId === null || minDistance === Infinity) {
-                return null;
-            }
+    /**
+     * Returns the arcs that can be traveled from a node, in segment order
+     * @param {string|number} nodeId
+     * @returns {Array<{segment: Segment, from: Node, to: Node}>}
+     */
+    getArcsFrom(nodeId) {
+        return this.getAdjacency().get(String(nodeId)) || [];
+    }
 
-            // Remove current from unvisited
-            unvisited.delete(currentId);
+    /**
+     * Checks whether a segment can be traveled starting from a given node
+     * @param {Segment} segment
+     * @param {string|number} nodeId - Node the courier is leaving from
+     * @returns {boolean}
+     */
+    canTravelFrom(segment, nodeId) {
+        if (segment.origin.id == nodeId) {
+            return true;
+        }
+        return !this.directed && segment.destination.id == nodeId;
+    }
 
-            // If we reached the destination
-            if (currentId == endId) {
-                break;
-            }
+    /**
+     * Finds a segment that can be traveled from one node to another
+     * In directed mode, only segments going from origin to destination are considered
+     * @param {string|number} fromId - Node the courier is leaving from
+     * @param {string|number} toId - Node the courier is heading to
+     * @returns {Segment|null}
+     */
+    findSegment(fromId, toId) {
+        const arc = this.getArcsFrom(fromId).find(a => a.to.id == toId);
+        return arc ? arc.segment : null;
+    }
 
-            // Check all neighbors
-            const neighbors = this.getNeighbors(currentId);
-            neighbors.forEach(neighborId => {
-                if (!unvisited.has(neighborId)) return;
+    /**
+     * Computes the strongly connected components of the road graph (iterative Tarjan)
+     * Two nodes in the same component can reach each other; in undirected mode these are the connected components
+     * @returns {{count: number, componentOf: Map<string, number>}} Component index per string node ID
+     */
+    computeStronglyConnectedComponents() {
+        const adjacency = this.getAdjacency();
+        const order = new Map();   // discovery index
+        const lowlink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const componentOf = new Map();
+        let count = 0;
+        let counter = 0;
+
+        const nodeKeys = new Set();
+        this.nodes.forEach((node, id) => nodeKeys.add(String(id)));
+        adjacency.forEach((arcs, key) => nodeKeys.add(key));
 
-                // Find segment connecting current to neighbor
-                const segment = this.segments.find(s =>
-                    (s.origin.id == currentId && s.destination.id == neighborId) ||
-                    (s.destination.id == currentId && s.origin.id == neighborId)
-                );
+        const discover = (key, work) => {
+            order.set(key, counter);
+            lowlink.set(key, counter);
+            counter++;
+            stack.push(key);
+            onStack.add(key);
+            work.push({ key, arcIndex: 0 });
+        };
 
-                if (!segment) return;
+        for (const rootKey of nodeKeys) {
+            if (order.has(rootKey)) continue;
+            const work = [];
+            discover(rootKey, work);
 
-                // Calculate new distance
-                const newDistance = distances.get(currentId) + segment.length;
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                const arcs = adjacency.get(frame.key) || [];
 
-                // Update if shorter path found
-                if (newDistance < distances.get(neighborId)) {
-                    distances.set(neighborId, newDistance);
-                    previous.set(neighborId, currentId);
+                if (frame.arcIndex < arcs.length) {
+                    const nextKey = String(arcs[frame.arcIndex++].to.id);
+                    if (!order.has(nextKey)) {
+                        discover(nextKey, work);
+                    } else if (onStack.has(nextKey)) {
+                        lowlink.set(frame.key, Math.min(lowlink.get(frame.key), order.get(nextKey)));
+                    }
+                    continue;
                 }
-            });
+
+                // All arcs explored: close the node
+                work.pop();
+                if (work.length > 0) {
+                    const parentKey = work[work.length - 1].key;
+                    lowlink.set(parentKey, Math.min(lowlink.get(parentKey), lowlink.get(frame.key)));
+                }
+                if (lowlink.get(frame.key) === order.get(frame.key)) {
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        componentOf.set(member, count);
+                    } while (member !== frame.key);
+                    count++;
+                }
+            }
         }
 
-        // Reconstruct path with Node objects
-        const pathIds = [];
-        let current = endId;
-        while (current !== null) {
-            pathIds.unshift(current);
-            current = previous.get(current);
+        this._components = { count, componentOf };
+        return this._components;
+    }
+
+    /**
+     * Returns the strongly connected components, computing them if the graph changed
+     * @returns {{count: number, componentOf: Map<string, number>}}
+     */
+    getStronglyConnectedComponents() {
+        this.getAdjacency();
+        if (this._components === null) {
+            return this.computeStronglyConnectedComponents();
         }
+        return this._components;
+    }
+
+    /**
+     * Returns the strongly connected component of a node
+     * @param {string|number} nodeId
+     * @returns {number|null} null if the node is not part of the road graph
+     */
+    getComponentId(nodeId) {
+        const componentId = this.getStronglyConnectedComponents().componentOf.get(String(nodeId));
+        return componentId === undefined ? null : componentId;
+    }
 
-        // If path doesn't start at startId, no path exists
-        if (pathIds[0] != startId) {
-            return null;
+    /**
+     * Checks whether two nodes can reach each other (same strongly connected component)
+     * @param {string|number} nodeIdA
+     * @param {string|number} nodeIdB
+     * @returns {boolean}
+     */
+    areStronglyConnected(nodeIdA, nodeIdB) {
+        if (String(nodeIdA) === String(nodeIdB)) {
+            return true;
         }
+        const componentA = this.getComponentId(nodeIdA);
+        return componentA !== null && componentA === this.getComponentId(nodeIdB);
+    }
 
-        // Convert IDs to Node objects
-        const path = pathIds.map(id => this.nodes.get(id));
-
-        // Get segments along the path
-        const pathSegments = [];
-        for (let i = 0; i < pathIds.length - 1; i++) {
-            const segment = this.segments.find(s =>
-                (s.origin.id == pathIds[i] && s.destination.id == pathIds[i + 1]) ||
-                (s.destination.id == pathIds[i] && s.origin.id == pathIds[i + 1])
-            );
-            if (segment) {
-                pathSegments.push(segment);
-            }
+    /**
+     * Returns the spatial index of the nodes, rebuilding it if nodes were added or removed
+     * @returns {SpatialIndex}
+     */
+    getSpatialIndex() {
+        if (!this._spatialIndex || this._spatialIndexSize !== this.nodes.size) {
+            this._spatialIndex = new SpatialIndexDependency(this.nodes.values());
+            this._spatialIndexSize = this.nodes.size;
         }
+        return this._spatialIndex;
+    }
 
-        return {
-            path: path,
-            distance: distances.get(endId),
-            segments: pathSegments
+    /**
+     * Finds the nodes closest to a coordinate
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {number} k - Number of nodes wanted (default: 1)
+     * @returns {Array<{node: Node, distance: number}>} Closest first, distance in meters
+     */
+    nearestNode(latitude, longitude, k = 1) {
+        return this.getSpatialIndex().nearestNode(latitude, longitude, k);
+    }
+
+    /**
+     * Returns the nodes inside a bounding box or a circle
+     * @param {Object} area - { minLat, minLon, maxLat, maxLon } or { latitude, longitude, radius } (radius in meters)
+     * @returns {Array<Node>}
+     */
+    nodesWithin(area) {
+        return this.getSpatialIndex().nodesWithin(area);
+    }
+
+    /**
+     * Snaps a coordinate to the closest node a courier can use:
+     * the node must be on a road and, when a warehouse is set, reachable from it and back
+     * @param {number} latitude
+     * @param {number} longitude
+     * @returns {{node: Node, distance: number}|null} null if no routable node exists
+     */
+    nearestRoutableNode(latitude, longitude) {
+        const warehouseId = this.warehouse ? this.warehouse.id : null;
+        const routable = (node) => {
+            if (this.getArcsFrom(node.id).length === 0) {
+                return false;
+            }
+            return warehouseId === null || this.areStronglyConnected(node.id, warehouseId);
         };
+        const [nearest] = this.getSpatialIndex().nearestNode(latitude, longitude, 1, routable);
+        return nearest || null;
+    }
+
+    /**
+     * Finds and returns a node by its ID
+     * @param {string|number} id - Node identifier
+     * @returns {Node|null}
+     */
+    getNodeById(id) {
+        return this.nodes.get(id) || null;
+    }
+
+    /**
+     * Returns all outgoing road segments from a given node
+     * In undirected mode, segments arriving at the node are outgoing too
+     * @param {string|number} nodeId
+     * @returns {Array<Troncon>}
+     */
+    getEdgesFrom(nodeId) {
+        return this.getArcsFrom(nodeId).map(arc => arc.segment);
+    }
+
+    /**
+     * Returns all neighboring node IDs reachable in one segment from a given node
+     * @param {string|number} nodeId
+     * @returns {Array<string|number>}
+     */
+    getNeighbors(nodeId) {
+        const neighbors = new Set();
+        this.getArcsFrom(nodeId).forEach(arc => neighbors.add(arc.to.id));
+        return Array.from(neighbors);
+    }
+
+    /**
+     * Finds the shortest path between two nodes using Dijkstra's algorithm
+     * @param {string|number} startId - Starting node ID
+     * @param {string|number} endId - Destination node ID
+     * @param {Object} options - Search options forwarded to Router.shortestPath (e.g. { algorithm: 'astar' })
+     * @returns {RouteResult|null} { path: Array<Node>, pathIds, segments: Array<Segment>, distance, travelTime, cost } or null if no path exists
+     */
+    findShortestPath(startId, endId, options = {}) {
+        return this.getRouter().shortestPath(startId, endId, options);
     }
 
     /**
@@ -179,7 +457,9 @@ class Plan {
         return {
             nodes: Array.from(this.nodes.values()).map(node => node.toJSON()),
             segments: this.segments.map(segment => segment.toJSON()),
-            warehouse: this.warehouse ? this.warehouse.toJSON() : null
+            warehouse: this.warehouse ? this.warehouse.toJSON() : null,
+            directed: this.directed,
+            speedModel: this.speedModel.toJSON()
         };
     }
 
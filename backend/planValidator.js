@@ -0,0 +1,170 @@
+/**
+ * Plan integrity validation
+ * Checks the raw map data (nodes and segments) before a Plan is built, or an existing Plan,
+ * and returns a structured report. Errors make the plan unusable; warnings are only reported.
+ */
+
+/**
+ * @typedef {Object} PlanIssue
+ * @property {string} code - Issue type (see PlanValidator.CODES)
+ * @property {string} message - Human readable description (French, shown in the UI)
+ * @property {string|number} [nodeId] - Node concerned
+ * @property {number} [segmentIndex] - Position of the segment concerned in the input
+ */
+
+/**
+ * @typedef {Object} PlanReport
+ * @property {boolean} valid - False if there is at least one error
+ * @property {Array<PlanIssue>} errors
+ * @property {Array<PlanIssue>} warnings
+ * @property {{nodes: number, segments: number}} stats
+ */
+
+class PlanValidator {
+
+    /**
+     * Validates raw map data
+     * @param {Array<{id: string|number}>} nodes - Nodes as read from the file
+     * @param {Array<{origin: string|number|null, destination: string|number|null, length: number, streetName: string}>} segments
+     *        Segments with their endpoint IDs as read from the file
+     * @returns {PlanReport}
+     */
+    static validate(nodes, segments) {
+        const errors = [];
+        const warnings = [];
+        const CODES = PlanValidator.CODES;
+
+        // 1. Duplicate node IDs
+        const nodeIds = new Set();
+        const reportedDuplicates = new Set();
+        nodes.forEach(node => {
+            const key = String(node.id);
+            if (nodeIds.has(key)) {
+                if (!reportedDuplicates.has(key)) {
+                    reportedDuplicates.add(key);
+                    errors.push({ code: CODES.DUPLICATE_NODE, nodeId: node.id, message: `Le noeud ${node.id} est défini plusieurs fois.` });
+                }
+                return;
+            }
+            nodeIds.add(key);
+        });
+
+        const connectedNodes = new Set();
+        const segmentsByPair = new Map(); // "origin>destination" -> first segment index
+
+        segments.forEach((segment, index) => {
+            const label = `Le tronçon n°${index + 1}${segment.streetName ? ` (${segment.streetName})` : ''}`;
+            let endpointsKnown = true;
+
+            // 2. Unknown node references
+            [['origin', 'origine'], ['destination', 'destination']].forEach(([field, name]) => {
+                const nodeId = segment[field];
+                if (nodeId === null || nodeId === undefined || !nodeIds.has(String(nodeId))) {
+                    endpointsKnown = false;
+                    errors.push({
+                        code: CODES.UNKNOWN_NODE,
+                        nodeId: nodeId,
+                        segmentIndex: index,
+                        message: `${label} référence un noeud ${name} inconnu (${nodeId}).`
+                    });
+                }
+            });
+
+            // 3. Lengths
+            const length = segment.length;
+            if (typeof length !== 'number' || isNaN(length) || length < 0) {
+                errors.push({ code: CODES.INVALID_LENGTH, segmentIndex: index, message: `${label} a une longueur invalide (${length}).` });
+            } else if (length === 0) {
+                warnings.push({ code: CODES.ZERO_LENGTH, segmentIndex: index, message: `${label} a une longueur nulle.` });
+            }
+
+            if (!endpointsKnown) {
+                return;
+            }
+            connectedNodes.add(String(segment.origin));
+            connectedNodes.add(String(segment.destination));
+
+            // 4. Duplicate or parallel segments (same origin and destination)
+            const pairKey = `${segment.origin}>${segment.destination}`;
+            if (segmentsByPair.has(pairKey)) {
+                const first = segments[segmentsByPair.get(pairKey)];
+                const duplicate = first.length === segment.length && (first.streetName || '') === (segment.streetName || '');
+                warnings.push({
+                    code: duplicate ? CODES.DUPLICATE_SEGMENT : CODES.PARALLEL_SEGMENT,
+                    segmentIndex: index,
+                    message: duplicate
+                        ? `${label} est un doublon du tronçon n°${segmentsByPair.get(pairKey) + 1} (${segment.origin} → ${segment.destination}).`
+                        : `${label} est parallèle au tronçon n°${segmentsByPair.get(pairKey) + 1} (${segment.origin} → ${segment.destination}) avec une longueur différente.`
+                });
+            } else {
+                segmentsByPair.set(pairKey, index);
+            }
+        });
+
+        // 5. Nodes that no segment uses
+        nodeIds.forEach(key => {
+            if (!connectedNodes.has(key)) {
+                warnings.push({ code: CODES.ISOLATED_NODE, nodeId: key, message: `Le noeud ${key} n'est relié à aucun tronçon.` });
+            }
+        });
+
+        return {
+            valid: errors.length === 0,
+            errors: errors,
+            warnings: warnings,
+            stats: { nodes: nodes.length, segments: segments.length }
+        };
+    }
+
+    /**
+     * Validates an existing Plan
+     * @param {Plan} plan
+     * @returns {PlanReport}
+     */
+    static validatePlan(plan) {
+        const nodes = Array.from(plan.nodes.values());
+        const segments = plan.segments.map(segment => ({
+            origin: segment.origin ? segment.origin.id : null,
+            destination: segment.destination ? segment.destination.id : null,
+            length: segment.length,
+            streetName: segment.streetName
+        }));
+        return PlanValidator.validate(nodes, segments);
+    }
+
+    /**
+     * Formats issues for display, keeping the list short
+     * @param {Array<PlanIssue>} issues
+     * @param {number} limit - Maximum number of issues listed
+     * @returns {string}
+     */
+    static summarize(issues, limit = 10) {
+        const lines = issues.slice(0, limit).map(issue => `- ${issue.message}`);
+        if (issues.length > limit) {
+            lines.push(`- ... et ${issues.length - limit} autre(s).`);
+        }
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Issue codes reported by the validator
+ */
+PlanValidator.CODES = {
+    UNKNOWN_NODE: 'UNKNOWN_NODE',
+    DUPLICATE_NODE: 'DUPLICATE_NODE',
+    INVALID_LENGTH: 'INVALID_LENGTH',
+    ZERO_LENGTH: 'ZERO_LENGTH',
+    DUPLICATE_SEGMENT: 'DUPLICATE_SEGMENT',
+    PARALLEL_SEGMENT: 'PARALLEL_SEGMENT',
+    ISOLATED_NODE: 'ISOLATED_NODE'
+};
+
+// Export for Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanValidator;
+}
+
+if (typeof window !== 'undefined') {
+    window.PlanValidator = PlanValidator;
+}
@@ -0,0 +1,124 @@
+/**
+ * Class representing a min-priority queue backed by a binary heap
+ * Used by the shortest path algorithms to pick the next closest node in O(log n)
+ */
+
+class PriorityQueue {
+
+    /**
+     * Constructor for the PriorityQueue class
+     */
+    constructor() {
+        /**
+         * Heap entries ordered by priority (smallest first)
+         * @type {Array<{item: *, priority: number}>}
+         */
+        this.heap = [];
+    }
+
+    /**
+     * Number of entries in the queue
+     * @returns {number}
+     */
+    get size() {
+        return this.heap.length;
+    }
+
+    /**
+     * Checks whether the queue is empty
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.heap.length === 0;
+    }
+
+    /**
+     * Adds an item with the given priority
+     * The same item may be pushed several times (lazy decrease-key): callers skip stale entries when popping
+     * @param {*} item
+     * @param {number} priority - Lower values are popped first
+     */
+    push(item, priority) {
+        this.heap.push({ item, priority });
+        this._siftUp(this.heap.length - 1);
+    }
+
+    /**
+     * Removes and returns the entry with the lowest priority
+     * @returns {{item: *, priority: number}|null} null if the queue is empty
+     */
+    pop() {
+        if (this.heap.length === 0) {
+            return null;
+        }
+
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this._siftDown(0);
+        }
+        return top;
+    }
+
+    /**
+     * Returns the entry with the lowest priority without removing it
+     * @returns {{item: *, priority: number}|null}
+     */
+    peek() {
+        return this.heap.length > 0 ? this.heap[0] : null;
+    }
+
+    /**
+     * Moves an entry up until the heap property is restored
+     * @param {number} index
+     * @private
+     */
+    _siftUp(index) {
+        const heap = this.heap;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (heap[parent].priority <= heap[index].priority) {
+                break;
+            }
+            [heap[parent], heap[index]] = [heap[index], heap[parent]];
+            index = parent;
+        }
+    }
+
+    /**
+     * Moves an entry down until the heap property is restored
+     * @param {number} index
+     * @private
+     */
+    _siftDown(index) {
+        const heap = this.heap;
+        const length = heap.length;
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+
+            if (left < length && heap[left].priority < heap[smallest].priority) {
+                smallest = left;
+            }
+            if (right < length && heap[right].priority < heap[smallest].priority) {
+                smallest = right;
+            }
+            if (smallest === index) {
+                break;
+            }
+            [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+            index = smallest;
+        }
+    }
+}
+
+// Export for Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriorityQueue;
+}
+
+if (typeof window !== 'undefined') {
+    window.PriorityQueue = PriorityQueue;
+}
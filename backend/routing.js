@@ -0,0 +1,230 @@
+/**
+ * Routing service: single implementation of the shortest path searches on a Plan
+ * Plan, System and ComputerTour all go through it so every caller gets the same result type
+ */
+const RoutingPriorityQueue = (typeof module !== 'undefined' && module.exports)
+    ? require('./priorityQueue')
+    : (typeof window !== 'undefined' ? window.PriorityQueue : undefined);
+
+/**
+ * @typedef {Object} RouteResult
+ * @property {Array<Node>} path - Nodes from start to end (both included)
+ * @property {Array<string|number>} pathIds - IDs of the nodes in path
+ * @property {Array<Segment>} segments - Segments traveled, in order
+ * @property {number} distance - Length of the route in meters
+ * @property {number} travelTime - Travel time in seconds given by the speed model (before any courier speed factor)
+ * @property {number} cost - Value minimized by the search (equals distance with the default cost function)
+ */
+
+class Router {
+
+    /**
+     * Constructor for the Router class
+     * @param {Plan} plan - The city plan to route on
+     * @param {Object} options - Routing options
+     * @param {Function} options.costFunction - (segment, from, to) => cost of traveling the segment (default: its length)
+     * @param {SpeedModel} options.speedModel - Travel time model (default: the plan's speed model)
+     */
+    constructor(plan, options = {}) {
+        this.plan = plan;
+        this.costFunction = options.costFunction || Router.distanceCost;
+        this.speedModel = options.speedModel || null;
+    }
+
+    /**
+     * Returns the travel time model used for the routes
+     * @returns {SpeedModel}
+     */
+    getSpeedModel() {
+        return this.speedModel || this.plan.getSpeedModel();
+    }
+
+    /**
+     * Default cost function: the length of the segment in meters
+     * @param {Segment} segment
+     * @returns {number}
+     */
+    static distanceCost(segment) {
+        return segment.length;
+    }
+
+    /**
+     * Replaces the cost function minimized by the searches
+     * @param {Function|null} costFunction - (segment, from, to) => cost, null to restore the distance cost
+     */
+    setCostFunction(costFunction) {
+        this.costFunction = costFunction || Router.distanceCost;
+    }
+
+    /**
+     * Converts a distance into a travel time at the default speed of the model
+     * @param {number} distance - Distance in meters
+     * @returns {number} Travel time in seconds (rounded up)
+     */
+    travelTimeFor(distance) {
+        return this.getSpeedModel().distanceTravelTime(distance);
+    }
+
+    /**
+     * Finds the shortest route between two nodes
+     * @param {string|number} startId - Starting node ID
+     * @param {string|number} endId - Destination node ID
+     * @param {Object} options
+     * @param {string} options.algorithm - 'dijkstra' (default) or 'astar'
+     * @returns {RouteResult|null} null if a node is missing or no route exists
+     */
+    shortestPath(startId, endId, options = {}) {
+        if (!this.plan.nodes.has(startId) || !this.plan.nodes.has(endId)) {
+            return null;
+        }
+
+        // The euclidean heuristic is only a lower bound when the cost is the distance
+        const useAStar = options.algorithm === 'astar' && this.costFunction === Router.distanceCost;
+        const heuristic = useAStar ? this.euclideanHeuristic(this.plan.nodes.get(endId)) : null;
+
+        const search = this.search(startId, [endId], heuristic);
+        if (!search.reached.has(String(endId))) {
+            return null;
+        }
+        return this.buildRoute(startId, endId, search.previousArc, search.costs.get(String(endId)));
+    }
+
+    /**
+     * One-to-many search: shortest routes from one node to every target node
+     * A single Dijkstra that stops as soon as all targets are settled
+     * @param {string|number} startId - Starting node ID
+     * @param {Array<string|number>} targetIds - Destination node IDs
+     * @returns {Map<string, RouteResult>|null} Routes keyed by string target ID (unreachable targets are absent),
+     *          null if the start node is not in the plan
+     */
+    shortestPathsFrom(startId, targetIds) {
+        if (!this.plan.nodes.has(startId)) {
+            return null;
+        }
+
+        // Targets missing from the plan can never be reached
+        const targets = targetIds.filter(id => this.plan.nodes.has(id));
+        const search = this.search(startId, targets, null);
+
+        const routes = new Map();
+        targets.forEach(id => {
+            const key = String(id);
+            if (search.reached.has(key) && !routes.has(key)) {
+                routes.set(key, this.buildRoute(startId, id, search.previousArc, search.costs.get(key)));
+            }
+        });
+        return routes;
+    }
+
+    /**
+     * Best-first search over the plan adjacency index (Dijkstra, or A* when a heuristic is given)
+     * Stale heap entries are skipped; a settled node is reopened if an inconsistent heuristic finds it a cheaper route
+     * @param {string|number} startId - Starting node ID
+     * @param {Array<string|number>} targetIds - The search stops once all of them are reached
+     * @param {Function|null} heuristic - (node) => estimated remaining cost
+     * @returns {{costs: Map<string, number>, previousArc: Map<string, Object>, reached: Set<string>}}
+     * @private
+     */
+    search(startId, targetIds, heuristic) {
+        const startKey = String(startId);
+        const remaining = new Set(targetIds.map(id => String(id)));
+        const costs = new Map([[startKey, 0]]);
+        const previousArc = new Map(); // node key -> arc used to reach it
+        const reached = new Set();
+        const queue = new RoutingPriorityQueue();
+        const startNode = this.plan.nodes.get(startId);
+        queue.push({ key: startKey, cost: 0 }, heuristic ? heuristic(startNode) : 0);
+
+        while (!queue.isEmpty() && remaining.size > 0) {
+            const { key: currentKey, cost: currentCost } = queue.pop().item;
+            // Skip entries superseded by a cheaper route
+            if (currentCost > costs.get(currentKey) || reached.has(currentKey)) continue;
+            reached.add(currentKey);
+            remaining.delete(currentKey);
+
+            // Arcs honor one-way streets in directed mode
+            this.plan.getArcsFrom(currentKey).forEach(arc => {
+                const neighborKey = String(arc.to.id);
+                const newCost = currentCost + this.costFunction(arc.segment, arc.from, arc.to);
+
+                if (costs.has(neighborKey) && newCost >= costs.get(neighborKey)) {
+                    return; // Not a better route
+                }
+                if (reached.has(neighborKey)) {
+                    // Only an inconsistent heuristic can improve a settled node: reopen it
+                    reached.delete(neighborKey);
+                    remaining.add(neighborKey);
+                }
+                costs.set(neighborKey, newCost);
+                previousArc.set(neighborKey, arc);
+                queue.push({ key: neighborKey, cost: newCost }, newCost + (heuristic ? heuristic(arc.to) : 0));
+            });
+        }
+
+        return { costs, previousArc, reached };
+    }
+
+    /**
+     * Straight-line distance to a target node, in meters
+     * @param {Node} endNode
+     * @returns {Function} (node) => estimated distance to endNode
+     * @private
+     */
+    euclideanHeuristic(endNode) {
+        return (node) => {
+            const dx = node.longitude - endNode.longitude;
+            const dy = node.latitude - endNode.latitude;
+            // Convert to approximate meters (rough approximation for Lyon area)
+            const latToMeters = 111000; // 1 degree latitude ≈ 111 km
+            const lonToMeters = latToMeters * Math.cos(node.latitude * Math.PI / 180);
+            return Math.sqrt((dx * lonToMeters) ** 2 + (dy * latToMeters) ** 2);
+        };
+    }
+
+    /**
+     * Rebuilds a route from the arcs recorded during a search
+     * @param {string|number} startId
+     * @param {string|number} endId
+     * @param {Map<string, Object>} previousArc - Arc used to reach each node (keyed by string node ID)
+     * @param {number} cost - Cost of the route
+     * @returns {RouteResult}
+     * @private
+     */
+    buildRoute(startId, endId, previousArc, cost) {
+        const startKey = String(startId);
+        const path = [this.plan.nodes.get(endId)];
+        const pathIds = [endId];
+        const segments = [];
+        let currentKey = String(endId);
+        while (currentKey !== startKey) {
+            const arc = previousArc.get(currentKey);
+            segments.unshift(arc.segment);
+            path.unshift(arc.from);
+            pathIds.unshift(arc.from.id);
+            currentKey = String(arc.from.id);
+        }
+        path[0] = this.plan.nodes.get(startId);
+        pathIds[0] = startId;
+
+        // Summed from the start so the distance matches the search order exactly
+        const distance = segments.reduce((total, segment) => total + segment.length, 0);
+
+        return {
+            path: path,
+            pathIds: pathIds,
+            segments: segments,
+            distance: distance,
+            travelTime: this.getSpeedModel().routeTravelTime(segments),
+            cost: cost
+        };
+    }
+}
+
+// Export for Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Router;
+}
+
+if (typeof window !== 'undefined') {
+    window.Router = Router;
+}
@@ -9,12 +9,19 @@ class Segment {
      * @param {Node} destination - Destination node reference
      * @param {string} streetName - Name of the street
      * @param {number} length - Length in meters
+     * @param {Object} attributes - Optional attributes used by the speed model
+     * @param {string} attributes.roadClass - Road class (e.g. 'principale', 'residentielle')
+     * @param {boolean} attributes.bikeLane - True if the segment has a bike lane
+     * @param {number} attributes.speed - Courier speed on this segment in km/h (overrides the road class)
      */
-    constructor(origin, destination, streetName, length) {
+    constructor(origin, destination, streetName, length, attributes = {}) {
         this.origin = origin;
         this.destination = destination;
         this.streetName = streetName;
         this.length = length;
+        this.roadClass = attributes.roadClass || null;
+        this.bikeLane = attributes.bikeLane === true;
+        this.speed = attributes.speed > 0 ? attributes.speed : null;
     }
 
     /**
@@ -22,12 +29,16 @@ class Segment {
      * @returns {Object}
      */
     toJSON() {
-        return {
+        const json = {
             origin: this.origin.id,
             destination: this.destination.id,
             streetName: this.streetName,
             length: this.length
         };
+        if (this.roadClass) json.roadClass = this.roadClass;
+        if (this.bikeLane) json.bikeLane = true;
+        if (this.speed) json.speed = this.speed;
+        return json;
     }
 
     /**
@@ -0,0 +1,223 @@
+/**
+ * Class representing a spatial index on the plan nodes (uniform grid)
+ * Answers nearest-node and range queries without scanning every node
+ */
+
+class SpatialIndex {
+
+    /**
+     * Constructor for the SpatialIndex class
+     * @param {Iterable<Node>} nodes - Nodes to index (anything with id, latitude and longitude)
+     * @param {Object} options
+     * @param {number} options.cellSize - Side of a grid cell in meters (default: 200)
+     */
+    constructor(nodes, options = {}) {
+        this.cellSize = options.cellSize || SpatialIndex.DEFAULT_CELL_SIZE;
+        this.nodes = Array.from(nodes).filter(node =>
+            node && Number.isFinite(node.latitude) && Number.isFinite(node.longitude));
+
+        // Reference latitude for the meters <-> degrees conversion
+        const referenceLatitude = this.nodes.length > 0
+            ? this.nodes.reduce((sum, node) => sum + node.latitude, 0) / this.nodes.length
+            : 0;
+        this.metersPerDegreeLat = SpatialIndex.METERS_PER_DEGREE;
+        this.metersPerDegreeLon = SpatialIndex.METERS_PER_DEGREE * Math.cos(referenceLatitude * Math.PI / 180);
+
+        /**
+         * Nodes per grid cell
+         * @type {Map<string, Array<Node>>}
+         */
+        this.cells = new Map();
+        this.minRow = Infinity;
+        this.maxRow = -Infinity;
+        this.minCol = Infinity;
+        this.maxCol = -Infinity;
+
+        this.nodes.forEach(node => {
+            const row = this.rowOf(node.latitude);
+            const col = this.colOf(node.longitude);
+            const key = `${row}:${col}`;
+            if (!this.cells.has(key)) {
+                this.cells.set(key, []);
+            }
+            this.cells.get(key).push(node);
+            this.minRow = Math.min(this.minRow, row);
+            this.maxRow = Math.max(this.maxRow, row);
+            this.minCol = Math.min(this.minCol, col);
+            this.maxCol = Math.max(this.maxCol, col);
+        });
+    }
+
+    /**
+     * Number of indexed nodes
+     * @returns {number}
+     */
+    get size() {
+        return this.nodes.length;
+    }
+
+    /**
+     * Distance between two coordinates in meters (equirectangular approximation, fine at city scale)
+     * @param {number} lat1
+     * @param {number} lon1
+     * @param {number} lat2
+     * @param {number} lon2
+     * @returns {number}
+     */
+    distance(lat1, lon1, lat2, lon2) {
+        const dy = (lat1 - lat2) * this.metersPerDegreeLat;
+        const dx = (lon1 - lon2) * this.metersPerDegreeLon;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Finds the k nodes closest to a coordinate
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {number} k - Number of nodes wanted (default: 1)
+     * @param {Function|null} filter - (node) => boolean, only matching nodes are returned
+     * @returns {Array<{node: Node, distance: number}>} Up to k nodes, closest first
+     */
+    nearestNode(latitude, longitude, k = 1, filter = null) {
+        if (this.nodes.length === 0 || k <= 0 || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+            return [];
+        }
+
+        const centerRow = this.rowOf(latitude);
+        const centerCol = this.colOf(longitude);
+        // Distance from the query to the nearest border of its own cell: the query rarely sits on a cell corner
+        const y = latitude * this.metersPerDegreeLat;
+        const x = longitude * this.metersPerDegreeLon;
+        const offset = Math.min(
+            y - centerRow * this.cellSize, (centerRow + 1) * this.cellSize - y,
+            x - centerCol * this.cellSize, (centerCol + 1) * this.cellSize - x
+        );
+        // Beyond this ring every cell of the grid has been visited
+        const maxRing = Math.max(
+            Math.abs(centerRow - this.minRow), Math.abs(centerRow - this.maxRow),
+            Math.abs(centerCol - this.minCol), Math.abs(centerCol - this.maxCol)
+        );
+
+        const best = [];
+        for (let ring = 0; ring <= maxRing; ring++) {
+            this.forEachCellInRing(centerRow, centerCol, ring, cellNodes => {
+                cellNodes.forEach(node => {
+                    if (filter && !filter(node)) return;
+                    best.push({ node, distance: this.distance(latitude, longitude, node.latitude, node.longitude) });
+                });
+            });
+            best.sort((a, b) => a.distance - b.distance);
+            if (best.length > k) {
+                best.length = k;
+            }
+
+            // Nodes outside the visited square are at least ring * cellSize + offset away
+            if (best.length === k && best[k - 1].distance <= ring * this.cellSize + offset) {
+                break;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Returns the nodes inside a bounding box or a circle
+     * @param {Object} area - { minLat, minLon, maxLat, maxLon } or { latitude, longitude, radius } (radius in meters)
+     * @returns {Array<Node>} Nodes in the area (sorted by distance for a circle)
+     */
+    nodesWithin(area) {
+        if (!area) {
+            return [];
+        }
+
+        if (Number.isFinite(area.radius)) {
+            const { latitude, longitude, radius } = area;
+            const latDelta = radius / this.metersPerDegreeLat;
+            const lonDelta = radius / this.metersPerDegreeLon;
+            return this.nodesInBox(latitude - latDelta, longitude - lonDelta, latitude + latDelta, longitude + lonDelta)
+                .map(node => ({ node, distance: this.distance(latitude, longitude, node.latitude, node.longitude) }))
+                .filter(entry => entry.distance <= radius)
+                .sort((a, b) => a.distance - b.distance)
+                .map(entry => entry.node);
+        }
+
+        return this.nodesInBox(area.minLat, area.minLon, area.maxLat, area.maxLon);
+    }
+
+    /**
+     * Returns the nodes inside a bounding box
+     * @private
+     */
+    nodesInBox(minLat, minLon, maxLat, maxLon) {
+        const result = [];
+        const fromRow = Math.max(this.rowOf(minLat), this.minRow);
+        const toRow = Math.min(this.rowOf(maxLat), this.maxRow);
+        const fromCol = Math.max(this.colOf(minLon), this.minCol);
+        const toCol = Math.min(this.colOf(maxLon), this.maxCol);
+
+        for (let row = fromRow; row <= toRow; row++) {
+            for (let col = fromCol; col <= toCol; col++) {
+                const cellNodes = this.cells.get(`${row}:${col}`);
+                if (!cellNodes) continue;
+                cellNodes.forEach(node => {
+                    if (node.latitude >= minLat && node.latitude <= maxLat &&
+                        node.longitude >= minLon && node.longitude <= maxLon) {
+                        result.push(node);
+                    }
+                });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Calls the callback with the nodes of every non-empty cell on the border of a square ring
+     * @private
+     */
+    forEachCellInRing(centerRow, centerCol, ring, callback) {
+        for (let row = centerRow - ring; row <= centerRow + ring; row++) {
+            const onEdge = row === centerRow - ring || row === centerRow + ring;
+            const step = onEdge || ring === 0 ? 1 : 2 * ring;
+            for (let col = centerCol - ring; col <= centerCol + ring; col += step) {
+                const cellNodes = this.cells.get(`${row}:${col}`);
+                if (cellNodes) {
+                    callback(cellNodes);
+                }
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    rowOf(latitude) {
+        return Math.floor(latitude * this.metersPerDegreeLat / this.cellSize);
+    }
+
+    /**
+     * @private
+     */
+    colOf(longitude) {
+        return Math.floor(longitude * this.metersPerDegreeLon / this.cellSize);
+    }
+}
+
+/**
+ * Approximate length of one degree of latitude in meters
+ * @type {number}
+ */
+SpatialIndex.METERS_PER_DEGREE = 111000;
+
+/**
+ * Default grid cell size in meters
+ * @type {number}
+ */
+SpatialIndex.DEFAULT_CELL_SIZE = 200;
+
+// Export for Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpatialIndex;
+}
+
+if (typeof window !== 'undefined') {
+    window.SpatialIndex = SpatialIndex;
+}
@@ -0,0 +1,152 @@
+/**
+ * Class computing travel times on the plan
+ * Single source of the courier speed: per-segment attributes, a plan-wide default and a per-courier multiplier
+ */
+
+class SpeedModel {
+
+    /**
+     * Constructor for the SpeedModel class
+     * @param {Object} options
+     * @param {number} options.defaultSpeed - Speed in km/h on segments without attributes (default: 15)
+     * @param {Object<string, number>} options.roadClassSpeeds - Speed in km/h per road class, merged with SpeedModel.ROAD_CLASS_SPEEDS
+     * @param {number} options.bikeLaneFactor - Speed multiplier on segments with a bike lane (default: 1.2)
+     */
+    constructor(options = {}) {
+        /**
+         * @type {number}
+         */
+        this.defaultSpeed = options.defaultSpeed > 0 ? options.defaultSpeed : SpeedModel.DEFAULT_SPEED;
+
+        /**
+         * @type {Object<string, number>}
+         */
+        this.roadClassSpeeds = Object.assign({}, SpeedModel.ROAD_CLASS_SPEEDS, options.roadClassSpeeds || {});
+
+        /**
+         * @type {number}
+         */
+        this.bikeLaneFactor = options.bikeLaneFactor > 0 ? options.bikeLaneFactor : SpeedModel.BIKE_LANE_FACTOR;
+    }
+
+    /**
+     * Returns the speed on a segment
+     * An explicit segment speed wins; otherwise the road class (or the default speed) applies, boosted on bike lanes
+     * @param {Segment} segment
+     * @returns {number} Speed in km/h
+     */
+    segmentSpeed(segment) {
+        if (segment.speed > 0) {
+            return segment.speed;
+        }
+
+        const classSpeed = segment.roadClass ? this.roadClassSpeeds[segment.roadClass] : undefined;
+        const speed = classSpeed > 0 ? classSpeed : this.defaultSpeed;
+        return segment.bikeLane ? speed * this.bikeLaneFactor : speed;
+    }
+
+    /**
+     * Returns the time needed to travel a segment
+     * @param {Segment} segment
+     * @returns {number} Travel time in seconds (not rounded)
+     */
+    segmentTravelTime(segment) {
+        return segment.length * 3.6 / this.segmentSpeed(segment);
+    }
+
+    /**
+     * Returns the time needed to travel a sequence of segments
+     * @param {Array<Segment>} segments
+     * @returns {number} Travel time in seconds (rounded up)
+     */
+    routeTravelTime(segments) {
+        const total = segments.reduce((sum, segment) => sum + this.segmentTravelTime(segment), 0);
+        return SpeedModel.roundUp(total);
+    }
+
+    /**
+     * Estimates a travel time from a distance alone, at the default speed
+     * Used when the segments of a route are unknown
+     * @param {number} distance - Distance in meters
+     * @returns {number} Travel time in seconds (rounded up)
+     */
+    distanceTravelTime(distance) {
+        return SpeedModel.roundUp(distance * 3.6 / this.defaultSpeed);
+    }
+
+    /**
+     * Applies a courier's speed multiplier to a travel time
+     * @param {number} travelTime - Travel time in seconds at the model speed
+     * @param {Courier|null} courier - Courier with an optional speedFactor (e.g. 0.8 for a cargo bike)
+     * @returns {number} Travel time in seconds (rounded up)
+     */
+    courierTravelTime(travelTime, courier) {
+        const factor = courier && courier.speedFactor > 0 ? courier.speedFactor : 1;
+        return factor === 1 ? travelTime : SpeedModel.roundUp(travelTime / factor);
+    }
+
+    /**
+     * Rounds a time up to the second, ignoring floating point noise
+     * @param {number} seconds
+     * @returns {number}
+     * @private
+     */
+    static roundUp(seconds) {
+        return Math.ceil(seconds - 1e-9);
+    }
+
+    /**
+     * Returns a string identifying the model settings (part of the plan hash)
+     * @returns {string}
+     */
+    getSignature() {
+        const classes = Object.keys(this.roadClassSpeeds).sort()
+            .map(roadClass => `${roadClass}=${this.roadClassSpeeds[roadClass]}`)
+            .join(',');
+        return `${this.defaultSpeed};${this.bikeLaneFactor};${classes}`;
+    }
+
+    /**
+     * Returns a JSON representation of the speed model
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            defaultSpeed: this.defaultSpeed,
+            roadClassSpeeds: Object.assign({}, this.roadClassSpeeds),
+            bikeLaneFactor: this.bikeLaneFactor
+        };
+    }
+}
+
+/**
+ * Default courier speed on a plain segment, in km/h
+ * @type {number}
+ */
+SpeedModel.DEFAULT_SPEED = 15;
+
+/**
+ * Speed in km/h per road class (attribute "categorie" of a <troncon>)
+ * @type {Object<string, number>}
+ */
+SpeedModel.ROAD_CLASS_SPEEDS = {
+    principale: 13,
+    secondaire: 15,
+    residentielle: 15,
+    pietonne: 8
+};
+
+/**
+ * Speed multiplier on segments with a bike lane (attribute pisteCyclable="true")
+ * @type {number}
+ */
+SpeedModel.BIKE_LANE_FACTOR = 1.2;
+
+// Export for Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpeedModel;
+}
+
+if (typeof window !== 'undefined') {
+    window.SpeedModel = SpeedModel;
+}
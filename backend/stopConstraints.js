@@ -0,0 +1,237 @@
+/**
+ * Class representing the constraints a dispatcher puts on the order of the stops of a tour
+ * - a pinned stop must stay at a given position (1 is the first stop after the warehouse)
+ * - a locked block is a run of stops that must stay consecutive, in the same order
+ * - the executed prefix lists the stops the courier has already served: they stay first, in that order
+ * Stops are identified by their type and demand (e.g. "PICKUP:12"), so the constraints survive a reload of the tour.
+ */
+
+class StopConstraints {
+
+    /**
+     * Constructor for the StopConstraints class
+     */
+    constructor() {
+        this.pins = new Map(); // Map<string, number> - stop key -> position
+        this.blocks = []; // Array<Array<string>> - stop keys in their order
+        this.executed = []; // Array<string> - stop keys of the executed prefix, in their order
+    }
+
+    /**
+     * Key identifying a stop of a tour
+     * @param {TourPoint} stop
+     * @returns {string|null} "TYPE:demandId", null for the warehouse
+     */
+    static keyOf(stop) {
+        if (!stop || !stop.demand) {
+            return null;
+        }
+        const demandId = stop.demand.id !== undefined ? stop.demand.id : stop.demand;
+        return `${stop.type}:${demandId}`;
+    }
+
+    /**
+     * Rebuilds the constraints from their JSON representation
+     * @param {{pins: Array<{stop: string, position: number}>, blocks: Array<Array<string>>, executed: Array<string>}|null} json
+     * @returns {StopConstraints|null}
+     */
+    static fromJSON(json) {
+        if (!json) {
+            return null;
+        }
+        const constraints = new StopConstraints();
+        (json.pins || []).forEach(({ stop, position }) => constraints.pins.set(String(stop), Number(position)));
+        constraints.blocks = (json.blocks || []).map(block => block.map(String));
+        constraints.executed = (json.executed || []).map(String);
+        return constraints;
+    }
+
+    /**
+     * Pins a stop to a position
+     * @param {TourPoint} stop
+     * @param {number} position - Position in the tour, 1 for the first stop after the warehouse
+     * @throws {Error} For the warehouse or a position below 1
+     */
+    pin(stop, position) {
+        const key = StopConstraints.keyOf(stop);
+        if (!key) {
+            throw new Error("L'entrepôt ne peut pas être épinglé.");
+        }
+        if (!Number.isInteger(position) || position < 1) {
+            throw new Error(`Position d'épinglage invalide : ${position}.`);
+        }
+        this.pins.set(key, position);
+    }
+
+    /**
+     * Releases a pinned stop
+     * @param {TourPoint} stop
+     */
+    unpin(stop) {
+        this.pins.delete(StopConstraints.keyOf(stop));
+    }
+
+    /**
+     * @param {TourPoint} stop
+     * @returns {boolean}
+     */
+    isPinned(stop) {
+        return this.pins.has(StopConstraints.keyOf(stop));
+    }
+
+    /**
+     * Locks consecutive stops as a block; the blocks sharing a stop with it are replaced
+     * @param {Array<TourPoint>} stops - At least two stops, in their order in the tour
+     * @throws {Error} With less than two stops besides the warehouse
+     */
+    lock(stops) {
+        const keys = stops.map(StopConstraints.keyOf).filter(key => key);
+        if (keys.length < 2) {
+            throw new Error('Un bloc doit contenir au moins deux arrêts.');
+        }
+        this.blocks = this.blocks.filter(block => !block.some(key => keys.includes(key)));
+        this.blocks.push(keys);
+    }
+
+    /**
+     * Releases the block containing a stop
+     * @param {TourPoint} stop
+     */
+    unlock(stop) {
+        const key = StopConstraints.keyOf(stop);
+        this.blocks = this.blocks.filter(block => !block.includes(key));
+    }
+
+    /**
+     * Returns the keys of the block containing a stop
+     * @param {TourPoint} stop
+     * @returns {Array<string>|null}
+     */
+    blockOf(stop) {
+        const key = StopConstraints.keyOf(stop);
+        return this.blocks.find(block => block.includes(key)) || null;
+    }
+
+    /**
+     * Marks the first stops of the tour as already served
+     * @param {Array<TourPoint>} stops - Stops of the prefix in their order (the warehouse is ignored), [] to clear it
+     */
+    markExecuted(stops) {
+        this.executed = stops.map(StopConstraints.keyOf).filter(key => key);
+    }
+
+    /**
+     * @param {TourPoint} stop
+     * @returns {boolean}
+     */
+    isExecuted(stop) {
+        return this.executed.includes(StopConstraints.keyOf(stop));
+    }
+
+    /**
+     * @returns {boolean} true when no stop is pinned, locked or executed
+     */
+    isEmpty() {
+        return this.pins.size === 0 && this.blocks.length === 0 && this.executed.length === 0;
+    }
+
+    /**
+     * Resolves the constraints on the stops of a tour
+     * Keys without a stop and positions past the last stop are ignored; the executed stops are pinned to the first positions.
+     * @param {Array<TourPoint>} stops - Stops of the tour, warehouse first and last
+     * @returns {{pointAt: Map<number, TourPoint>, positionOf: Map<TourPoint, number>, next: Map<TourPoint, TourPoint>,
+     *   previous: Map<TourPoint, TourPoint>, canAppend: function(number, TourPoint, TourPoint): boolean}}
+     *   canAppend(position, lastPoint, point) tells whether point may follow lastPoint at a position
+     *   (the return to the warehouse is never pinned but may not break a block)
+     */
+    resolve(stops) {
+        const byKey = new Map();
+        stops.forEach(stop => {
+            const key = StopConstraints.keyOf(stop);
+            if (key) byKey.set(key, stop);
+        });
+        const lastPosition = stops.length - 2;
+
+        const pointAt = new Map();
+        const positionOf = new Map();
+        const place = (key, position) => {
+            const point = byKey.get(key);
+            if (!point || position < 1 || position > lastPosition || positionOf.has(point) || pointAt.has(position)) return;
+            pointAt.set(position, point);
+            positionOf.set(point, position);
+        };
+        this.executed.forEach((key, index) => place(key, index + 1));
+        this.pins.forEach((position, key) => place(key, position));
+
+        const next = new Map();
+        const previous = new Map();
+        for (const block of this.blocks) {
+            const points = block.map(key => byKey.get(key)).filter(point => point);
+            for (let i = 1; i < points.length; i++) {
+                next.set(points[i - 1], points[i]);
+                previous.set(points[i], points[i - 1]);
+            }
+        }
+
+        const canAppend = (position, lastPoint, point) => {
+            if (next.has(lastPoint) && next.get(lastPoint) !== point) return false;
+            if (previous.has(point) && previous.get(point) !== lastPoint) return false;
+            if (pointAt.has(position) && pointAt.get(position) !== point) return false;
+            return !positionOf.has(point) || positionOf.get(point) === position;
+        };
+        return { pointAt, positionOf, next, previous, canAppend };
+    }
+
+    /**
+     * Tells whether an order of the stops respects the constraints
+     * @param {Array<TourPoint>} stops - Stops of the tour, warehouse first and last
+     * @returns {boolean}
+     */
+    allows(stops) {
+        const { canAppend } = this.resolve(stops);
+        for (let i = 1; i < stops.length; i++) {
+            if (!canAppend(i, stops[i - 1], stops[i])) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Carries the constraints over to a new order of the stops, e.g. once a demand is removed:
+     * pinned stops take their new positions and the stops that left the tour are dropped
+     * @param {Array<TourPoint>} stops - New stops of the tour, warehouse first and last
+     * @returns {StopConstraints}
+     */
+    follow(stops) {
+        const keys = stops.map(StopConstraints.keyOf);
+        const constraints = new StopConstraints();
+        this.pins.forEach((position, key) => {
+            if (keys.includes(key)) constraints.pins.set(key, keys.indexOf(key));
+        });
+        constraints.blocks = this.blocks
+            .map(block => block.filter(key => keys.includes(key)))
+            .filter(block => block.length >= 2);
+        constraints.executed = this.executed.filter(key => keys.includes(key));
+        return constraints;
+    }
+
+    /**
+     * Returns a JSON representation of the constraints
+     * @returns {{pins: Array<{stop: string, position: number}>, blocks: Array<Array<string>>, executed: Array<string>}}
+     */
+    toJSON() {
+        return {
+            pins: Array.from(this.pins, ([stop, position]) => ({ stop, position })),
+            blocks: this.blocks.map(block => block.slice()),
+            executed: this.executed.slice()
+        };
+    }
+}
+
+// Export for Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StopConstraints;
+}
+
+if (typeof window !== 'undefined') {
+    window.StopConstraints = StopConstraints;
+}
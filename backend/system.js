@@ -1,9 +1,11 @@
 // Demand is expected to be loaded before this script in browser environment
-// For Node.js environment - import Demand, Tour, Leg, TourPoint
+// For Node.js environment - import Demand, Node, Tour, Leg, TourPoint
 
 if (typeof require !== 'undefined') {
     // Node.js environment
     global.Demand = require("./demand");
+    global.Node = require("./node");
+    global.Plan = require("./plan");
     global.Tour = require("./tours");
     global.Leg = require("./leg");
     const tourpointModule = require("./tourpoint");
@@ -11,6 +13,11 @@ if (typeof require !== 'undefined') {
     global.TypePoint = tourpointModule.TypePoint;
     global.Courier = require("./courier");
     global.ComputerTour = require("./computerTour")
+    global.TravelMatrixCache = require("./travelMatrixCache");
+    global.PlanValidator = require("./planValidator");
+    global.SpeedModel = require("./speedModel");
+    global.TimeWindow = require("./timeWindow");
+    global.StopConstraints = require("./stopConstraints");
 }
 
 // In browser, Demand, Tour, Leg, TourPoint, and Courier will be available from the global scope after their scripts load
@@ -24,10 +31,108 @@ class System {
         this.demandsList = [];
         this.toursList = [];
         this.nextDemandId = 1; //paramètre pour gérer les id des demandes ajoutées.
+        // Heure de départ de l'entrepôt lue dans le fichier de demandes (heureDepart), null : ComputerTour.DEFAULT_DEPARTURE_TIME
+        this.departureTime = null;
+        // Solveur TSP utilisé par computeTours (voir ComputerTour.registerSolver)
+        this.tspStrategy = 'auto';
+        this.solverOptions = {};
+        // Routes between tour point nodes, reused across computeTours calls (in memory; the server persists them, see loadTravelMatrixCacheFromServer)
+        this.travelMatrixCache = new TravelMatrixCache({ filePath: null });
     }
 
-    async loadPlan(fileInput) {
+    /**
+     * Selects the TSP solver used by computeTours
+     * @param {string} strategy - Name of a registered solver ('auto', 'v0', 'v1', 'v2', ...)
+     * @param {Object} options - { timeBudget (ms), nodeLimit, seed }
+     * @returns {boolean} false if no solver has this name (the selection is left unchanged)
+     */
+    setTSPStrategy(strategy, options = {}) {
+        if (!ComputerTour.solvers.has(strategy)) {
+            console.warn(`Stratégie TSP inconnue : ${strategy}`);
+            return false;
+        }
+        this.tspStrategy = strategy;
+        this.solverOptions = Object.assign({}, options);
+        return true;
+    }
+
+    /**
+     * Adds the routes persisted by the server (saved_data/travel_matrix_cache.json) to the travel matrix cache
+     * @returns {Promise<Object>} { success, size } or { success: false, error }
+     */
+    async loadTravelMatrixCacheFromServer() {
+        try {
+            const res = await fetch('/api/travel-matrix-cache', { cache: 'no-store' });
+            if (!res.ok) {
+                return { success: false, error: `Erreur HTTP ${res.status}` };
+            }
+
+            const data = await res.json();
+            if (!data.success) {
+                return { success: false, error: data.error || 'Erreur API cache des trajets' };
+            }
+
+            this.travelMatrixCache.mergeJSON(data.cache);
+            this.travelMatrixCache.dirty = false;
+            return { success: true, size: this.travelMatrixCache.entryCount };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
+
+    /**
+     * Sends the travel matrix cache to the server, which persists it, if it changed since the last sync
+     * @returns {Promise<Object>} { success, saved } or { success: false, error }
+     */
+    async saveTravelMatrixCacheToServer() {
+        if (!this.travelMatrixCache.dirty) {
+            return { success: true, saved: false };
+        }
+
+        try {
+            const res = await fetch('/api/travel-matrix-cache', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ cache: this.travelMatrixCache.toJSON() })
+            });
+            if (!res.ok) {
+                return { success: false, error: `Erreur HTTP ${res.status}` };
+            }
+
+            this.travelMatrixCache.dirty = false;
+            return { success: true, saved: true };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
+
+    /**
+     * Reads the routing mode of a map
+     * @param {string|null} value - Attribute oriente of <reseau>: "true" (one-way segments) or "false" (two-way segments)
+     * @param {Array<{origin: string, destination: string}>} segments - Segments of the map, used when the attribute is missing
+     * @returns {boolean} True for directed routing; without attribute, Plan.detectDirected (the default of new Plan too)
+     */
+    readDirectedMode(value, segments) {
+        if (value === "true" || value === "false") {
+            return value === "true";
+        }
+        if (value) {
+            console.warn(`Attribut oriente invalide : ${value}. Sens de circulation déduit des tronçons.`);
+        }
+        return Plan.detectDirected(segments);
+    }
 
+    /**
+     * Loads a city plan from an XML file
+     * Segments (<troncon>) go from origine to destination; the routing mode is read from the map,
+     * see readDirectedMode. Pass { directed } to force it.
+     * @param {HTMLInputElement} fileInput - File input holding the XML plan
+     * @param {Object} options - Loading options
+     * @param {boolean} options.directed - Directed routing mode (default: read from the map)
+     * @param {number} options.defaultSpeed - Plan-wide courier speed in km/h (default: attribute vitesseDefaut of <reseau>, or 15)
+     * @returns {Promise<Object>} { success, plan } or { success: false, error }
+     */
+    async loadPlan(fileInput, options = {}) {
         // 1. Vérifier qu'un fichier est sélectionné
         if (fileInput.files.length === 0) {
             return { success: false, error: " Aucun fichier sélectionné. Veuillez choisir un fichier XML." };
@@ -100,6 +205,25 @@ class System {
             return { success: false, error: "Le XML n'a pas la structure d'un plan de carte (noeud/ troncon incorrects)." };
         }
 
+        // Intégrité du plan : les erreurs bloquent le chargement, les avertissements sont remontés
+        const segmentData = Array.from(troncons).map(t => ({
+            origin: t.getAttribute("origine"),
+            destination: t.getAttribute("destination"),
+            length: parseFloat(t.getAttribute("longueur")),
+            streetName: t.getAttribute("nomRue") || ""
+        }));
+        const report = PlanValidator.validate(
+            Array.from(noeuds).map(n => ({ id: n.getAttribute("id") })),
+            segmentData
+        );
+        if (!report.valid) {
+            return {
+                success: false,
+                error: `Le plan contient ${report.errors.length} erreur(s) :\n${PlanValidator.summarize(report.errors)}`,
+                report: report
+            };
+        }
+
         const nodes = Array.from(noeuds).map(n => new Node(
             n.getAttribute("id"),
             parseFloat(n.getAttribute("latitude")),
@@ -109,7 +233,16 @@ class System {
 
         const nodeMap = new Map(nodes.map(n => [n.id, n]));
 
-        // Initialize distance matrix
+        // Sens de circulation : option explicite, sinon attribut oriente de <reseau>, sinon déduit des tronçons
+        const directed = typeof options.directed === 'boolean'
+            ? options.directed
+            : this.readDirectedMode(reseau.getAttribute("oriente"), segmentData);
+
+        // Modèle de vitesse : vitesse par défaut du plan, surchargée par les attributs des tronçons
+        const defaultSpeed = options.defaultSpeed || parseFloat(reseau.getAttribute("vitesseDefaut")) || undefined;
+        const speedModel = new SpeedModel({ defaultSpeed: defaultSpeed });
+
+        // Initialize travel time matrix (seconds between directly connected nodes)
         this.distanceMatrix = new Map();
 
         const segments = Array.from(troncons).map(t => {
@@ -117,6 +250,11 @@ class System {
             const destId = t.getAttribute("destination");
             const name = t.getAttribute("nomRue") || "";
             const length = parseFloat(t.getAttribute("longueur"));
+            const attributes = {
+                roadClass: t.getAttribute("categorie") || null,
+                bikeLane: t.getAttribute("pisteCyclable") === "true",
+                speed: parseFloat(t.getAttribute("vitesse")) || null
+            };
 
             const originNode = nodeMap.get(originId) || null;
             const destinationNode = nodeMap.get(destId) || null;
@@ -125,7 +263,8 @@ class System {
                 originNode,
                 destinationNode,
                 name,
-                length
+                length,
+                attributes
             );
 
             if (originNode) {
@@ -136,9 +275,19 @@ class System {
                     this.distanceMatrix.set(originNode.id, new Map());
                 }
 
-                // Calculate time for this segment (distance / 15 km/h * 60 minutes)
-                const travelTimeMinutes = (length / 15) * 60;
-                this.distanceMatrix.get(originNode.id).set(destinationNode.id, travelTimeMinutes);
+                // Travel time of this segment in seconds, from the speed model
+                const travelTimeSeconds = speedModel.routeTravelTime([seg]);
+                this.distanceMatrix.get(originNode.id).set(destinationNode.id, travelTimeSeconds);
+
+                // Two-way street: the reverse direction is available too
+                if (!directed && destinationNode) {
+                    if (!this.distanceMatrix.has(destinationNode.id)) {
+                        this.distanceMatrix.set(destinationNode.id, new Map());
+                    }
+                    if (!this.distanceMatrix.get(destinationNode.id).has(originNode.id)) {
+                        this.distanceMatrix.get(destinationNode.id).set(originNode.id, travelTimeSeconds);
+                    }
+                }
             }
 
             return seg;
@@ -149,26 +298,30 @@ class System {
 
         const planJSON = {
             nodes: nodes.map(n => n.toJSON()),
-            segments: segments.map(s => s.toJSON())
+            segments: segments.map(s => s.toJSON()),
+            directed: directed,
+            speedModel: speedModel.toJSON()
         };
 
 
         // 5. Créer le plan avec nodeMap (Map) au lieu de nodes (Array)
-        this.plan = new Plan();
-        this.plan.nodes = nodeMap;
-        this.plan.segments = segments;
+        this.plan = new Plan(nodeMap, segments, null, { directed, speedModel });
+
+        // Strongly connected components: used to reject demands that cannot be served
+        const components = this.plan.computeStronglyConnectedComponents();
+        console.log(`Composantes fortement connexes: ${components.count}`);
 
-        return { success: true, plan: planJSON }
+        return { success: true, plan: planJSON, report: report, warnings: report.warnings }
     }
 
     loadTourFromJSON(data) {
         if (!data) return null;
 
         const courier = data.courier
-            ? new Courier(data.courier.id, data.courier.name)
+            ? new Courier(data.courier.id, data.courier.name, data.courier)
             : null;
 
-        const tour = new Tour(data.id || null, data.departureTime || "08:00", courier);
+        const tour = new Tour(data.id || null, data.departureTime || ComputerTour.DEFAULT_DEPARTURE_TIME, courier);
 
         const nodeMap = new Map();
         const getOrCreateNode = (nodeJson) => {
@@ -188,7 +341,12 @@ class System {
                 demandJson.deliveryAddress,
                 demandJson.pickupDuration,
                 demandJson.deliveryDuration,
-                demandJson.id
+                demandJson.id,
+                {
+                    pickupWindow: TimeWindow.fromJSON(demandJson.pickupWindow),
+                    deliveryWindow: TimeWindow.fromJSON(demandJson.deliveryWindow),
+                    load: demandJson.load
+                }
             );
             demandMap.set(demand.id, demand);
             return demand;
@@ -210,6 +368,9 @@ class System {
 
         tour.calculateTotalDistance();
         tour.calculateTotalDuration();
+        tour.solverInfo = data.solverInfo ? Object.assign({}, data.solverInfo) : null;
+        tour.mergeColocatedStops = !!data.mergeColocatedStops;
+        tour.constraints = StopConstraints.fromJSON(data.constraints);
         return tour;
     }
 
@@ -273,7 +434,7 @@ class System {
                 }
 
                 const departureTime = tour.departureTime || "8:00";
-                const departureToken = departureTime.replace(":", "h"); // ex : 8:00 -> 8h00
+                const departureToken = departureTime.split(":").slice(0, 2).join("h"); // ex : 8:00 -> 8h00
 
                 const courierNameRaw = tour.courier && tour.courier.name
                     ? String(tour.courier.name).trim()
@@ -499,17 +660,10 @@ class System {
             // Récupérer l'adresse de l'entrepôt et l'heure de départ
             const warehouseAddress = entrepot.getAttribute("adresse");
             const departureTime = entrepot.getAttribute("heureDepart");
+            this.setDepartureTimeFromFile(departureTime);
 
             // Initialiser le warehouse dans le plan si le plan est chargé
-            if (this.plan && warehouseAddress) {
-                const warehouseNode = this.plan.getNodeById(warehouseAddress);
-                if (warehouseNode) {
-                    this.plan.warehouse = warehouseNode;
-                    console.log('Entrepôt défini:', warehouseAddress);
-                } else {
-                    console.warn('Noeud d\'entrepôt non trouvé dans le plan:', warehouseAddress);
-                }
-            }
+            this.setWarehouseFromFile(warehouseAddress);
 
             // Créer un coursier par défaut si aucun n'existe
             if (this.listCouriers.length === 0) {
@@ -523,8 +677,13 @@ class System {
 
             let demandsLoaded = 0;
             let invalidCount = 0;
+            const unreachableDemands = [];
+            const invalidTimeWindows = [];
+            const invalidLoads = [];
+            let position = 0;
 
             for (let livraison of livraisons) {
+                position++;
                 const pickupAddress = livraison.getAttribute("adresseEnlevement");
                 const deliveryAddress = livraison.getAttribute("adresseLivraison");
                 const pickupDuration = parseInt(livraison.getAttribute("dureeEnlevement"));
@@ -536,6 +695,26 @@ class System {
                     continue;
                 }
 
+                // Créneaux horaires optionnels
+                const timeWindows = this.parseDemandTimeWindows(name => livraison.getAttribute(name), `Demande n°${position}`);
+                if (timeWindows.error) {
+                    console.warn(timeWindows.error);
+                    invalidTimeWindows.push(timeWindows.error);
+                    invalidCount++;
+                    continue;
+                }
+
+                // Volume optionnel, qui doit tenir dans le sac d'au moins un coursier
+                const load = this.parseDemandLoad(livraison.getAttribute("volume"));
+                const oversized = isNaN(load) ? null : this.findOversizedDemand(load, `Demande n°${position}`);
+                if (isNaN(load) || oversized) {
+                    const message = oversized ? oversized.message : `Demande n°${position} : volume invalide.`;
+                    console.warn(message);
+                    invalidLoads.push(message);
+                    invalidCount++;
+                    continue;
+                }
+
                 // Si un plan est chargé, vérifier que les nœuds existent
                 if (this.plan && typeof this.plan.getNodeById === "function") {
                     const pickupNode = this.plan.getNodeById(pickupAddress);
@@ -549,6 +728,15 @@ class System {
                         invalidCount++;
                         continue;
                     }
+
+                    // Le noeud doit être atteignable depuis l'entrepôt (et l'entrepôt depuis lui)
+                    const unreachable = this.findUnreachableDemandNode(pickupAddress, deliveryAddress, `Demande n°${position}`);
+                    if (unreachable) {
+                        console.warn(unreachable.message);
+                        unreachableDemands.push(unreachable);
+                        invalidCount++;
+                        continue;
+                    }
                 }
 
                 // Demande valide → on l'ajoute
@@ -557,7 +745,8 @@ class System {
                     deliveryAddress,
                     pickupDuration,
                     deliveryDuration,
-                    this.nextDemandId++
+                    this.nextDemandId++,
+                    Object.assign({ load }, timeWindows)
                 );
                 this.demandsList.push(demande);
                 demandsLoaded++;
@@ -568,15 +757,19 @@ class System {
             const result = {
                 success: demandsLoaded > 0,
                 demands: this.demandsList,
-                warehouse: { address: warehouseAddress, departureTime: departureTime },
+                warehouse: { address: warehouseAddress, departureTime: this.departureTime },
                 count: demandsLoaded,
-                invalidCount: invalidCount
+                invalidCount: invalidCount,
+                unreachableDemands: unreachableDemands,
+                invalidLoads: invalidLoads
             };
 
+            const invalidDetails = unreachableDemands.map(u => `\n- ${u.message}`).join("")
+                + invalidTimeWindows.concat(invalidLoads).map(message => `\n- ${message}`).join("");
             if (invalidCount > 0 && demandsLoaded > 0) {
-                result.warning = `${invalidCount} demandes ne sont pas valides et ont été ignorées.`;
+                result.warning = `${invalidCount} demandes ne sont pas valides et ont été ignorées.${invalidDetails}`;
             } else if (demandsLoaded === 0) {
-                result.error = "Toutes les demandes du fichier sont invalides.";
+                result.error = `Toutes les demandes du fichier sont invalides.${invalidDetails}`;
             }
 
             return result;
@@ -605,10 +798,21 @@ class System {
             const livraisons = root.livraison;
             console.log("Nombre de livraisons :", livraisons.length);
 
+            const entrepotAttrs = root.entrepot && root.entrepot[0] ? root.entrepot[0].$ || {} : {};
+            this.setDepartureTimeFromFile(entrepotAttrs.heureDepart);
+
+            // Initialiser le warehouse dans le plan si le plan est chargé
+            this.setWarehouseFromFile(entrepotAttrs.adresse);
+
             let demandsLoaded = 0;
             let invalidCount = 0;
+            const unreachableDemands = [];
+            const invalidTimeWindows = [];
+            const invalidLoads = [];
+            let position = 0;
 
             for (const livraisonNode of livraisons) {
+                position++;
                 const attrs = livraisonNode.$ || {};
                 const pickupAddress = attrs.adresseEnlevement;
                 const deliveryAddress = attrs.adresseLivraison;
@@ -620,6 +824,24 @@ class System {
                     continue;
                 }
 
+                const timeWindows = this.parseDemandTimeWindows(name => attrs[name], `Demande n°${position}`);
+                if (timeWindows.error) {
+                    console.warn(timeWindows.error);
+                    invalidTimeWindows.push(timeWindows.error);
+                    invalidCount++;
+                    continue;
+                }
+
+                const load = this.parseDemandLoad(attrs.volume);
+                const oversized = isNaN(load) ? null : this.findOversizedDemand(load, `Demande n°${position}`);
+                if (isNaN(load) || oversized) {
+                    const message = oversized ? oversized.message : `Demande n°${position} : volume invalide.`;
+                    console.warn(message);
+                    invalidLoads.push(message);
+                    invalidCount++;
+                    continue;
+                }
+
                 // Validation optionnelle via plan si disponible dans les tests Node
                 if (this.plan && typeof this.plan.getNodeById === "function") {
                     const pickupNode = this.plan.getNodeById(pickupAddress);
@@ -628,6 +850,14 @@ class System {
                         invalidCount++;
                         continue;
                     }
+
+                    const unreachable = this.findUnreachableDemandNode(pickupAddress, deliveryAddress, `Demande n°${position}`);
+                    if (unreachable) {
+                        console.warn(unreachable.message);
+                        unreachableDemands.push(unreachable);
+                        invalidCount++;
+                        continue;
+                    }
                 }
 
                 const demande = new Demand(
@@ -635,12 +865,21 @@ class System {
                     deliveryAddress,
                     pickupDuration,
                     deliveryDuration,
-                    this.nextDemandId++
+                    this.nextDemandId++,
+                    Object.assign({ load }, timeWindows)
                 );
                 this.demandsList.push(demande);
             };
 
-            return { success: true, demands: this.demandsList, count: this.demandsList.length };
+            return {
+                success: true,
+                demands: this.demandsList,
+                count: this.demandsList.length,
+                warehouse: { address: entrepotAttrs.adresse || null, departureTime: this.departureTime },
+                unreachableDemands: unreachableDemands,
+                invalidTimeWindows: invalidTimeWindows,
+                invalidLoads: invalidLoads
+            };
 
         } catch (error) {
             console.error("Error while reading demand XML:", error);
@@ -649,7 +888,292 @@ class System {
     }
 
 
-    addDemand(pickupAddress, deliveryAddress, pickupDuration, deliveryDuration) {
+    /**
+     * Reads the optional time windows of a <livraison>
+     * Attributes debutEnlevement/finEnlevement and debutLivraison/finLivraison, in HH:MM
+     * @param {function(string): string|null} getAttribute - Reads an attribute of the <livraison>
+     * @param {string} demandLabel - Name of the demand used in the message (e.g. "Demande n°3")
+     * @returns {Object} { pickupWindow, deliveryWindow } (null when absent) or { error }
+     */
+    parseDemandTimeWindows(getAttribute, demandLabel) {
+        try {
+            return {
+                pickupWindow: TimeWindow.fromStrings(getAttribute("debutEnlevement"), getAttribute("finEnlevement")),
+                deliveryWindow: TimeWindow.fromStrings(getAttribute("debutLivraison"), getAttribute("finLivraison"))
+            };
+        } catch (error) {
+            return { error: `${demandLabel} : ${error.message}` };
+        }
+    }
+
+    /**
+     * Reads a departure time
+     * @param {string|null} value - "HH:MM" or "H:M:S" (attribute heureDepart of <entrepot>, e.g. "8:0:0")
+     * @returns {string|null} "HH:MM" ("HH:MM:SS" when the seconds are not 0), null if the value is empty, NaN if it is malformed
+     */
+    parseDepartureTime(value) {
+        const seconds = TimeWindow.parseTime(value);
+        if (seconds === null || Number.isNaN(seconds)) {
+            return seconds;
+        }
+        return TimeWindow.formatTime(seconds, seconds % 60 !== 0);
+    }
+
+    /**
+     * Keeps the departure time of a request file (a malformed one is ignored with a warning)
+     * @param {string|null} value - Attribute heureDepart of <entrepot>
+     */
+    setDepartureTimeFromFile(value) {
+        const departureTime = this.parseDepartureTime(value);
+        if (Number.isNaN(departureTime)) {
+            console.warn(`Heure de départ invalide : ${value}. ${ComputerTour.DEFAULT_DEPARTURE_TIME} utilisée.`);
+        }
+        this.departureTime = departureTime || null;
+    }
+
+    /**
+     * Sets the warehouse of the loaded plan from a request file, before its demands are checked against it
+     * @param {string|null} address - Attribute adresse of <entrepot>
+     * @returns {boolean} True if the plan's warehouse was set
+     */
+    setWarehouseFromFile(address) {
+        if (!this.plan || !address) {
+            return false;
+        }
+        const warehouseNode = this.plan.getNodeById(address);
+        if (!warehouseNode) {
+            console.warn('Noeud d\'entrepôt non trouvé dans le plan:', address);
+            return false;
+        }
+        this.plan.warehouse = warehouseNode;
+        console.log('Entrepôt défini:', address);
+        return true;
+    }
+
+    /**
+     * Departure time of a courier's tour: the one of the run, else the one of the courier, else the one of the request file,
+     * and never before the start of the courier's shift
+     * @param {Courier|null} courier
+     * @param {Object} options - departureTime of the run
+     * @returns {string} "HH:MM" or "HH:MM:SS" (default ComputerTour.DEFAULT_DEPARTURE_TIME)
+     */
+    getDepartureTime(courier = null, options = {}) {
+        const values = [options.departureTime, courier && courier.departureTime, this.departureTime];
+        const departureTime = values.map(value => this.parseDepartureTime(value)).find(value => value)
+            || ComputerTour.DEFAULT_DEPARTURE_TIME;
+        const shiftStart = this.parseDepartureTime(courier && courier.shiftStart);
+        if (shiftStart && TimeWindow.parseTime(shiftStart) > TimeWindow.parseTime(departureTime)) {
+            return shiftStart;
+        }
+        return departureTime;
+    }
+
+    /**
+     * Checks the shift of a courier
+     * @param {Courier} courier
+     * @returns {string|null} The error, null if the shift is valid
+     */
+    validateCourierShift(courier) {
+        const name = courier.name || courier.id;
+        const [start, end] = [courier.shiftStart, courier.shiftEnd].map(value => TimeWindow.parseTime(value || null));
+        if (Number.isNaN(start) || Number.isNaN(end)) {
+            return `${name} : horaires de service invalides (${courier.shiftStart || '-'} - ${courier.shiftEnd || '-'}).`;
+        }
+        if (start !== null && end !== null && end <= start) {
+            return `${name} : la fin de service (${courier.shiftEnd}) précède le début (${courier.shiftStart}).`;
+        }
+        return null;
+    }
+
+    /**
+     * Compares a tour with the shift of its courier
+     * @param {Tour} tour - Computed tour, warehouse first and last
+     * @returns {{courier: Courier, departure: number, return: number, workingTime: number, deadline: number,
+     *   overtime: number, feasible: boolean, message: string}}
+     *   Times in seconds since midnight, durations in seconds; the deadline is the end of the shift or the departure
+     *   plus the maximum working time (Infinity without either), overtime the time past it
+     */
+    getShiftReport(tour) {
+        const courier = tour.courier || {};
+        const courierName = courier.name || 'Coursier';
+        const schedule = tour.computeSchedule();
+        const departure = schedule.length > 0 ? schedule[0].departure : TimeWindow.parseTime(tour.departureTime);
+        const back = schedule.length > 0 ? schedule[schedule.length - 1].departure : departure;
+        const shiftEnd = TimeWindow.parseTime(courier.shiftEnd || null);
+        const maxWorkingTime = courier.maxWorkingTime > 0 ? courier.maxWorkingTime : Infinity;
+        const deadline = Math.min(shiftEnd === null || Number.isNaN(shiftEnd) ? Infinity : shiftEnd, departure + maxWorkingTime);
+        const overtime = Math.max(0, back - deadline);
+
+        const message = overtime > 0
+            ? `${courierName} : retour à ${TimeWindow.formatTime(back)}, ${Math.ceil(overtime / 60)} min après la fin de service (${TimeWindow.formatTime(deadline)}).`
+            : `${courierName} : retour à ${TimeWindow.formatTime(back)}, dans les horaires de service.`;
+        return {
+            courier: tour.courier,
+            departure,
+            return: back,
+            workingTime: back - departure,
+            deadline,
+            overtime,
+            feasible: overtime === 0,
+            message
+        };
+    }
+
+    /**
+     * Reads the optional volume of a demand (attribute volume of a <livraison>, CSV column)
+     * @param {string|number|null} value - Volume in liters
+     * @returns {number} The volume (0 when absent), NaN if it is not a positive number
+     */
+    parseDemandLoad(value) {
+        if (value === undefined || value === null || value === "") {
+            return 0;
+        }
+        const load = Number(value);
+        return load >= 0 ? load : NaN;
+    }
+
+    /**
+     * Returns the largest bag volume among the couriers
+     * @returns {number} Volume in liters, Infinity if a courier has no capacity limit (or there is no courier yet)
+     */
+    getLargestCapacity() {
+        if (!this.listCouriers || this.listCouriers.length === 0) {
+            return Infinity;
+        }
+        return this.listCouriers.reduce(
+            (max, courier) => Math.max(max, courier.capacity > 0 ? courier.capacity : Infinity), 0);
+    }
+
+    /**
+     * Checks that a demand fits in the bag of at least one courier
+     * @param {number} load - Volume of the demand in liters
+     * @param {string} demandLabel - Name of the demand used in the message (e.g. "Demande n°3")
+     * @returns {Object|null} { demand, load, capacity, message } if no courier can carry it, null otherwise
+     */
+    findOversizedDemand(load, demandLabel) {
+        const capacity = this.getLargestCapacity();
+        if (!(load > capacity)) {
+            return null;
+        }
+        return {
+            demand: demandLabel,
+            load: load,
+            capacity: capacity,
+            message: `${demandLabel} : volume de ${load} L supérieur à la capacité du plus grand sac (${capacity} L).`
+        };
+    }
+
+    /**
+     * Snaps a coordinate (map click, GPS point, imported address) to the closest routable node of the plan
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {number} maxDistance - Largest accepted snapping distance in meters (default: System.MAX_SNAP_DISTANCE)
+     * @returns {Object} { success, node, distance } or { success: false, error }
+     */
+    snapToNode(latitude, longitude, maxDistance = System.MAX_SNAP_DISTANCE) {
+        if (!this.plan) {
+            return { success: false, error: "Aucun plan chargé. Impossible de placer le point." };
+        }
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+            return { success: false, error: `Coordonnées invalides (${latitude}, ${longitude}).` };
+        }
+
+        const nearest = this.plan.nearestRoutableNode(latitude, longitude);
+        if (!nearest) {
+            return { success: false, error: "Aucun noeud accessible sur le plan." };
+        }
+        if (nearest.distance > maxDistance) {
+            return {
+                success: false,
+                error: `Le point (${latitude}, ${longitude}) est à ${Math.round(nearest.distance)} m du noeud le plus proche (maximum ${maxDistance} m).`
+            };
+        }
+        return { success: true, node: nearest.node, distance: nearest.distance };
+    }
+
+    /**
+     * Loads demands from CSV content with coordinates instead of node IDs
+     * One demand per line: latEnlevement, lonEnlevement, latLivraison, lonLivraison, dureeEnlevement, dureeLivraison[, volume]
+     * (separated by commas or semicolons, an optional header line is skipped). Every coordinate is snapped
+     * to the closest routable node of the plan.
+     * @param {string} csvContent - Content of the CSV file
+     * @param {Object} options
+     * @param {number} options.maxDistance - Largest accepted snapping distance in meters
+     * @returns {Object} { success, demands, count, invalidCount, snapped, warning? } or { success: false, error }
+     */
+    loadDemandsFromCSV(csvContent, options = {}) {
+        if (!this.plan) {
+            return { success: false, error: "Aucun plan chargé. Impossible d'importer des demandes." };
+        }
+
+        const maxDistance = options.maxDistance !== undefined ? options.maxDistance : System.MAX_SNAP_DISTANCE;
+        const lines = String(csvContent || "").split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        let demandsLoaded = 0;
+        const invalidLines = [];
+        const snapped = [];
+
+        lines.forEach((line, index) => {
+            const fields = line.split(/[;,]/).map(field => field.trim());
+            const values = fields.map(Number);
+
+            // Ligne d'en-tête
+            if (index === 0 && isNaN(values[0])) {
+                return;
+            }
+
+            const label = `Ligne ${index + 1}`;
+            if (fields.length < 6 || values.slice(0, 6).some(value => isNaN(value))) {
+                invalidLines.push(`${label} : format invalide.`);
+                return;
+            }
+
+            const [pickupLat, pickupLon, deliveryLat, deliveryLon, pickupDuration, deliveryDuration] = values;
+            const pickup = this.snapToNode(pickupLat, pickupLon, maxDistance);
+            const delivery = this.snapToNode(deliveryLat, deliveryLon, maxDistance);
+            if (!pickup.success || !delivery.success) {
+                invalidLines.push(`${label} : ${(pickup.success ? delivery : pickup).error}`);
+                return;
+            }
+
+            const load = this.parseDemandLoad(fields[6]);
+            if (isNaN(load)) {
+                invalidLines.push(`${label} : volume invalide.`);
+                return;
+            }
+
+            const added = this.addDemand(pickup.node.id, delivery.node.id, pickupDuration, deliveryDuration, load);
+            if (!added.success) {
+                invalidLines.push(`${label} : ${added.error}`);
+                return;
+            }
+
+            snapped.push({
+                demand: added.demand,
+                pickupDistance: pickup.distance,
+                deliveryDistance: delivery.distance
+            });
+            demandsLoaded++;
+        });
+
+        const result = {
+            success: demandsLoaded > 0,
+            demands: this.demandsList,
+            count: demandsLoaded,
+            invalidCount: invalidLines.length,
+            snapped: snapped
+        };
+
+        const details = invalidLines.map(message => `\n- ${message}`).join("");
+        if (invalidLines.length > 0 && demandsLoaded > 0) {
+            result.warning = `${invalidLines.length} demandes ne sont pas valides et ont été ignorées.${details}`;
+        } else if (demandsLoaded === 0) {
+            result.error = `Aucune demande valide dans le fichier CSV.${details}`;
+        }
+        return result;
+    }
+
+
+    addDemand(pickupAddress, deliveryAddress, pickupDuration, deliveryDuration, load = 0) {
         //Vérifie si un plan est chargé
         if (!this.plan) {
             return { success: false, error: "Aucun plan chargé. Impossible d'ajouter une demande." };
@@ -660,14 +1184,57 @@ class System {
         if (!pickupNode || !deliveryNode) {
             return { success: false, error: `Le noeud indiqué n'existe pas sur la map` };
         }
+        const unreachable = this.findUnreachableDemandNode(pickupAddress, deliveryAddress, `Demande ${this.nextDemandId}`);
+        if (unreachable) {
+            return { success: false, error: unreachable.message, unreachable: unreachable };
+        }
+        const oversized = this.findOversizedDemand(Number(load) || 0, `Demande ${this.nextDemandId}`);
+        if (oversized) {
+            return { success: false, error: oversized.message, oversized: oversized };
+        }
         // Créer la demande avec les IDs (comme loadDemandsFromXML), pas les objets Node
         // Cela permet à calculateTour d'utiliser correctement findShortestPath avec les IDs
-        const demande = new Demand(pickupAddress, deliveryAddress, pickupDuration, deliveryDuration, this.nextDemandId++);
+        const demande = new Demand(pickupAddress, deliveryAddress, pickupDuration, deliveryDuration, this.nextDemandId++, { load: Number(load) || 0 });
         this.demandsList.push(demande);
         return { success: true, demand: demande };
     }
 
-    updateDemand(idDemand, pickupAddress, deliveryAddress, pickupDuration, deliveryDuration) {
+    /**
+     * Checks that a demand can be served on the loaded plan
+     * Its pickup and delivery nodes must be in the same strongly connected component as the warehouse
+     * (or as each other while no warehouse is set), otherwise no tour can go there and come back
+     * @param {string} pickupAddress - Pickup node ID
+     * @param {string} deliveryAddress - Delivery node ID
+     * @param {string} demandLabel - Name of the demand used in the message (e.g. "Demande n°3")
+     * @returns {Object|null} { demand, node, role, message } for the first unreachable node, null if the demand can be served
+     */
+    findUnreachableDemandNode(pickupAddress, deliveryAddress, demandLabel) {
+        if (!this.plan || typeof this.plan.areStronglyConnected !== "function") {
+            return null;
+        }
+
+        const warehouse = this.plan.warehouse;
+        const referenceId = warehouse ? warehouse.id : pickupAddress;
+        const referenceName = warehouse ? `l'entrepôt (noeud ${warehouse.id})` : `l'enlèvement (noeud ${pickupAddress})`;
+        const checks = [
+            { node: pickupAddress, role: "pickup", label: "le point d'enlèvement" },
+            { node: deliveryAddress, role: "delivery", label: "le point de livraison" }
+        ];
+
+        for (const check of checks) {
+            if (!this.plan.areStronglyConnected(referenceId, check.node)) {
+                return {
+                    demand: demandLabel,
+                    node: check.node,
+                    role: check.role,
+                    message: `${demandLabel} : ${check.label} (noeud ${check.node}) n'est pas relié à ${referenceName} dans les deux sens.`
+                };
+            }
+        }
+        return null;
+    }
+
+    updateDemand(idDemand, pickupAddress, deliveryAddress, pickupDuration, deliveryDuration, load = undefined) {
         //Vérifie si un plan est chargé
         if (!this.plan) {
             return { success: false, error: "Aucun plan chargé. Impossible d'ajouter une demande." };
@@ -685,32 +1252,102 @@ class System {
         if (!pickupNode || !deliveryNode) {
             return { success: false, error: `Le noeud indiqué n'existe pas sur la map` };
         }
+        const unreachable = this.findUnreachableDemandNode(pickupAddress, deliveryAddress, `Demande ${idDemand}`);
+        if (unreachable) {
+            return { success: false, error: unreachable.message, unreachable: unreachable };
+        }
+        const newLoad = load !== undefined ? Number(load) || 0 : demande.load;
+        const oversized = this.findOversizedDemand(newLoad, `Demande ${idDemand}`);
+        if (oversized) {
+            return { success: false, error: oversized.message, oversized: oversized };
+        }
         //MAJ les attributs de la demande
         demande.pickupAddress = pickupAddress;
         demande.deliveryAddress = deliveryAddress;
         demande.pickupDuration = Number(pickupDuration);
         demande.deliveryDuration = Number(deliveryDuration);
+        demande.load = newLoad;
 
         return { success: true, demand: demande };
     }
 
-    removeDemandById(id) {
+    /**
+     * Removes a demand from demandsList and from the computed tours that contain it
+     * Each such tour loses the pickup and the delivery of the demand (ComputerTour.removeDemand): the stops around them
+     * are linked by a new leg and, with options.improve, a local 2-opt/or-opt pass reorders that tour only.
+     * The repaired tours replace the old ones in options.tours and toursList; a tour left without stops is dropped.
+     * @param {number|string} id - ID of the demand
+     * @param {Object} options - tours (default: toursList), improve (boolean), timeBudget of the local search in milliseconds
+     * @returns {boolean} false if no demand has this id
+     */
+    removeDemandById(id, options = {}) {
         const index = this.demandsList.findIndex(d => d.id === id);
-        if (index !== -1) {
-            this.demandsList.splice(index, 1);
-            return true;
+        if (index === -1) {
+            return false;
+        }
+        this.demandsList.splice(index, 1);
+
+        const tours = options.tours || this.toursList;
+        const affected = tours.filter(tour => tour && tour.stops.some(stop => stop.demand && String(stop.demand.id) === String(id)));
+        for (const tour of affected) {
+            const replace = (list, next) => {
+                const position = list.indexOf(tour);
+                if (position < 0) return;
+                if (next) list[position] = next;
+                else list.splice(position, 1);
+            };
+            const remainingStops = tour.stops.filter(stop => stop.demand && String(stop.demand.id) !== String(id));
+            let repaired = null;
+            if (remainingStops.length > 0) {
+                const computerTour = new ComputerTour(this.plan, tour.stops[0]);
+                computerTour.setTravelMatrixCache(this.travelMatrixCache);
+                const result = computerTour.removeDemand(tour, id, options);
+                if (!result) {
+                    console.error(`System.removeDemandById: tour ${tour.id} could not be repaired`);
+                    continue;
+                }
+                repaired = result.tour;
+            }
+            replace(tours, repaired);
+            if (tours !== this.toursList) replace(this.toursList, repaired);
+        }
+        if (affected.length > 0) {
+            this.travelMatrixCache.save();
         }
-        return false;
+        return true;
     }
 
     /**
-     * Calculate travel time from distance
+     * Returns the travel time model of the loaded plan (default model while no plan is loaded)
+     * @returns {SpeedModel}
+     */
+    getSpeedModel() {
+        if (this.plan && typeof this.plan.getSpeedModel === "function") {
+            return this.plan.getSpeedModel();
+        }
+        return new SpeedModel();
+    }
+
+    /**
+     * Calculate travel time from distance, at the default speed of the plan
+     * Prefer the travelTime of a route, which accounts for the speed of each segment
      * @param {number} distance - Distance in meters
-     * @returns {number} Travel time in seconds (assuming 15 km/h average speed)
+     * @param {Courier|null} courier - Courier whose speed factor applies
+     * @returns {number} Travel time in seconds
+     */
+    calculateTravelTime(distance, courier = null) {
+        const speedModel = this.getSpeedModel();
+        return speedModel.courierTravelTime(speedModel.distanceTravelTime(distance), courier);
+    }
+
+    /**
+     * Returns the travel time of a route for a courier
+     * @param {RouteResult} route - Route found by the plan router
+     * @param {Courier|null} courier - Courier whose speed factor applies
+     * @returns {number} Travel time in seconds
      */
-    calculateTravelTime(distance) {
-        const speedMPerS = 15000 / 3600; // 15 km/h = 4.17 m/s
-        return Math.round(distance / speedMPerS);
+    routeTravelTime(route, courier = null) {
+        return this.getSpeedModel().courierTravelTime(route.travelTime, courier);
     }
 
     calculateTour(demands) {
@@ -732,11 +1369,12 @@ class System {
             return null;
         }
 
-        let tour = new Tour(null, "8:00", this.listCouriers[0]);
+        const courier = this.listCouriers[0];
+        let tour = new Tour(null, this.getDepartureTime(courier), courier);
 
         // First leg: warehouse to first pickup
-        let { path, distance, segments } = this.plan.findShortestPath(this.plan.warehouse.id, demands[0].pickupAddress);
-        let travelTime = this.calculateTravelTime(distance);
+        let { path, distance, segments, travelTime: routeTime } = this.plan.findShortestPath(this.plan.warehouse.id, demands[0].pickupAddress);
+        let travelTime = this.getSpeedModel().courierTravelTime(routeTime, courier);
         let leg = new Leg(this.plan.warehouse, path[path.length - 1], path, segments, distance, travelTime);
         tour.addLeg(leg);
         tour.addStop(new TourPoint(this.plan.warehouse, 0, "WAREHOUSE", demands[0]));
@@ -744,30 +1382,30 @@ class System {
         for (let i = 0; i < demands.length - 1; ++i) {
             let demand = demands[i];
             let nextDemand = demands[i + 1];
-            let { path, distance, segments } = this.plan.findShortestPath(demand.pickupAddress, demand.deliveryAddress);
-            let travelTime = this.calculateTravelTime(distance);
+            let { path, distance, segments, travelTime: routeTime } = this.plan.findShortestPath(demand.pickupAddress, demand.deliveryAddress);
+            let travelTime = this.getSpeedModel().courierTravelTime(routeTime, courier);
             let leg = new Leg(path[0], path[path.length - 1], path, segments, distance, travelTime);
             tour.addLeg(leg);
             tour.addStop(new TourPoint(path[0], demand.pickupDuration, "PICKUP", demand));
             tour.addStop(new TourPoint(path[path.length - 1], demand.deliveryDuration, "DELIVERY", demand));
 
-            let { path: nextPath, distance: nextDistance, segments: nextSegments } = this.plan.findShortestPath(demand.deliveryAddress, nextDemand.pickupAddress);
-            let nextTravelTime = this.calculateTravelTime(nextDistance);
+            let { path: nextPath, distance: nextDistance, segments: nextSegments, travelTime: nextRouteTime } = this.plan.findShortestPath(demand.deliveryAddress, nextDemand.pickupAddress);
+            let nextTravelTime = this.getSpeedModel().courierTravelTime(nextRouteTime, courier);
             let nextLeg = new Leg(nextPath[0], nextPath[nextPath.length - 1], nextPath, nextSegments, nextDistance, nextTravelTime);
             tour.addLeg(nextLeg);
         }
 
         // Last demand pickup and delivery
         let lastDemand = demands[demands.length - 1];
-        let { path: lastPath, distance: lastDistance, segments: lastSegments } = this.plan.findShortestPath(lastDemand.pickupAddress, lastDemand.deliveryAddress);
-        let lastTravelTime = this.calculateTravelTime(lastDistance);
+        let { path: lastPath, distance: lastDistance, segments: lastSegments, travelTime: lastRouteTime } = this.plan.findShortestPath(lastDemand.pickupAddress, lastDemand.deliveryAddress);
+        let lastTravelTime = this.getSpeedModel().courierTravelTime(lastRouteTime, courier);
         let lastLeg = new Leg(lastPath[0], lastPath[lastPath.length - 1], lastPath, lastSegments, lastDistance, lastTravelTime);
         tour.addLeg(lastLeg);
         tour.addStop(new TourPoint(lastPath[0], lastDemand.pickupDuration, "PICKUP", lastDemand));
         tour.addStop(new TourPoint(lastPath[lastPath.length - 1], lastDemand.deliveryDuration, "DELIVERY", lastDemand));
         // Retour à l'entrepôt
-        let { path: returnPath, distance: returnDistance, segments: returnSegments } = this.plan.findShortestPath(lastDemand.deliveryAddress, this.plan.warehouse.id);
-        let returnTravelTime = this.calculateTravelTime(returnDistance);
+        let { path: returnPath, distance: returnDistance, segments: returnSegments, travelTime: returnRouteTime } = this.plan.findShortestPath(lastDemand.deliveryAddress, this.plan.warehouse.id);
+        let returnTravelTime = this.getSpeedModel().courierTravelTime(returnRouteTime, courier);
         let returnLeg = new Leg(returnPath[0], this.plan.warehouse, returnPath, returnSegments, returnDistance, returnTravelTime);
         tour.addLeg(returnLeg);
         tour.addStop(new TourPoint(this.plan.warehouse, 0, "WAREHOUSE", null));
@@ -782,20 +1420,26 @@ class System {
 
 
     /**
-     * Distribute demands among couriers using K-means clustering by proximity
+     * Distribute demands among couriers by clustering them
      * Groups nearby demands together for each courier
      * @param {number} nbCouriers - Number of couriers to distribute among
-     * @returns {Array<Array<Demand>>} Array of demand groups, one per courier
+     * @param {string} clustering - Clustering method, a key of System.clusteringMethods: 'kmeans' (default) on the
+     *   coordinates, 'network' on the travel times of the plan (see networkClustering)
+     * @returns {Array<Array<Demand>>} Array of demand groups, one per courier (empty for an unknown method)
      */
-    distributeDemands(nbCouriers) {
+    distributeDemands(nbCouriers, clustering = 'kmeans') {
         if (!this.demandsList || this.demandsList.length === 0) {
             console.error("Cannot distribute demands: no demands in list");
             return [];
         }
+        if (!System.clusteringMethods[clustering]) {
+            console.error(`Cannot distribute demands: unknown clustering method ${clustering}`);
+            return [];
+        }
 
         const numCouriers = Math.min(nbCouriers, this.demandsList.length);
         console.log(`\n${'='.repeat(60)}`);
-        console.log(`DISTRIBUTING ${this.demandsList.length} demands among ${numCouriers} couriers using K-means`);
+        console.log(`DISTRIBUTING ${this.demandsList.length} demands among ${numCouriers} couriers using ${System.clusteringMethods[clustering].label}`);
         console.log(`${'='.repeat(60)}\n`);
 
         if (this.demandsList.length <= numCouriers) {
@@ -812,8 +1456,8 @@ class System {
             return groups;
         }
 
-        // Use K-means clustering to group demands by geographic proximity
-        const clusters = this.kmeansClustering(this.demandsList, numCouriers);
+        // Group demands by geographic proximity, or by travel time on the road network
+        const clusters = this.clusterDemands(this.demandsList, numCouriers, clustering);
 
         // Extract demand groups from clusters
         const demandGroups = clusters.map(cluster => cluster.demands);
@@ -827,19 +1471,94 @@ class System {
     }
 
     /**
-     * Compute optimal tours for couriers using K-means distribution + ComputerTour TSP
+     * Splits demands into k clusters with a clustering method
+     * @param {Array<Demand>} demands
+     * @param {number} k - Number of clusters
+     * @param {string} clustering - Key of System.clusteringMethods
+     * @returns {Array<Object>} Clusters with {demands: [], centroid: {lat, lon}} (see kmeansClustering and networkClustering)
+     */
+    clusterDemands(demands, k, clustering) {
+        return clustering === 'network'
+            ? this.networkClustering(demands, k)
+            : this.kmeansClustering(demands, k);
+    }
+
+    /**
+     * Moves the demands that do not fit in the bag of their group's courier to the closest group (centroids)
+     * whose courier can carry them; the clustering itself ignores the capacities
+     * @param {Array<Array<Demand>>} demandGroups - Groups of distributeDemands, the i-th one for couriers[i]
+     * @param {Array<Courier>} couriers
+     * @returns {{groups: Array<Array<Demand>>, moved: Array<{demand: Demand, from: Courier, to: Courier}>, errors: Array<string>}}
+     *   groups has one entry per courier; errors lists the demands no courier can carry
+     */
+    assignOversizedDemands(demandGroups, couriers) {
+        const fits = (courier, demand) => typeof courier.canCarry !== "function" || courier.canCarry(demand.load || 0);
+        const groups = couriers.map((courier, i) => (demandGroups[i] || []).slice());
+        const moved = [];
+        const errors = [];
+
+        couriers.forEach((courier, i) => {
+            groups[i].filter(demand => !fits(courier, demand)).forEach(demand => {
+                groups[i].splice(groups[i].indexOf(demand), 1);
+
+                const center = this.calculateDemandCentroid(demand);
+                const target = couriers
+                    .map((candidate, j) => ({ candidate, j }))
+                    .filter(({ candidate }) => fits(candidate, demand))
+                    .sort((a, b) => this.euclideanDistance(this.calculateClusterCentroid(groups[a.j]), center)
+                        - this.euclideanDistance(this.calculateClusterCentroid(groups[b.j]), center))[0];
+                if (!target) {
+                    const capacity = Math.max(...couriers.map(c => c.capacity > 0 ? c.capacity : Infinity));
+                    errors.push(`Demande ${demand.id} : volume de ${demand.load} L supérieur à la capacité du plus grand sac des coursiers sélectionnés (${capacity} L).`);
+                    return;
+                }
+
+                groups[target.j].push(demand);
+                moved.push({ demand, from: courier, to: target.candidate });
+                console.log(`Demande ${demand.id} (${demand.load} L) confiée à ${target.candidate.name} au lieu de ${courier.name}`);
+            });
+        });
+
+        return { groups, moved, errors };
+    }
+
+    /**
+     * Compute optimal tours for couriers using a clustering of the demands + ComputerTour TSP
      * Each tour:
-     * - Starts from warehouse at 8:00
+     * - Starts from warehouse at the departure time (see getDepartureTime)
      * - Visits all pickups and deliveries for that courier's demands
      * - Returns to warehouse
      * - Minimizes total arrival time at warehouse using ComputerTour class
      * @param {Array<Courier>} couriers - List of couriers to assign tours
+     * @param {Object} options - Solver selection for this call: { strategy, timeBudget (ms per tour), nodeLimit, seed }
+     *   (defaults: the ones given to setTSPStrategy), mergeColocatedStops to group the stops sharing a node into one visit,
+     *   objective (see ComputerTour.objectives, 'makespan' also balances the tours) and objectiveWeights for 'mix',
+     *   departureTime ("HH:MM") for every courier of this run, clustering (see System.clusteringMethods) to split the demands
      * @returns {{code: number, tours: Array<Tour>}} Result object with:
-     *   - code: 0 = success, 1 = error (plan/demands/computation failure), 2 = tour exceeds 8h limit
-     *   - tours: Array of computed tours (empty on error/time limit exceeded)
+     *   - code: 0 = success, 1 = error (plan/demands/computation failure), 2 = some tours still exceed the shift of
+     *     their courier once rebalanced (insufficient couriers)
+     *   - tours: Array of computed tours (empty on error); with code 2, the tours that do not fit are computed without the shift
+     *   - timeWindowViolations: stops served after the end of their time window, with the courier and the lateness in seconds
+     *   - makespan: duration of the longest tour in seconds
+     *   - shiftReport: feasibility and overtime of each tour with respect to the shift of its courier (see getShiftReport)
+     *   - movedDemands: demands moved to couriers with spare time (see rebalanceOvertime)
+     *   - extraCouriersNeeded: estimated number of missing couriers with code 2, 0 otherwise (see estimateExtraCouriers)
      */
-    computeTours(couriers) {
+    computeTours(couriers, options = {}) {
         const startTime = Date.now();
+        const solverOptions = Object.assign({ strategy: this.tspStrategy }, this.solverOptions, options);
+        if (!ComputerTour.solvers.has(solverOptions.strategy)) {
+            return { code: 1, tours: [], error: `Stratégie TSP inconnue : ${solverOptions.strategy}` };
+        }
+        if (solverOptions.objective !== undefined && !ComputerTour.objectives[solverOptions.objective]) {
+            return { code: 1, tours: [], error: `Objectif inconnu : ${solverOptions.objective}` };
+        }
+        if (solverOptions.clustering !== undefined && !System.clusteringMethods[solverOptions.clustering]) {
+            return { code: 1, tours: [], error: `Méthode de regroupement inconnue : ${solverOptions.clustering}` };
+        }
+        if (solverOptions.departureTime !== undefined && !this.parseDepartureTime(solverOptions.departureTime)) {
+            return { code: 1, tours: [], error: `Heure de départ invalide : ${solverOptions.departureTime}` };
+        }
 
         if (!this.plan || !this.plan.nodes || this.demandsList.length === 0) {
             console.error("Cannot compute tours: plan or demands are missing");
@@ -851,10 +1570,30 @@ class System {
             return { code: 1, tours: [] };
         }
 
+        const shiftErrors = couriers.map(courier => this.validateCourierShift(courier)).filter(error => error);
+        if (shiftErrors.length > 0) {
+            return { code: 1, tours: [], error: shiftErrors.join("\n") };
+        }
+
+        // Demands that cannot be reached from the warehouse would make the whole computation fail
+        const unreachableDemands = this.demandsList
+            .map(d => this.findUnreachableDemandNode(d.pickupAddress?.id || d.pickupAddress, d.deliveryAddress?.id || d.deliveryAddress, `Demande ${d.id}`))
+            .filter(u => u);
+        if (unreachableDemands.length > 0) {
+            unreachableDemands.forEach(u => console.error(u.message));
+            return { code: 1, tours: [], error: unreachableDemands.map(u => u.message).join("\n"), unreachableDemands: unreachableDemands };
+        }
+
         const nomCouriers = couriers.length;
 
-        // Step 1: Distribute demands among couriers using K-means
-        const demandGroups = this.distributeDemands(nomCouriers);
+        // Step 1: Distribute demands among couriers (K-means by default)
+        const distribution = this.assignOversizedDemands(this.distributeDemands(nomCouriers, solverOptions.clustering), couriers);
+        if (distribution.errors.length > 0) {
+            const error = distribution.errors.join("\n");
+            console.error(error);
+            return { code: 1, tours: [], error: error };
+        }
+        const demandGroups = distribution.groups;
 
         const distributionTime = (Date.now() - startTime) / 1000;
         console.log(`\nDemand distribution completed in ${distributionTime.toFixed(2)} seconds`);
@@ -889,28 +1628,15 @@ class System {
                 return { code: 1, tours: [] };
             }
 
-            // Create ComputerTour instance
-            const computerTour = new ComputerTour(this.plan, warehouseTourPoint);
-
-            // Compute the optimal tour
-            const tour = computerTour.computeTour(pickupDeliveryPairs, courier);
+            // Compute the optimal tour (without the shift when none fits in it, see shiftReport)
+            const tour = this.computeCourierTour(courier, pickupDeliveryPairs, warehouseTourPoint, solverOptions, true);
 
             let computeEndTime = Date.now();
             let computeDuration = (computeEndTime - computeStartTime) / 1000;
             console.log(`Tour computed in ${computeDuration.toFixed(2)} seconds`);
 
             if (tour) {
-
-                tour.calculateTotalDuration();
-                const maxDurationSeconds = 8 * 60 * 60;
                 const tourDurationSeconds = tour.totalDuration || 0;
-
-                if (tourDurationSeconds > maxDurationSeconds) {
-                    tours.push(tour);
-                    this.toursList.push(tour);
-                    return { code: 2, tours: tours };
-                }
-
                 tours.push(tour);
                 this.toursList.push(tour);
                 console.log(`✅ Tour completed: ${tour.stops?.length || 0} stops, ${(tour.totalDistance / 1000).toFixed(2)} km, ${(tourDurationSeconds / 3600).toFixed(1)}h`);
@@ -920,14 +1646,410 @@ class System {
                 return { code: 1, tours: [] };
             }
         }
-        // Nombre de couriers insuffisant (code = 2) :
-        //return {code: 2, tours: ?};
+        // Latest return as early as possible: move demands between the tours
+        if (solverOptions.objective === 'makespan' && tours.length > 1) {
+            this.balanceMakespan(tours, warehouseTourPoint, solverOptions);
+        }
+
+        // Tours past the shift of their courier: demands move to the couriers with spare time
+        const movedDemands = tours.some(tour => !this.getShiftReport(tour).feasible)
+            ? this.rebalanceOvertime(tours, couriers, warehouseTourPoint, solverOptions)
+            : [];
+
+        // Tours still past the shift of their courier (code = 2), the others are kept
+        const shiftReport = tours.map(tour => this.getShiftReport(tour));
+        const overtime = shiftReport.filter(entry => !entry.feasible);
+        overtime.forEach(entry => console.warn(`⚠️  ${entry.message}`));
+
+        return {
+            code: overtime.length > 0 ? 2 : 0,
+            tours: tours,
+            timeWindowViolations: this.collectTimeWindowViolations(tours),
+            makespan: tours.reduce((max, tour) => Math.max(max, tour.totalDuration || 0), 0),
+            shiftReport: shiftReport,
+            movedDemands: movedDemands,
+            extraCouriersNeeded: this.estimateExtraCouriers(shiftReport)
+        };
+    }
+
+    /**
+     * Computes the tour of one courier with ComputerTour
+     * @param {Courier} courier
+     * @param {Array<[TourPoint, TourPoint]>} pickupDeliveryPairs - Pickup/delivery pairs of the courier's demands
+     * @param {TourPoint} warehouseTourPoint
+     * @param {Object} solverOptions - Options given to ComputerTour.computeTour; the departure time is the one of getDepartureTime
+     * @param {boolean} allowOvertime - When no tour fits in the shift of the courier, compute it again without the shift
+     * @returns {Tour|null} The tour with its total duration computed, null if no tour respects the constraints
+     */
+    computeCourierTour(courier, pickupDeliveryPairs, warehouseTourPoint, solverOptions, allowOvertime = false) {
+        const computerTour = new ComputerTour(this.plan, warehouseTourPoint);
+        computerTour.setTravelMatrixCache(this.travelMatrixCache);
+
+        const options = Object.assign({}, solverOptions, { departureTime: this.getDepartureTime(courier, solverOptions) });
+        let tour = computerTour.computeTour(pickupDeliveryPairs, courier, options);
+        if (!tour && allowOvertime) {
+            console.warn(`⚠️  No tour of ${courier.name} fits in the shift, computing it without the shift`);
+            tour = computerTour.computeTour(pickupDeliveryPairs, courier, Object.assign(options, { shiftEnd: null, maxWorkingTime: null }));
+        }
+        this.travelMatrixCache.save();
+        if (tour) {
+            tour.calculateTotalDuration();
+        }
+        return tour;
+    }
+
+    /**
+     * Moves demands from the longest tour to the shortest one while the longest duration decreases
+     * The demands of the longest tour are tried from the closest to the shortest tour (centroids), and both tours
+     * are computed again for each try, at most MAKESPAN_BALANCE_ATTEMPTS times. The tours are replaced in place,
+     * in the given array and in toursList.
+     * @param {Array<Tour>} tours - Computed tours (at least two)
+     * @param {TourPoint} warehouseTourPoint
+     * @param {Object} solverOptions - Options given to ComputerTour.computeTour
+     * @returns {number} Number of demands moved
+     */
+    balanceMakespan(tours, warehouseTourPoint, solverOptions) {
+        const demandsOf = (tour) => [...new Set(tour.stops.map(stop => stop.demand).filter(demand => demand))];
+        const tried = new Set();
+        let moved = 0;
+
+        for (let attempt = 0; attempt < System.MAKESPAN_BALANCE_ATTEMPTS; attempt++) {
+            const byDuration = tours.slice().sort((a, b) => b.totalDuration - a.totalDuration);
+            const longest = byDuration[0];
+            const shortest = byDuration[byDuration.length - 1];
+            const longestDemands = demandsOf(longest);
+            if (longestDemands.length < 2) break;
+
+            // Closest untried demand of the longest tour to the demands of the shortest one
+            const target = this.calculateClusterCentroid(demandsOf(shortest));
+            const candidate = longestDemands
+                .filter(demand => !tried.has(demand))
+                .sort((a, b) => this.euclideanDistance(this.calculateDemandCentroid(a), target)
+                    - this.euclideanDistance(this.calculateDemandCentroid(b), target))[0];
+            if (!candidate) break;
+            tried.add(candidate);
+
+            const courier = shortest.courier;
+            if (courier && typeof courier.canCarry === "function" && !courier.canCarry(candidate.load || 0)) continue;
+
+            const newLongest = this.computeCourierTour(longest.courier,
+                this.createTourPointPairs(longestDemands.filter(demand => demand !== candidate)), warehouseTourPoint, solverOptions);
+            const newShortest = this.computeCourierTour(courier,
+                this.createTourPointPairs([...demandsOf(shortest), candidate]), warehouseTourPoint, solverOptions);
+            if (!newLongest || !newShortest) continue;
+
+            const others = tours.filter(tour => tour !== longest && tour !== shortest);
+            const makespan = Math.max(newLongest.totalDuration, newShortest.totalDuration, ...others.map(tour => tour.totalDuration));
+            if (makespan >= longest.totalDuration) continue;
+
+            for (const [previous, next] of [[longest, newLongest], [shortest, newShortest]]) {
+                tours[tours.indexOf(previous)] = next;
+                const index = this.toursList.indexOf(previous);
+                if (index >= 0) this.toursList[index] = next;
+            }
+            tried.clear();
+            moved++;
+        }
+        return moved;
+    }
+
+    /**
+     * Moves demands from the tours past the shift of their courier to the couriers with spare time
+     * Each step tries the SHIFT_REBALANCE_CANDIDATES demands of the tour with the most overtime closest to each
+     * receiver (a tour within its shift, or an idle courier), priced in road distance at their cheapest positions
+     * (ComputerTour.insertDemand, which keeps the receiver within its shift), and moves the cheapest one. Both tours
+     * are then optimized again; a demand moves at most once. A tour none of whose demands can move is skipped and the
+     * next one is tried. The tours are replaced in place, in the given array and in toursList, and a tour left without
+     * demands is dropped.
+     * @param {Array<Tour>} tours - Computed tours
+     * @param {Array<Courier>} couriers - Couriers of the run, those without a tour can receive demands
+     * @param {TourPoint} warehouseTourPoint
+     * @param {Object} solverOptions - Options given to ComputerTour.computeTour
+     * @returns {Array<{demandId: number|string, from: Courier, to: Courier, distance: number}>} Moved demands,
+     *   with the road distance added to the receiver in meters
+     */
+    rebalanceOvertime(tours, couriers, warehouseTourPoint, solverOptions) {
+        const demandsOf = (tour) => [...new Set(tour.stops.map(stop => stop.demand).filter(demand => demand))];
+        const replace = (previous, next) => {
+            for (const list of [tours, this.toursList]) {
+                const index = list.indexOf(previous);
+                if (index < 0) continue;
+                if (next) list[index] = next;
+                else list.splice(index, 1);
+            }
+        };
+        const movedDemands = new Set();
+        const moves = [];
+        // Overloaded tours none of whose demands fits with any receiver
+        const stuck = new Set();
+
+        while (true) {
+            const reports = tours.map(tour => ({ tour, report: this.getShiftReport(tour) }));
+            const overloaded = reports
+                .filter(({ tour, report }) => !report.feasible && !stuck.has(tour))
+                .sort((a, b) => b.report.overtime - a.report.overtime)[0];
+            if (!overloaded) break;
+
+            const busy = new Set(tours.map(tour => tour.courier));
+            const receivers = reports.filter(({ report }) => report.feasible).map(({ tour }) => ({ courier: tour.courier, tour }))
+                .concat(couriers.filter(courier => !busy.has(courier)).map(courier => ({ courier, tour: null })));
+            const demands = demandsOf(overloaded.tour).filter(demand => !movedDemands.has(demand));
+
+            let best = null;
+            for (const receiver of receivers) {
+                const target = receiver.tour ? this.calculateClusterCentroid(demandsOf(receiver.tour)) : null;
+                const closest = demands
+                    .filter(demand => typeof receiver.courier.canCarry !== "function" || receiver.courier.canCarry(demand.load || 0))
+                    .sort((a, b) => (target ? this.euclideanDistance(this.calculateDemandCentroid(a), target)
+                        - this.euclideanDistance(this.calculateDemandCentroid(b), target) : 0))
+                    .slice(0, System.SHIFT_REBALANCE_CANDIDATES);
+
+                for (const demand of closest) {
+                    const [pair] = this.createTourPointPairs([demand]);
+                    if (!pair) continue;
+                    let tour = null;
+                    let distance;
+                    if (receiver.tour) {
+                        const computerTour = new ComputerTour(this.plan, receiver.tour.stops[0]);
+                        computerTour.setTravelMatrixCache(this.travelMatrixCache);
+                        const result = computerTour.insertDemand(receiver.tour, pair[0], pair[1], { objective: 'distance' });
+                        if (!result) continue;
+                        tour = result.tour;
+                        distance = result.increase;
+                    } else {
+                        tour = this.computeCourierTour(receiver.courier, [pair], warehouseTourPoint, solverOptions);
+                        if (!tour) continue;
+                        distance = tour.totalDistance;
+                    }
+                    if (!best || distance < best.distance) {
+                        best = { demand, receiver, tour, distance };
+                    }
+                }
+            }
+            if (!best) {
+                stuck.add(overloaded.tour);
+                continue;
+            }
+
+            // The receiver is optimized again, the insertion is kept when the solver does not find better
+            const { demand, receiver } = best;
+            let tour = best.tour;
+            tour.calculateTotalDuration();
+            if (receiver.tour) {
+                const optimized = this.computeCourierTour(receiver.courier,
+                    this.createTourPointPairs([...demandsOf(receiver.tour), demand]), warehouseTourPoint, solverOptions);
+                if (optimized && optimized.totalDuration < tour.totalDuration) {
+                    tour = optimized;
+                }
+                replace(receiver.tour, tour);
+            } else {
+                tours.push(tour);
+                this.toursList.push(tour);
+            }
+
+            const remaining = demandsOf(overloaded.tour).filter(other => other !== demand);
+            const rest = remaining.length > 0
+                ? this.computeCourierTour(overloaded.tour.courier, this.createTourPointPairs(remaining), warehouseTourPoint, solverOptions, true)
+                : null;
+            replace(overloaded.tour, rest);
+
+            movedDemands.add(demand);
+            moves.push({ demandId: demand.id, from: overloaded.tour.courier, to: receiver.courier, distance: best.distance });
+            console.log(`Demand ${demand.id} moved from ${overloaded.tour.courier.name} to ${receiver.courier.name} (+${Math.round(best.distance)} m)`);
+        }
+        this.travelMatrixCache.save();
+        return moves;
+    }
+
+    /**
+     * Estimates how many couriers are missing for the tours past the shift of their courier:
+     * each one would need its working time divided by the time its courier has, rounded up
+     * @param {Array<Object>} shiftReport - Entries of getShiftReport
+     * @returns {number}
+     */
+    estimateExtraCouriers(shiftReport) {
+        return shiftReport
+            .filter(entry => !entry.feasible)
+            .reduce((sum, entry) => {
+                const available = entry.deadline - entry.departure;
+                return sum + (available > 0 ? Math.ceil(entry.workingTime / available) - 1 : 1);
+            }, 0);
+    }
+
+    /**
+     * Searches the smallest number of couriers whose tours all fit in their shift
+     * The couriers share one profile (vehicle, bag, shift). The search starts from a lower bound, the service times
+     * of the demands over the working time of a courier, and runs computeTours (distribution, ComputerTour and
+     * rebalancing) with one more courier each time until no tour is past its shift. toursList is left unchanged.
+     * @param {Object} options - Courier profile: speedFactor, capacity, departureTime, shiftStart, shiftEnd and
+     *   maxWorkingTime (see Courier); maxCouriers (default: one per demand); the other options go to computeTours
+     * @returns {Object} { success, couriers, tours, load, attempts }: the number of couriers, their tours, per courier
+     *   { courier, demands, volume (liters), workingTime (seconds), distance (meters) }, and per try
+     *   { couriers, code, extraCouriersNeeded }; or { success: false, error, attempts }
+     */
+    estimateFleetSize(options = {}) {
+        if (!this.plan || !this.plan.nodes || this.demandsList.length === 0) {
+            return { success: false, error: "Chargez un plan et des demandes avant d'estimer le nombre de coursiers.", attempts: [] };
+        }
+        const { speedFactor, capacity, departureTime, shiftStart, shiftEnd, maxWorkingTime, maxCouriers, ...solverOptions } = options;
+        const profile = { speedFactor, capacity, departureTime, shiftStart, shiftEnd, maxWorkingTime };
+        const makeCouriers = (count) => Array.from({ length: count }, (_, i) => new Courier(`F${i + 1}`, `Coursier ${i + 1}`, profile));
+        const limit = maxCouriers > 0 ? maxCouriers : this.demandsList.length;
+
+        // Lower bound: every courier serves at most its working time of pickups and deliveries
+        const [model] = makeCouriers(1);
+        const shiftError = this.validateCourierShift(model);
+        if (shiftError) {
+            return { success: false, error: shiftError, attempts: [] };
+        }
+        const departure = TimeWindow.parseTime(this.getDepartureTime(model, solverOptions));
+        const end = TimeWindow.parseTime(model.shiftEnd);
+        const available = Math.min(model.maxWorkingTime, end === null ? Infinity : end - departure);
+        if (!(available > 0)) {
+            return { success: false, error: `La fin de service (${model.shiftEnd}) précède l'heure de départ.`, attempts: [] };
+        }
+        const services = this.demandsList.reduce((sum, d) => sum + (d.pickupDuration || 0) + (d.deliveryDuration || 0), 0);
+        const lowerBound = Math.min(limit, Math.max(1, Math.ceil(services / available)));
+
+        const attempts = [];
+        const toursList = this.toursList;
+        try {
+            for (let count = lowerBound; count <= limit; count++) {
+                this.toursList = [];
+                const result = this.computeTours(makeCouriers(count), solverOptions);
+                attempts.push({ couriers: count, code: result.code, extraCouriersNeeded: result.extraCouriersNeeded || 0 });
+                console.log(`Fleet size: ${count} courier(s) -> code ${result.code}`);
+                if (result.code === 1) {
+                    return { success: false, error: result.error || "Le calcul des tournées a échoué.", attempts };
+                }
+                if (result.code === 0) {
+                    const load = result.tours.map((tour, index) => {
+                        const demands = [...new Set(tour.stops.map(stop => stop.demand).filter(demand => demand))];
+                        return {
+                            courier: tour.courier,
+                            demands: demands.length,
+                            volume: demands.reduce((sum, demand) => sum + (demand.load || 0), 0),
+                            workingTime: result.shiftReport[index].workingTime,
+                            distance: tour.totalDistance || 0
+                        };
+                    });
+                    // Idle couriers are not needed: the tours are the fleet
+                    return { success: true, couriers: result.tours.length, tours: result.tours, load, attempts };
+                }
+            }
+        } finally {
+            this.toursList = toursList;
+        }
+        return {
+            success: false,
+            error: `Même avec ${limit} coursier(s), certaines tournées dépassent les horaires de service.`,
+            attempts
+        };
+    }
+
+    /**
+     * Inserts a demand into computed tours without recomputing them
+     * Each tour gets the demand at its cheapest feasible positions (ComputerTour.insertDemand) and the courier
+     * with the smallest cost increase keeps it; the stops of the other tours are unchanged.
+     * @param {number|string} demandId - Demand of demandsList, e.g. just added with addDemand
+     * @param {Array<Tour>} tours - Candidate tours; the chosen one is replaced by the new tour in this array and in toursList
+     * @param {Object} options - objective and objectiveWeights (default: the objective recorded on each tour)
+     * @returns {Object} { success, tour, courier, increase, candidates } with the cost increase of every tour able
+     *   to take the demand ({ courier, tour, increase }), or { success: false, error }
+     */
+    insertDemand(demandId, tours, options = {}) {
+        const demand = this.demandsList.find(d => d.id === demandId);
+        if (!demand) {
+            return { success: false, error: `La demande avec l'id ${demandId} n'existe pas.` };
+        }
+        if (!this.plan || !Array.isArray(tours) || tours.length === 0) {
+            return { success: false, error: "Aucune tournée calculée. Impossible d'insérer la demande." };
+        }
+        if (tours.some(tour => tour.stops.some(stop => stop.demand === demand))) {
+            return { success: false, error: `La demande ${demandId} fait déjà partie d'une tournée.` };
+        }
+
+        const candidates = [];
+        for (const tour of tours) {
+            const [pair] = this.createTourPointPairs([demand]);
+            if (!pair) {
+                return { success: false, error: `La demande ${demandId} n'a pas d'adresse valide sur le plan.` };
+            }
+            const computerTour = new ComputerTour(this.plan, tour.stops[0]);
+            computerTour.setTravelMatrixCache(this.travelMatrixCache);
+            const result = computerTour.insertDemand(tour, pair[0], pair[1], options);
+            if (result) {
+                candidates.push({ courier: tour.courier, tour: result.tour, increase: result.increase, previous: tour });
+            }
+        }
+        this.travelMatrixCache.save();
 
-        // Erreur autre (code = 1) :
-        //  return {code: 1, tours: ?};
+        if (candidates.length === 0) {
+            return { success: false, error: `Aucune tournée ne peut accueillir la demande ${demandId} (capacité ou créneaux horaires).` };
+        }
 
-        // Succés (code = 0) :
-        return { code: 0, tours: tours };
+        const best = candidates.reduce((min, candidate) => (candidate.increase < min.increase ? candidate : min));
+        tours[tours.indexOf(best.previous)] = best.tour;
+        const index = this.toursList.indexOf(best.previous);
+        if (index >= 0) this.toursList[index] = best.tour;
+
+        return {
+            success: true,
+            tour: best.tour,
+            courier: best.courier,
+            increase: best.increase,
+            candidates: candidates.map(({ courier, tour, increase }) => ({ courier, tour, increase }))
+        };
+    }
+
+    /**
+     * Optimizes the order of a computed tour again while keeping its pinned stops, locked blocks and executed prefix
+     * @param {Tour} tour - Computed tour; it is replaced by the new tour in options.tours and toursList
+     * @param {Object} options - tours (default: toursList) and the solver options of ComputerTour.reoptimizeTour
+     * @returns {Object} { success, tour } or { success: false, error }
+     */
+    reoptimizeTour(tour, options = {}) {
+        if (!this.plan || !tour || !Array.isArray(tour.stops) || tour.stops.length < 2) {
+            return { success: false, error: "Aucune tournée à réoptimiser." };
+        }
+        const computerTour = new ComputerTour(this.plan, tour.stops[0]);
+        computerTour.setTravelMatrixCache(this.travelMatrixCache);
+        const newTour = computerTour.reoptimizeTour(tour, options);
+        this.travelMatrixCache.save();
+        if (!newTour) {
+            return { success: false, error: `La tournée ${tour.id} n'a pas pu être réoptimisée.` };
+        }
+        newTour.calculateTotalDuration();
+
+        for (const list of [options.tours, this.toursList]) {
+            const index = list ? list.indexOf(tour) : -1;
+            if (index >= 0) list[index] = newTour;
+        }
+        return { success: true, tour: newTour };
+    }
+
+    /**
+     * Lists the stops of the tours served after the end of their time window
+     * @param {Array<Tour>} tours
+     * @returns {Array<Object>} { courier, demandId, type, lateness, message } per late stop
+     */
+    collectTimeWindowViolations(tours) {
+        const violations = [];
+        for (const tour of tours) {
+            for (const { stop, lateness } of tour.getTimeWindowViolations()) {
+                const courierName = tour.courier ? tour.courier.name : 'Coursier';
+                const action = stop.type === TypePoint.PICKUP ? "Enlèvement" : "Livraison";
+                const minutes = Math.ceil(lateness / 60);
+                violations.push({
+                    courier: tour.courier,
+                    demandId: stop.demand ? stop.demand.id : null,
+                    type: stop.type,
+                    lateness: lateness,
+                    message: `${courierName} : ${action} de la demande ${stop.demand ? stop.demand.id : '?'} en retard de ${minutes} min (créneau ${stop.getTimeWindow()}).`
+                });
+            }
+        }
+        return violations;
     }
 
     /**
@@ -986,81 +2108,33 @@ class System {
 
     /**
      * Dijkstra's algorithm to find shortest path between two nodes
+     * Id-based view of the plan router (Plan.findShortestPath) for callers that only need node IDs
      * @param {string} startId - Start node ID
      * @param {string} endId - End node ID
-     * @returns {object} {path: [], distance: number} or {path: [], distance: Infinity} if unreachable
+     * @returns {object} {path: [], segments: [], distance: number, travelTime: number} or {path: [], distance: Infinity, travelTime: Infinity} if unreachable
      */
     dijkstra(startId, endId) {
         if (startId === endId) {
-            return { path: [startId], distance: 0 };
-        }
-
-        const distances = new Map();
-        const previous = new Map();
-        const unvisited = new Set();
-
-        // Initialize distances
-        for (const [nodeId] of this.plan.nodes) {
-            distances.set(nodeId, Infinity);
-            unvisited.add(nodeId);
-        }
-        distances.set(startId, 0);
-
-        while (unvisited.size > 0) {
-            // Find unvisited node with minimum distance
-            let current = null;
-            let minDist = Infinity;
-            for (const nodeId of unvisited) {
-                const dist = distances.get(nodeId);
-                if (dist < minDist) {
-                    minDist = dist;
-                    current = nodeId;
-                }
-            }
-
-            if (current === null || minDist === Infinity) break;
-            if (current === endId) break;
-
-            unvisited.delete(current);
-
-            // Check neighbors through distance matrix
-            if (this.distanceMatrix.has(current)) {
-                const neighbors = this.distanceMatrix.get(current);
-                for (const [neighborId, edgeDistance] of neighbors) {
-                    if (!unvisited.has(neighborId)) continue;
-
-                    const alt = distances.get(current) + edgeDistance;
-                    if (alt < distances.get(neighborId)) {
-                        distances.set(neighborId, alt);
-                        previous.set(neighborId, current);
-                    }
-                }
-            }
+            return { path: [startId], segments: [], distance: 0, travelTime: 0 };
         }
 
-        // Reconstruct path
-        const path = [];
-        let current = endId;
-
-        if (distances.get(endId) === Infinity) {
-            return { path: [], distance: Infinity };
-        }
-
-        while (current !== undefined) {
-            path.unshift(current);
-            current = previous.get(current);
+        const route = this.plan ? this.plan.findShortestPath(startId, endId) : null;
+        if (!route) {
+            return { path: [], segments: [], distance: Infinity, travelTime: Infinity };
         }
 
         return {
-            path: path,
-            distance: distances.get(endId)
+            path: route.pathIds,
+            segments: route.segments,
+            distance: route.distance,
+            travelTime: route.travelTime
         };
     }
 
     /**
      * Recalculate legs of an existing tour after manual reordering of stops.
-     * Uses Dijkstra on the current plan to rebuild each leg so the polyline
-     * follows the real graph instead of straight lines.
+     * Uses the plan router to rebuild each leg (nodes, segments, distance, travel time)
+     * so reordered tours get the same complete legs as computed ones.
      * @param {Tour} tour
      */
     recalculateTourLegs(tour) {
@@ -1072,10 +2146,6 @@ class System {
             console.warn("System.recalculateTourLegs: plan or nodes map not initialized");
             return;
         }
-        if (!this.distanceMatrix) {
-            console.warn("System.recalculateTourLegs: distanceMatrix not initialized");
-            return;
-        }
 
         const newLegs = [];
         let hadError = false;
@@ -1093,37 +2163,15 @@ class System {
                 break;
             }
 
-            const result = this.dijkstra(fromNode.id, toNode.id);
-            if (!result || !Array.isArray(result.path) || result.path.length < 2 || result.distance === Infinity) {
+            // Same router as ComputerTour, so the leg has its segments and the same travel time
+            const route = this.plan.findShortestPath(fromNode.id, toNode.id);
+            if (!route) {
                 console.warn(`System.recalculateTourLegs: no path found between ${fromNode.id} and ${toNode.id}`);
                 hadError = true;
                 break;
             }
 
-            const pathNodes = result.path
-                .map(id => this.plan.nodes.get(id))
-                .filter(n => n);
-
-            if (pathNodes.length < 2) {
-                console.warn("System.recalculateTourLegs: insufficient path nodes between stops", i, i + 1);
-                hadError = true;
-                break;
-            }
-
-            // Compute distance in meters by summing segment lengths along the path
-            let distance = 0;
-            for (let j = 0; j < pathNodes.length - 1; j++) {
-                const origin = pathNodes[j];
-                const dest = pathNodes[j + 1];
-                if (!origin || !origin.segments) continue;
-                const seg = origin.segments.find(s => s.destination && s.destination.id === dest.id);
-                if (seg && typeof seg.length === "number") {
-                    distance += seg.length;
-                }
-            }
-
-            const travelTime = this.calculateTravelTime(distance);
-            const leg = new Leg(pathNodes[0], pathNodes[pathNodes.length - 1], pathNodes, [], distance, travelTime);
+            const leg = new Leg(fromStop, toStop, route.path, route.segments, route.distance, this.routeTravelTime(route, tour.courier));
             newLegs.push(leg);
         }
 
@@ -1242,6 +2290,120 @@ class System {
         return clusters;
     }
 
+    /**
+     * K-medoids clustering of the demands on the road network
+     * The dissimilarity of two demands is the mean of the travel times between their pickups and between their
+     * deliveries, both ways (see getNodeTravelTimes), so rivers, bridges and one-way streets are taken into account.
+     * The first medoid is the most central demand, the next ones the farthest from the medoids already chosen;
+     * then each demand goes to its closest medoid and each cluster takes the member closest to the others as medoid,
+     * until the medoids no longer change. Demands are kept atomic, like in kmeansClustering.
+     * @param {Array<Demand>} demands - Demands to cluster (must be complete with pickup+delivery)
+     * @param {number} k - Number of clusters (couriers)
+     * @returns {Array<Object>} Clusters with {demands: [], medoid: Demand, centroid: {lat, lon}} (centroid of the medoid)
+     */
+    networkClustering(demands, k) {
+        for (const demand of demands) {
+            if (!demand.pickupAddress || !demand.deliveryAddress) {
+                console.error(`Invalid demand: ${demand.id} missing pickup or delivery address`);
+                return [];
+            }
+        }
+
+        const pickupOf = demand => demand.pickupAddress?.id || demand.pickupAddress;
+        const deliveryOf = demand => demand.deliveryAddress?.id || demand.deliveryAddress;
+        const times = this.getNodeTravelTimes(demands.flatMap(demand => [pickupOf(demand), deliveryOf(demand)]));
+        const roundTrip = (a, b) => times.get(String(a)).get(String(b)) + times.get(String(b)).get(String(a));
+        const dissimilarity = demands.map(a => demands.map(b =>
+            (roundTrip(pickupOf(a), pickupOf(b)) + roundTrip(deliveryOf(a), deliveryOf(b))) / 4));
+        const costTo = (index, members) => members.reduce((sum, other) => sum + dissimilarity[index][other], 0);
+
+        // Step 1: most central demand, then farthest-first
+        const indexes = demands.map((demand, index) => index);
+        const medoids = [indexes.reduce((best, index) => (costTo(index, indexes) < costTo(best, indexes) ? index : best), 0)];
+        while (medoids.length < Math.min(k, demands.length)) {
+            const distanceToMedoids = index => Math.min(...medoids.map(medoid => dissimilarity[index][medoid]));
+            const farthest = indexes
+                .filter(index => !medoids.includes(index))
+                .reduce((best, index) => (best === null || distanceToMedoids(index) > distanceToMedoids(best) ? index : best), null);
+            medoids.push(farthest);
+        }
+
+        // Step 2: assign the demands, then move each medoid to the member closest to the others
+        let members = [];
+        for (let iteration = 0; iteration < System.KMEDOIDS_MAX_ITERATIONS; iteration++) {
+            members = medoids.map(() => []);
+            indexes.forEach(index => {
+                const closest = medoids.reduce((best, medoid, cluster) =>
+                    (dissimilarity[index][medoid] < dissimilarity[index][medoids[best]] ? cluster : best), 0);
+                members[closest].push(index);
+            });
+
+            let changed = false;
+            medoids.forEach((medoid, cluster) => {
+                const best = members[cluster].reduce((current, index) =>
+                    (costTo(index, members[cluster]) < costTo(current, members[cluster]) ? index : current), medoid);
+                if (best !== medoid) {
+                    medoids[cluster] = best;
+                    changed = true;
+                }
+            });
+            if (!changed) {
+                console.log(`K-medoids converged after ${iteration + 1} iterations`);
+                break;
+            }
+        }
+
+        const clusters = medoids
+            .map((medoid, cluster) => ({
+                demands: members[cluster].map(index => demands[index]),
+                medoid: demands[medoid],
+                centroid: this.calculateDemandCentroid(demands[medoid])
+            }))
+            .filter(cluster => cluster.demands.length > 0);
+        console.log(`K-medoids complete: ${clusters.length} non-empty clusters`);
+        clusters.forEach((cluster, i) => console.log(`  Cluster ${i}: ${cluster.demands.length} demands around demand ${cluster.medoid.id}`));
+        return clusters;
+    }
+
+    /**
+     * Travel times between nodes of the plan, at the speeds of the plan (no courier speed factor)
+     * Routes found in the travel matrix cache are reused; the missing ones are searched once per origin and cached
+     * @param {Array<string|number>} nodeIds - Node IDs (duplicates are ignored)
+     * @returns {Map<string, Map<string, number>>} Travel time in seconds keyed by string origin then destination ID,
+     *   Infinity when there is no route
+     */
+    getNodeTravelTimes(nodeIds) {
+        const ids = Array.from(new Map(nodeIds.map(id => [String(id), id])).values());
+        const router = this.plan.getRouter();
+        const times = new Map();
+        ids.forEach(fromId => {
+            const row = new Map([[String(fromId), 0]]);
+            const missingIds = [];
+            ids.forEach(toId => {
+                if (row.has(String(toId))) return;
+                const cached = this.travelMatrixCache.getRoute(this.plan, fromId, toId);
+                if (cached) {
+                    row.set(String(toId), cached.travelTime);
+                } else {
+                    missingIds.push(toId);
+                }
+            });
+            if (missingIds.length > 0) {
+                const routes = router.shortestPathsFrom(fromId, missingIds) || new Map();
+                missingIds.forEach(toId => {
+                    const route = routes.get(String(toId));
+                    row.set(String(toId), route ? route.travelTime : Infinity);
+                    if (route) {
+                        this.travelMatrixCache.setRoute(this.plan, fromId, toId, route);
+                    }
+                });
+            }
+            times.set(String(fromId), row);
+        });
+        this.travelMatrixCache.save();
+        return times;
+    }
+
     /**
      * Initialize K-means++ centroids (spread out for better convergence)
      * @param {Array<Demand>} demands - Demands to cluster
@@ -1370,7 +2532,7 @@ class System {
         }
 
         const warehouse = this.plan.warehouse;
-        const tour = new Tour(null, "08:00", courier);
+        const tour = new Tour(null, this.getDepartureTime(courier), courier);
 
         let currentPoint = warehouse;
         const sequence = [currentPoint];
@@ -1384,6 +2546,7 @@ class System {
         while (pickupsVisited.size < demands.length || deliveriesVisited.size < demands.length) {
             let bestDistance = Infinity;
             let bestPath = [];
+            let bestRoute = null;
             let nextTargetId = null;
             let targetDemandIndex = -1;
             let targetType = null; // 'pickup' or 'delivery'
@@ -1400,6 +2563,7 @@ class System {
                     if (dijkstraResult.distance < bestDistance && dijkstraResult.distance !== Infinity) {
                         bestDistance = dijkstraResult.distance;
                         bestPath = dijkstraResult.path;
+                        bestRoute = dijkstraResult;
                         nextTargetId = pickupId;
                         targetDemandIndex = i;
                         targetType = 'pickup';
@@ -1412,6 +2576,7 @@ class System {
                     if (dijkstraResult.distance < bestDistance && dijkstraResult.distance !== Infinity) {
                         bestDistance = dijkstraResult.distance;
                         bestPath = dijkstraResult.path;
+                        bestRoute = dijkstraResult;
                         nextTargetId = deliveryId;
                         targetDemandIndex = i;
                         targetType = 'delivery';
@@ -1431,8 +2596,9 @@ class System {
             if (pathNodes.length > 0) {
                 const originNode = pathNodes[0];
                 const destNode = pathNodes[pathNodes.length - 1];
-                const travelTime = this.calculateTravelTime(bestDistance);
-                const leg = new Leg(originNode, destNode, pathNodes, [], bestDistance, travelTime);
+                // Travel time of the route's segments, as in ComputerTour
+                const travelTime = this.routeTravelTime(bestRoute, courier);
+                const leg = new Leg(originNode, destNode, pathNodes, bestRoute.segments, bestDistance, travelTime);
                 tour.addLeg(leg);
             }
 
@@ -1462,8 +2628,8 @@ class System {
         if (returnPath.path.length > 0) {
             const returnPathNodes = returnPath.path.map(nodeId => this.plan.nodes.get(nodeId)).filter(n => n !== undefined);
             if (returnPathNodes.length > 0) {
-                const returnTravelTime = this.calculateTravelTime(returnPath.distance);
-                const returnLeg = new Leg(returnPathNodes[0], warehouse, returnPathNodes, [], returnPath.distance, returnTravelTime);
+                const returnTravelTime = this.routeTravelTime(returnPath, courier);
+                const returnLeg = new Leg(returnPathNodes[0], warehouse, returnPathNodes, returnPath.segments, returnPath.distance, returnTravelTime);
                 tour.addLeg(returnLeg);
             }
 
@@ -1482,8 +2648,8 @@ class System {
             tour.addStop({
                 id: point.id,
                 address: point,
-                arrivalTime: "08:00",
-                departureTime: "08:00"
+                arrivalTime: tour.departureTime,
+                departureTime: tour.departureTime
             });
         }
 
@@ -1511,11 +2677,12 @@ class System {
     }
 
     /**
-     * Get K-means clusters for the current demands
+     * Get the clusters of the current demands, as computeTours splits them
      * @param {number} k - Number of clusters (couriers)
-     * @returns {Array} Array of clusters with demands and centroids
+     * @param {string} clustering - Clustering method, a key of System.clusteringMethods (default: 'kmeans')
+     * @returns {Array} Array of clusters with demands and centroids (empty for an unknown method)
      */
-    getKMeansClusters(k) {
+    getClusters(k, clustering = 'kmeans') {
         if (!this.demandsList || this.demandsList.length === 0) {
             console.warn('No demands loaded');
             return [];
@@ -1526,9 +2693,14 @@ class System {
             return [];
         }
 
-        console.log(`\n📊 Computing K-means clusters for ${this.demandsList.length} demands with ${k} couriers`);
-        const clusters = this.kmeansClustering(this.demandsList, k);
-        console.log(`✅ K-means clustering complete: ${clusters.length} clusters\n`);
+        if (!System.clusteringMethods[clustering]) {
+            console.warn(`Unknown clustering method: ${clustering}`);
+            return [];
+        }
+
+        console.log(`\n📊 Computing clusters for ${this.demandsList.length} demands with ${k} couriers using ${System.clusteringMethods[clustering].label}`);
+        const clusters = this.clusterDemands(this.demandsList, k, clustering);
+        console.log(`✅ Clustering complete: ${clusters.length} clusters\n`);
 
         return clusters;
     }
@@ -1554,6 +2726,41 @@ class System {
 
 }
 
+/**
+ * Largest distance in meters between a coordinate and the node it is snapped to
+ * @type {number}
+ */
+System.MAX_SNAP_DISTANCE = 500;
+
+/**
+ * Largest number of demand moves tried by balanceMakespan
+ * @type {number}
+ */
+System.MAKESPAN_BALANCE_ATTEMPTS = 10;
+
+/**
+ * Number of demands of an overloaded tour priced for each receiver by rebalanceOvertime, the closest ones
+ * @type {number}
+ */
+System.SHIFT_REBALANCE_CANDIDATES = 5;
+
+/**
+ * Methods available to split the demands among the couriers (option clustering of computeTours)
+ * - kmeans: K-means on the coordinates of the demands, as the crow flies
+ * - network: K-medoids on the travel times of the road network (see networkClustering)
+ * @type {Object<string, {label: string}>}
+ */
+System.clusteringMethods = {
+    kmeans: { label: 'Proximité à vol d\'oiseau (k-means)' },
+    network: { label: 'Temps de trajet sur le réseau (k-medoids)' }
+};
+
+/**
+ * Largest number of assignment rounds of networkClustering
+ * @type {number}
+ */
+System.KMEDOIDS_MAX_ITERATIONS = 20;
+
 // Export for Node and Browser
 if (typeof module !== "undefined" && module.exports) {
     module.exports = System;
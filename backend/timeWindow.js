@@ -0,0 +1,143 @@
+/**
+ * Class representing a time window on a pickup or a delivery
+ * Times are stored in seconds since midnight; either bound may be missing
+ * The service may not start before `start` (the courier waits) and should start at the latest at `end`
+ */
+
+class TimeWindow {
+
+    /**
+     * Constructor for the TimeWindow class
+     * @param {number|null} start - Earliest service start in seconds since midnight (null: no lower bound)
+     * @param {number|null} end - Latest service start in seconds since midnight (null: no upper bound)
+     */
+    constructor(start = null, end = null) {
+        this.start = Number.isFinite(start) ? start : null;
+        this.end = Number.isFinite(end) ? end : null;
+    }
+
+    /**
+     * Parses a time of day
+     * @param {string|number|null} value - "HH:MM" or "HH:MM:SS", leading zeros optional as in the request files ("8:0:0");
+     *   a number is taken as seconds
+     * @returns {number|null} Seconds since midnight, null if the value is empty, NaN if it is malformed
+     */
+    static parseTime(value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        if (typeof value === 'number') {
+            return value;
+        }
+
+        const match = /^(\d{1,2}):(\d{1,2})(?::(\d{1,2}))?$/.exec(String(value).trim());
+        if (!match) {
+            return NaN;
+        }
+        const [hours, minutes, seconds] = [match[1], match[2], match[3] || '0'].map(Number);
+        if (hours > 23 || minutes > 59 || seconds > 59) {
+            return NaN;
+        }
+        return hours * 3600 + minutes * 60 + seconds;
+    }
+
+    /**
+     * Formats seconds since midnight as "HH:MM"
+     * @param {number} seconds
+     * @param {boolean} withSeconds - Format as "HH:MM:SS"
+     * @returns {string}
+     */
+    static formatTime(seconds, withSeconds = false) {
+        const total = Math.max(0, Math.floor(seconds / 60));
+        const hours = Math.floor(total / 60) % 24;
+        const minutes = total % 60;
+        const time = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+        return withSeconds ? `${time}:${String(Math.max(0, Math.floor(seconds)) % 60).padStart(2, '0')}` : time;
+    }
+
+    /**
+     * Builds a time window from two time strings (e.g. XML attributes)
+     * @param {string|null} start - "HH:MM" or empty
+     * @param {string|null} end - "HH:MM" or empty
+     * @returns {TimeWindow|null} null when both bounds are empty
+     * @throws {Error} If a bound is malformed or the window ends before it starts
+     */
+    static fromStrings(start, end) {
+        const startSeconds = TimeWindow.parseTime(start);
+        const endSeconds = TimeWindow.parseTime(end);
+        if (Number.isNaN(startSeconds) || Number.isNaN(endSeconds)) {
+            throw new Error(`Horaire invalide (${start || ''} - ${end || ''}).`);
+        }
+        if (startSeconds === null && endSeconds === null) {
+            return null;
+        }
+        if (startSeconds !== null && endSeconds !== null && startSeconds > endSeconds) {
+            throw new Error(`Le créneau ${start} - ${end} se termine avant de commencer.`);
+        }
+        return new TimeWindow(startSeconds, endSeconds);
+    }
+
+    /**
+     * Rebuilds a time window from its JSON representation
+     * @param {{start: string|null, end: string|null}|null} json
+     * @returns {TimeWindow|null}
+     */
+    static fromJSON(json) {
+        if (!json) {
+            return null;
+        }
+        return new TimeWindow(TimeWindow.parseTime(json.start), TimeWindow.parseTime(json.end));
+    }
+
+    /**
+     * Time the courier has to wait when arriving at a given time
+     * @param {number} arrival - Arrival time in seconds since midnight
+     * @returns {number} Waiting time in seconds
+     */
+    waitingTime(arrival) {
+        return this.start !== null && arrival < this.start ? this.start - arrival : 0;
+    }
+
+    /**
+     * How late a service starting at a given time is
+     * @param {number} serviceStart - Service start in seconds since midnight
+     * @returns {number} Lateness in seconds (0 if on time)
+     */
+    lateness(serviceStart) {
+        return this.end !== null && serviceStart > this.end ? serviceStart - this.end : 0;
+    }
+
+    /**
+     * Returns a JSON representation of the time window
+     * @returns {{start: string|null, end: string|null}}
+     */
+    toJSON() {
+        return {
+            start: this.start !== null ? TimeWindow.formatTime(this.start) : null,
+            end: this.end !== null ? TimeWindow.formatTime(this.end) : null
+        };
+    }
+
+    /**
+     * Returns a textual summary of the time window, e.g. "11:30 - 12:00", "après 11:30", "avant 18:00"
+     * @returns {string}
+     */
+    toString() {
+        if (this.start !== null && this.end !== null) {
+            return `${TimeWindow.formatTime(this.start)} - ${TimeWindow.formatTime(this.end)}`;
+        }
+        if (this.start !== null) {
+            return `après ${TimeWindow.formatTime(this.start)}`;
+        }
+        return `avant ${TimeWindow.formatTime(this.end)}`;
+    }
+}
+
+// Export for Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeWindow;
+}
+
+if (typeof window !== 'undefined') {
+    window.TimeWindow = TimeWindow;
+}
@@ -12,6 +12,7 @@ const TypePoint = {
  * Uses composition (has-a relationship) with Node
  */
 class TourPoint {
+    static nextId = 1;
 
     /**
      * Constructor for the TourPoint class
@@ -21,6 +22,7 @@ class TourPoint {
      * @param {Demand|null} demand - Related demand (null for WAREHOUSE)
      */
     constructor(node, serviceDuration, type, demand = null) {
+        this.id = `TP${TourPoint.nextId++}`; // Identity of the point: several points can share a node
         this.node = node;
         this.serviceDuration = serviceDuration;
         this.type = type;
@@ -28,6 +30,38 @@ class TourPoint {
         this.relatedTourPoint = null; // Reference to related TourPoint (pickup/delivery pair)
     }
 
+    /**
+     * Returns the time window of the demand that applies to this point
+     * @returns {TimeWindow|null} Pickup window for a PICKUP, delivery window for a DELIVERY, null otherwise
+     */
+    getTimeWindow() {
+        if (!this.demand) {
+            return null;
+        }
+        if (this.type === TypePoint.PICKUP) {
+            return this.demand.pickupWindow || null;
+        }
+        if (this.type === TypePoint.DELIVERY) {
+            return this.demand.deliveryWindow || null;
+        }
+        return null;
+    }
+
+    /**
+     * Returns how the load in the courier's bag changes at this point
+     * @returns {number} +load of the demand at a PICKUP, -load at a DELIVERY, 0 otherwise (liters)
+     */
+    getLoadChange() {
+        const load = this.demand && this.demand.load > 0 ? this.demand.load : 0;
+        if (this.type === TypePoint.PICKUP) {
+            return load;
+        }
+        if (this.type === TypePoint.DELIVERY) {
+            return -load;
+        }
+        return 0;
+    }
+
     /**
      * Returns a JSON representation of the tour point
      * @returns {Object}
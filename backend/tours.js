@@ -5,7 +5,7 @@ class Tour {
     /**
      * Constructor for the Tour class
      * @param {string|null} id - Tour ID (auto-generated if null)
-     * @param {string} departureTime - Departure time in HH:MM format
+     * @param {string} departureTime - Departure time in HH:MM (or HH:MM:SS) format
      * @param {Courier} courier - The courier assigned to the tour
      */
     constructor(id, departureTime, courier) {
@@ -16,6 +16,10 @@ class Tour {
         this.legs = []; // Array<Leg>
         this.totalDuration = 0; // Total duration in seconds
         this.totalDistance = 0; // Total distance in meters
+        this.schedule = []; // Array<{arrival, wait, start, departure, lateness, load}> per stop, times in seconds since midnight
+        this.solverInfo = null; // { solver, objective, provedOptimal, runtime, explored, cost, bound, gap } set by ComputerTour.computeTour
+        this.mergeColocatedStops = false; // Show the consecutive stops sharing a node as a single visit
+        this.constraints = null; // StopConstraints: pinned stops, locked blocks and executed prefix kept by the solvers
     }
 
     /**
@@ -35,7 +39,92 @@ class Tour {
     }
 
     /**
-     * Calculates the total duration of the tour from all legs and service durations
+     * Computes the timetable of the tour, stop by stop
+     * Leg i goes from stop i to stop i+1. The courier waits when arriving before the start of a time window,
+     * and a service starting after the end of its window is late.
+     * @returns {Array<Object>} { arrival, wait, start, departure, lateness } per stop, in seconds since midnight,
+     *   and the load onboard after the stop (liters)
+     */
+    computeSchedule() {
+        const [hours, minutes, seconds] = String(this.departureTime || '00:00').split(':').map(Number);
+        let time = (hours || 0) * 3600 + (minutes || 0) * 60 + (seconds || 0);
+        let load = 0;
+
+        this.schedule = this.stops.map((stop, index) => {
+            if (index > 0) {
+                const leg = this.legs[index - 1];
+                time += leg ? leg.travelTime : 0;
+            }
+            const arrival = time;
+            const timeWindow = typeof stop.getTimeWindow === 'function' ? stop.getTimeWindow() : null;
+            const wait = timeWindow ? timeWindow.waitingTime(arrival) : 0;
+            const start = arrival + wait;
+            const lateness = timeWindow ? timeWindow.lateness(start) : 0;
+            time = start + (stop.serviceDuration || 0);
+            load += typeof stop.getLoadChange === 'function' ? stop.getLoadChange() : 0;
+            return { arrival, wait, start, departure: time, lateness, load };
+        });
+        return this.schedule;
+    }
+
+    /**
+     * Groups the consecutive stops sharing a node into visits
+     * @returns {Array<Object>} { node, stops, indexes, arrival, start, departure, wait, lateness, serviceDuration } per visit:
+     *   arrival at the first stop, departure from the last one, combined waiting, lateness and service durations in seconds
+     */
+    getVisits() {
+        const schedule = this.computeSchedule();
+        const visits = [];
+        this.stops.forEach((stop, index) => {
+            const entry = schedule[index];
+            const previous = visits[visits.length - 1];
+            if (previous && stop.node && previous.node && String(previous.node.id) === String(stop.node.id)) {
+                previous.stops.push(stop);
+                previous.indexes.push(index);
+                previous.departure = entry.departure;
+                previous.wait += entry.wait;
+                previous.lateness += entry.lateness;
+                previous.serviceDuration += stop.serviceDuration || 0;
+                return;
+            }
+            visits.push({
+                node: stop.node,
+                stops: [stop],
+                indexes: [index],
+                arrival: entry.arrival,
+                start: entry.start,
+                departure: entry.departure,
+                wait: entry.wait,
+                lateness: entry.lateness,
+                serviceDuration: stop.serviceDuration || 0
+            });
+        });
+        return visits;
+    }
+
+    /**
+     * Returns the largest load carried during the tour
+     * @returns {number} Volume in liters
+     */
+    getMaxLoad() {
+        return this.computeSchedule().reduce((max, entry) => Math.max(max, entry.load), 0);
+    }
+
+    /**
+     * Lists the stops served after the end of their time window
+     * @returns {Array<{index: number, stop: TourPoint, lateness: number}>} Lateness in seconds
+     */
+    getTimeWindowViolations() {
+        if (this.schedule.length !== this.stops.length) {
+            this.computeSchedule();
+        }
+        return this.schedule
+            .map((entry, index) => ({ index, stop: this.stops[index], lateness: entry.lateness }))
+            .filter(violation => violation.lateness > 0);
+    }
+
+    /**
+     * Calculates the total duration of the tour from all legs, service durations and waiting times
      * @returns {number} Duration in seconds
      */
     calculateTotalDuration() {
@@ -51,6 +140,11 @@ class Tour {
             duration += stop.serviceDuration;
         }
 
+        // Add waiting times in front of time windows
+        for (const entry of this.computeSchedule()) {
+            duration += entry.wait;
+        }
+
         this.totalDuration = duration;
         return this.totalDuration;
     }
@@ -167,6 +261,11 @@ class Tour {
             }
         }
 
+        // Pinned stops, locked blocks and executed prefix
+        if (this.constraints && !this.constraints.allows(newStops)) {
+            return { valid: false, reason: "STOP_CONSTRAINTS" };
+        }
+
         return { valid: true };
     }
 
@@ -183,7 +282,11 @@ class Tour {
             stops: this.stops.map(stop => stop.toJSON()),
             legs: this.legs.map(leg => leg.toJSON()),
             totalDuration: this.totalDuration,
-            totalDistance: this.totalDistance
+            totalDistance: this.totalDistance,
+            schedule: this.schedule.map(entry => Object.assign({}, entry)),
+            solverInfo: this.solverInfo ? Object.assign({}, this.solverInfo) : null,
+            mergeColocatedStops: this.mergeColocatedStops,
+            constraints: this.constraints ? this.constraints.toJSON() : null
         };
     }
 
@@ -0,0 +1,296 @@
+/**
+ * Class caching the routes between tour point nodes, keyed by plan hash and node pair
+ * Lives on the System across computeTours calls; on Node.js it can be persisted to a JSON file
+ * Holds at most maxEntries pairs: the oldest pairs of the least recently used plan are evicted first
+ */
+
+class TravelMatrixCache {
+
+    /**
+     * Constructor for the TravelMatrixCache class
+     * @param {Object} options
+     * @param {string|null} options.filePath - JSON file used to persist the cache (Node.js only, null to keep it in memory)
+     * @param {number} options.maxEntries - Maximum number of cached pairs, all plans included (default: TravelMatrixCache.DEFAULT_MAX_ENTRIES)
+     */
+    constructor(options = {}) {
+        /**
+         * Cached routes per plan hash, then per "fromId_toId" pair
+         * @type {Map<string, Map<string, {pathIds: Array<string|number>, segmentIndexes: Array<number>, distance: number, travelTime: number}>>}
+         */
+        this.plans = new Map();
+
+        /**
+         * @type {string|null}
+         */
+        this.filePath = options.filePath || null;
+
+        /**
+         * @type {number}
+         */
+        this.maxEntries = options.maxEntries > 0 ? options.maxEntries : TravelMatrixCache.DEFAULT_MAX_ENTRIES;
+
+        /**
+         * Number of cached pairs, all plans included
+         * @type {number}
+         */
+        this.entryCount = 0;
+
+        /**
+         * Number of pairs served from the cache / routed since creation
+         * @type {{hits: number, misses: number}}
+         */
+        this.stats = { hits: 0, misses: 0 };
+
+        this.loaded = false;
+        this.dirty = false;
+    }
+
+    /**
+     * Builds the key of a node pair
+     * @param {string|number} fromId
+     * @param {string|number} toId
+     * @returns {string}
+     */
+    static pairKey(fromId, toId) {
+        return `${fromId}_${toId}`;
+    }
+
+    /**
+     * Returns the cached route between two nodes, rebuilt with the plan's Node and Segment objects
+     * @param {Plan} plan
+     * @param {string|number} fromId
+     * @param {string|number} toId
+     * @returns {RouteResult|null} null if the pair is not cached
+     */
+    getRoute(plan, fromId, toId) {
+        this.load();
+        const entries = this.plans.get(plan.getHash());
+        const entry = entries ? entries.get(TravelMatrixCache.pairKey(fromId, toId)) : null;
+        if (!entry) {
+            return null;
+        }
+
+        const path = entry.pathIds.map(id => plan.nodes.get(id));
+        const segments = entry.segmentIndexes.map(index => plan.segments[index]);
+        if (path.some(node => !node) || segments.some(segment => !segment)) {
+            return null;
+        }
+
+        // Most recently used pairs (and plans) are kept at the end of the maps
+        this.touch(plan.getHash(), TravelMatrixCache.pairKey(fromId, toId), entry);
+
+        this.stats.hits++;
+        return {
+            path: path,
+            pathIds: entry.pathIds.slice(),
+            segments: segments,
+            distance: entry.distance,
+            travelTime: entry.travelTime,
+            cost: entry.distance
+        };
+    }
+
+    /**
+     * Stores a route computed on a plan
+     * @param {Plan} plan
+     * @param {string|number} fromId
+     * @param {string|number} toId
+     * @param {RouteResult} route
+     */
+    setRoute(plan, fromId, toId, route) {
+        this.load();
+        this.stats.misses++;
+        this.touch(plan.getHash(), TravelMatrixCache.pairKey(fromId, toId), {
+            pathIds: route.pathIds.slice(),
+            segmentIndexes: route.segments.map(segment => plan.indexOfSegment(segment)),
+            distance: route.distance,
+            travelTime: route.travelTime
+        });
+        this.evict();
+        this.dirty = true;
+    }
+
+    /**
+     * Stores an entry as the most recently used one
+     * @param {string} hash - Plan hash
+     * @param {string} key - Pair key
+     * @param {Object} entry - Stored route
+     */
+    touch(hash, key, entry) {
+        const entries = this.plans.get(hash) || new Map();
+        this.plans.delete(hash);
+        this.plans.set(hash, entries);
+
+        if (entries.delete(key)) {
+            this.entryCount--;
+        }
+        entries.set(key, entry);
+        this.entryCount++;
+    }
+
+    /**
+     * Drops the least recently used pairs until the cache holds at most maxEntries pairs
+     */
+    evict() {
+        while (this.entryCount > this.maxEntries) {
+            const [hash, entries] = this.plans.entries().next().value;
+            const oldestKey = entries.keys().next().value;
+            entries.delete(oldestKey);
+            this.entryCount--;
+            if (entries.size === 0) {
+                this.plans.delete(hash);
+            }
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Returns the number of cached pairs for a plan
+     * @param {Plan} plan
+     * @returns {number}
+     */
+    size(plan) {
+        this.load();
+        const entries = this.plans.get(plan.getHash());
+        return entries ? entries.size : 0;
+    }
+
+    /**
+     * Removes the cached routes of one plan, or of every plan
+     * @param {Plan|null} plan
+     */
+    clear(plan = null) {
+        this.load();
+        if (plan) {
+            const entries = this.plans.get(plan.getHash());
+            this.entryCount -= entries ? entries.size : 0;
+            this.plans.delete(plan.getHash());
+        } else {
+            this.plans.clear();
+            this.entryCount = 0;
+        }
+        this.dirty = true;
+    }
+
+    /**
+     * Returns the cached routes as plain JSON data ({ plans: { hash: { pair: route } } })
+     * @returns {Object}
+     */
+    toJSON() {
+        this.load();
+        const data = { plans: {} };
+        this.plans.forEach((pairs, hash) => {
+            data.plans[hash] = Object.fromEntries(pairs);
+        });
+        return data;
+    }
+
+    /**
+     * Checks the shape of a stored route, so that getRoute can rebuild it
+     * @param {Object} entry
+     * @returns {boolean}
+     */
+    static isValidEntry(entry) {
+        return !!entry && typeof entry === 'object'
+            && Array.isArray(entry.pathIds) && entry.pathIds.every(id => typeof id === 'string')
+            && Array.isArray(entry.segmentIndexes) && entry.segmentIndexes.every(index => Number.isInteger(index) && index >= 0)
+            && typeof entry.distance === 'number' && Number.isFinite(entry.distance)
+            && typeof entry.travelTime === 'number' && Number.isFinite(entry.travelTime);
+    }
+
+    /**
+     * Adds the routes of JSON data produced by toJSON to the cache, as the most recently used ones
+     * Malformed entries (see isValidEntry) are dropped
+     * @param {Object} data
+     * @returns {number} Number of dropped entries
+     */
+    mergeJSON(data) {
+        this.load();
+        let dropped = 0;
+        const plans = (data && typeof data.plans === 'object' && data.plans) || {};
+        Object.entries(plans).forEach(([hash, pairs]) => {
+            if (!pairs || typeof pairs !== 'object') {
+                dropped++;
+                return;
+            }
+            Object.entries(pairs).forEach(([key, entry]) => {
+                if (TravelMatrixCache.isValidEntry(entry)) {
+                    this.touch(hash, key, entry);
+                } else {
+                    dropped++;
+                }
+            });
+        });
+        if (dropped > 0) {
+            console.warn(`TravelMatrixCache: ${dropped} malformed entries dropped`);
+        }
+        this.evict();
+        this.dirty = true;
+        return dropped;
+    }
+
+    /**
+     * Reads the cache file once (Node.js only); a missing or unreadable file leaves the cache empty
+     */
+    load() {
+        if (this.loaded) {
+            return;
+        }
+        this.loaded = true;
+        if (!this.filePath || typeof require === 'undefined') {
+            return;
+        }
+
+        try {
+            const fs = require('fs');
+            if (!fs.existsSync(this.filePath)) {
+                return;
+            }
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const fileEntries = Object.values(data.plans || {}).reduce((count, pairs) => count + Object.keys(pairs || {}).length, 0);
+            this.mergeJSON(data);
+            // Nothing to write back unless entries were evicted
+            this.dirty = this.entryCount < fileEntries;
+        } catch (error) {
+            console.warn(`TravelMatrixCache: could not read ${this.filePath}:`, error.message);
+        }
+    }
+
+    /**
+     * Writes the cache file if it changed since the last save (Node.js only)
+     * @returns {boolean} True if the file was written
+     */
+    save() {
+        if (!this.dirty || !this.filePath || typeof require === 'undefined') {
+            return false;
+        }
+
+        try {
+            const fs = require('fs');
+            const path = require('path');
+            const data = this.toJSON();
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify(data), 'utf8');
+            this.dirty = false;
+            return true;
+        } catch (error) {
+            console.warn(`TravelMatrixCache: could not write ${this.filePath}:`, error.message);
+            return false;
+        }
+    }
+}
+
+/**
+ * Default maximum number of cached pairs (a pair weighs under 1 KB of JSON on a city plan)
+ * @type {number}
+ */
+TravelMatrixCache.DEFAULT_MAX_ENTRIES = 10000;
+
+// Export for Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TravelMatrixCache;
+}
+
+if (typeof window !== 'undefined') {
+    window.TravelMatrixCache = TravelMatrixCache;
+}
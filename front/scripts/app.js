@@ -6,6 +6,11 @@
 const system = new System();
 const view = new View("08:00", "map");
 
+// Reprendre les trajets déjà calculés, persistés par le serveur
+system.loadTravelMatrixCacheFromServer().then(result => {
+    if (!result.success) console.warn('Cache des trajets non chargé:', result.error);
+});
+
 // État de la vue Livreur (pour restauration après vue Historique)
 let courierViewState = null;
 
@@ -99,6 +104,12 @@ async function handleLoadMap() {
         view.displayPlan(result.plan);
         console.log("Plan chargé avec succès!");
 
+        // Report integrity warnings (the plan is usable)
+        if (result.warnings && result.warnings.length > 0) {
+            console.warn("Avertissements du plan:", result.warnings);
+            alert(`⚠️ Plan chargé avec ${result.warnings.length} avertissement(s) :\n${PlanValidator.summarize(result.warnings)}`);
+        }
+
         // Enable deliveries upload button
         const deliveriesBox = document.getElementById("deliveriesUploadBox");
         if (deliveriesBox) {
@@ -493,8 +504,8 @@ function updateTimelineFromTour(tour, readOnly = false) {
 
     // Helper function to format time from departure time and elapsed seconds
     function formatTime(departureTime, elapsedSeconds) {
-        const [hours, minutes] = departureTime.split(':').map(Number);
-        const totalMinutes = hours * 60 + minutes + Math.round(elapsedSeconds / 60);
+        const [hours, minutes, seconds] = departureTime.split(':').map(Number);
+        const totalMinutes = hours * 60 + minutes + Math.round(((seconds || 0) + elapsedSeconds) / 60);
         const newHours = Math.floor(totalMinutes / 60) % 24;
         const newMinutes = totalMinutes % 60;
         return `${String(newHours).padStart(2, '0')}:${String(newMinutes).padStart(2, '0')}`;
@@ -503,6 +514,10 @@ function updateTimelineFromTour(tour, readOnly = false) {
     // Track cumulative time
     let cumulativeTime = 0;
 
+    // Timetable with waiting times in front of time windows (tours rebuilt from JSON have it too)
+    const schedule = typeof tour.computeSchedule === 'function' ? tour.computeSchedule() : null;
+    const showLoad = tour.stops.some(stop => stop.demand && stop.demand.load > 0);
+
     // Shared numbering for pickup/delivery pairs (stable across reorders)
     function getDemandKey(stop) {
         if (!stop) return null;
@@ -561,6 +576,25 @@ function updateTimelineFromTour(tour, readOnly = false) {
 
     linkRelatedTourPoints(tour);
 
+    // Stops sharing an address are framed together when the tour merges them into one visit
+    const visitOfStop = new Map();
+    if (tour.mergeColocatedStops && typeof tour.getVisits === 'function') {
+        tour.getVisits()
+            .filter(visit => visit.stops.length > 1)
+            .forEach(visit => visit.indexes.forEach(i => visitOfStop.set(i, visit)));
+    }
+    let visitDiv = null;
+
+    // Pinned, locked and executed stops, kept in place by the re-optimization
+    const reoptimizeTourBtn = document.getElementById('reoptimizeTourBtn');
+    if (reoptimizeTourBtn) {
+        reoptimizeTourBtn.style.display = readOnly ? 'none' : 'inline-flex';
+    }
+    function getTourConstraints() {
+        if (!tour.constraints) tour.constraints = new StopConstraints();
+        return tour.constraints;
+    }
+
     // Add each stop to the timeline (optionally with left/right controls)
     tour.stops.forEach((stop, index) => {
         const stepDiv = document.createElement('div');
@@ -664,14 +698,93 @@ function updateTimelineFromTour(tour, readOnly = false) {
             controls.appendChild(leftBtn);
             controls.appendChild(rightBtn);
             stepDiv.appendChild(controls);
+
+            // Pin / lock with the next stop / executed up to here
+            const constraints = tour.constraints;
+            const nextStop = tour.stops[index + 1];
+            const block = constraints ? constraints.blockOf(stop) : null;
+            const lockedWithNext = !!block && block.includes(StopConstraints.keyOf(nextStop));
+            const constraintControls = document.createElement('div');
+            constraintControls.className = 'step-controls step-constraints';
+            const addToggle = (label, title, active, onClick, disabled = false) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.textContent = label;
+                btn.title = title;
+                btn.className = active ? 'btn btn-sm active' : 'btn btn-sm';
+                btn.disabled = disabled;
+                btn.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    onClick(getTourConstraints(), tour.stops.indexOf(stop));
+                    updateTimelineFromTour(tour);
+                });
+                constraintControls.appendChild(btn);
+            };
+
+            addToggle('📌', 'Épingler l\'arrêt à sa position', !!constraints && constraints.isPinned(stop), (c, i) => {
+                if (c.isPinned(stop)) c.unpin(stop);
+                else c.pin(stop, i);
+            });
+            addToggle('🔗', 'Verrouiller avec l\'arrêt suivant', lockedWithNext, (c, i) => {
+                if (lockedWithNext) {
+                    c.unlock(stop);
+                    return;
+                }
+                // The new block absorbs the blocks of both stops
+                const keys = tour.stops.map(StopConstraints.keyOf);
+                const first = c.blockOf(stop) ? keys.indexOf(c.blockOf(stop)[0]) : i;
+                const nextBlock = c.blockOf(tour.stops[i + 1]);
+                const last = nextBlock ? keys.indexOf(nextBlock[nextBlock.length - 1]) : i + 1;
+                c.lock(tour.stops.slice(first, last + 1));
+            }, !nextStop || nextStop.type === 'WAREHOUSE');
+            addToggle('✔', 'Exécuté jusqu\'ici', !!constraints && constraints.isExecuted(stop), (c, i) => {
+                c.markExecuted(tour.stops.slice(1, c.isExecuted(stop) ? i : i + 1));
+            });
+            stepDiv.appendChild(constraintControls);
+        }
+
+        if (tour.constraints && stop.type !== 'WAREHOUSE') {
+            if (tour.constraints.isPinned(stop)) stepDiv.classList.add('step-pinned');
+            if (tour.constraints.blockOf(stop)) stepDiv.classList.add('step-locked');
+            if (tour.constraints.isExecuted(stop)) stepDiv.classList.add('step-executed');
         }
 
-        // Add time
+        // Add time (start of the service, after waiting for the time window if early)
         const timeDiv = document.createElement('div');
         timeDiv.className = 'step-time';
-        timeDiv.textContent = formatTime(tour.departureTime, cumulativeTime);
+        const entry = schedule ? schedule[index] : null;
+        timeDiv.textContent = entry
+            ? formatTime('00:00', entry.start)
+            : formatTime(tour.departureTime, cumulativeTime);
         stepDiv.appendChild(timeDiv);
 
+        // Add the time window of the stop, flagged when it is not met
+        const timeWindow = typeof stop.getTimeWindow === 'function' ? stop.getTimeWindow() : null;
+        if (timeWindow) {
+            const windowDiv = document.createElement('div');
+            windowDiv.className = 'step-window';
+            windowDiv.textContent = timeWindow.toString();
+            if (entry && entry.lateness > 0) {
+                stepDiv.classList.add('step-late');
+                windowDiv.title = `Retard de ${Math.ceil(entry.lateness / 60)} min sur le créneau`;
+            } else if (entry && entry.wait > 0) {
+                windowDiv.title = `Attente de ${Math.ceil(entry.wait / 60)} min avant le créneau`;
+            }
+            stepDiv.appendChild(windowDiv);
+        }
+
+        // Add the load onboard after the stop (only for tours carrying sized parcels)
+        if (entry && showLoad) {
+            const loadDiv = document.createElement('div');
+            loadDiv.className = 'step-load';
+            loadDiv.title = 'Volume à bord après l\'arrêt';
+            loadDiv.innerHTML = `<i class="fa-solid fa-box"></i> ${entry.load} L`;
+            if (tour.courier && tour.courier.capacity > 0 && entry.load > tour.courier.capacity) {
+                stepDiv.classList.add('step-overloaded');
+            }
+            stepDiv.appendChild(loadDiv);
+        }
+
         // Add description
         const descDiv = document.createElement('div');
         descDiv.className = 'step-desc';
@@ -706,7 +819,17 @@ function updateTimelineFromTour(tour, readOnly = false) {
         }
         stepDiv.appendChild(descDiv);
 
-        timelineScroll.appendChild(stepDiv);
+        const visit = visitOfStop.get(index);
+        if (visit && visit.indexes[0] === index) {
+            visitDiv = document.createElement('div');
+            visitDiv.className = 'step-group';
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'step-group-header';
+            headerDiv.innerHTML = `<i class="fa-solid fa-layer-group"></i> ${visit.stops.length} arrêts · ${Math.round(visit.serviceDuration / 60)} min sur place`;
+            visitDiv.appendChild(headerDiv);
+            timelineScroll.appendChild(visitDiv);
+        }
+        (visit ? visitDiv : timelineScroll).appendChild(stepDiv);
 
         // Add service duration to cumulative time
         cumulativeTime += stop.serviceDuration;
@@ -749,6 +872,8 @@ function updateTimelineFromTour(tour, readOnly = false) {
             case 'PICKUP_AFTER_DELIVERY':
             case 'DELIVERY_BEFORE_PICKUP':
                 return "❌ Violations d'ordre: un pickup doit toujours être avant sa livraison.";
+            case 'STOP_CONSTRAINTS':
+                return "❌ Cet arrêt est épinglé, verrouillé ou déjà exécuté.";
             case 'OUT_OF_RANGE':
                 return "❌ Indice hors plage.";
             default:
@@ -934,6 +1059,19 @@ window.onNodeSelected = function(node) {
     view.setNodeSelectionMode(false);
 };
 
+// Fonction appelée quand on clique n'importe où sur la carte pendant la sélection
+// Le point est rattaché au nœud accessible le plus proche
+window.onMapLocationSelected = function(latitude, longitude) {
+    if (!nodeSelectionState.mode) return;
+
+    const snap = system.snapToNode(latitude, longitude);
+    if (!snap.success) {
+        alert(snap.error);
+        return;
+    }
+    window.onNodeSelected(snap.node);
+};
+
 // Ouverture via le bouton +
 if (addDemandBtn) {
     addDemandBtn.addEventListener("click", () => {
@@ -1019,12 +1157,14 @@ if (addDemandForm) {
         const deliveryAddressInput = document.getElementById("deliveryAddressInput");
         const pickupDurationInput = document.getElementById("pickupDurationInput");
         const deliveryDurationInput = document.getElementById("deliveryDurationInput");
+        const loadInput = document.getElementById("loadInput");
 
         const pickupAddress = pickupAddressInput.value.trim();
         const deliveryAddress = deliveryAddressInput.value.trim();
 
         const pickupDuration = Number(pickupDurationInput.value);
         const deliveryDuration = Number(deliveryDurationInput.value);
+        const load = loadInput ? Number(loadInput.value || 0) : 0;
 
         // Validation améliorée avec messages spécifiques
         if (!pickupAddress) {
@@ -1052,6 +1192,11 @@ if (addDemandForm) {
             return;
         }
 
+        if (isNaN(load) || load < 0) {
+            alert("⚠️ Le volume du colis doit être un nombre positif.");
+            return;
+        }
+
         let result;
         const isEdit = currentEditedDemandId !== null;
 
@@ -1062,7 +1207,8 @@ if (addDemandForm) {
                     pickupAddress,
                     deliveryAddress,
                     pickupDuration,
-                    deliveryDuration
+                    deliveryDuration,
+                    load
                 );
             } else {
                 // ✏️ MODE MODIFICATION
@@ -1071,7 +1217,8 @@ if (addDemandForm) {
                     pickupAddress,
                     deliveryAddress,
                     pickupDuration,
-                    deliveryDuration
+                    deliveryDuration,
+                    load
                 );
             }
         } catch (err) {
@@ -1115,9 +1262,76 @@ if (addDemandForm) {
 
         // Fermer la modale
         closeAddDemandModal();
+
+        // Tournées déjà calculées : proposer d'insérer la demande sans tout recalculer
+        if (!isEdit && window.allCalculatedTours && window.allCalculatedTours.length > 0) {
+            if (confirm("Insérer cette demande dans la tournée existante la moins pénalisée, sans recalculer les autres ?")) {
+                insertDemandIntoTours(demand);
+            }
+        }
     });
 }
 
+// Réaffiche les tournées calculées après une modification (sélecteur, carte, timeline)
+function refreshCalculatedTours(selectedTour = null) {
+    const tours = window.allCalculatedTours || [];
+    if (tours.length === 0) {
+        window.currentDisplayedTour = null;
+        updateCourierInfo(null);
+        return;
+    }
+    populateCourierTourSelector(tours);
+    const select = document.getElementById('courierTourSelect');
+    // Les tournées modifiées sont de nouveaux objets avec le même id
+    const shown = selectedTour || window.currentDisplayedTour;
+    const index = Math.max(0, shown ? tours.findIndex(tour => tour.id === shown.id) : 0);
+    if (select && typeof select.onchange === 'function') {
+        select.value = String(index);
+        select.onchange();
+    }
+}
+
+// Insère une demande dans la tournée calculée dont le coût augmente le moins (System.insertDemand)
+function insertDemandIntoTours(demand) {
+    const tours = window.allCalculatedTours;
+    const result = system.insertDemand(demand.id, tours);
+    if (!result.success) {
+        alert('❌ ' + result.error);
+        return;
+    }
+
+    refreshCalculatedTours(result.tour);
+
+    const courierName = result.courier ? result.courier.name : 'Coursier';
+    const unit = (ComputerTour.objectives[result.tour.solverInfo.objective] || ComputerTour.objectives.duration).unit;
+    alert(`✅ Demande #${demand.id} insérée dans la tournée de ${courierName} (+${formatObjectiveCost(result.increase, unit)}).`);
+}
+
+// Réoptimise la tournée affichée en gardant ses arrêts épinglés, verrouillés et exécutés (System.reoptimizeTour)
+function reoptimizeCurrentTour() {
+    const tour = window.currentDisplayedTour;
+    if (!tour) {
+        alert('❌ Aucune tournée sélectionnée.');
+        return;
+    }
+    const tours = window.allCalculatedTours || [];
+    const result = system.reoptimizeTour(tour, { tours });
+    if (!result.success) {
+        alert('❌ ' + result.error);
+        return;
+    }
+
+    if (tours.includes(result.tour)) {
+        refreshCalculatedTours(result.tour);
+    } else {
+        window.currentDisplayedTour = result.tour;
+        if (view.map) view.displayTour(result.tour);
+        updateTimelineFromTour(result.tour);
+        updateCourierInfo(result.tour);
+    }
+    alert(`✅ Tournée réoptimisée : ${Math.round(result.tour.totalDuration / 60)} min, ${(result.tour.totalDistance / 1000).toFixed(2)} km.`);
+}
+
 
 async function handleLoadDemands() {
     const input = document.getElementById("xmlDeliveriesInput");
@@ -1138,20 +1352,27 @@ async function handleLoadDemands() {
         // Process each selected file
         for (let i = 0; i < input.files.length; i++) {
         const file = input.files[i];
-        const fileName = file.name.replace(/\.xml$/i, '');
+        const isCsv = /\.csv$/i.test(file.name);
+        const fileName = file.name.replace(/\.(xml|csv)$/i, '');
         fileNames.push(fileName);
 
-        // Create a temporary input for this file
-        const tempInput = document.createElement('input');
-        tempInput.type = 'file';
-        const dataTransfer = new DataTransfer();
-        dataTransfer.items.add(file);
-        tempInput.files = dataTransfer.files;
-
         // Track the number of demands before loading
         const demandsCountBefore = system.demandsList.length;
 
-        const result = await system.loadDemandsFromXML(tempInput);
+        let result;
+        if (isCsv) {
+            // CSV de coordonnées : chaque point est rattaché au nœud le plus proche
+            result = system.loadDemandsFromCSV(await file.text());
+        } else {
+            // Create a temporary input for this file
+            const tempInput = document.createElement('input');
+            tempInput.type = 'file';
+            const dataTransfer = new DataTransfer();
+            dataTransfer.items.add(file);
+            tempInput.files = dataTransfer.files;
+
+            result = await system.loadDemandsFromXML(tempInput);
+        }
 
         if (!result.success) {
             alert(`Erreur lors du chargement de ${fileName}: ${result.error}`);
@@ -1168,6 +1389,12 @@ async function handleLoadDemands() {
 
         totalDemandsLoaded += result.count;
         console.log(`${result.count} demandes chargées depuis ${fileName}`);
+        if (result.warehouse && result.warehouse.departureTime) {
+            const departureTimeInput = document.getElementById('departureTimeInput');
+            if (departureTimeInput) {
+                departureTimeInput.title = `Heure de départ de tous les coursiers (vide : celle du coursier, sinon ${result.warehouse.departureTime} du fichier de demandes)`;
+            }
+        }
     }
 
         // Update UI with loaded demands
@@ -1291,6 +1518,7 @@ function updateDemandsUI() {
                 <div class="dot dot-d"></div>
                 <span style="font-size: 0.8rem;">Livraison: ${deliveryLocation} (${deliveryMinutes}min)</span>
             </div>
+            ${demand.load > 0 ? `<div class="point-row"><i class="fa-solid fa-box" style="font-size: 0.7rem; color: #7f8c8d;"></i><span style="font-size: 0.8rem;">Volume: ${demand.load} L</span></div>` : ''}
         `;
 
         demandsContainer.appendChild(demandCard);
@@ -1336,6 +1564,8 @@ function editDemand(demandId) {
     // --- 1) Durées (ça fonctionnait déjà chez toi) ---
     pickupDurationInput.value   = demande.pickupDuration;
     deliveryDurationInput.value = demande.deliveryDuration;
+    const loadInput = document.getElementById("loadInput");
+    if (loadInput) loadInput.value = demande.load || 0;
 
     // --- 2) Récupérer les IDs de noeud ---
     const pickupId   = demande.pickupAddress?.id   ?? demande.pickupAddress;
@@ -1419,9 +1649,16 @@ function editDemand(demandId) {
 // Delete demand function
 function deleteDemand(demandId) {
     if (confirm('Êtes-vous sûr de vouloir supprimer cette demande ?')) {
-        const removed = system.removeDemandById(demandId);
+        // Retirer aussi la demande des tournées calculées, sans recalculer les autres
+        const tours = window.allCalculatedTours || [];
+        const inTour = tours.some(tour => tour.stops.some(stop => stop.demand && String(stop.demand.id) === String(demandId)));
+        const improve = inTour && confirm('Réoptimiser localement la tournée concernée (2-opt / or-opt) ?');
+        const removed = system.removeDemandById(demandId, { tours, improve });
         if (removed) {
             updateDemandsUI();
+            if (inTour) {
+                refreshCalculatedTours();
+            }
             console.log('Demande supprimée:', demandId);
         }
     }
@@ -1518,7 +1755,12 @@ async function fetchCouriers() {
 
             const label = document.createElement('label');
             label.htmlFor = `courier-cb-${c.id}`;
-            label.textContent = `${c.name} (${c.id})`;
+            label.textContent = `${c.name} (${c.id})`
+                + (c.speedFactor && c.speedFactor !== 1 ? ` ×${c.speedFactor}` : '')
+                + (c.capacity > 0 ? ` ${c.capacity} L` : '')
+                + (c.departureTime ? ` ${c.departureTime}` : '')
+                + (c.shiftStart || c.shiftEnd ? ` [${c.shiftStart || '…'}-${c.shiftEnd || '…'}]` : '')
+                + (c.maxWorkingTime > 0 && c.maxWorkingTime !== Courier.DEFAULT_MAX_WORKING_TIME ? ` max ${c.maxWorkingTime / 3600} h` : '');
             label.style.cssText = 'flex: 1; cursor: pointer; user-select: none;';
 
             item.appendChild(checkbox);
@@ -1526,7 +1768,7 @@ async function fetchCouriers() {
             listContainer.appendChild(item);
 
             // Add to system list
-            try { system.listCouriers.push(new Courier(c.id, c.name)); } catch (e) { system.listCouriers.push(c); }
+            try { system.listCouriers.push(new Courier(c.id, c.name, c)); } catch (e) { system.listCouriers.push(c); }
         });
 
         // Initialize count display
@@ -1537,11 +1779,30 @@ async function fetchCouriers() {
 }
 
 // Create a new courier via server API
+// Courier profile typed in the creation form: vehicle, bag, departure time and shift
+function getCourierFormProfile() {
+    const value = (id) => {
+        const field = document.getElementById(id);
+        return field && field.value ? field.value : null;
+    };
+    const maxHours = parseFloat(value('courierMaxHoursInput'));
+    return {
+        speedFactor: parseFloat(value('courierVehicleInput')) || 1,
+        capacity: Number(value('courierCapacityInput')) > 0 ? Number(value('courierCapacityInput')) : null,
+        departureTime: value('courierDepartureInput'),
+        // Horaires de service (vides : sans limite, 8 h de travail au plus)
+        shiftStart: value('courierShiftStartInput'),
+        shiftEnd: value('courierShiftEndInput'),
+        maxWorkingTime: Number.isFinite(maxHours) && maxHours > 0 ? Math.round(maxHours * 3600) : null
+    };
+}
+
 async function createCourier() {
     const input = document.getElementById('courierNameInput');
     if (!input) return;
     const name = input.value.trim();
     if (!name) { alert('Entrez un nom pour le coursier'); return; }
+    const profile = getCourierFormProfile();
 
     const btn = document.getElementById('createCourierBtn');
     const orig = btn ? btn.innerHTML : null;
@@ -1551,11 +1812,15 @@ async function createCourier() {
         const resp = await fetch('/api/couriers', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name })
+            body: JSON.stringify({ name, ...profile })
         });
         const data = await resp.json();
         if (data.success) {
             input.value = '';
+            ['courierCapacityInput', 'courierDepartureInput', 'courierShiftStartInput', 'courierShiftEndInput', 'courierMaxHoursInput'].forEach(id => {
+                const field = document.getElementById(id);
+                if (field) field.value = '';
+            });
             await fetchCouriers();
             // Automatically check the newly created courier
             if (data.courier && data.courier.id) {
@@ -1669,6 +1934,7 @@ function showInsufficientCouriersModal(message) {
     body.style.marginBottom = '14px';
     body.style.color = '#333';
     body.style.fontSize = '0.95rem';
+    body.style.whiteSpace = 'pre-line';
     body.textContent = message || 'Le nombre de coursiers sélectionné est insuffisant pour traiter toutes les demandes. Ajoutez un coursier puis relancez le calcul.';
 
     const actions = document.createElement('div');
@@ -1709,6 +1975,84 @@ function closeInsufficientCouriersModal() {
     overlay.parentNode.removeChild(overlay);
 }
 
+// Solver options chosen under the compute button
+function getSolverFormOptions() {
+    const solverOptions = {};
+    const strategyInput = document.getElementById('solverStrategyInput');
+    if (strategyInput && strategyInput.value) {
+        solverOptions.strategy = strategyInput.value;
+    }
+    const budgetInput = document.getElementById('solverTimeBudgetInput');
+    const budgetSeconds = budgetInput ? parseFloat(budgetInput.value) : NaN;
+    if (Number.isFinite(budgetSeconds) && budgetSeconds > 0) {
+        solverOptions.timeBudget = budgetSeconds * 1000;
+    }
+    const mergeStopsInput = document.getElementById('mergeStopsInput');
+    solverOptions.mergeColocatedStops = !!(mergeStopsInput && mergeStopsInput.checked);
+    const objectiveInput = document.getElementById('objectiveInput');
+    if (objectiveInput && objectiveInput.value) {
+        solverOptions.objective = objectiveInput.value;
+    }
+    const clusteringInput = document.getElementById('clusteringInput');
+    if (clusteringInput && clusteringInput.value) {
+        solverOptions.clustering = clusteringInput.value;
+    }
+    // Heure de départ de la tournée (vide : celle de chaque coursier, sinon celle du fichier de demandes)
+    const departureTimeInput = document.getElementById('departureTimeInput');
+    if (departureTimeInput && departureTimeInput.value) {
+        solverOptions.departureTime = departureTimeInput.value;
+    }
+    return solverOptions;
+}
+
+// Suggest the number of couriers: smallest fleet with the profile of the creation form whose tours fit in the shift
+function suggestCouriers() {
+    if (!system.plan || !system.demandsList || system.demandsList.length === 0) {
+        alert('⚠️ Veuillez d\'abord charger un plan et des demandes.');
+        return;
+    }
+
+    const btn = document.getElementById('suggestCouriersBtn');
+    if (btn) btn.disabled = true;
+    document.body.style.cursor = 'wait';
+    document.body.classList.add('loading');
+
+    // Laisser le navigateur afficher l'état avant le calcul synchrone
+    setTimeout(() => {
+        try {
+            // The departure time of the run, if any, applies to every courier
+            const solverOptions = getSolverFormOptions();
+            const profile = getCourierFormProfile();
+            const result = system.estimateFleetSize(Object.assign({}, solverOptions, profile,
+                { departureTime: solverOptions.departureTime || profile.departureTime }));
+            if (!result.success) {
+                alert('❌ ' + result.error);
+                return;
+            }
+
+            const lines = result.load.map(entry => `- ${entry.courier.name} : ${entry.demands} demande(s)`
+                + (entry.volume > 0 ? `, ${entry.volume} L` : '')
+                + `, ${Math.round(entry.workingTime / 60)} min, ${(entry.distance / 1000).toFixed(2)} km`);
+
+            // Select as many existing couriers as needed
+            const checkboxes = Array.from(document.querySelectorAll('#couriersList input[type="checkbox"]'));
+            checkboxes.forEach((cb, index) => { cb.checked = index < result.couriers; });
+            updateSelectedCouriersCount();
+            const missing = result.couriers - checkboxes.length;
+
+            alert(`✅ ${result.couriers} coursier(s) suffisent (${result.attempts.length} essai(s)) :\n${lines.join('\n')}`
+                + (missing > 0 ? `\n\nCréez encore ${missing} coursier(s) avant de calculer les tournées.` : ''));
+        } catch (error) {
+            console.error('Erreur suggestCouriers:', error);
+            alert('❌ Erreur lors de l\'estimation du nombre de coursiers : ' + error.message);
+        } finally {
+            if (btn) btn.disabled = false;
+            document.body.style.cursor = 'default';
+            document.body.classList.remove('loading');
+        }
+    }, 50);
+}
+
 // Handle tour calculation
 async function handleComputeTour() {
     // Vérifier que le plan est chargé
@@ -1754,8 +2098,14 @@ async function handleComputeTour() {
                 return;
             }
 
+            // Algorithme et budget de temps choisis sous le bouton
+            const solverOptions = getSolverFormOptions();
+
             // Appeler computeTours avec la liste de coursiers sélectionnés
-            const result = system.computeTours(selectedCouriers);
+            const result = system.computeTours(selectedCouriers, solverOptions);
+
+            // Envoyer les nouveaux trajets au serveur, qui les persiste
+            system.saveTravelMatrixCacheToServer();
 
             if (!result) {
                 alert('❌ Erreur lors du calcul des tournées. Vérifiez que toutes les demandes sont valides.');
@@ -1763,18 +2113,12 @@ async function handleComputeTour() {
             }
 
             // Gérer le code de retour
-            if (result.code === 2) {
-                // Inform the user via modal and invite to add a courier
-                showInsufficientCouriersModal('⚠️ Le nombre de coursiers sélectionné est insuffisant pour traiter toutes les demandes. Ajoutez un coursier et relancez le calcul.');
-                return;
-            }
-
             if (result.code === 1) {
-                alert('❌ Erreur lors du calcul des tournées.');
+                alert('❌ Erreur lors du calcul des tournées.' + (result.error ? '\n' + result.error : ''));
                 return;
             }
 
-            // Succès (code === 0)
+            // Succès (code === 0), ou tournées hors des horaires de service (code === 2)
             const tours = result.tours || [];
 
             if (tours.length === 0) {
@@ -1788,6 +2132,16 @@ async function handleComputeTour() {
             clearInsufficientCouriersBanner();
             try { closeInsufficientCouriersModal(); } catch (e) {}
 
+            if (result.code === 2) {
+                // No redistribution fits in the shifts: the tours are shown anyway, with the overtime of each courier
+                const overtime = (result.shiftReport || []).filter(entry => !entry.feasible).map(entry => entry.message);
+                const missing = result.extraCouriersNeeded || 1;
+                showInsufficientCouriersModal(`⚠️ Certaines tournées dépassent les horaires de service de leur coursier, même après redistribution des demandes. Il manque environ ${missing} coursier(s) : ajoutez-en ou allongez les horaires, puis relancez le calcul.\n` + overtime.join('\n'));
+            } else if (result.movedDemands && result.movedDemands.length > 0) {
+                console.log(`${result.movedDemands.length} demande(s) redistribuée(s) pour respecter les horaires de service:`,
+                    result.movedDemands.map(move => `${move.demandId} : ${move.from.name} -> ${move.to.name}`));
+            }
+
             // Store all tours globally
             window.allCalculatedTours = tours;
             window.currentDisplayedTour = tours[0]; // Afficher la première par défaut
@@ -1828,6 +2182,7 @@ async function handleComputeTour() {
 
             // Update timeline with tour details
             updateTimelineFromTour(tours[0]);
+            updateCourierInfo(tours[0]);
 
             // Afficher un message de succès
             let successMessage = `✅ ${tours.length} tournée(s) calculée(s) avec succès!\n\n`;
@@ -1835,8 +2190,23 @@ async function handleComputeTour() {
                 const distanceKm = (tour.totalDistance / 1000).toFixed(2);
                 const durationMin = Math.round(tour.totalDuration / 60);
                 const courierName = tour.courier ? tour.courier.name : `Coursier ${index + 1}`;
-                successMessage += `${courierName}: ${tour.stops.length} arrêts, ${distanceKm} km, ${durationMin} min\n`;
+                const info = tour.solverInfo;
+                let optimum = '';
+                if (info && info.provedOptimal) {
+                    optimum = ' (optimum prouvé)';
+                } else if (info && typeof info.gap === 'number') {
+                    optimum = ` (écart ${info.gap.toFixed(1)} %)`;
+                }
+                successMessage += `${courierName}: ${tour.stops.length} arrêts, ${distanceKm} km, ${durationMin} min${optimum}\n`;
             });
+            if (solverOptions.objective === 'makespan' && typeof result.makespan === 'number') {
+                successMessage += `\nRetour du dernier coursier après ${Math.round(result.makespan / 60)} min\n`;
+            }
+            const violations = result.timeWindowViolations || [];
+            if (violations.length > 0) {
+                successMessage += `\n⚠️ ${violations.length} créneau(x) horaire(s) non respecté(s) :\n`;
+                successMessage += violations.map(v => `- ${v.message}`).join('\n');
+            }
             alert(successMessage);
 
         } catch (error) {
@@ -1853,6 +2223,50 @@ async function handleComputeTour() {
     }, 50); // 50ms de délai pour permettre la mise à jour de l'interface
 }
 
+// Formate un coût dans l'unité de l'objectif ('s' : minutes, 'm' : kilomètres, '' : points)
+function formatObjectiveCost(value, unit) {
+    if (unit === 's') return `${Math.round(value / 60)} min`;
+    if (unit === 'm') return `${(value / 1000).toFixed(2)} km`;
+    return `${Math.round(value)} pts`;
+}
+
+// Affiche le coursier de la tournée et le rapport du solveur (objectif, coût, borne inférieure, écart, temps de calcul)
+function updateCourierInfo(tour) {
+    const container = document.getElementById('courierInfo');
+    const nameElement = document.getElementById('courierName');
+    const solverElement = document.getElementById('courierSolverInfo');
+    if (!container || !nameElement) return;
+
+    if (!tour) {
+        container.style.display = 'none';
+        return;
+    }
+
+    nameElement.textContent = tour.courier ? tour.courier.name : 'Coursier non assigné';
+
+    if (solverElement) {
+        const info = tour.solverInfo;
+        if (info && typeof info.cost === 'number') {
+            const objective = ComputerTour.objectives[info.objective || 'duration'] || ComputerTour.objectives.duration;
+            const cost = formatObjectiveCost(info.cost, objective.unit);
+            // Pas de borne après une insertion ou une suppression sans recalcul
+            const hasBound = typeof info.bound === 'number' && typeof info.gap === 'number';
+            const bound = hasBound ? ` (borne ${formatObjectiveCost(info.bound, objective.unit)})` : '';
+            const quality = info.provedOptimal ? ' · optimum prouvé' : (hasBound ? ` · écart ${info.gap.toFixed(1)} %` : '');
+            solverElement.textContent = `· ${info.solver} · ${objective.label} : ${cost}${bound}${quality} · ${info.runtime} ms`;
+            solverElement.title = `Algorithme : ${info.solver}\nObjectif : ${objective.label}\nCoût : ${Math.round(info.cost)} ${objective.unit}\n`
+                + (hasBound ? `Borne inférieure : ${Math.round(info.bound)} ${objective.unit}\nÉcart à la borne : ${info.gap.toFixed(2)} %\n` : '')
+                + `Temps de calcul : ${info.runtime} ms`;
+            solverElement.style.display = 'inline';
+        } else {
+            solverElement.textContent = '';
+            solverElement.style.display = 'none';
+        }
+    }
+
+    container.style.display = 'block';
+}
+
 // Populate courier tour selector with all calculated tours
 function populateCourierTourSelector(tours) {
     const container = document.getElementById('courierSelectContainer');
@@ -1911,6 +2325,7 @@ function populateCourierTourSelector(tours) {
             if (timelineContainer) {
                 timelineContainer.style.display = 'none';
             }
+            updateCourierInfo(null);
             console.log('Affichage de toutes les tournées');
         } else {
             const selectedIndex = parseInt(this.value);
@@ -1929,6 +2344,7 @@ function populateCourierTourSelector(tours) {
                     timelineContainer.style.display = 'block';
                 }
                 updateTimelineFromTour(selectedTour);
+                updateCourierInfo(selectedTour);
 
                 console.log('Tournée sélectionnée:', selectedTour);
             }
@@ -1945,6 +2361,10 @@ document.addEventListener('DOMContentLoaded', () => {
     if (saveTourBtn) {
         saveTourBtn.addEventListener('click', saveTour);
     }
+    const reoptimizeTourBtn = document.getElementById('reoptimizeTourBtn');
+    if (reoptimizeTourBtn) {
+        reoptimizeTourBtn.addEventListener('click', reoptimizeCurrentTour);
+    }
 
     // Wire courier creation UI
     const createCourierBtn = document.getElementById('createCourierBtn');
@@ -1952,6 +2372,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Fetch existing couriers to populate list
     fetchCouriers();
 
+    const suggestCouriersBtn = document.getElementById('suggestCouriersBtn');
+    if (suggestCouriersBtn) suggestCouriersBtn.addEventListener('click', suggestCouriers);
+
     // Wire courier selection buttons
     const selectAllBtn = document.getElementById('selectAllCouriersBtn');
     const deselectAllBtn = document.getElementById('deselectAllCouriersBtn');
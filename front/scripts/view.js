@@ -16,6 +16,7 @@ class View {
         this.nodeSelectionMode = false;
         this.nodeSelectionType = null; // 'pickup' or 'delivery'
         this.selectableNodes = []; // Array of clickable node markers
+        this.mapClickHandler = null; // Map click listener while selecting (snaps anywhere on the map)
 
         if (mapElementId) {
             this.initMap();
@@ -88,8 +89,13 @@ class View {
             // Changer le curseur de la carte
             document.getElementById(this.mapElementId).style.cursor = 'crosshair';
 
-            // Rendre tous les nœuds plus visibles et cliquables
-            this.makeNodesSelectable();
+            // Un clic n'importe où sur la carte est rattaché au nœud le plus proche
+            this.enableMapClickSelection();
+
+            // Sur les petits plans, afficher aussi les nœuds cliquables
+            if (this.nodeMap.size <= View.MAX_SELECTABLE_MARKERS) {
+                this.makeNodesSelectable();
+            }
 
             console.log(`Mode sélection activé: ${type}`);
         } else {
@@ -97,12 +103,39 @@ class View {
             document.getElementById(this.mapElementId).style.cursor = '';
 
             // Supprimer les marqueurs de sélection
+            this.disableMapClickSelection();
             this.removeSelectableNodes();
 
             console.log('Mode sélection désactivé');
         }
     }
 
+    /**
+     * Écoute les clics sur la carte pendant la sélection
+     * Les coordonnées sont transmises à window.onMapLocationSelected, qui les rattache au nœud le plus proche
+     */
+    enableMapClickSelection() {
+        this.disableMapClickSelection();
+        if (!this.map) return;
+
+        this.mapClickHandler = (event) => {
+            if (this.nodeSelectionMode && window.onMapLocationSelected) {
+                window.onMapLocationSelected(event.latlng.lat, event.latlng.lng);
+            }
+        };
+        this.map.on('click', this.mapClickHandler);
+    }
+
+    /**
+     * Retire l'écoute des clics sur la carte
+     */
+    disableMapClickSelection() {
+        if (this.map && this.mapClickHandler) {
+            this.map.off('click', this.mapClickHandler);
+        }
+        this.mapClickHandler = null;
+    }
+
     /**
      * Crée des marqueurs cliquables pour tous les nœuds du plan
      */
@@ -125,7 +158,8 @@ class View {
                 color: '#fff',
                 weight: 2,
                 fillOpacity: 0.7,
-                opacity: 1
+                opacity: 1,
+                bubblingMouseEvents: false // le clic sur un nœud ne doit pas aussi déclencher le clic carte
             }).addTo(this.map);
 
             // Tooltip au survol
@@ -511,12 +545,16 @@ class View {
 
         tableBodyElement.innerHTML = "";
 
+        // Timetable with waiting times in front of time windows
+        const schedule = typeof tour.computeSchedule === "function" ? tour.computeSchedule() : null;
         let currentSec = this._timeToSeconds(tour.departureTime);
 
         tour.stops.forEach((stop, index) => {
-            const arrivalTime = this._secondsToTime(currentSec);
+            const entry = schedule ? schedule[index] : null;
             const serviceSec = stop.serviceDuration || 0;
-            const departureTime = this._secondsToTime(currentSec + serviceSec);
+            const startSec = entry ? entry.start : currentSec;
+            const arrivalTime = this._secondsToTime(startSec);
+            const departureTime = this._secondsToTime(startSec + serviceSec);
 
             const tr = document.createElement("tr");
 
@@ -532,6 +570,16 @@ class View {
             const tdDemand = document.createElement("td");
             tdDemand.textContent = stop.demand ? stop.demand.id : "";
 
+            const tdWindow = document.createElement("td");
+            const timeWindow = typeof stop.getTimeWindow === "function" ? stop.getTimeWindow() : null;
+            tdWindow.textContent = timeWindow ? timeWindow.toString() : "";
+            if (entry && entry.lateness > 0) {
+                tdWindow.textContent += ` (retard ${Math.ceil(entry.lateness / 60)} min)`;
+                tr.style.color = "#e74c3c";
+            } else if (entry && entry.wait > 0) {
+                tdWindow.textContent += ` (attente ${Math.ceil(entry.wait / 60)} min)`;
+            }
+
             const tdArr = document.createElement("td");
             tdArr.textContent = arrivalTime;
 
@@ -545,12 +593,13 @@ class View {
             tr.appendChild(tdType);
             tr.appendChild(tdNode);
             tr.appendChild(tdDemand);
+            tr.appendChild(tdWindow);
             tr.appendChild(tdArr);
             tr.appendChild(tdServ);
             tr.appendChild(tdDep);
             tableBodyElement.appendChild(tr);
 
-            currentSec += serviceSec;
+            currentSec = startSec + serviceSec;
             if (index < tour.legs.length) {
                 currentSec += tour.legs[index].travelTime || 0;
             }
@@ -561,7 +610,8 @@ class View {
         const parts = (hhmm || "00:00").split(":").map(Number);
         const h = parts[0] || 0;
         const m = parts[1] || 0;
-        return h * 3600 + m * 60;
+        const s = parts[2] || 0;
+        return h * 3600 + m * 60 + s;
     }
 
     _secondsToTime(sec) {
@@ -1120,6 +1170,14 @@ class View {
     }
 }
 
+/**
+ * Above this number of nodes, selection relies on map clicks only (no marker per node)
+ * The small plan (308 nodes) keeps its clickable markers; the medium (1448) and large (3736) plans
+ * would add one Leaflet layer per node, which makes the map sluggish, and their nodes overlap at city zoom anyway
+ * @type {number}
+ */
+View.MAX_SELECTABLE_MARKERS = 500;
+
 // Export for Node.js
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = View;
@@ -5,6 +5,7 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const TravelMatrixCache = require('../backend/travelMatrixCache');
 
 let PORT = 8080;
 
@@ -34,6 +35,11 @@ if (!fs.existsSync(SAVED_TOURS_DIR)) {
 const SAVED_DATA_DIR = path.join(__dirname, '..', 'saved_data');
 const COURIERS_FILE = path.join(SAVED_DATA_DIR, 'couriers.json');
 
+// Cache des trajets entre points de tournée, partagé par les navigateurs et persisté sur disque (le serveur seul écrit ce fichier)
+const travelMatrixCache = new TravelMatrixCache({ filePath: path.join(SAVED_DATA_DIR, 'travel_matrix_cache.json') });
+// Taille maximale d'un envoi du cache (octets), au-delà la requête est refusée (413)
+const MAX_TRAVEL_MATRIX_CACHE_BODY = 16 * 1024 * 1024;
+
 // Ensure saved_data and couriers file exist
 if (!fs.existsSync(SAVED_DATA_DIR)) {
     fs.mkdirSync(SAVED_DATA_DIR, { recursive: true });
@@ -76,6 +82,17 @@ const server = http.createServer((req, res) => {
         return;
     }
 
+    // Travel matrix cache API
+    if (pathname === '/api/travel-matrix-cache' && req.method === 'GET') {
+        handleGetTravelMatrixCache(req, res);
+        return;
+    }
+
+    if (pathname === '/api/travel-matrix-cache' && req.method === 'POST') {
+        handleSaveTravelMatrixCache(req, res);
+        return;
+    }
+
     if (pathname.startsWith('/api/tours/load/') && req.method === 'GET') {
         const tourId = pathname.replace('/api/tours/load/', '');
         handleLoadTourFile(tourId, res);
@@ -261,6 +278,18 @@ function handleCreateCourier(req, res) {
                 return;
             }
 
+            // Multiplicateur de vitesse du véhicule (1 = vitesse du plan)
+            const speedFactor = Number(payload.speedFactor) > 0 ? Number(payload.speedFactor) : 1;
+            // Volume du sac en litres (null = illimité)
+            const capacity = Number(payload.capacity) > 0 ? Number(payload.capacity) : null;
+            // Heure de départ de l'entrepôt "HH:MM" (null = celle du fichier de demandes)
+            const departureTime = /^\d{1,2}:\d{1,2}(:\d{1,2})?$/.test(String(payload.departureTime || '')) ? String(payload.departureTime) : null;
+            // Horaires de service "HH:MM" (null = sans limite) et temps de travail maximal en secondes (null = 8 h)
+            const shiftStart = /^\d{1,2}:\d{1,2}$/.test(String(payload.shiftStart || '')) ? String(payload.shiftStart) : null;
+            const shiftEnd = /^\d{1,2}:\d{1,2}$/.test(String(payload.shiftEnd || '')) ? String(payload.shiftEnd) : null;
+            const maxWorkingTime = Number(payload.maxWorkingTime) > 0 ? Number(payload.maxWorkingTime) : null;
+            const shift = { shiftStart, shiftEnd, maxWorkingTime };
+
             const fileContent = fs.existsSync(COURIERS_FILE) ? fs.readFileSync(COURIERS_FILE, 'utf-8') : '[]';
             const list = JSON.parse(fileContent || '[]');
 
@@ -269,13 +298,17 @@ function handleCreateCourier(req, res) {
                 const idx = list.findIndex(c => String(c.id) === String(payload.id));
                 if (idx !== -1) {
                     list[idx].name = name;
+                    list[idx].speedFactor = speedFactor;
+                    list[idx].capacity = capacity;
+                    list[idx].departureTime = departureTime;
+                    Object.assign(list[idx], shift);
                 } else {
-                    list.push({ id: payload.id, name });
+                    list.push({ id: payload.id, name, speedFactor, capacity, departureTime, ...shift });
                 }
             } else {
                 // generate a simple id
                 const nextId = Date.now();
-                const newCourier = { id: `C${nextId}`, name };
+                const newCourier = { id: `C${nextId}`, name, speedFactor, capacity, departureTime, ...shift };
                 list.push(newCourier);
                 payload.id = newCourier.id;
             }
@@ -283,7 +316,62 @@ function handleCreateCourier(req, res) {
             fs.writeFileSync(COURIERS_FILE, JSON.stringify(list, null, 2));
 
             res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
-            res.end(JSON.stringify({ success: true, courier: { id: payload.id, name }, message: 'Coursier enregistré' }));
+            res.end(JSON.stringify({ success: true, courier: { id: payload.id, name, speedFactor, capacity, departureTime, ...shift }, message: 'Coursier enregistré' }));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+            res.end(JSON.stringify({ success: false, error: error.message }));
+        }
+    });
+}
+
+// Gestionnaire de lecture du cache des trajets
+function handleGetTravelMatrixCache(req, res) {
+    try {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+        res.end(JSON.stringify({ success: true, cache: travelMatrixCache.toJSON() }));
+    } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+    }
+}
+
+// Gestionnaire d'enregistrement du cache des trajets (fusionné, puis borné à maxEntries paires)
+function handleSaveTravelMatrixCache(req, res) {
+    const rejectTooLarge = () => {
+        res.writeHead(413, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', 'Connection': 'close' });
+        res.end(JSON.stringify({ success: false, error: `Cache trop volumineux (maximum ${MAX_TRAVEL_MATRIX_CACHE_BODY} octets)` }));
+    };
+    if (Number(req.headers['content-length']) > MAX_TRAVEL_MATRIX_CACHE_BODY) {
+        rejectTooLarge();
+        req.resume();
+        return;
+    }
+
+    let body = '';
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_TRAVEL_MATRIX_CACHE_BODY) {
+            tooLarge = true;
+            body = '';
+            return;
+        }
+        body += chunk.toString();
+    });
+    req.on('end', () => {
+        if (tooLarge) {
+            rejectTooLarge();
+            return;
+        }
+        try {
+            const payload = JSON.parse(body || '{}');
+            // Les entrées mal formées sont écartées, pour ne pas casser le calcul des autres utilisateurs
+            const dropped = travelMatrixCache.mergeJSON(payload.cache);
+            travelMatrixCache.save();
+
+            res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+            res.end(JSON.stringify({ success: true, size: travelMatrixCache.entryCount, dropped: dropped }));
         } catch (error) {
             res.writeHead(500, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
             res.end(JSON.stringify({ success: false, error: error.message }));